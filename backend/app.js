@@ -22,6 +22,7 @@ const adminRoutes = require('./routes/admin');
 const chatRoutes = require('./routes/chat');
 const aiChatRoutes = require('./routes/aiChat');
 const projectMemberRoutes = require('./routes/projectMembers');
+const attachmentRoutes = require('./routes/attachments');
 const commentsRoutes = require('./routes/comments');
 const notificationsRoutes = require('./routes/notifications');
 const githubRoutes = require('./routes/github');
@@ -62,6 +63,11 @@ app.use(cors({
     'X-Requested-With',
     'Accept'
   ],
+  exposedHeaders: [
+    'X-GitHub-RateLimit-Limit',
+    'X-GitHub-RateLimit-Remaining',
+    'X-GitHub-RateLimit-Reset'
+  ],
   optionsSuccessStatus: 200
 }));
 
@@ -113,13 +119,21 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // GitHub delivers webhooks for every connected repository from a few shared IPs
+  skip: (req) => req.originalUrl.startsWith('/api/github/webhook'),
 });
 
 // Apply rate limiting to API routes
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes GitHub sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/github/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware (development only)
@@ -159,6 +173,7 @@ app.use('/api/courses', coursesRoutes);
 // 2. Project-nested routes
 app.use('/api/projects', taskRoutes);
 app.use('/api/projects', projectMemberRoutes);
+app.use('/api/projects', attachmentRoutes);
 
 // 3. General project routes last
 app.use('/api/projects', projectRoutes);
@@ -222,6 +237,12 @@ const io = new Server(server, {
   transports: ['websocket', 'polling']
 });
 
+// Controllers reach the socket server through req.app.get('io')
+app.set('io', io);
+
+// Notification events are pushed to each recipient's socket room
+require('./services/notificationService').attachSocketServer(io);
+
 // Setup socket handlers
 try {
   const setupSocketHandlers = require('./utils/socketHandler');
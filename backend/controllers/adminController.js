@@ -1,6 +1,8 @@
 // backend/controllers/adminController.js
 const supabase = require('../config/supabase');
 const { logAdminActivity } = require('../middleware/adminAuth');
+const twoFactorService = require('../services/twoFactorService');
+const chatModerationService = require('../services/chatModerationService');
 
 // Get admin dashboard stats
 const getDashboardStats = async (req, res) => {
@@ -209,7 +211,7 @@ const deleteUser = async (req, res) => {
     // First, get user details for validation and logging
     const { data: userToDelete, error: fetchError } = await supabase
       .from('users')
-      .select('id, username, email, role, is_active')
+      .select('id, username, full_name, email, role, is_active')
       .eq('id', userId)
       .single();
 
@@ -282,6 +284,25 @@ const deleteUser = async (req, res) => {
       .delete()
       .eq('sender_id', userId);
 
+    // Leave direct conversations
+    await supabase
+      .from('chat_room_members')
+      .delete()
+      .eq('user_id', userId);
+
+    // Drop read pointers
+    await supabase
+      .from('chat_room_reads')
+      .delete()
+      .eq('user_id', userId);
+
+    // Chat mutes involving the user; moderation log entries stay for the project owners
+    await supabase
+      .from('chat_mutes')
+      .delete()
+      .or(`user_id.eq.${userId},muted_by.eq.${userId}`);
+    await chatModerationService.detachUser(userToDelete);
+
     // 8. Delete learning recommendations
     await supabase
       .from('learning_recommendations')
@@ -608,6 +629,17 @@ const updateSystemSettings = async (req, res) => {
       });
     }
 
+    // An admin can't require 2FA for staff without having it, or they'd lock themselves out
+    const enablesTwoFactorRequirement = Object.values(twoFactorService.requiredRoleSettings)
+      .some(key => String(settings[key]) === 'true');
+
+    if (enablesTwoFactorRequirement && !await twoFactorService.isEnabled(adminId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it'
+      });
+    }
+
     // Update each setting
     const updates = Object.entries(settings).map(([key, value]) =>
       supabase
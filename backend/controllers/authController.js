@@ -1,22 +1,14 @@
 // backend/controllers/authController.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
 const crypto = require('crypto');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { 
-      userId: userId,
-      id: userId // Include both for compatibility
-    }, 
-    process.env.JWT_SECRET, 
-    { 
-      expiresIn: process.env.JWT_EXPIRE || '7d' 
-    }
-  );
+// Drops the live sockets of sessions that were just revoked
+const disconnectSessions = (req, sessionIds) => {
+  sessionService.disconnectSockets(req.app.get('io'), sessionIds);
 };
 
 const requestPasswordReset = async (req, res) => {
@@ -183,6 +175,10 @@ const resetPassword = async (req, res) => {
             });
         }
 
+        // Whoever knew the old password is signed out everywhere
+        const revokedIds = await sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
+        disconnectSessions(req, revokedIds);
+
         // Send confirmation email (non-blocking)
         emailService.sendPasswordResetConfirmation(
             user.email, 
@@ -356,8 +352,8 @@ const register = async (req, res) => {
 
     console.log('User created successfully:', user.username);
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await sessionService.createSession(user.id, req);
 
     res.status(201).json({
       success: true,
@@ -367,7 +363,7 @@ const register = async (req, res) => {
           ...user,
           needsOnboarding: true
         },
-        token
+        ...tokens
       }
     });
 
@@ -381,6 +377,62 @@ const register = async (req, res) => {
   }
 };
 
+// Final login step, shared by password-only and two-factor logins: records the login,
+// loads the profile data the client needs and starts a session
+const completeLogin = async (user, req) => {
+  // Update last login time
+  await supabase
+    .from('users')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  // Get user's programming languages
+  const { data: userLanguages } = await supabase
+    .from('user_programming_languages')
+    .select(`
+      id,
+      proficiency_level,
+      years_experience,
+      programming_languages (id, name, description)
+    `)
+    .eq('user_id', user.id);
+
+  // Get user's topics
+  const { data: userTopics } = await supabase
+    .from('user_topics')
+    .select(`
+      id,
+      interest_level,
+      experience_level,
+      topics (id, name, description, category)
+    `)
+    .eq('user_id', user.id);
+
+  // Check if user has completed onboarding
+  const needsOnboarding = !userLanguages || userLanguages.length === 0;
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const tokens = await sessionService.createSession(user.id, req);
+
+  // Roles that must use 2FA are told to enroll (admin routes stay closed until they do)
+  const twoFactorSetupRequired = await twoFactorService.isRequiredForRole(user.role) &&
+    !await twoFactorService.isEnabled(user.id);
+
+  // Remove password_hash from response
+  const { password_hash, ...userWithoutPassword } = user;
+
+  return {
+    user: {
+      ...userWithoutPassword,
+      needsOnboarding,
+      programming_languages: userLanguages || [],
+      topics: userTopics || []
+    },
+    ...tokens,
+    twoFactorSetupRequired
+  };
+};
+
 // Login user
 const login = async (req, res) => {
   try {
@@ -452,59 +504,86 @@ const login = async (req, res) => {
 
     console.log('User authenticated successfully:', user.username);
 
-    // Update last login time
-    await supabase
-      .from('users')
-      .update({ last_login_at: new Date().toISOString() })
-      .eq('id', user.id);
+    // With 2FA on, the password only earns a challenge; /login/2fa finishes the login
+    if (await twoFactorService.isEnabled(user.id)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.issueChallenge(user.id)
+        }
+      });
+    }
 
-    // Get user's programming languages
-    const { data: userLanguages } = await supabase
-      .from('user_programming_languages')
-      .select(`
-        id,
-        proficiency_level,
-        years_experience,
-        programming_languages (id, name, description)
-      `)
-      .eq('user_id', user.id);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(user, req)
+    });
 
-    // Get user's topics
-    const { data: userTopics } = await supabase
-      .from('user_topics')
-      .select(`
-        id,
-        interest_level,
-        experience_level,
-        topics (id, name, description, category)
-      `)
-      .eq('user_id', user.id);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
 
-    // Check if user has completed onboarding
-    const needsOnboarding = !userLanguages || userLanguages.length === 0;
+// Second login step: the challenge from login plus a TOTP or recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    const userId = twoFactorService.readChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: 'Login attempt expired, please sign in again'
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .eq('is_active', true)
+      .single();
 
-    // Remove password_hash from response
-    const { password_hash, ...userWithoutPassword } = user;
+    if (error || !user) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: 'Login attempt expired, please sign in again'
+      });
+    }
+
+    const result = await twoFactorService.verifySecondFactor(user.id, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(result.locked ? 429 : 401).json({
+        success: false,
+        message: result.locked
+          ? 'Too many invalid codes. Try again in a few minutes.'
+          : 'Invalid authentication code'
+      });
+    }
+
+    console.log(`User passed 2FA${result.usedRecoveryCode ? ' with a recovery code' : ''}:`, user.username);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          ...userWithoutPassword,
-          needsOnboarding,
-          programming_languages: userLanguages || [],
-          topics: userTopics || []
-        },
-        token
+        ...await completeLogin(user, req),
+        usedRecoveryCode: !!result.usedRecoveryCode
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('2FA login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -732,6 +811,13 @@ const changePassword = async (req, res) => {
       });
     }
 
+    // Sign out every other device; this one stays logged in
+    const revokedIds = await sessionService.revokeAllSessions(userId, {
+      exceptSessionId: req.user.sessionId,
+      reason: 'password_change'
+    });
+    disconnectSessions(req, revokedIds);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -747,11 +833,48 @@ const changePassword = async (req, res) => {
   }
 };
 
-// Logout (client-side mainly, but can be used for logging)
+// Exchange a refresh token for a new access token; the refresh token rotates every time
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await sessionService.rotate(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error.code === 'REFRESH_SUPERSEDED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Logout: revokes the session behind the refresh token (no access token needed)
 const logout = async (req, res) => {
   try {
-    // In a more complex setup, you might want to blacklist the token
-    // For now, we'll just return success
+    const { refreshToken } = req.body;
+
+    const session = await sessionService.revokeByRefreshToken(refreshToken);
+    if (session) disconnectSessions(req, [session.id]);
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -766,13 +889,96 @@ const logout = async (req, res) => {
   }
 };
 
+// List the user's active sessions (devices), flagging the caller's
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          is_current: session.id === req.user.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Revoke one session (sign out a device)
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revokedIds = await sessionService.revokeSessions(req.user.id, [sessionId], 'revoked_by_user');
+    if (revokedIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    disconnectSessions(req, revokedIds);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Log out everywhere; ?keep_current=true signs out only the other devices
+const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true';
+
+    const revokedIds = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: keepCurrent ? req.user.sessionId : null
+    });
+    disconnectSessions(req, revokedIds);
+
+    res.json({
+      success: true,
+      data: { revoked: revokedIds.length },
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out everywhere'
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getProfile,
   updateProfile,
   changePassword,
   logout,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   requestPasswordReset,
   resetPassword  
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 // backend/controllers/awardsController.js
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
 
 // Award definitions with criteria
 const AWARD_DEFINITIONS = {
@@ -131,6 +132,7 @@ const checkProjectCompletionAward = async (req, res) => {
         }
 
         console.log('✅ Award created:', newAward);
+        await notificationService.notifyAwardEarned(newAward);
 
         return res.json({
           success: true,
@@ -283,6 +285,7 @@ const checkWeeklyChallengeAward = async (req, res) => {
         }
 
         console.log('✅ Challenge Master award created:', newAward);
+        await notificationService.notifyAwardEarned(newAward);
 
         return res.json({
           success: true,
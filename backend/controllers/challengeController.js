@@ -1,6 +1,29 @@
 // backend/controllers/challengeController.js - COMPLETE FILE WITH AWARDS INTEGRATION
 const supabase = require('../config/supabase');
-const { runTests } = require('../utils/codeEvaluator');
+const notificationService = require('../services/notificationService');
+const permissionService = require('../services/permissionService');
+const { runTests, getPublicTestCases, redactHiddenResults } = require('../utils/codeEvaluator');
+
+// The expected solution and hidden test cases are for the challenge's creator and
+// whoever manages members of its project; candidates only get the visible cases.
+const canSeeChallengeAnswers = async (challenge, userId) => {
+  if (!challenge) return false;
+  if (challenge.created_by === userId) return true;
+  if (!challenge.project_id) return false;
+  return permissionService.can(challenge.project_id, userId, 'members.manage');
+};
+
+const withoutChallengeAnswers = (challenge) => {
+  const { expected_solution, ...publicChallenge } = challenge;
+  const { testCases, hiddenCount } = getPublicTestCases(challenge.test_cases);
+  return { ...publicChallenge, test_cases: testCases, hidden_test_count: hiddenCount };
+};
+
+// Attempts store hidden cases in full for the owner's review
+const withRedactedResults = (attempt) => {
+  if (!Array.isArray(attempt.test_results?.tests)) return attempt;
+  return { ...attempt, test_results: { ...attempt.test_results, tests: redactHiddenResults(attempt.test_results.tests) } };
+};
 
 // Helper function to check weekly challenge awards after submission
 const checkWeeklyChallengeAwardAfterSubmission = async (userId, projectId) => {
@@ -72,6 +95,7 @@ const checkWeeklyChallengeAwardAfterSubmission = async (userId, projectId) => {
           .single();
 
         console.log('✅ Challenge Champion award granted!', newAward);
+        if (newAward) await notificationService.notifyAwardEarned(newAward);
         return { awarded: true, award: newAward };
       }
     }
@@ -238,7 +262,8 @@ const getChallengeById = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Challenge not found' });
     }
 
-    res.json({ success: true, data: { challenge } });
+    const canSeeAnswers = await canSeeChallengeAnswers(challenge, req.user.id);
+    res.json({ success: true, data: { challenge: canSeeAnswers ? challenge : withoutChallengeAnswers(challenge) } });
   } catch (error) {
     console.error('Get challenge by ID error:', error);
     res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
@@ -397,7 +422,7 @@ const getUserAttempts = async (req, res) => {
     res.json({
       success: true,
       data: {
-        attempts,
+        attempts: (attempts || []).map(withRedactedResults),
         pagination: {
           page: parseInt(page, 10),
           limit: parseInt(limit, 10),
@@ -464,7 +489,15 @@ const getAttemptDetails = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Attempt not found' });
     }
 
-    res.json({ success: true, data: { attempt } });
+    if (await canSeeChallengeAnswers(attempt.coding_challenges, userId)) {
+      return res.json({ success: true, data: { attempt } });
+    }
+
+    const redacted = withRedactedResults(attempt);
+    if (redacted.coding_challenges) {
+      redacted.coding_challenges = withoutChallengeAnswers(redacted.coding_challenges);
+    }
+    res.json({ success: true, data: { attempt: redacted } });
   } catch (error) {
     console.error('Get attempt details error:', error);
     res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
@@ -1,27 +1,15 @@
 // backend/controllers/chatController.js
 const { createClient } = require('@supabase/supabase-js');
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+const chatService = require('../services/chatService');
+const chatModerationService = require('../services/chatModerationService');
+const permissionService = require('../services/permissionService');
+const { broadcastChatEvent, broadcastRoomRead } = require('../utils/chatRealtime');
 
 // Get all chat rooms for a project
 const getProjectChatRooms = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user.id;
-
-    // Verify user is a project member
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('*')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
 
     // Get all chat rooms for the project
     const { data: chatRooms, error } = await supabase
@@ -48,9 +36,11 @@ const getProjectChatRooms = async (req, res) => {
       });
     }
 
+    const unreadCounts = await chatService.getUnreadCounts((chatRooms || []).map(room => room.id), req.user.id);
+
     res.json({
       success: true,
-      data: chatRooms || []
+      data: (chatRooms || []).map(room => ({ ...room, unread_count: unreadCounts.get(room.id) || 0 }))
     });
 
   } catch (error) {
@@ -70,29 +60,6 @@ const createChatRoom = async (req, res) => {
     const { name, description, room_type = 'general' } = req.body;
     const userId = req.user.id;
 
-    // Verify user is a project member with appropriate permissions
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('role')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
-    // Only project owner and members can create rooms
-    if (!['owner', 'member'].includes(membership.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions to create chat rooms'
-      });
-    }
-
     // Create the chat room
     const { data: chatRoom, error } = await supabase
       .from('chat_rooms')
@@ -139,28 +106,16 @@ const createChatRoom = async (req, res) => {
   }
 };
 
-// Get messages for a specific chat room - FIXED VERSION
+// Get messages for a specific chat room - FIXED VERSION. Pages by cursor: ?before=<messageId>
+// for older messages, ?after=<messageId> for newer ones, neither for the latest. With
+// ?around=<messageId> the page is centred on that message instead (used to jump to a search
+// result). The user's read pointer and everyone's read receipts come along.
 const getRoomMessages = async (req, res) => {
   try {
     const { projectId, roomId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { limit = 50, before, after, around } = req.query;
     const userId = req.user.id;
 
-    // Verify user is a project member
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('*')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
     // Verify the room belongs to the project
     const { data: room, error: roomError } = await supabase
       .from('chat_rooms')
@@ -176,76 +131,34 @@ const getRoomMessages = async (req, res) => {
       });
     }
 
-    const offset = (page - 1) * limit;
+    const page = around
+      ? await chatService.getMessagesAround(roomId, around, userId, parseInt(limit))
+      : await chatService.getMessagesPage(roomId, userId, { before, after, limit: parseInt(limit) });
 
-    // Get messages with user info first
-    const { data: messages, error } = await supabase
-      .from('chat_messages')
-      .select(`
-        *,
-        user:users!user_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `)
-      .eq('room_id', roomId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      console.error('Error fetching messages:', error);
-      return res.status(500).json({
+    if (!page) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to fetch messages',
-        error: error.message
+        message: 'Message not found in this room'
       });
     }
 
-    // Now get reply data for messages that have replies
-    const processedMessages = [];
-    
-    for (const message of messages || []) {
-      let processedMessage = { ...message };
-      
-      // If message has a reply_to_message_id, fetch the reply data
-      if (message.reply_to_message_id) {
-        const { data: replyToMessage, error: replyError } = await supabase
-          .from('chat_messages')
-          .select(`
-            id,
-            content,
-            user:users!user_id (
-              id,
-              username,
-              full_name,
-              avatar_url
-            )
-          `)
-          .eq('id', message.reply_to_message_id)
-          .single();
-
-        if (!replyError && replyToMessage) {
-          processedMessage.reply_to = replyToMessage;
-        }
-      }
-      
-      processedMessages.push(processedMessage);
-    }
-
-    // Reverse to show oldest first
-    const sortedMessages = processedMessages.reverse();
+    const [lastRead, readReceipts] = await Promise.all([
+      chatService.getReadPointer(roomId, userId),
+      chatService.getReadReceipts(roomId)
+    ]);
 
     res.json({
       success: true,
       data: {
-        messages: sortedMessages,
+        messages: page.messages,
         room: room,
+        lastRead,
+        readReceipts,
         pagination: {
-          page: parseInt(page),
+          ...(around ? { around: page.anchorId } : {}),
           limit: parseInt(limit),
-          hasMore: messages?.length === parseInt(limit)
+          hasMore: page.hasMore,
+          hasNewer: page.hasNewer
         }
       }
     });
@@ -260,38 +173,16 @@ const getRoomMessages = async (req, res) => {
   }
 };
 
-// Send a message to a chat room - FIXED VERSION
+// Send a message to a chat room, or to a thread when thread_root_id is set
 const sendMessage = async (req, res) => {
   try {
     const { projectId, roomId } = req.params;
-    const { content, message_type = 'text', reply_to_message_id } = req.body;
+    const { content, message_type = 'text', reply_to_message_id, thread_root_id, attachment_ids = [] } = req.body;
     const userId = req.user.id;
 
-    // Verify user is a project member
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('*')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
     // Verify the room belongs to the project
-    const { data: room, error: roomError } = await supabase
-      .from('chat_rooms')
-      .select('*')
-      .eq('id', roomId)
-      .eq('project_id', projectId)
-      .eq('is_archived', false)
-      .single();
-
-    if (roomError || !room) {
+    const room = await chatService.getRoom(projectId, roomId);
+    if (!room) {
       return res.status(404).json({
         success: false,
         message: 'Chat room not found or archived'
@@ -306,72 +197,33 @@ const sendMessage = async (req, res) => {
       });
     }
 
-    // Create the message first
-    const { data: message, error } = await supabase
-      .from('chat_messages')
-      .insert({
-        room_id: roomId,
-        user_id: userId,
-        content: content.trim(),
-        message_type,
-        reply_to_message_id: reply_to_message_id || null
-      })
-      .select(`
-        *,
-        user:users!user_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `)
-      .single();
-
-    if (error) {
-      console.error('Error sending message:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send message',
-        error: error.message
-      });
-    }
-
-    // If this message is a reply, fetch the reply data
-    let processedMessage = { ...message };
-    
-    if (message.reply_to_message_id) {
-      const { data: replyToMessage, error: replyError } = await supabase
-        .from('chat_messages')
-        .select(`
-          id,
-          content,
-          user:users!user_id (
-            id,
-            username,
-            full_name,
-            avatar_url
-          )
-        `)
-        .eq('id', message.reply_to_message_id)
-        .single();
-
-      if (!replyError && replyToMessage) {
-        processedMessage.reply_to = replyToMessage;
-      }
-    }
+    // Mutes, read-only rooms and slow mode
+    await chatModerationService.assertCanPost(room, userId, req.projectAccess);
+
+    const message = await chatService.createMessage({
+      room,
+      userId,
+      content,
+      messageType: message_type,
+      replyToMessageId: reply_to_message_id,
+      threadRootId: thread_root_id,
+      attachmentIds: attachment_ids
+    });
 
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: processedMessage
+      data: message
     });
 
   } catch (error) {
     console.error('Send message error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Internal server error',
-      error: error.message
+      message: error.statusCode ? error.message : 'Internal server error',
+      error: error.message,
+      retryAfter: error.retryAfter,
+      mutedUntil: error.mutedUntil
     });
   }
 };
@@ -392,20 +244,20 @@ const editMessage = async (req, res) => {
     }
 
     // Check if user owns the message
-    const { data: message, error: messageError } = await supabase
-      .from('chat_messages')
-      .select('*')
-      .eq('id', messageId)
-      .eq('user_id', userId)
-      .single();
-
-    if (messageError || !message) {
+    const message = await chatService.getMessage(messageId);
+    if (!message || message.user_id !== userId) {
       return res.status(404).json({
         success: false,
         message: 'Message not found or you do not have permission to edit it'
       });
     }
 
+    // Muted members and read-only rooms can't rewrite old messages either
+    if (message.project_id) {
+      const access = await permissionService.getProjectAccess(message.project_id, userId);
+      await chatModerationService.assertCanWrite(message.room, userId, access);
+    }
+
     // Update the message
     const { data: updatedMessage, error } = await supabase
       .from('chat_messages')
@@ -459,10 +311,11 @@ const editMessage = async (req, res) => {
 
   } catch (error) {
     console.error('Edit message error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Internal server error',
-      error: error.message
+      message: error.statusCode ? error.message : 'Internal server error',
+      error: error.message,
+      mutedUntil: error.mutedUntil
     });
   }
 };
@@ -473,28 +326,24 @@ const deleteMessage = async (req, res) => {
     const { messageId } = req.params;
     const userId = req.user.id;
 
-    // Check if user owns the message
-    const { data: message, error: messageError } = await supabase
-      .from('chat_messages')
-      .select('*')
-      .eq('id', messageId)
-      .eq('user_id', userId)
-      .single();
+    // The author, or a chat moderator in the message's project
+    const message = await chatService.getMessage(messageId);
+    const moderating = !!message && message.user_id !== userId;
+    const allowed = !!message && (!moderating ||
+      (!!message.project_id && await permissionService.can(message.project_id, userId, 'chat.moderate')));
 
-    if (messageError || !message) {
+    if (!allowed) {
       return res.status(404).json({
         success: false,
         message: 'Message not found or you do not have permission to delete it'
       });
     }
 
-    // Delete the message
-    const { error } = await supabase
-      .from('chat_messages')
-      .delete()
-      .eq('id', messageId);
-
-    if (error) {
+    // A thread root takes its replies along
+    let deletedIds;
+    try {
+      deletedIds = await chatService.deleteMessage(message);
+    } catch (error) {
       console.error('Error deleting message:', error);
       return res.status(500).json({
         success: false,
@@ -503,6 +352,15 @@ const deleteMessage = async (req, res) => {
       });
     }
 
+    if (moderating) await chatModerationService.logDeletedMessage(message, userId, deletedIds);
+
+    broadcastChatEvent(req.app.get('io'), message.room_id, 'message_deleted', {
+      messageId,
+      deletedIds,
+      threadRootId: message.thread_root_id || null,
+      projectId: message.project_id
+    });
+
     res.json({
       success: true,
       message: 'Message deleted successfully'
@@ -518,11 +376,274 @@ const deleteMessage = async (req, res) => {
   }
 };
 
+// Search messages across the project's chat rooms
+const searchMessages = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { q, room_id, author_id, from, to, has_attachment, has_code, page = 1, limit = 20 } = req.query;
+
+    const { results, pagination } = await chatService.searchMessages(projectId, {
+      query: q,
+      roomId: room_id,
+      authorId: author_id,
+      from,
+      to,
+      hasAttachment: has_attachment === true,
+      hasCode: has_code === true,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        query: q,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search messages',
+      error: error.message
+    });
+  }
+};
+
+// Loads req.params.messageId when it's in req.params.roomId of req.params.projectId;
+// otherwise answers 404 and returns null
+const findRoomMessage = async (req, res) => {
+  const { projectId, roomId, messageId } = req.params;
+  const message = await chatService.getMessage(messageId);
+
+  if (!message || message.room_id !== roomId || message.project_id !== projectId) {
+    res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+    return null;
+  }
+  return message;
+};
+
+// Get a thread: the root message and its replies, oldest first
+const getThread = async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const thread = await chatService.getThread(roomId, messageId, req.user.id);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: thread
+    });
+
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Mark a thread read up to now
+const markThreadRead = async (req, res) => {
+  try {
+    const message = await findRoomMessage(req, res);
+    if (!message) return;
+
+    const lastReadAt = await chatService.markThreadRead(message.id, req.user.id);
+
+    // The user's other tabs clear the thread's unread count too
+    req.app.get('io')?.to(`user_${req.user.id}`).emit('thread_read', {
+      roomId: message.room_id,
+      rootId: message.id,
+      lastReadAt
+    });
+
+    res.json({
+      success: true,
+      data: { rootId: message.id, lastReadAt }
+    });
+
+  } catch (error) {
+    console.error('Mark thread read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Move the user's read pointer in a room up to a message (default: the latest)
+const markRoomRead = async (req, res) => {
+  try {
+    const { projectId, roomId } = req.params;
+    const { message_id } = req.body;
+
+    const room = await chatService.getRoom(projectId, roomId, { includeArchived: true });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      });
+    }
+
+    const pointer = await chatService.markRoomRead(roomId, req.user.id, message_id);
+
+    // Receipts are visible to the room; the user's other tabs clear the unread count
+    if (pointer) broadcastRoomRead(req.app.get('io'), projectId, pointer);
+
+    res.json({
+      success: true,
+      data: pointer
+    });
+
+  } catch (error) {
+    console.error('Mark room read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Add or remove the user's emoji reaction on a message
+const toggleReaction = async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    if (!chatService.isValidEmoji(emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reaction must be a single emoji'
+      });
+    }
+
+    const message = await findRoomMessage(req, res);
+    if (!message) return;
+
+    await chatModerationService.assertCanWrite(message.room, req.user.id, req.projectAccess);
+
+    const reactions = await chatService.toggleReaction(message.id, req.user.id, emoji);
+
+    broadcastChatEvent(req.app.get('io'), message.room_id, 'reaction_updated', {
+      projectId: message.project_id,
+      messageId: message.id,
+      threadRootId: message.thread_root_id,
+      reactions
+    });
+
+    res.json({
+      success: true,
+      data: { messageId: message.id, reactions }
+    });
+
+  } catch (error) {
+    console.error('Toggle reaction error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Internal server error',
+      error: error.message,
+      mutedUntil: error.mutedUntil
+    });
+  }
+};
+
+// Get the room's pinned messages, most recently pinned first
+const getPinnedMessages = async (req, res) => {
+  try {
+    const { projectId, roomId } = req.params;
+
+    const room = await chatService.getRoom(projectId, roomId, { includeArchived: true });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found'
+      });
+    }
+
+    const messages = await chatService.getPinnedMessages(roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: messages
+    });
+
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Pin or unpin a top-level message in its room
+const updatePin = async (req, res) => {
+  try {
+    const { pinned } = req.body;
+
+    const message = await findRoomMessage(req, res);
+    if (!message) return;
+
+    if (message.thread_root_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Thread replies cannot be pinned'
+      });
+    }
+
+    await chatModerationService.assertCanWrite(message.room, req.user.id, req.projectAccess);
+
+    const updated = await chatService.setPinned(message, req.user.id, pinned);
+
+    broadcastChatEvent(req.app.get('io'), message.room_id, pinned ? 'message_pinned' : 'message_unpinned', {
+      projectId: message.project_id,
+      message: updated
+    });
+
+    res.json({
+      success: true,
+      message: pinned ? 'Message pinned' : 'Message unpinned',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Update pin error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getProjectChatRooms,
   createChatRoom,
   getRoomMessages,
+  searchMessages,
   sendMessage,
   editMessage,
-  deleteMessage
+  deleteMessage,
+  getThread,
+  markThreadRead,
+  markRoomRead,
+  toggleReaction,
+  getPinnedMessages,
+  updatePin
 };
\ No newline at end of file
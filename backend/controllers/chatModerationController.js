@@ -0,0 +1,192 @@
+// backend/controllers/chatModerationController.js
+const chatService = require('../services/chatService');
+const chatModerationService = require('../services/chatModerationService');
+const { broadcastChatEvent, userRoom } = require('../utils/chatRealtime');
+
+// Get the project's moderation log, newest first (owner only)
+const getModerationLog = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { action, before, limit = 50 } = req.query;
+
+    const entries = await chatModerationService.getLog(projectId, {
+      action,
+      before,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Get moderation log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation log',
+      error: error.message
+    });
+  }
+};
+
+// Get the project's muted members
+const getMutes = async (req, res) => {
+  try {
+    const mutes = await chatModerationService.listMutes(req.params.projectId);
+
+    res.json({
+      success: true,
+      data: mutes
+    });
+
+  } catch (error) {
+    console.error('Get mutes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch muted members',
+      error: error.message
+    });
+  }
+};
+
+// Get the current user's mute in the project, if any
+const getMyMute = async (req, res) => {
+  try {
+    const mute = await chatModerationService.getActiveMute(req.params.projectId, req.user.id);
+
+    res.json({
+      success: true,
+      data: mute
+    });
+
+  } catch (error) {
+    console.error('Get my mute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Mute a member in the project's chat for a number of minutes
+const muteMember = async (req, res) => {
+  try {
+    const { projectId, userId } = req.params;
+    const { duration_minutes, reason } = req.body;
+
+    const mute = await chatModerationService.muteMember(projectId, req.user.id, userId, {
+      durationMinutes: duration_minutes,
+      reason
+    });
+
+    // The member's open tabs disable the message box right away
+    req.app.get('io')?.to(userRoom(userId)).emit('chat_muted', {
+      projectId,
+      mutedUntil: mute.expires_at,
+      reason: mute.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Member muted',
+      data: mute
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Mute member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mute member',
+      error: error.message
+    });
+  }
+};
+
+// Lift a member's mute
+const unmuteMember = async (req, res) => {
+  try {
+    const { projectId, userId } = req.params;
+
+    const unmuted = await chatModerationService.unmuteMember(projectId, req.user.id, userId);
+    if (!unmuted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member is not muted'
+      });
+    }
+
+    req.app.get('io')?.to(userRoom(userId)).emit('chat_unmuted', { projectId });
+
+    res.json({
+      success: true,
+      message: 'Member unmuted'
+    });
+
+  } catch (error) {
+    console.error('Unmute member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unmute member',
+      error: error.message
+    });
+  }
+};
+
+// Make a room read-only and/or change its slow mode
+const updateRoomSettings = async (req, res) => {
+  try {
+    const { projectId, roomId } = req.params;
+    const { is_read_only, slow_mode_seconds } = req.body;
+
+    const room = await chatService.getRoom(projectId, roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat room not found or archived'
+      });
+    }
+
+    const updated = await chatModerationService.updateRoomSettings(room, req.user.id, {
+      isReadOnly: is_read_only,
+      slowModeSeconds: slow_mode_seconds
+    });
+
+    broadcastChatEvent(req.app.get('io'), room.id, 'room_settings_updated', {
+      projectId,
+      isReadOnly: !!updated.is_read_only,
+      slowModeSeconds: updated.slow_mode_seconds || 0
+    });
+
+    res.json({
+      success: true,
+      message: 'Room settings updated',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Update room settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update room settings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getModerationLog,
+  getMutes,
+  getMyMute,
+  muteMember,
+  unmuteMember,
+  updateRoomSettings
+};
@@ -1,6 +1,8 @@
 // controllers/commentsController.js
 const supabase = require('../config/supabase');
 const { validateUUID, sanitizeInput } = require('../utils/validation');
+const attachmentService = require('../services/attachmentService');
+const permissionService = require('../services/permissionService');
 
 class CommentsController {
     // Get comments for a task
@@ -29,15 +31,9 @@ class CommentsController {
         }
 
         // Check if user has access to the project
-        const { data: membership, error: memberError } = await supabase
-            .from('project_members')
-            .select('user_id')
-            .eq('project_id', task.project_id)
-            .eq('user_id', userId)
-            .single();
-
-        if (memberError || !membership) {
-            console.error('Access denied - user not a project member:', memberError);
+        const access = await permissionService.getProjectAccess(task.project_id, userId);
+        if (!access.can('project.view')) {
+            console.error('Access denied - user not a project member');
             return res.status(403).json({ error: 'Access denied' });
         }
 
@@ -91,10 +87,12 @@ class CommentsController {
             })
         );
 
-        console.log('✅ Successfully fetched', commentsWithReplyCounts.length, 'comments');
+        const commentsWithAttachments = await attachmentService.attachToTargets('comment', commentsWithReplyCounts);
+
+        console.log('✅ Successfully fetched', commentsWithAttachments.length, 'comments');
 
         res.json({
-            comments: commentsWithReplyCounts,
+            comments: commentsWithAttachments,
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -122,20 +120,15 @@ class CommentsController {
             // Check if user has access to the parent comment
             const { data: parentComment, error: parentError } = await supabase
                 .from('task_comments')
-                .select(`
-                    id, task_id,
-                    project_tasks!inner(
-                        project_id,
-                        projects!inner(
-                            project_members!inner(user_id)
-                        )
-                    )
-                `)
+                .select('id, task_id, project_tasks!inner(project_id)')
                 .eq('id', commentId)
-                .eq('project_tasks.projects.project_members.user_id', userId)
                 .single();
 
-            if (parentError || !parentComment) {
+            const access = parentComment
+                ? await permissionService.getProjectAccess(parentComment.project_tasks.project_id, userId)
+                : null;
+
+            if (parentError || !parentComment || !access.can('project.view')) {
                 return res.status(404).json({ error: 'Comment not found or access denied' });
             }
 
@@ -158,7 +151,7 @@ class CommentsController {
                 return res.status(500).json({ error: 'Failed to fetch replies' });
             }
 
-            res.json({ replies });
+            res.json({ replies: await attachmentService.attachToTargets('comment', replies || []) });
 
         } catch (error) {
             console.error('Error in getCommentReplies:', error);
@@ -170,7 +163,7 @@ class CommentsController {
     async createComment(req, res) {
         try {
             const { taskId } = req.params;
-            const { content, parentCommentId, mentions = [] } = req.body;
+            const { content, parentCommentId, mentions = [], attachmentIds = [] } = req.body;
             const userId = req.user.id;
 
             console.log('🚀 Creating comment:', { taskId, userId, content, parentCommentId, mentions });
@@ -195,6 +188,10 @@ class CommentsController {
                 return res.status(400).json({ error: 'Invalid parent comment ID' });
             }
 
+            if (!Array.isArray(attachmentIds) || !attachmentIds.every(validateUUID)) {
+                return res.status(400).json({ error: 'Invalid attachment IDs' });
+            }
+
             // Validate mentions
             const validMentions = [];
             if (mentions.length > 0) {
@@ -221,17 +218,11 @@ class CommentsController {
 
             console.log('✅ Task found:', task);
 
-            // Check project membership
-            const { data: membership, error: memberError } = await supabase
-                .from('project_members')
-                .select('user_id')
-                .eq('project_id', task.project_id)
-                .eq('user_id', userId)
-                .single();
-
-            if (memberError || !membership) {
-                console.error('❌ Access denied:', memberError);
-                return res.status(403).json({ error: 'Access denied - not a project member' });
+            // Check project permissions
+            const access = await permissionService.getProjectAccess(task.project_id, userId);
+            if (!access.can('comments.create')) {
+                console.error('❌ Access denied: cannot comment in project', task.project_id);
+                return res.status(403).json({ error: permissionService.deniedMessage(access, 'comments.create') });
             }
 
             console.log('✅ User has project access');
@@ -276,6 +267,15 @@ class CommentsController {
 
             console.log('✅ Comment created successfully:', comment);
 
+            // Files were uploaded beforehand; claim the caller's unlinked ones
+            const attachments = await attachmentService.linkToTarget(attachmentIds, {
+                projectId: task.project_id,
+                userId,
+                target: 'comment',
+                targetId: comment.id
+            });
+            comment.attachments = attachments.map(attachment => attachmentService.format(attachment));
+
             // Try to create notifications (but don't fail if this fails)
             try {
                 await this.createCommentNotifications(comment, task.project_id);
@@ -380,18 +380,10 @@ class CommentsController {
                 return res.status(400).json({ error: 'Invalid comment ID' });
             }
 
-            // Check permissions (owner or project lead/owner)
+            // Check permissions (author, or comments.moderate in the project)
             const { data: comment, error: fetchError } = await supabase
                 .from('task_comments')
-                .select(`
-                    id, user_id, task_id,
-                    project_tasks!inner(
-                        project_id,
-                        projects!inner(
-                            project_members!inner(user_id, role)
-                        )
-                    )
-                `)
+                .select('id, user_id, task_id, project_tasks!inner(project_id)')
                 .eq('id', commentId)
                 .single();
 
@@ -399,15 +391,21 @@ class CommentsController {
                 return res.status(404).json({ error: 'Comment not found' });
             }
 
-            const isOwner = comment.user_id === userId;
-            const hasPermissions = comment.project_tasks.projects.project_members.some(
-                member => member.user_id === userId && ['lead', 'owner'].includes(member.role)
-            );
+            const isAuthor = comment.user_id === userId;
+            const canModerate = !isAuthor &&
+                await permissionService.can(comment.project_tasks.project_id, userId, 'comments.moderate');
 
-            if (!isOwner && !hasPermissions) {
+            if (!isAuthor && !canModerate) {
                 return res.status(403).json({ error: 'Insufficient permissions to delete this comment' });
             }
 
+            // Stored files aren't covered by the cascade, so remove them for the comment and its replies
+            const { data: replies } = await supabase
+                .from('task_comments')
+                .select('id')
+                .eq('parent_comment_id', commentId);
+            await attachmentService.deleteForTargets('comment', [commentId, ...(replies || []).map(reply => reply.id)]);
+
             // Delete the comment (cascade will handle replies and notifications)
             const { error } = await supabase
                 .from('task_comments')
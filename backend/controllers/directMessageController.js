@@ -0,0 +1,201 @@
+// backend/controllers/directMessageController.js
+const chatService = require('../services/chatService');
+const directMessageService = require('../services/directMessageService');
+const { broadcastChatEvent, broadcastRoomRead, joinChatRoom, leaveChatRoom, userRoom } = require('../utils/chatRealtime');
+
+// Loads req.params.roomId when the user is in that conversation; otherwise answers 404
+// and returns null
+const findConversation = async (req, res) => {
+  const conversation = await directMessageService.getConversation(req.params.roomId, req.user.id);
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return null;
+  }
+  return conversation;
+};
+
+// Get the user's direct conversations, most recent first
+const getConversations = async (req, res) => {
+  try {
+    const conversations = await directMessageService.listConversations(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        unreadTotal: conversations.reduce((total, conversation) => total + conversation.unread_count, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversations',
+      error: error.message
+    });
+  }
+};
+
+// Open a one-to-one conversation (or the existing one), or start a group conversation
+const startConversation = async (req, res) => {
+  try {
+    const { user_ids, name } = req.body;
+    const userId = req.user.id;
+
+    const { conversation, created } = await directMessageService.startConversation(userId, user_ids, name);
+    const summary = await directMessageService.getSummary(conversation.id, userId);
+
+    if (created) {
+      const io = req.app.get('io');
+      const memberIds = conversation.members.map(member => member.user_id);
+
+      // Everyone's open tabs start receiving the conversation's messages right away
+      joinChatRoom(io, conversation.id, memberIds);
+      memberIds
+        .filter(memberId => memberId !== userId)
+        .forEach(memberId => io?.to(userRoom(memberId)).emit('direct_conversation', { conversation: summary }));
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Conversation started' : 'Conversation found',
+      data: summary
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start conversation',
+      error: error.message
+    });
+  }
+};
+
+// Get a page of a conversation's messages, oldest first (?before / ?after message id cursors)
+const getConversationMessages = async (req, res) => {
+  try {
+    const { limit = 50, before, after } = req.query;
+
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    const page = await chatService.getMessagesPage(conversation.id, req.user.id, { before, after, limit: parseInt(limit) });
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found in this conversation'
+      });
+    }
+
+    const [lastRead, readReceipts] = await Promise.all([
+      chatService.getReadPointer(conversation.id, req.user.id),
+      chatService.getReadReceipts(conversation.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        messages: page.messages,
+        conversation,
+        lastRead,
+        readReceipts,
+        pagination: {
+          limit: parseInt(limit),
+          hasMore: page.hasMore,
+          hasNewer: page.hasNewer
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Mark a conversation read up to a message (default: the latest)
+const markConversationRead = async (req, res) => {
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    const pointer = await chatService.markRoomRead(conversation.id, req.user.id, req.body.message_id);
+
+    // Partners see the receipt; the user's other tabs clear the unread badge
+    if (pointer) broadcastRoomRead(req.app.get('io'), null, pointer);
+
+    res.json({
+      success: true,
+      data: pointer
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Leave a group conversation
+const leaveConversation = async (req, res) => {
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    const userId = req.user.id;
+    await directMessageService.leaveGroup(conversation, userId);
+
+    const io = req.app.get('io');
+    leaveChatRoom(io, conversation.id, [userId]);
+    broadcastChatEvent(io, conversation.id, 'direct_member_left', { userId });
+    io?.to(userRoom(userId)).emit('direct_conversation_removed', { roomId: conversation.id });
+
+    res.json({
+      success: true,
+      message: 'Left the conversation'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Leave conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getConversations,
+  startConversation,
+  getConversationMessages,
+  markConversationRead,
+  leaveConversation
+};
@@ -0,0 +1,192 @@
+// backend/controllers/fileController.js
+// Project attachments: upload, list, download / thumbnail streaming and delete.
+// Every route is scoped to a project; routes/attachments.js checks the project permission.
+const supabase = require('../config/supabase');
+const attachmentService = require('../services/attachmentService');
+
+// POST multipart `files`, optionally with task_id to attach them straight to a task.
+// Without it the uploads wait to be linked by a comment or chat message.
+const uploadAttachments = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { task_id } = req.body;
+    const userId = req.user.id;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    if (task_id) {
+      const { data: task } = await supabase
+        .from('project_tasks')
+        .select('id')
+        .eq('id', task_id)
+        .eq('project_id', projectId)
+        .single();
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      const existing = await attachmentService.listForTargets('task', [task_id]);
+      if (existing.length + req.files.length > attachmentService.maxPerTarget) {
+        return res.status(400).json({
+          success: false,
+          message: `A task can have at most ${attachmentService.maxPerTarget} attachments`
+        });
+      }
+    }
+
+    console.log(`📎 Uploading ${req.files.length} attachment(s) to project:`, projectId);
+
+    const attachments = await attachmentService.createFromUploads(req.files, {
+      projectId,
+      userId,
+      taskId: task_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { attachments: attachments.map(attachment => attachmentService.format(attachment)) },
+      message: 'Files uploaded successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Upload attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// GET the attachments of one task (?task_id=)
+const getAttachments = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { task_id } = req.query;
+
+    const { data: task } = await supabase
+      .from('project_tasks')
+      .select('id')
+      .eq('id', task_id)
+      .eq('project_id', projectId)
+      .single();
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const attachments = await attachmentService.listForTargets('task', [task_id]);
+
+    res.json({
+      success: true,
+      data: { attachments: attachments.map(attachment => attachmentService.format(attachment)) }
+    });
+
+  } catch (error) {
+    console.error('💥 Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+const sendFile = (thumbnail) => async (req, res) => {
+  try {
+    const { projectId, attachmentId } = req.params;
+
+    const attachment = await attachmentService.getAttachment(projectId, attachmentId);
+    if (!attachment || (thumbnail && !attachment.thumbnail_key)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const buffer = await attachmentService.readFile(attachment, { thumbnail });
+    const fileName = encodeURIComponent(attachment.file_name);
+    // Only previews render inline; everything else downloads so uploads can't run as pages
+    const disposition = thumbnail ? 'inline' : 'attachment';
+
+    res.set({
+      'Content-Type': thumbnail ? 'image/webp' : attachment.mime_type,
+      'Content-Length': buffer.length,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${fileName}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('💥 Read attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+const downloadAttachment = sendFile(false);
+const getAttachmentThumbnail = sendFile(true);
+
+// DELETE: the uploader, or a member with files.manage
+const deleteAttachment = async (req, res) => {
+  try {
+    const { projectId, attachmentId } = req.params;
+    const userId = req.user.id;
+
+    const attachment = await attachmentService.getAttachment(projectId, attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    if (attachment.uploaded_by !== userId && !req.projectAccess.can('files.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the uploader or a member who manages files can delete this attachment'
+      });
+    }
+
+    await attachmentService.deleteAttachment(attachment);
+
+    console.log('🗑️ Attachment deleted:', attachmentId);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  uploadAttachments,
+  getAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+};
@@ -1,5 +1,6 @@
 // backend/controllers/friendsController.js
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
 
 // Send friend request
 const sendFriendRequest = async (req, res) => {
@@ -85,6 +86,19 @@ const sendFriendRequest = async (req, res) => {
       });
     }
 
+    const { data: requester } = await supabase
+      .from('users')
+      .select('username, full_name')
+      .eq('id', requesterId)
+      .single();
+
+    await notificationService.notify(addresseeId, notificationService.types.FRIEND_REQUEST, {
+      title: 'New friend request',
+      message: `${requester?.full_name || requester?.username || 'Someone'} sent you a friend request`,
+      data: { friendshipId: friendship.id, link: '/friends' },
+      actorId: requesterId
+    });
+
     res.status(201).json({
       success: true,
       message: 'Friend request sent successfully',
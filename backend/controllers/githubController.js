@@ -2,17 +2,32 @@
 const axios = require('axios');
 const supabase = require('../config/supabase');
 const crypto = require('crypto');
+const githubTokenService = require('../services/githubTokenService');
+const githubWebhookService = require('../services/githubWebhookService');
+const githubIssueSyncService = require('../services/githubIssueSyncService');
+const githubInsightsService = require('../services/githubInsightsService');
+const { broadcastTaskEvent } = require('../utils/taskRealtime');
 
 // GitHub OAuth configuration
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
 const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
 const GITHUB_REDIRECT_URI = process.env.GITHUB_REDIRECT_URI || 'http://localhost:3000/auth/github/callback';
 
+// Not connected, token revoked/expired, a missing scope or no rate limit left; `code` tells the
+// client to (re)connect or to wait until `resetAt`
+const sendConnectionError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  code: error.code,
+  missingScopes: error.missingScopes,
+  resetAt: error.resetAt
+});
+
 // Generate OAuth URL
 const getOAuthURL = async (req, res) => {
   try {
     const state = crypto.randomBytes(32).toString('hex');
-    const scope = 'repo,read:user,user:email';
+    const scope = githubTokenService.requestedScopes.join(',');
     
     // Store state in user session or cache for later verification
     const oauthUrl = `https://github.com/login/oauth/authorize?client_id=${GITHUB_CLIENT_ID}&redirect_uri=${encodeURIComponent(GITHUB_REDIRECT_URI)}&scope=${scope}&state=${state}`;
@@ -79,28 +94,14 @@ const handleOAuthCallback = async (req, res) => {
 
     const githubUser = userResponse.data;
 
-    // Store GitHub OAuth data in database
-    const { data, error } = await supabase
-      .from('github_oauth_tokens')
-      .upsert({
-        user_id: userId,
-        access_token: accessToken,
-        github_user_id: githubUser.id,
-        github_username: githubUser.login,
-        github_email: githubUser.email,
-        github_name: githubUser.name,
-        github_avatar_url: githubUser.avatar_url,
-        scope: tokenResponse.data.scope || 'repo,read:user,user:email',
-        token_type: tokenResponse.data.token_type || 'bearer',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'user_id'
-      })
-      .select()
-      .single();
-
-    if (error) {
+    // The scopes header reflects what the user actually granted on the consent screen
+    try {
+      await githubTokenService.saveConnection(userId, {
+        tokenData: tokenResponse.data,
+        githubUser,
+        scope: userResponse.headers['x-oauth-scopes']
+      });
+    } catch (error) {
       console.error('Database error storing GitHub token:', error);
       return res.status(500).json({
         success: false,
@@ -166,13 +167,9 @@ const getGitHubUser = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const { data: tokenData, error } = await supabase
-      .from('github_oauth_tokens')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    const connection = await githubTokenService.getConnection(userId);
 
-    if (error || !tokenData) {
+    if (!connection) {
       return res.status(404).json({
         success: false,
         message: 'GitHub account not connected'
@@ -181,13 +178,7 @@ const getGitHubUser = async (req, res) => {
 
     res.json({
       success: true,
-      data: {
-        github_username: tokenData.github_username,
-        github_name: tokenData.github_name,
-        github_email: tokenData.github_email,
-        github_avatar_url: tokenData.github_avatar_url,
-        connected_at: tokenData.created_at
-      }
+      data: githubTokenService.formatConnection(connection)
     });
   } catch (error) {
     console.error('Get GitHub user error:', error);
@@ -205,24 +196,9 @@ const getUserRepositories = async (req, res) => {
     const userId = req.user.id;
     const { page = 1, per_page = 30, sort = 'updated', type = 'all' } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const response = await axios.get('https://api.github.com/user/repos', {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
+    const response = await githubTokenService.request(userId, {
+      url: '/user/repos',
+      scopes: ['repo'],
       params: {
         page,
         per_page,
@@ -263,6 +239,9 @@ const getUserRepositories = async (req, res) => {
       }
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Get repositories error:', error);
     res.status(500).json({
       success: false,
@@ -278,24 +257,8 @@ const getRepository = async (req, res) => {
     const userId = req.user.id;
     const { owner, repo } = req.params;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}`, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
+    const response = await githubTokenService.request(userId, {
+      url: `/repos/${owner}/${repo}`
     });
 
     const repository = {
@@ -328,6 +291,9 @@ const getRepository = async (req, res) => {
       data: repository
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Get repository error:', error);
     if (error.response && error.response.status === 404) {
       return res.status(404).json({
@@ -350,27 +316,11 @@ const getRepositoryContents = async (req, res) => {
     const { owner, repo } = req.params;
     const { path = '', ref } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+    const url = `/repos/${owner}/${repo}/contents/${path}`;
     const params = ref ? { ref } : {};
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
+    const response = await githubTokenService.request(userId, {
+      url: url,
       params
     });
 
@@ -401,6 +351,9 @@ const getRepositoryContents = async (req, res) => {
       data: contents
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Get repository contents error:', error);
     if (error.response && error.response.status === 404) {
       return res.status(404).json({
@@ -424,27 +377,11 @@ const getFileContent = async (req, res) => {
     const filePath = req.params[0]; // Captures the wildcard path
     const { ref } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
+    const url = `/repos/${owner}/${repo}/contents/${filePath}`;
     const params = ref ? { ref } : {};
 
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
+    const response = await githubTokenService.request(userId, {
+      url: url,
       params
     });
 
@@ -472,6 +409,9 @@ const getFileContent = async (req, res) => {
       }
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Get file content error:', error);
     if (error.response && error.response.status === 404) {
       return res.status(404).json({
@@ -493,24 +433,8 @@ const getRepositoryBranches = async (req, res) => {
     const userId = req.user.id;
     const { owner, repo } = req.params;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/branches`, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
+    const response = await githubTokenService.request(userId, {
+      url: `/repos/${owner}/${repo}/branches`
     });
 
     const branches = response.data.map(branch => ({
@@ -527,6 +451,9 @@ const getRepositoryBranches = async (req, res) => {
       data: branches
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Get repository branches error:', error);
     res.status(500).json({
       success: false,
@@ -543,28 +470,12 @@ const getRepositoryCommits = async (req, res) => {
     const { owner, repo } = req.params;
     const { sha, path, page = 1, per_page = 30 } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
     const params = { page, per_page };
     if (sha) params.sha = sha;
     if (path) params.path = path;
 
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits`, {
-      headers: {
-        'Authorization': `token ${tokenData.access_token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      },
+    const response = await githubTokenService.request(userId, {
+      url: `/repos/${owner}/${repo}/commits`,
       params
     });
 
@@ -589,6 +500,9 @@ const getRepositoryCommits = async (req, res) => {
       data: commits
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Get repository commits error:', error);
     res.status(500).json({
       success: false,
@@ -612,43 +526,12 @@ const connectRepositoryToProject = async (req, res) => {
       });
     }
 
-    // Check if user is a member of the project
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('role')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
-    // Check if user has GitHub connected
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token, github_username')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
-
-    // Verify repository access
+    // Verify repository access with the user's GitHub connection
     const [owner, repo] = repository_full_name.split('/');
     try {
-      await axios.get(`https://api.github.com/repos/${owner}/${repo}`, {
-        headers: {
-          'Authorization': `token ${tokenData.access_token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
+      await githubTokenService.request(userId, {
+        url: `/repos/${owner}/${repo}`,
+        scopes: ['repo']
       });
     } catch (error) {
       if (error.response && error.response.status === 404) {
@@ -660,6 +543,9 @@ const connectRepositoryToProject = async (req, res) => {
       throw error;
     }
 
+    // Receive push, pull request and issue events for the repository
+    const webhookId = await githubWebhookService.registerWebhook(userId, repository_full_name);
+
     // Connect repository to project
     const { data, error } = await supabase
       .from('project_github_repos')
@@ -668,6 +554,7 @@ const connectRepositoryToProject = async (req, res) => {
         repository_full_name: repository_full_name,
         branch: branch,
         connected_by: userId,
+        webhook_id: webhookId,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       }, {
@@ -685,12 +572,17 @@ const connectRepositoryToProject = async (req, res) => {
       });
     }
 
+    githubInsightsService.invalidate(projectId);
+
     res.json({
       success: true,
       message: 'Repository connected to project successfully',
       data: data
     });
   } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
     console.error('Connect repository to project error:', error);
     res.status(500).json({
       success: false,
@@ -703,24 +595,14 @@ const connectRepositoryToProject = async (req, res) => {
 // Disconnect repository from project
 const disconnectRepositoryFromProject = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { projectId } = req.params;
 
-    // Check if user is a member of the project
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('role')
+    const { data: repoData } = await supabase
+      .from('project_github_repos')
+      .select('*')
       .eq('project_id', projectId)
-      .eq('user_id', userId)
       .single();
 
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
     const { error } = await supabase
       .from('project_github_repos')
       .delete()
@@ -735,6 +617,26 @@ const disconnectRepositoryFromProject = async (req, res) => {
       });
     }
 
+    // Tasks keep their content but stop syncing with the repository's issues
+    await supabase
+      .from('task_github_issues')
+      .delete()
+      .eq('project_id', projectId);
+
+    // The webhook stays while another project still uses the repository
+    if (repoData?.webhook_id) {
+      const { count } = await supabase
+        .from('project_github_repos')
+        .select('id', { count: 'exact', head: true })
+        .ilike('repository_full_name', repoData.repository_full_name);
+
+      if (!count) {
+        await githubWebhookService.removeWebhook(req.user.id, repoData.repository_full_name, repoData.webhook_id);
+      }
+    }
+
+    githubInsightsService.invalidate(projectId);
+
     res.json({
       success: true,
       message: 'Repository disconnected from project successfully'
@@ -752,24 +654,8 @@ const disconnectRepositoryFromProject = async (req, res) => {
 // Get project repository
 const getProjectRepository = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { projectId } = req.params;
 
-    // Check if user is a member of the project
-    const { data: membership, error: memberError } = await supabase
-      .from('project_members')
-      .select('role')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .single();
-
-    if (memberError || !membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this project'
-      });
-    }
-
     const { data: repoData, error: repoError } = await supabase
       .from('project_github_repos')
       .select('*')
@@ -797,6 +683,240 @@ const getProjectRepository = async (req, res) => {
   }
 };
 
+// Receive a GitHub webhook delivery (no user auth; verified by its signature)
+const handleWebhook = async (req, res) => {
+  try {
+    if (!githubWebhookService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'GitHub webhooks are not configured'
+      });
+    }
+
+    if (!githubWebhookService.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+
+    if (event === 'ping') {
+      return res.json({ success: true, message: 'pong' });
+    }
+
+    if (!githubWebhookService.supportedEvents.includes(event)) {
+      return res.status(202).json({
+        success: true,
+        message: `Ignored ${event} event`
+      });
+    }
+
+    const result = await githubWebhookService.handleEvent({ deliveryId, event, payload: req.body });
+
+    result.createdTasks.forEach(({ projectId, task }) => {
+      broadcastTaskEvent(req, projectId, 'task_created', { task, actor: githubWebhookService.actor });
+    });
+
+    result.transitions.forEach(({ projectId, task, dependencyUpdates, changedFields }) => {
+      broadcastTaskEvent(req, projectId, 'task_updated', {
+        task,
+        changedFields,
+        dependencyUpdates,
+        actor: githubWebhookService.actor
+      });
+    });
+
+    console.log(`🪝 GitHub ${event} delivery ${deliveryId}: ${result.projects} project(s), ${result.links.length} link(s), ${result.transitions.length} task update(s), ${result.createdTasks.length} imported`);
+
+    res.json({
+      success: true,
+      data: {
+        projects: result.projects,
+        links: result.links.length,
+        transitions: result.transitions.length,
+        importedTasks: result.createdTasks.length
+      }
+    });
+  } catch (error) {
+    console.error('GitHub webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process GitHub webhook',
+      error: error.message
+    });
+  }
+};
+
+// Get commits, pull requests and issues linked to a task
+const getTaskGitHubLinks = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+
+    const links = await githubWebhookService.getTaskLinks(projectId, taskId);
+    const syncedIssue = await githubIssueSyncService.getMapping({ project_id: projectId, task_id: taskId });
+
+    res.json({
+      success: true,
+      data: {
+        commits: links.filter(link => link.link_type === 'commit'),
+        pullRequests: links.filter(link => link.link_type === 'pull_request'),
+        issues: links.filter(link => link.link_type === 'issue'),
+        syncedIssue: syncedIssue && {
+          number: syncedIssue.issue_number,
+          repository: syncedIssue.repository_full_name,
+          url: `https://github.com/${syncedIssue.repository_full_name}/issues/${syncedIssue.issue_number}`,
+          syncedAt: syncedIssue.issue_synced_at
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get task GitHub links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get linked GitHub activity',
+      error: error.message
+    });
+  }
+};
+
+// Get the issue sync setting for the project's repository
+const getIssueSync = async (req, res) => {
+  try {
+    const status = await githubIssueSyncService.getStatus(req.params.projectId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get issue sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get issue sync settings',
+      error: error.message
+    });
+  }
+};
+
+// Turn two-way issue sync on or off; turning it on imports the repository's open issues
+const updateIssueSync = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { enabled } = req.body;
+
+    const result = await githubIssueSyncService.setEnabled(req.projectAccess.project, req.user.id, enabled);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    result.imported.forEach(task => {
+      broadcastTaskEvent(req, projectId, 'task_created', { task });
+    });
+
+    res.json({
+      success: true,
+      message: enabled
+        ? `Issue sync enabled, ${result.imported.length} issue(s) imported`
+        : 'Issue sync disabled',
+      data: {
+        ...result.status,
+        imported: result.imported.length
+      }
+    });
+  } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
+    console.error('Update issue sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update issue sync',
+      error: error.message
+    });
+  }
+};
+
+// Recent sync activity, optionally for one task
+const getIssueSyncAudit = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { taskId, limit = 50 } = req.query;
+
+    const entries = await githubIssueSyncService.getAuditTrail(projectId, {
+      taskId,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get issue sync audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get issue sync activity',
+      error: error.message
+    });
+  }
+};
+
+// Commits per member per week, active branches and open pull request age for the project's
+// repository, with task throughput over the same weeks
+const getRepositoryInsights = async (req, res) => {
+  try {
+    const { weeks, refresh } = req.query;
+
+    const result = await githubInsightsService.getInsights(req.projectAccess.project, req.user.id, {
+      weeks,
+      refresh: refresh === 'true'
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No repository connected to this project'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      cached: result.cached
+    });
+  } catch (error) {
+    if (githubTokenService.isConnectionError(error)) {
+      return sendConnectionError(res, error);
+    }
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repository not found or access denied'
+      });
+    }
+    console.error('Get repository insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get repository insights',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getOAuthURL,
   handleOAuthCallback,
@@ -810,5 +930,11 @@ module.exports = {
   getRepositoryCommits,
   connectRepositoryToProject,
   disconnectRepositoryFromProject,
-  getProjectRepository
+  getProjectRepository,
+  handleWebhook,
+  getTaskGitHubLinks,
+  getIssueSync,
+  updateIssueSync,
+  getIssueSyncAudit,
+  getRepositoryInsights
 };
\ No newline at end of file
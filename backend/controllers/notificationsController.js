@@ -1,4 +1,9 @@
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+
+// Comment activity lives in comment_notifications and is exposed as its own type
+const COMMENT_TYPE = 'comment';
 
 class NotificationsController {
     // Get user's comment notifications - SIMPLIFIED VERSION
@@ -178,7 +183,7 @@ class NotificationsController {
         }
     }
 
-    // Get unread count - SIMPLE VERSION
+    // Get unread count across comment activity and notification events
     async getUnreadCount(req, res) {
         try {
             const userId = req.user.id;
@@ -196,10 +201,13 @@ class NotificationsController {
                 return res.status(500).json({ error: 'Failed to fetch unread count: ' + error.message });
             }
 
-            const unreadCount = data ? data.length : 0;
+            const byType = await notificationService.unreadCountsByType(userId);
+            byType[COMMENT_TYPE] = data ? data.length : 0;
+
+            const unreadCount = Object.values(byType).reduce((sum, count) => sum + count, 0);
             console.log('Unread count for user', userId, ':', unreadCount);
 
-            res.json({ unread_count: unreadCount });
+            res.json({ unread_count: unreadCount, by_type: byType });
 
         } catch (error) {
             console.error('Error in getUnreadCount:', error);
@@ -235,6 +243,178 @@ class NotificationsController {
         }
     }
 
+    // Get notification events (task, team, friend, award and challenge activity)
+    async getNotifications(req, res) {
+        try {
+            const userId = req.user.id;
+            const { type, unread_only = false } = req.query;
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+            if (type && !notificationService.isValidType(type)) {
+                return res.status(400).json({ success: false, message: `Unknown notification type "${type}"` });
+            }
+
+            const { notifications, total } = await notificationService.list(userId, {
+                type: type || null,
+                unreadOnly: unread_only === 'true',
+                page,
+                limit
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    notifications,
+                    pagination: { page, limit, total, hasMore: page * limit < total }
+                }
+            });
+
+        } catch (error) {
+            console.error('💥 Error in getNotifications:', error);
+            res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+        }
+    }
+
+    // Mark events read by id, by type, or all of them. Type "comment" (or no filter at all)
+    // also covers comment notifications.
+    async markEventsRead(req, res) {
+        try {
+            const userId = req.user.id;
+            const { notification_ids, type } = req.body;
+
+            if (notification_ids !== undefined && (!Array.isArray(notification_ids) || notification_ids.length === 0)) {
+                return res.status(400).json({ success: false, message: 'notification_ids must be a non-empty array' });
+            }
+            if (type && type !== COMMENT_TYPE && !notificationService.isValidType(type)) {
+                return res.status(400).json({ success: false, message: `Unknown notification type "${type}"` });
+            }
+
+            let updated = 0;
+
+            if (type !== COMMENT_TYPE) {
+                updated += await notificationService.markRead(userId, {
+                    ids: notification_ids || null,
+                    type: type || null
+                });
+            }
+
+            if (type === COMMENT_TYPE || (!type && !notification_ids)) {
+                const { data, error } = await supabase
+                    .from('comment_notifications')
+                    .update({ is_read: true })
+                    .eq('user_id', userId)
+                    .eq('is_read', false)
+                    .select('id');
+
+                if (error) throw error;
+                updated += (data || []).length;
+            }
+
+            console.log(`✅ Marked ${updated} notification(s) read for user:`, userId);
+            res.json({ success: true, data: { updated } });
+
+        } catch (error) {
+            console.error('💥 Error in markEventsRead:', error);
+            res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+        }
+    }
+
+    // Delete a notification event
+    async deleteEvent(req, res) {
+        try {
+            const deleted = await notificationService.remove(req.user.id, req.params.notificationId);
+
+            if (!deleted) {
+                return res.status(404).json({ success: false, message: 'Notification not found' });
+            }
+
+            res.json({ success: true, message: 'Notification deleted' });
+
+        } catch (error) {
+            console.error('💥 Error in deleteEvent:', error);
+            res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+        }
+    }
+
+    // Get delivery preferences per event type (global and per project) and digest cadence
+    async getPreferences(req, res) {
+        try {
+            const userId = req.user.id;
+
+            const [preferences, digest] = await Promise.all([
+                notificationPreferenceService.getPreferences(userId),
+                notificationPreferenceService.getDigestSettings(userId)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    types: Object.values(notificationService.types),
+                    channels: notificationPreferenceService.channels,
+                    defaultChannel: notificationPreferenceService.defaultChannel,
+                    digestFrequencies: notificationPreferenceService.digestFrequencies,
+                    preferences,
+                    digest
+                }
+            });
+
+        } catch (error) {
+            console.error('💥 Error in getPreferences:', error);
+            res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+        }
+    }
+
+    // Save preferences: [{ type, projectId?, channel }] where a null channel resets to the fallback
+    async updatePreferences(req, res) {
+        try {
+            const userId = req.user.id;
+            const { preferences = [], digestFrequency } = req.body;
+
+            const projectIds = [...new Set(preferences.map(pref => pref.projectId).filter(Boolean))];
+            if (projectIds.length > 0) {
+                const [{ data: owned }, { data: memberships }] = await Promise.all([
+                    supabase.from('projects').select('id').eq('owner_id', userId).in('id', projectIds),
+                    supabase
+                        .from('project_members')
+                        .select('project_id')
+                        .eq('user_id', userId)
+                        .neq('status', 'removed')
+                        .in('project_id', projectIds)
+                ]);
+
+                const accessible = new Set([
+                    ...(owned || []).map(project => project.id),
+                    ...(memberships || []).map(membership => membership.project_id)
+                ]);
+
+                if (projectIds.some(projectId => !accessible.has(projectId))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Project preferences can only be set for projects you belong to'
+                    });
+                }
+            }
+
+            const saved = await notificationPreferenceService.savePreferences(userId, preferences);
+            const digest = digestFrequency
+                ? await notificationPreferenceService.setDigestFrequency(userId, digestFrequency)
+                : await notificationPreferenceService.getDigestSettings(userId);
+
+            console.log('✅ Notification preferences saved for user:', userId);
+
+            res.json({
+                success: true,
+                message: 'Notification preferences saved',
+                data: { preferences: saved, digest }
+            });
+
+        } catch (error) {
+            console.error('💥 Error in updatePreferences:', error);
+            res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+        }
+    }
+
     // Test endpoint to check if table exists
     async testConnection(req, res) {
         try {
@@ -519,29 +519,11 @@ const getUserProjects = async (req, res) => {
 const updateProject = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const updateData = req.body;
+    const updateData = { ...req.body };
 
-    // Check if project exists and user is the owner
-    const { data: existingProject, error: findError } = await supabase
-      .from('projects')
-      .select('id, owner_id')
-      .eq('id', id)
-      .single();
-
-    if (findError || !existingProject) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    if (existingProject.owner_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only update your own projects'
-      });
-    }
+    // Editors other than the owner must not be able to hand themselves the project
+    delete updateData.owner_id;
+    delete updateData.id;
 
     // Update the project
     const { data: project, error: updateError } = await supabase
@@ -605,27 +587,7 @@ const deleteProject = async (req, res) => {
 
     console.log(`Delete project request: ${id} by user: ${userId}`);
 
-    // First, verify that the user is the owner of the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('id, owner_id, title')
-      .eq('id', id)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    // Check if the current user is the owner
-    if (project.owner_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only delete your own projects'
-      });
-    }
+    const { project } = req.projectAccess;
 
     console.log(`Deleting project: ${project.title} (${id})`);
 
@@ -682,9 +644,26 @@ const deleteProject = async (req, res) => {
       .select('id')
       .eq('project_id', id);
 
+    // Chat moderation state is per project
+    await supabase.from('chat_moderation_log').delete().eq('project_id', id);
+    await supabase.from('chat_mutes').delete().eq('project_id', id);
+
     // Delete chat messages first
     if (chatRooms && chatRooms.length > 0) {
       const roomIds = chatRooms.map(room => room.id);
+
+      // Reactions and thread read markers hang off the messages
+      const { data: roomMessages } = await supabase
+        .from('chat_messages')
+        .select('id')
+        .in('room_id', roomIds);
+      const messageIds = (roomMessages || []).map(message => message.id);
+
+      if (messageIds.length > 0) {
+        await supabase.from('chat_message_reactions').delete().in('message_id', messageIds);
+        await supabase.from('chat_thread_reads').delete().in('root_message_id', messageIds);
+      }
+      await supabase.from('chat_room_reads').delete().in('room_id', roomIds);
       
       await supabase
         .from('chat_messages')
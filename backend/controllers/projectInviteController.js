@@ -0,0 +1,412 @@
+// backend/controllers/projectInviteController.js
+// Invite links: members with members.invite mint codes that bring people straight into a project,
+// optionally bypassing the recruitment challenge. Every join through a code is
+// recorded in project_invite_redemptions.
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+const permissionService = require('../services/permissionService');
+
+// 10 url-safe characters, ~60 bits of entropy
+const generateInviteCode = () => crypto.randomBytes(8).toString('base64url').slice(0, 10);
+
+// Returns { invite, reason } - invite is null when the code cannot be used
+const findUsableInvite = async (code) => {
+  const { data: invite, error } = await supabase
+    .from('project_invites')
+    .select(`
+      *,
+      projects:project_id (
+        id,
+        title,
+        description,
+        owner_id,
+        status,
+        current_members,
+        maximum_members
+      )
+    `)
+    .eq('code', code)
+    .single();
+
+  if (error || !invite) return { invite: null, reason: 'Invite link not found' };
+  if (invite.revoked_at) return { invite: null, reason: 'This invite link has been revoked' };
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) {
+    return { invite: null, reason: 'This invite link has expired' };
+  }
+  if (invite.max_uses && invite.use_count >= invite.max_uses) {
+    return { invite: null, reason: 'This invite link has reached its usage limit' };
+  }
+  return { invite, reason: null };
+};
+
+// Claims one use of the invite. The use_count guard makes concurrent redemptions safe.
+const consumeInviteUse = async (invite) => {
+  const { data, error } = await supabase
+    .from('project_invites')
+    .update({ use_count: invite.use_count + 1 })
+    .eq('id', invite.id)
+    .eq('use_count', invite.use_count)
+    .select('id')
+    .single();
+
+  return !error && !!data;
+};
+
+const releaseInviteUse = async (invite) => {
+  await supabase
+    .from('project_invites')
+    .update({ use_count: invite.use_count })
+    .eq('id', invite.id)
+    .eq('use_count', invite.use_count + 1);
+};
+
+const recordInviteRedemption = async ({ invite, userId, membershipId, viaChallenge }) => {
+  const { error } = await supabase
+    .from('project_invite_redemptions')
+    .insert({
+      invite_id: invite.id,
+      project_id: invite.project_id,
+      user_id: userId,
+      membership_id: membershipId,
+      role: invite.role,
+      via_challenge: viaChallenge,
+      redeemed_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Error recording invite redemption:', error);
+  }
+};
+
+// Adds the user to the project, reactivating a previously removed membership if present
+const addMemberFromInvite = async (projectId, userId, role) => {
+  const { data: existing } = await supabase
+    .from('project_members')
+    .select('id, status')
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+    .single();
+
+  const query = existing
+    ? supabase
+        .from('project_members')
+        .update({ status: 'active', role, joined_at: new Date().toISOString() })
+        .eq('id', existing.id)
+    : supabase
+        .from('project_members')
+        .insert({
+          project_id: projectId,
+          user_id: userId,
+          role,
+          status: 'active',
+          joined_at: new Date().toISOString()
+        });
+
+  const { data: membership, error } = await query.select().single();
+  if (error) return { membership: null, error };
+
+  try {
+    await supabase.rpc('increment_project_member_count', { project_uuid: projectId });
+  } catch (updateError) {
+    console.error('Error updating member count:', updateError);
+  }
+
+  return { membership, error: null };
+};
+
+const formatInvite = (invite) => ({
+  id: invite.id,
+  code: invite.code,
+  projectId: invite.project_id,
+  role: invite.role,
+  skipChallenge: invite.skip_challenge,
+  maxUses: invite.max_uses,
+  useCount: invite.use_count,
+  expiresAt: invite.expires_at,
+  revokedAt: invite.revoked_at,
+  createdAt: invite.created_at,
+  createdBy: invite.creator || invite.created_by,
+  redemptions: invite.project_invite_redemptions
+});
+
+// POST /api/projects/:projectId/invites - Create an invite link
+const createInvite = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const { role = 'member', maxUses = null, expiresInHours = null, skipChallenge = false } = req.body;
+
+    console.log('🔗 Creating invite for project:', projectId);
+
+    // Invites can only hand out roles the creator could grant directly
+    const inviteRole = await permissionService.getRole(projectId, role);
+    if (!inviteRole || role === permissionService.ownerRole) {
+      return res.status(400).json({ success: false, message: 'Invalid role for this project' });
+    }
+    if (!permissionService.canGrantRole(req.projectAccess, inviteRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. You can't invite people as ${inviteRole.name}.`
+      });
+    }
+
+    const expiresAt = expiresInHours
+      ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000).toISOString()
+      : null;
+
+    // Retry on the (unlikely) unique-code collision
+    let invite = null;
+    let lastError = null;
+    for (let attempt = 0; attempt < 3 && !invite; attempt++) {
+      const { data, error } = await supabase
+        .from('project_invites')
+        .insert({
+          project_id: projectId,
+          code: generateInviteCode(),
+          created_by: userId,
+          role,
+          max_uses: maxUses ? Number(maxUses) : null,
+          use_count: 0,
+          expires_at: expiresAt,
+          skip_challenge: Boolean(skipChallenge)
+        })
+        .select()
+        .single();
+      invite = data;
+      lastError = error;
+    }
+
+    if (!invite) {
+      console.error('Error creating invite:', lastError);
+      return res.status(500).json({ success: false, message: 'Failed to create invite link' });
+    }
+
+    console.log('✅ Invite created:', invite.code);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite link created successfully',
+      data: { invite: formatInvite(invite) }
+    });
+  } catch (error) {
+    console.error('💥 Create invite error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+};
+
+// GET /api/projects/:projectId/invites - List invite links with their redemptions
+const getProjectInvites = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const { data: invites, error } = await supabase
+      .from('project_invites')
+      .select(`
+        *,
+        creator:created_by (
+          id,
+          username,
+          full_name
+        ),
+        project_invite_redemptions (
+          id,
+          user_id,
+          role,
+          via_challenge,
+          redeemed_at,
+          users:user_id (
+            id,
+            username,
+            full_name,
+            avatar_url
+          )
+        )
+      `)
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching invites:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch invite links' });
+    }
+
+    res.json({
+      success: true,
+      data: { invites: (invites || []).map(formatInvite) }
+    });
+  } catch (error) {
+    console.error('💥 Get invites error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+};
+
+// DELETE /api/projects/:projectId/invites/:inviteId - Revoke an invite link
+const revokeInvite = async (req, res) => {
+  try {
+    const { projectId, inviteId } = req.params;
+    const userId = req.user.id;
+
+    const { data: invite, error } = await supabase
+      .from('project_invites')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: userId })
+      .eq('id', inviteId)
+      .eq('project_id', projectId)
+      .is('revoked_at', null)
+      .select()
+      .single();
+
+    if (error || !invite) {
+      return res.status(404).json({ success: false, message: 'Invite link not found or already revoked' });
+    }
+
+    console.log('✅ Invite revoked:', invite.code);
+
+    res.json({
+      success: true,
+      message: 'Invite link revoked successfully',
+      data: { invite: formatInvite(invite) }
+    });
+  } catch (error) {
+    console.error('💥 Revoke invite error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+};
+
+// GET /api/projects/invites/:code - Preview an invite before redeeming it
+const getInviteByCode = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const userId = req.user.id;
+
+    const { invite, reason } = await findUsableInvite(code);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: reason });
+    }
+
+    const { data: membership } = await supabase
+      .from('project_members')
+      .select('id')
+      .eq('project_id', invite.project_id)
+      .eq('user_id', userId)
+      .neq('status', 'removed')
+      .single();
+
+    const project = invite.projects;
+
+    res.json({
+      success: true,
+      data: {
+        code: invite.code,
+        role: invite.role,
+        skipChallenge: invite.skip_challenge,
+        expiresAt: invite.expires_at,
+        project: {
+          id: project.id,
+          title: project.title,
+          description: project.description,
+          availableSpots: project.maximum_members - project.current_members
+        },
+        alreadyMember: !!membership || project.owner_id === userId
+      }
+    });
+  } catch (error) {
+    console.error('💥 Get invite error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+};
+
+// POST /api/projects/invites/:code/redeem - Join a project through an invite link
+const redeemInvite = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const userId = req.user.id;
+
+    console.log('🎟️ Redeeming invite:', code);
+
+    const { invite, reason } = await findUsableInvite(code);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: reason });
+    }
+
+    const project = invite.projects;
+
+    if (project.owner_id === userId) {
+      return res.status(400).json({ success: false, message: 'You are the owner of this project' });
+    }
+
+    const { data: membership } = await supabase
+      .from('project_members')
+      .select('id')
+      .eq('project_id', invite.project_id)
+      .eq('user_id', userId)
+      .neq('status', 'removed')
+      .single();
+
+    if (membership) {
+      return res.status(400).json({ success: false, message: 'You are already a member of this project' });
+    }
+
+    if (project.current_members >= project.maximum_members) {
+      return res.status(400).json({ success: false, message: 'Project has reached maximum capacity' });
+    }
+
+    // Invite still requires the challenge: the use is consumed when the challenge is passed
+    if (!invite.skip_challenge) {
+      return res.json({
+        success: true,
+        data: {
+          projectJoined: false,
+          requiresChallenge: true,
+          projectId: invite.project_id
+        }
+      });
+    }
+
+    const claimed = await consumeInviteUse(invite);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This invite link was just used by someone else. Please try again.'
+      });
+    }
+
+    const { membership: newMember, error: memberError } = await addMemberFromInvite(invite.project_id, userId, invite.role);
+    if (memberError) {
+      console.error('Error adding member from invite:', memberError);
+      await releaseInviteUse(invite);
+      return res.status(500).json({ success: false, message: 'Failed to join project' });
+    }
+
+    await recordInviteRedemption({ invite, userId, membershipId: newMember.id, viaChallenge: false });
+    await notificationService.notifyMemberJoined(invite.project_id, userId, { role: invite.role, via: 'invite' });
+
+    console.log('✅ User joined project via invite:', invite.code);
+
+    res.json({
+      success: true,
+      message: `You joined ${project.title} as ${invite.role}`,
+      data: {
+        projectJoined: true,
+        requiresChallenge: false,
+        projectId: invite.project_id,
+        membership: newMember
+      }
+    });
+  } catch (error) {
+    console.error('💥 Redeem invite error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createInvite,
+  getProjectInvites,
+  revokeInvite,
+  getInviteByCode,
+  redeemInvite,
+  findUsableInvite,
+  consumeInviteUse,
+  releaseInviteUse,
+  recordInviteRedemption
+};
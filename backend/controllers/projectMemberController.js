@@ -1,43 +1,16 @@
 // backend/controllers/projectMemberController.js - FULLY FIXED VERSION
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+const permissionService = require('../services/permissionService');
 
 // Get all members of a project
 const getProjectMembers = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user.id;
 
     console.log('📋 Getting project members for project:', projectId);
 
-    // Verify user has access to this project
-    const { data: userAccess, error: accessError } = await supabase
-      .from('project_members')
-      .select('id')
-      .eq('project_id', projectId)
-      .eq('user_id', userId)
-      .neq('status', 'removed')
-      .single();
-
-    // Also check if user is the project owner
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    if (!userAccess && project.owner_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You are not a member of this project.'
-      });
-    }
+    const { project } = req.projectAccess;
 
     // Get project owner details
     const { data: owner, error: ownerError } = await supabase
@@ -121,56 +94,28 @@ const updateMemberRole = async (req, res) => {
 
     console.log('🔄 Updating member role:', memberId, 'to role:', role);
 
-    // Validate role
-    const validRoles = ['member', 'moderator', 'lead'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role. Must be one of: member, moderator, lead'
-      });
-    }
+    const access = req.projectAccess;
+    const { project } = access;
 
-    // Verify project exists
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
+    const newRole = await permissionService.getRole(projectId, role);
+    if (!newRole || role === permissionService.ownerRole) {
+      return res.status(400).json({
         success: false,
-        message: 'Project not found'
+        message: 'Invalid role for this project'
       });
     }
 
-    // Check permissions - only owner or leads can update roles
-    const isOwner = project.owner_id === userId;
-    let canUpdate = isOwner;
-
-    if (!isOwner) {
-      const { data: userMembership } = await supabase
-        .from('project_members')
-        .select('role')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .neq('status', 'removed')
-        .single();
-
-      canUpdate = userMembership?.role === 'lead';
-    }
-
-    if (!canUpdate) {
+    if (!permissionService.canGrantRole(access, newRole)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Only project owners or leads can update member roles.'
+        message: `Access denied. You can't grant the ${newRole.name} role.`
       });
     }
 
     // Verify target member exists and is not the owner
     const { data: targetMember, error: memberError } = await supabase
       .from('project_members')
-      .select('user_id, status')
+      .select('user_id, status, role')
       .eq('id', memberId)
       .eq('project_id', projectId)
       .single();
@@ -196,6 +141,22 @@ const updateMemberRole = async (req, res) => {
       });
     }
 
+    if (targetMember.user_id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    // Members with rights the actor lacks are out of reach
+    const currentRole = await permissionService.getRole(projectId, targetMember.role || permissionService.defaultRole);
+    if (currentRole && !permissionService.canGrantRole(access, currentRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. You can't change the role of a ${currentRole.name}.`
+      });
+    }
+
     // Update the member's role
     const { data: updatedMember, error: updateError } = await supabase
       .from('project_members')
@@ -226,6 +187,14 @@ const updateMemberRole = async (req, res) => {
 
     console.log('✅ Member role updated successfully');
 
+    await notificationService.notify(targetMember.user_id, notificationService.types.ROLE_CHANGED, {
+      title: 'Your role changed',
+      message: `You are now ${newRole.name} in ${project.title}`,
+      data: { role, link: `/project/${projectId}/dashboard` },
+      actorId: userId,
+      projectId
+    });
+
     res.json({
       success: true,
       message: 'Member role updated successfully',
@@ -250,24 +219,13 @@ const removeMember = async (req, res) => {
 
     console.log('🗑️ Removing member:', memberId, 'from project:', projectId);
 
-    // Verify project exists
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError || !project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
+    const access = req.projectAccess;
+    const { project } = access;
 
     // Get member details
     const { data: member, error: memberError } = await supabase
       .from('project_members')
-      .select('user_id, status')
+      .select('user_id, status, role')
       .eq('id', memberId)
       .eq('project_id', projectId)
       .single();
@@ -286,15 +244,18 @@ const removeMember = async (req, res) => {
       });
     }
 
-    // Check permissions - owner can remove anyone, members can only remove themselves
-    const isOwner = project.owner_id === userId;
+    // Anyone can remove themselves; removing others needs members.manage over the member's role
     const isSelfRemoval = member.user_id === userId;
 
-    if (!isOwner && !isSelfRemoval) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only remove yourself or be removed by the project owner.'
-      });
+    if (!isSelfRemoval) {
+      const memberRole = await permissionService.getRole(projectId, member.role || permissionService.defaultRole);
+
+      if (!access.can('members.manage') || (memberRole && !permissionService.canGrantRole(access, memberRole))) {
+        return res.status(403).json({
+          success: false,
+          message: permissionService.deniedMessage(access, 'members.manage')
+        });
+      }
     }
 
     // Cannot remove the project owner
@@ -336,6 +297,14 @@ const removeMember = async (req, res) => {
 
     console.log('✅ Member removed successfully');
 
+    await notificationService.notify(member.user_id, notificationService.types.MEMBER_REMOVED, {
+      title: 'Removed from project',
+      message: `You were removed from ${project.title}`,
+      data: { link: '/projects' },
+      actorId: userId,
+      projectId
+    });
+
     res.json({
       success: true,
       message: 'Member removed successfully'
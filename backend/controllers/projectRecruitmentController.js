@@ -3,11 +3,23 @@
 // @ts-nocheck
 
 const supabase = require('../config/supabase');
-const { runTests } = require('../utils/codeEvaluator');
+const {
+  runTests,
+  parseTestCases,
+  isHiddenTestCase,
+  testCaseWeight,
+  getPublicTestCases,
+  redactHiddenResults
+} = require('../utils/codeEvaluator');
 const { updateSkillRatings } = require('./challengeController');
+const { findUsableInvite, consumeInviteUse, releaseInviteUse, recordInviteRedemption } = require('./projectInviteController');
+const notificationService = require('../services/notificationService');
 
 /* ============================== Helper Functions ============================== */
 
+// Score (0-100) a candidate needs to be admitted to the project
+const PASSING_SCORE = 70;
+
 // Count user's failed attempts for a specific project
 const getFailedAttemptsCount = async (userId, projectId) => {
   try {
@@ -105,7 +117,58 @@ function hasAnyProgrammingLanguageFeatures(code) {
   ].some(t => s.includes(t));
 }
 
-// Heuristic code evaluation
+/* ---------- Test-case grading ---------- */
+
+// Run the submission against every stored test case; each passed case earns its weight
+async function evaluateWithTestCases(code, testCases, languageName, challengeId) {
+  const run = await runTests({ sourceCode: code, languageName, testCases, challengeId });
+
+  const tests = run.tests.map((t, i) => ({
+    ...t,
+    hidden: isHiddenTestCase(testCases[i]),
+    weight: testCaseWeight(testCases[i])
+  }));
+
+  const totalWeight = tests.reduce((sum, t) => sum + t.weight, 0);
+  const earnedWeight = tests.filter(t => t.passed).reduce((sum, t) => sum + t.weight, 0);
+  const score = totalWeight > 0 ? Math.round((earnedWeight / totalWeight) * 100) : 0;
+
+  const hiddenTests = tests.filter(t => t.hidden);
+  const visibleTests = tests.filter(t => !t.hidden);
+  const summary = {
+    totalTests: tests.length,
+    passedTests: run.passedCount,
+    failedTests: tests.length - run.passedCount,
+    visiblePassed: visibleTests.filter(t => t.passed).length,
+    visibleTotal: visibleTests.length,
+    hiddenPassed: hiddenTests.filter(t => t.passed).length,
+    hiddenTotal: hiddenTests.length,
+    allPassed: run.allPassed,
+    totalTimeMs: run.totalTimeMs,
+    peakMemoryKb: run.peakMemoryKb,
+    language: run.language
+  };
+
+  return { score, tests, summary };
+}
+
+function generateTestFeedback(score, summary) {
+  const { passedTests, totalTests, hiddenTotal, hiddenPassed, visibleTotal, visiblePassed } = summary;
+  if (summary.allPassed) {
+    return `Excellent work! Your solution passed all ${totalTests} test cases.`;
+  }
+  let fb = `Your solution passed ${passedTests} of ${totalTests} test cases (score ${score}%).`;
+  if (visibleTotal > 0 && visiblePassed === visibleTotal && hiddenPassed < hiddenTotal) {
+    fb += ' All visible tests pass, so check edge cases covered by the hidden tests.';
+  } else if (score >= PASSING_SCORE) {
+    fb += ' That is enough to pass, but review the failing cases.';
+  } else {
+    fb += ' Review the failing cases and try again.';
+  }
+  return fb;
+}
+
+// Heuristic code evaluation - only used when a challenge has no test cases
 function evaluateCodeSubmission(code, project) {
   const src = String(code || '');
   const trimmed = src.trim();
@@ -300,6 +363,11 @@ const getProjectChallenge = async (req, res) => {
         programming_languages: langForTemp,
         isTemporary: true
       };
+    } else {
+      // Never expose hidden test cases or the reference solution to candidates
+      const { testCases, hiddenCount } = getPublicTestCases(selectedChallenge.test_cases);
+      const { expected_solution, ...publicChallenge } = selectedChallenge;
+      selectedChallenge = { ...publicChallenge, test_cases: testCases, hidden_test_count: hiddenCount };
     }
 
     return res.json({
@@ -443,7 +511,7 @@ const canAttemptChallenge = async (req, res) => {
 const submitChallengeAttempt = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { submittedCode, startedAt, challengeId } = req.body;
+    const { submittedCode, startedAt, challengeId, inviteCode } = req.body;
     const userId = req.user.id;
 
     // Validate submission
@@ -529,55 +597,70 @@ const submitChallengeAttempt = async (req, res) => {
       if (!chErr && ch) challenge = ch;
     }
 
-    // Decide language name for Judge0
+    // Decide language name for the code executor; the challenge's own language wins
     const primaryLanguageName =
+      challenge?.programming_languages?.name ||
       project.project_languages.find(pl => pl.is_primary)?.programming_languages?.name ||
       project.project_languages[0]?.programming_languages?.name ||
-      challenge?.programming_languages?.name ||
       'JavaScript';
 
-    // Heuristic evaluation (baseline)
-    const heuristicEval = evaluateCodeSubmission(submittedCode, project);
+    const testCases = challenge ? parseTestCases(challenge.test_cases) : [];
 
-    // Defaults from heuristics
-    let finalScore = heuristicEval.score;
-    let passed = heuristicEval.score >= 70;
-    let evaluation = { ...heuristicEval, testSummary: null, testResults: null, judgeUsed: false };
+    let finalScore;
+    let feedback;
+    let evaluation;
+    let storedTestResults = null;
 
-    // If we have test cases, try Judge0
-    if (challenge?.test_cases && Array.isArray(challenge.test_cases) && challenge.test_cases.length > 0) {
+    if (testCases.length > 0) {
+      // Grade against the stored test cases
+      let graded;
       try {
-        const totalTimeLimit = challenge?.time_limit_minutes ? challenge.time_limit_minutes * 60 : 300;
-        const testResults = await runTests(
-          submittedCode,
-          challenge.test_cases,
-          challenge.programming_language_id || 63,
-          totalTimeLimit
-        );
-
-        evaluation.judgeUsed = true;
-        evaluation.testResults = testResults;
-        evaluation.testSummary = {
-          totalTests: testResults.totalTests,
-          passedTests: testResults.passedCount,
-          failedTests: testResults.failedCount,
-          allPassed: testResults.allPassed
-        };
+        graded = await evaluateWithTestCases(submittedCode, testCases, primaryLanguageName, challenge.id);
+      } catch (err) {
+        console.error('Test-case evaluation error:', err);
 
-        // Boost score if tests passed
-        if (testResults.allPassed) {
-          finalScore = Math.max(finalScore, 85);
-        } else if (testResults.passedCount > 0) {
-          finalScore = Math.max(finalScore, 40 + (testResults.passedCount / testResults.totalTests) * 40);
+        // The challenge can't be graded as configured (e.g. its language isn't supported)
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({
+            success: false,
+            message: `This challenge cannot be graded: ${err.message}. Please contact the project owner.`
+          });
         }
 
-        passed = finalScore >= 60;
-      } catch (err) {
-        console.error('Judge0 evaluation error:', err);
+        // Executor unavailable: don't record a failed attempt against the candidate
+        return res.status(200).json({
+          success: true,
+          data: {
+            attempt: null,
+            score: 0,
+            passed: false,
+            projectJoined: false,
+            feedback: 'We could not run your code right now. Please try again in a few minutes.',
+            status: 'error'
+          }
+        });
       }
+
+      finalScore = graded.score;
+      feedback = generateTestFeedback(graded.score, graded.summary);
+      storedTestResults = { summary: graded.summary, tests: graded.tests };
+      evaluation = {
+        score: graded.score,
+        feedback,
+        details: null,
+        judgeUsed: true,
+        testSummary: graded.summary,
+        testResults: redactHiddenResults(graded.tests)
+      };
+    } else {
+      // No tests stored for this challenge: fall back to the heuristic
+      const heuristicEval = evaluateCodeSubmission(submittedCode, project);
+      finalScore = heuristicEval.score;
+      feedback = heuristicEval.feedback;
+      evaluation = { ...heuristicEval, testSummary: null, testResults: null, judgeUsed: false };
     }
 
-    const feedback = evaluation.feedback || heuristicEval.feedback;
+    const passed = finalScore >= PASSING_SCORE;
 
     // Create attempt record
     const { data: attempt, error: attemptError } = await supabase
@@ -590,6 +673,7 @@ const submitChallengeAttempt = async (req, res) => {
         score: finalScore,
         status: passed ? 'passed' : 'failed',
         feedback,
+        test_results: storedTestResults,
         started_at: startedAt || new Date().toISOString(),
         submitted_at: new Date().toISOString()
       })
@@ -605,13 +689,22 @@ const submitChallengeAttempt = async (req, res) => {
     let membershipData = null;
 
     if (passed) {
+      // An invite link that still requires the challenge presets the role once passed
+      let invite = null;
+      if (inviteCode) {
+        const found = await findUsableInvite(inviteCode);
+        if (found.invite && found.invite.project_id === projectId && await consumeInviteUse(found.invite)) {
+          invite = found.invite;
+        }
+      }
+
       const { data: newMember, error: memberError } = await supabase
         .from('project_members')
         .insert({
           project_id: projectId,
           user_id: userId,
           joined_at: new Date().toISOString(),
-          role: 'member',
+          role: invite?.role || 'member',
           status: 'active'
         })
         .select()
@@ -620,16 +713,40 @@ const submitChallengeAttempt = async (req, res) => {
       if (!memberError) {
         projectJoined = true;
         membershipData = newMember;
+        if (invite) {
+          await recordInviteRedemption({ invite, userId, membershipId: newMember.id, viaChallenge: true });
+        }
         try {
           await supabase.rpc('increment_project_member_count', { project_uuid: projectId });
         } catch (updateError) {
           console.error('Error updating member count:', updateError);
         }
+        await notificationService.notifyMemberJoined(projectId, userId, {
+          role: newMember.role,
+          via: invite ? 'invite_challenge' : 'challenge'
+        });
       } else {
         console.error('Error adding member:', memberError);
+        // The join didn't happen, so the invite slot goes back
+        if (invite) await releaseInviteUse(invite);
       }
     }
 
+    await notificationService.notify(userId, notificationService.types.CHALLENGE_RESULT, {
+      title: passed ? 'Challenge passed' : 'Challenge not passed',
+      message: passed
+        ? `You scored ${finalScore} on the ${project.title} challenge${projectJoined ? ' and joined the project' : ''}`
+        : `You scored ${finalScore} on the ${project.title} challenge. ${PASSING_SCORE} is needed to pass.`,
+      data: {
+        attemptId: attempt?.id || null,
+        score: finalScore,
+        passed,
+        projectJoined,
+        link: projectJoined ? `/project/${projectId}/dashboard` : `/projects/${projectId}/join`
+      },
+      projectId
+    });
+
     // Update adaptive ratings (non-blocking)
     try {
       if (challengeId && !String(challengeId).startsWith('temp_')) {
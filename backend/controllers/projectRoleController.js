@@ -0,0 +1,219 @@
+// backend/controllers/projectRoleController.js
+// Project roles and the caller's permissions. Built-in roles are fixed; owners can add
+// custom roles (stored in project_roles) with any set of grantable capabilities.
+const supabase = require('../config/supabase');
+const permissionService = require('../services/permissionService');
+
+// "Code Reviewer" -> "code-reviewer"
+const slugifyRoleKey = (name = '') =>
+  name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30);
+
+// GET the caller's role and capabilities in the project
+const getMyPermissions = async (req, res) => {
+  try {
+    const access = req.projectAccess;
+
+    res.json({
+      success: true,
+      data: {
+        role: access.role,
+        isOwner: access.isOwner,
+        capabilities: access.capabilities
+      }
+    });
+  } catch (error) {
+    console.error('💥 Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// GET built-in and custom roles plus the capability catalog
+const getProjectRoles = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    res.json({
+      success: true,
+      data: {
+        roles: await permissionService.listRoles(projectId),
+        capabilities: permissionService.listCapabilities()
+      }
+    });
+  } catch (error) {
+    console.error('💥 Get project roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST a custom role (roles.manage)
+const createProjectRole = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { name, description = '', capabilities = [] } = req.body;
+    const key = req.body.key || slugifyRoleKey(name);
+
+    if (!permissionService.isValidRoleKey(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role key must be 2-30 lowercase letters, numbers, dashes or underscores and not a built-in role'
+      });
+    }
+
+    const { data: role, error } = await supabase
+      .from('project_roles')
+      .insert({
+        project_id: projectId,
+        key,
+        name: name.trim(),
+        description: description.trim(),
+        capabilities: permissionService.normalizeCapabilities(capabilities),
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (project_id, key)
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A role with this key already exists in the project'
+        });
+      }
+      throw error;
+    }
+
+    console.log('🛡️ Created project role:', key, 'in project:', projectId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role: await permissionService.getRole(projectId, role.key) }
+    });
+  } catch (error) {
+    console.error('💥 Create project role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// PUT a custom role's name, description or capabilities (roles.manage); the key is fixed
+const updateProjectRole = async (req, res) => {
+  try {
+    const { projectId, roleKey } = req.params;
+    const { name, description, capabilities } = req.body;
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description.trim();
+    if (capabilities !== undefined) updates.capabilities = permissionService.normalizeCapabilities(capabilities);
+
+    const { data: role, error } = await supabase
+      .from('project_roles')
+      .update(updates)
+      .eq('project_id', projectId)
+      .eq('key', roleKey)
+      .select()
+      .single();
+
+    if (error || !role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role: await permissionService.getRole(projectId, role.key) }
+    });
+  } catch (error) {
+    console.error('💥 Update project role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// DELETE a custom role (roles.manage). Refused while members or open invites still use it.
+const deleteProjectRole = async (req, res) => {
+  try {
+    const { projectId, roleKey } = req.params;
+
+    const [{ count: memberCount }, { count: inviteCount }] = await Promise.all([
+      supabase
+        .from('project_members')
+        .select('id', { count: 'exact', head: true })
+        .eq('project_id', projectId)
+        .eq('role', roleKey)
+        .eq('status', 'active'),
+      supabase
+        .from('project_invites')
+        .select('id', { count: 'exact', head: true })
+        .eq('project_id', projectId)
+        .eq('role', roleKey)
+        .is('revoked_at', null)
+    ]);
+
+    if (memberCount > 0 || inviteCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This role is still used by ${memberCount || 0} member(s) and ${inviteCount || 0} invite link(s). Reassign or revoke them first.`
+      });
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('project_roles')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('key', roleKey)
+      .select('id');
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom role not found'
+      });
+    }
+
+    console.log('🗑️ Deleted project role:', roleKey, 'from project:', projectId);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('💥 Delete project role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMyPermissions,
+  getProjectRoles,
+  createProjectRole,
+  updateProjectRole,
+  deleteProjectRole
+};
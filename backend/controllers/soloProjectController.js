@@ -1,6 +1,7 @@
 // backend/controllers/soloProjectController.js - FIXED VERSION
 const supabase = require('../config/supabase');
 const awardsController = require('./awardsController');
+const subtaskService = require('../services/subtaskService');
 
 const checkAndAwardProgress = async (projectId, userId) => {
   try {
@@ -656,11 +657,13 @@ const getGoals = async (req, res) => {
       });
     }
 
+    // Checklist items and progress rolled up from them
+    const goalsWithSubtasks = await subtaskService.attachToParents('goal', goals || [], { includeItems: true });
+
     // ADD: Enhance goals with computed properties for unified display
-    const enhancedGoals = (goals || []).map(goal => ({
+    const enhancedGoals = goalsWithSubtasks.map(goal => ({
       ...goal,
       type: goal.estimated_hours ? 'task' : 'goal', // ← ADD type detection
-      progress: goal.status === 'completed' ? 100 : 0, // ← ADD progress
       is_overdue: goal.target_date && new Date(goal.target_date) < new Date() && goal.status !== 'completed' // ← ADD overdue check
     }));
 
@@ -844,6 +847,8 @@ const deleteGoal = async (req, res) => {
       });
     }
 
+    await subtaskService.deleteForParent('goal', goalId);
+
     // Delete goal
     const { error: deleteError } = await supabase
       .from('solo_project_goals')
@@ -874,6 +879,54 @@ const deleteGoal = async (req, res) => {
   }
 };
 
+// Check off (or rename) a checklist item on a goal
+const updateGoalSubtask = async (req, res) => {
+  try {
+    const { projectId, goalId, subtaskId } = req.params;
+    const userId = req.user.id;
+
+    const accessCheck = await verifySoloProjectAccess(projectId, userId);
+    if (!accessCheck.success) {
+      return res.status(accessCheck.statusCode || 404).json({
+        success: false,
+        message: accessCheck.message
+      });
+    }
+
+    const { data: existingGoal } = await supabase
+      .from('solo_project_goals')
+      .select('id')
+      .eq('id', goalId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (!existingGoal || !await subtaskService.getSubtask('goal', goalId, subtaskId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    const { title, is_completed } = req.body;
+    const subtask = await subtaskService.updateSubtask('goal', goalId, subtaskId, { title, is_completed }, userId);
+
+    console.log('✅ Goal subtask updated:', subtask.id);
+
+    res.json({
+      success: true,
+      data: { subtask },
+      message: 'Subtask updated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Update goal subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subtask'
+    });
+  }
+};
+
 // ===== NOTES CONTROLLERS =====
 
 const getNotes = async (req, res) => {
@@ -1463,6 +1516,7 @@ module.exports = {
   createGoal,
   updateGoal,
   deleteGoal,
+  updateGoalSubtask,
   
   // Notes
   getNotes,
@@ -1,5 +1,33 @@
 // backend/controllers/taskController.js
 const supabase = require('../config/supabase');
+const taskDependencyService = require('../services/taskDependencyService');
+const subtaskService = require('../services/subtaskService');
+const attachmentService = require('../services/attachmentService');
+const { broadcastTaskEvent } = require('../utils/taskRealtime');
+const notificationService = require('../services/notificationService');
+const taskWorkflowService = require('../services/taskWorkflowService');
+const githubIssueSyncService = require('../services/githubIssueSyncService');
+
+const TASK_SELECT = `
+  *,
+  assigned_user:assigned_to(id, full_name, username, email),
+  creator:created_by(id, full_name, username, email)
+`;
+
+// Task fields mirrored on a synced GitHub issue
+const ISSUE_SYNCED_FIELDS = ['title', 'description', 'priority', 'assigned_to', 'status'];
+
+const notifyTaskAssigned = (req, projectId, task) => notificationService.notify(
+  task.assigned_to,
+  notificationService.types.TASK_ASSIGNED,
+  {
+    title: 'New task assigned',
+    message: `${req.user.fullName || req.user.username} assigned you "${task.title}"`,
+    data: { taskId: task.id, link: `/project/${projectId}/tasks/${task.id}` },
+    actorId: req.user.id,
+    projectId
+  }
+);
 
 // Update a task - IMPROVED ERROR HANDLING
 const updateTask = async (req, res) => {
@@ -11,44 +39,7 @@ const updateTask = async (req, res) => {
     console.log('🔄 Updating task:', taskId, 'in project:', projectId, 'by user:', userId);
     console.log('📝 Update data received:', updateData);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      console.error('❌ Project error:', projectError);
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to update tasks.'
-      });
-    }
+    const { project } = req.projectAccess;
 
     // Verify task exists and belongs to the project
     const { data: existingTask, error: taskError } = await supabase
@@ -149,6 +140,30 @@ const updateTask = async (req, res) => {
       }
     });
 
+    // Moving to another column: respect its WIP limit and append to the bottom
+    if (filteredUpdateData.status && filteredUpdateData.status !== existingTask.status) {
+      if (filteredUpdateData.status !== 'blocked') {
+        const blockerError = await taskWorkflowService.describeOpenBlockers(taskId);
+        if (blockerError) {
+          return res.status(409).json({
+            success: false,
+            message: blockerError
+          });
+        }
+      }
+
+      const wipError = await taskWorkflowService.checkWipLimit(projectId, taskWorkflowService.getWipLimits(project), filteredUpdateData.status);
+      if (wipError) {
+        return res.status(409).json({
+          success: false,
+          message: wipError
+        });
+      }
+      filteredUpdateData.position = await taskWorkflowService.getNextPosition(projectId, filteredUpdateData.status);
+      // A member chose the column, so dependency sync no longer owns the task's status
+      filteredUpdateData.blocked_by_dependencies = false;
+    }
+
     // Add completed_at timestamp if status is being changed to completed
     if (updateData.status === 'completed' && existingTask.status !== 'completed') {
       filteredUpdateData.completed_at = new Date().toISOString();
@@ -156,6 +171,14 @@ const updateTask = async (req, res) => {
       filteredUpdateData.completed_at = null;
     }
 
+    // A new due date or assignee gets its own due-soon reminder
+    const dueDateChanged = 'due_date' in filteredUpdateData &&
+      new Date(filteredUpdateData.due_date || 0).getTime() !== new Date(existingTask.due_date || 0).getTime();
+    const assigneeChanged = 'assigned_to' in filteredUpdateData && filteredUpdateData.assigned_to !== existingTask.assigned_to;
+    if (dueDateChanged || assigneeChanged) {
+      filteredUpdateData.due_soon_notified_at = null;
+    }
+
     // Add updated_at timestamp
     filteredUpdateData.updated_at = new Date().toISOString();
 
@@ -201,9 +224,31 @@ const updateTask = async (req, res) => {
 
     console.log('✅ Task updated successfully:', task.id);
 
+    // Completing (or reopening) a task can unblock (or re-block) the tasks it blocks
+    let dependencyUpdates = [];
+    if (task.status !== existingTask.status) {
+      dependencyUpdates = await taskDependencyService.syncDependents(projectId, task.id);
+    }
+
+    const [taskWithSubtasks] = await subtaskService.attachToParents('task', [task], { includeItems: true });
+
+    if (task.assigned_to && task.assigned_to !== existingTask.assigned_to) {
+      await notifyTaskAssigned(req, projectId, task);
+    }
+
+    broadcastTaskEvent(req, projectId, 'task_updated', {
+      task: taskWithSubtasks,
+      changedFields: Object.keys(filteredUpdateData).filter(field => field !== 'updated_at'),
+      dependencyUpdates
+    });
+
+    if (ISSUE_SYNCED_FIELDS.some(field => field in filteredUpdateData)) {
+      githubIssueSyncService.pushTaskChanges(project, [task.id]);
+    }
+
     res.json({
       success: true,
-      data: { task },
+      data: { task: taskWithSubtasks, dependencyUpdates },
       message: 'Task updated successfully'
     });
 
@@ -228,44 +273,6 @@ const getProjectTasks = async (req, res) => {
 
     console.log('📋 Getting tasks for project:', projectId, 'by user:', userId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to view tasks.'
-      });
-    }
-
     // Build query
     let query = supabase
       .from('project_tasks')
@@ -289,6 +296,10 @@ const getProjectTasks = async (req, res) => {
 
     // Apply sorting
     query = query.order(sort_by, { ascending: sort_order === 'asc' });
+    if (sort_by === 'position') {
+      // Tasks created before board ordering existed have no position yet
+      query = query.order('created_at', { ascending: true });
+    }
 
     const { data: tasks, error: tasksError } = await query;
 
@@ -310,9 +321,12 @@ const getProjectTasks = async (req, res) => {
       });
     }
 
+    // Roll subtask progress up onto each task
+    const tasksWithProgress = await subtaskService.attachToParents('task', tasks || []);
+
     res.json({
       success: true,
-      data: { tasks: tasks || [] }
+      data: { tasks: tasksWithProgress }
     });
 
   } catch (error) {
@@ -344,43 +358,7 @@ const createTask = async (req, res) => {
     console.log('🆕 Creating task for project:', projectId, 'by user:', userId);
     console.log('📝 Task data:', { title, task_type, priority, status, assigned_to });
 
-    // Verify user has access to create tasks in this project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to create tasks.'
-      });
-    }
+    const { project } = req.projectAccess;
 
     // Validate required fields
     if (!title || title.trim().length === 0) {
@@ -410,6 +388,14 @@ const createTask = async (req, res) => {
       }
     }
 
+    const wipError = await taskWorkflowService.checkWipLimit(projectId, taskWorkflowService.getWipLimits(project), status);
+    if (wipError) {
+      return res.status(409).json({
+        success: false,
+        message: wipError
+      });
+    }
+
     // Create the task
     const taskData = {
       project_id: projectId,
@@ -421,20 +407,17 @@ const createTask = async (req, res) => {
       assigned_to: assigned_to || null,
       created_by: userId,
       estimated_hours: estimated_hours ? parseInt(estimated_hours) : null,
-      due_date: due_date || null
+      due_date: due_date || null,
+      position: await taskWorkflowService.getNextPosition(projectId, status)
     };
 
     console.log('💾 Inserting task:', taskData);
 
-    const { data: task, error: createError } = await supabase
-      .from('project_tasks')
-      .insert(taskData)
-      .select(`
-        *,
-        assigned_user:assigned_to(id, full_name, username, email),
-        creator:created_by(id, full_name, username, email)
-      `)
-      .single();
+    const { data: task, error: createError } = await taskWorkflowService.insertNumberedTask(taskData, `
+      *,
+      assigned_user:assigned_to(id, full_name, username, email),
+      creator:created_by(id, full_name, username, email)
+    `);
 
     if (createError) {
       console.error('❌ Error creating task:', createError);
@@ -447,9 +430,17 @@ const createTask = async (req, res) => {
 
     console.log('✅ Task created successfully:', task.id);
 
+    const [taskWithSubtasks] = await subtaskService.attachToParents('task', [task], { includeItems: true });
+
+    if (task.assigned_to) {
+      await notifyTaskAssigned(req, projectId, task);
+    }
+
+    broadcastTaskEvent(req, projectId, 'task_created', { task: taskWithSubtasks });
+
     res.status(201).json({
       success: true,
-      data: { task },
+      data: { task: taskWithSubtasks },
       message: 'Task created successfully'
     });
 
@@ -467,48 +458,9 @@ const createTask = async (req, res) => {
 const getTask = async (req, res) => {
   try {
     const { projectId, taskId } = req.params;
-    const userId = req.user.id;
 
     console.log('📋 Getting task:', taskId, 'from project:', projectId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to view tasks.'
-      });
-    }
-
     // Get the task
     const { data: task, error: taskError } = await supabase
       .from('project_tasks')
@@ -530,9 +482,11 @@ const getTask = async (req, res) => {
 
     console.log('✅ Task found:', task.title);
 
+    const [taskWithSubtasks] = await subtaskService.attachToParents('task', [task], { includeItems: true });
+
     res.json({
       success: true,
-      data: { task }
+      data: { task: taskWithSubtasks }
     });
 
   } catch (error) {
@@ -549,48 +503,9 @@ const getTask = async (req, res) => {
 const deleteTask = async (req, res) => {
   try {
     const { projectId, taskId } = req.params;
-    const userId = req.user.id;
 
     console.log('🗑️ Deleting task:', taskId, 'from project:', projectId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to delete tasks.'
-      });
-    }
-
     // Verify task exists and belongs to the project
     const { data: existingTask, error: taskError } = await supabase
       .from('project_tasks')
@@ -606,6 +521,21 @@ const deleteTask = async (req, res) => {
       });
     }
 
+    // Tasks this one was blocking are re-checked once it is gone
+    const { data: dependentLinks } = await supabase
+      .from('project_task_dependencies')
+      .select('blocked_task_id')
+      .eq('blocker_task_id', taskId);
+
+    await supabase
+      .from('project_task_dependencies')
+      .delete()
+      .or(`blocker_task_id.eq.${taskId},blocked_task_id.eq.${taskId}`);
+
+    await subtaskService.deleteForParent('task', taskId);
+    await attachmentService.deleteForTargets('task', [taskId]);
+    await githubIssueSyncService.unlinkTask(projectId, taskId);
+
     // Delete the task
     const { error: deleteError } = await supabase
       .from('project_tasks')
@@ -623,6 +553,13 @@ const deleteTask = async (req, res) => {
 
     console.log('✅ Task deleted successfully:', taskId);
 
+    const dependencyUpdates = await taskDependencyService.syncBlockedStatus(
+      projectId,
+      (dependentLinks || []).map(link => link.blocked_task_id)
+    );
+
+    broadcastTaskEvent(req, projectId, 'task_deleted', { taskId, dependencyUpdates });
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -642,52 +579,13 @@ const deleteTask = async (req, res) => {
 const getTaskStats = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user.id;
 
     console.log('📊 Getting task stats for project:', projectId);
 
-    // Verify user has access to the project
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('owner_id')
-      .eq('id', projectId)
-      .single();
-
-    if (projectError) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-
-    const isOwner = project.owner_id === userId;
-    let isMember = false;
-
-    if (!isOwner) {
-      const { data: projectMember, error: memberError } = await supabase
-        .from('project_members')
-        .select('*')
-        .eq('project_id', projectId)
-        .eq('user_id', userId)
-        .eq('status', 'active')
-        .single();
-
-      if (!memberError && projectMember) {
-        isMember = true;
-      }
-    }
-
-    if (!isOwner && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You must be a project member to view task statistics.'
-      });
-    }
-
     // Get all tasks for the project
     const { data: tasks, error: tasksError } = await supabase
       .from('project_tasks')
-      .select('status, priority, assigned_to, due_date, created_at, completed_at')
+      .select('id, status, priority, assigned_to, due_date, created_at, completed_at, estimated_hours')
       .eq('project_id', projectId);
 
     if (tasksError) {
@@ -727,6 +625,20 @@ const getTaskStats = async (req, res) => {
     // Completion rate
     const completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
 
+    // Subtask rollup: progress counts partially finished tasks, unlike completionRate
+    const tasksWithProgress = await subtaskService.attachToParents('task', tasks);
+    const subtaskTotals = tasksWithProgress.reduce((totals, task) => ({
+      total: totals.total + task.subtask_summary.total,
+      completed: totals.completed + task.subtask_summary.completed
+    }), { total: 0, completed: 0 });
+    const overallProgress = totalTasks > 0
+      ? Math.round(tasksWithProgress.reduce((sum, task) => sum + task.progress, 0) / totalTasks)
+      : 0;
+
+    // Longest chain of unfinished dependent tasks
+    const dependencies = await taskDependencyService.getProjectDependencies(projectId);
+    const criticalPath = taskDependencyService.getCriticalPath(tasks, dependencies);
+
     const stats = {
       total: totalTasks,
       completed: completedTasks,
@@ -738,6 +650,16 @@ const getTaskStats = async (req, res) => {
       assigned: assignedTasks,
       unassigned: unassignedTasks,
       completionRate,
+      progress: overallProgress,
+      subtasks: {
+        total: subtaskTotals.total,
+        completed: subtaskTotals.completed,
+        completionRate: subtaskTotals.total > 0
+          ? Math.round((subtaskTotals.completed / subtaskTotals.total) * 100)
+          : 0
+      },
+      criticalPathLength: criticalPath.length,
+      criticalPath,
       priority: {
         high: highPriorityTasks,
         medium: mediumPriorityTasks,
@@ -762,11 +684,632 @@ const getTaskStats = async (req, res) => {
   }
 };
 
+// Rewrite the order of one or more board columns in a single request.
+// Body: { columns: { todo: [taskId, ...], in_progress: [...] } } - only listed columns change.
+const reorderTasks = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const { columns } = req.body;
+
+    console.log('🔀 Reordering tasks in project:', projectId, 'by user:', userId);
+
+    const access = req.projectAccess;
+
+    const { data: projectTasks, error: tasksError } = await supabase
+      .from('project_tasks')
+      .select('id, status')
+      .eq('project_id', projectId);
+
+    if (tasksError) {
+      console.error('❌ Error fetching tasks for reorder:', tasksError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reorder tasks',
+        error: tasksError.message
+      });
+    }
+
+    const currentStatus = new Map(projectTasks.map(task => [task.id, task.status]));
+    const targetStatus = new Map();
+
+    for (const [status, taskIds] of Object.entries(columns)) {
+      for (const taskId of taskIds) {
+        if (!currentStatus.has(taskId)) {
+          return res.status(400).json({
+            success: false,
+            message: `Task ${taskId} does not belong to this project`
+          });
+        }
+        if (targetStatus.has(taskId)) {
+          return res.status(400).json({
+            success: false,
+            message: `Task ${taskId} appears in more than one column`
+          });
+        }
+        targetStatus.set(taskId, status);
+      }
+    }
+
+    // Enforce WIP limits on columns that receive tasks; reordering an already-full column is fine
+    const wipLimits = taskWorkflowService.getWipLimits(access.project);
+    for (const status of Object.keys(columns)) {
+      const limit = Number(wipLimits[status]);
+      if (!limit) continue;
+
+      const receivesTasks = columns[status].some(taskId => currentStatus.get(taskId) !== status);
+      const finalCount = projectTasks.filter(task => (targetStatus.get(task.id) || task.status) === status).length;
+
+      if (receivesTasks && finalCount > limit) {
+        return res.status(409).json({
+          success: false,
+          message: `The "${status.replace('_', ' ')}" column has reached its WIP limit of ${limit}`
+        });
+      }
+    }
+
+    // Tasks with unfinished blockers can only sit in the blocked column
+    for (const [status, taskIds] of Object.entries(columns)) {
+      if (status === 'blocked') continue;
+      for (const taskId of taskIds) {
+        if (currentStatus.get(taskId) === status) continue;
+        const blockerError = await taskWorkflowService.describeOpenBlockers(taskId);
+        if (blockerError) {
+          return res.status(409).json({
+            success: false,
+            message: blockerError
+          });
+        }
+      }
+    }
+
+    const now = new Date().toISOString();
+    const updates = [];
+    const movedTaskIds = [];
+
+    for (const [status, taskIds] of Object.entries(columns)) {
+      taskIds.forEach((taskId, index) => {
+        const update = { position: index };
+        const previousStatus = currentStatus.get(taskId);
+
+        if (previousStatus !== status) {
+          movedTaskIds.push(taskId);
+          update.status = status;
+          update.blocked_by_dependencies = false;
+          update.updated_at = now;
+          if (status === 'completed') {
+            update.completed_at = now;
+          } else if (previousStatus === 'completed') {
+            update.completed_at = null;
+          }
+        }
+
+        updates.push(
+          supabase
+            .from('project_tasks')
+            .update(update)
+            .eq('id', taskId)
+            .eq('project_id', projectId)
+        );
+      });
+    }
+
+    const results = await Promise.all(updates);
+    const failed = results.find(result => result.error);
+    if (failed) {
+      console.error('❌ Error saving task order:', failed.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save task order',
+        error: failed.error.message
+      });
+    }
+
+    for (const taskId of movedTaskIds) {
+      await taskDependencyService.syncDependents(projectId, taskId);
+    }
+
+    const { data: tasks, error: refetchError } = await supabase
+      .from('project_tasks')
+      .select(TASK_SELECT)
+      .eq('project_id', projectId)
+      .order('position', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (refetchError) {
+      console.error('❌ Error fetching reordered tasks:', refetchError);
+      return res.status(500).json({
+        success: false,
+        message: 'Task order saved but tasks could not be reloaded',
+        error: refetchError.message
+      });
+    }
+
+    console.log(`✅ Reordered ${updates.length} tasks`);
+
+    const tasksWithProgress = await subtaskService.attachToParents('task', tasks || []);
+
+    broadcastTaskEvent(req, projectId, 'tasks_reordered', { tasks: tasksWithProgress });
+
+    if (movedTaskIds.length > 0) {
+      githubIssueSyncService.pushTaskChanges(access.project, movedTaskIds);
+    }
+
+    res.json({
+      success: true,
+      data: { tasks: tasksWithProgress },
+      message: 'Task order saved'
+    });
+
+  } catch (error) {
+    console.error('💥 Reorder tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Get board columns and their WIP limits
+const getBoardSettings = async (req, res) => {
+  try {
+    const access = req.projectAccess;
+
+    res.json({
+      success: true,
+      data: {
+        statuses: taskWorkflowService.statuses,
+        wipLimits: taskWorkflowService.getWipLimits(access.project),
+        canEditLimits: access.can('tasks.configure')
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get board settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Update WIP limits (tasks.configure). A missing, null or 0 limit removes it.
+const updateBoardSettings = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { wipLimits = {} } = req.body;
+
+    console.log('🧱 Updating WIP limits for project:', projectId, wipLimits);
+
+    const cleanedLimits = {};
+    taskWorkflowService.statuses.forEach(status => {
+      const limit = parseInt(wipLimits[status]);
+      if (!isNaN(limit) && limit > 0) {
+        cleanedLimits[status] = limit;
+      }
+    });
+
+    const { error: updateError } = await supabase
+      .from('projects')
+      .update({ task_wip_limits: cleanedLimits })
+      .eq('id', projectId);
+
+    if (updateError) {
+      console.error('❌ Error updating WIP limits:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update WIP limits',
+        error: updateError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        statuses: taskWorkflowService.statuses,
+        wipLimits: cleanedLimits,
+        canEditLimits: true
+      },
+      message: 'WIP limits updated'
+    });
+
+  } catch (error) {
+    console.error('💥 Update board settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+const DEPENDENCY_TASK_FIELDS = 'id, title, status, priority, assigned_to';
+
+// GET dependencies of a task: direct links plus the full upstream/downstream chain
+const getTaskDependencies = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+
+    const [{ data: projectTasks, error: tasksError }, dependencies] = await Promise.all([
+      supabase
+        .from('project_tasks')
+        .select(DEPENDENCY_TASK_FIELDS)
+        .eq('project_id', projectId),
+      taskDependencyService.getProjectDependencies(projectId)
+    ]);
+
+    if (tasksError) {
+      console.error('❌ Error fetching tasks for dependencies:', tasksError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task dependencies',
+        error: tasksError.message
+      });
+    }
+
+    const tasksById = new Map(projectTasks.map(task => [task.id, task]));
+    if (!tasksById.has(taskId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const blockedBy = dependencies
+      .filter(dep => dep.blocked_task_id === taskId)
+      .map(dep => ({ dependencyId: dep.id, task: tasksById.get(dep.blocker_task_id) }))
+      .filter(link => link.task);
+
+    const blocking = dependencies
+      .filter(dep => dep.blocker_task_id === taskId)
+      .map(dep => ({ dependencyId: dep.id, task: tasksById.get(dep.blocked_task_id) }))
+      .filter(link => link.task);
+
+    const chain = taskDependencyService.getDependencyChain(taskId, dependencies);
+    const withTask = (entry) => ({ ...entry, task: tasksById.get(entry.taskId) });
+
+    res.json({
+      success: true,
+      data: {
+        blockedBy,
+        blocking,
+        upstream: chain.upstream.map(withTask).filter(entry => entry.task),
+        downstream: chain.downstream.map(withTask).filter(entry => entry.task),
+        isBlocked: blockedBy.some(link => link.task.status !== 'completed')
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get task dependencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST a dependency. Body: { taskId, type } where type is 'blocked_by' (taskId blocks this task)
+// or 'blocks' (this task blocks taskId).
+const addTaskDependency = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+    const userId = req.user.id;
+    const { taskId: otherTaskId, type } = req.body;
+
+    console.log('🔗 Adding dependency:', { taskId, otherTaskId, type });
+
+    const blockerId = type === 'blocks' ? taskId : otherTaskId;
+    const blockedId = type === 'blocks' ? otherTaskId : taskId;
+
+    if (blockerId === blockedId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself'
+      });
+    }
+
+    const { data: linkedTasks, error: tasksError } = await supabase
+      .from('project_tasks')
+      .select('id, title')
+      .eq('project_id', projectId)
+      .in('id', [blockerId, blockedId]);
+
+    if (tasksError || !linkedTasks || linkedTasks.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        message: 'Both tasks must exist in this project'
+      });
+    }
+
+    const dependencies = await taskDependencyService.getProjectDependencies(projectId);
+
+    if (dependencies.some(dep => dep.blocker_task_id === blockerId && dep.blocked_task_id === blockedId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'These tasks are already linked'
+      });
+    }
+
+    const cycle = taskDependencyService.findCycle(dependencies, blockerId, blockedId);
+    if (cycle) {
+      const { data: cycleTasks } = await supabase
+        .from('project_tasks')
+        .select('id, title')
+        .in('id', cycle);
+      const titles = new Map((cycleTasks || []).map(task => [task.id, task.title]));
+
+      return res.status(409).json({
+        success: false,
+        message: `This link would create a dependency cycle: ${[...cycle, blockedId].map(id => titles.get(id) || id).join(' → ')}`,
+        data: { cycle }
+      });
+    }
+
+    const { data: dependency, error: insertError } = await supabase
+      .from('project_task_dependencies')
+      .insert({
+        project_id: projectId,
+        blocker_task_id: blockerId,
+        blocked_task_id: blockedId,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('❌ Error creating dependency:', insertError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to link tasks',
+        error: insertError.message
+      });
+    }
+
+    const dependencyUpdates = await taskDependencyService.syncBlockedStatus(projectId, [blockedId]);
+
+    console.log('✅ Dependency created:', dependency.id);
+
+    broadcastTaskEvent(req, projectId, 'task_dependencies_changed', {
+      dependency,
+      change: 'added',
+      dependencyUpdates
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { dependency, dependencyUpdates },
+      message: 'Tasks linked successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Add task dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// DELETE a dependency touching this task
+const removeTaskDependency = async (req, res) => {
+  try {
+    const { projectId, taskId, dependencyId } = req.params;
+
+    const { data: dependency, error: deleteError } = await supabase
+      .from('project_task_dependencies')
+      .delete()
+      .eq('id', dependencyId)
+      .eq('project_id', projectId)
+      .or(`blocker_task_id.eq.${taskId},blocked_task_id.eq.${taskId}`)
+      .select()
+      .single();
+
+    if (deleteError || !dependency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    const dependencyUpdates = await taskDependencyService.syncBlockedStatus(projectId, [dependency.blocked_task_id]);
+
+    console.log('✅ Dependency removed:', dependencyId);
+
+    broadcastTaskEvent(req, projectId, 'task_dependencies_changed', {
+      dependency,
+      change: 'removed',
+      dependencyUpdates
+    });
+
+    res.json({
+      success: true,
+      data: { dependencyUpdates },
+      message: 'Tasks unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Remove task dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Checks that the task belongs to the project and an assignee (if any) is the owner or an active member
+const validateSubtaskTarget = async (projectId, taskId, ownerId, assignedTo) => {
+  const { data: task } = await supabase
+    .from('project_tasks')
+    .select('id')
+    .eq('id', taskId)
+    .eq('project_id', projectId)
+    .single();
+
+  if (!task) return { status: 404, message: 'Task not found' };
+
+  if (assignedTo && assignedTo !== ownerId) {
+    const { data: member } = await supabase
+      .from('project_members')
+      .select('id')
+      .eq('project_id', projectId)
+      .eq('user_id', assignedTo)
+      .eq('status', 'active')
+      .single();
+
+    if (!member) return { status: 400, message: 'Assigned user must be a project member' };
+  }
+
+  return null;
+};
+
+// POST a subtask (checklist item) on a task
+const createSubtask = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+    const userId = req.user.id;
+    const { title, assigned_to } = req.body;
+
+    console.log('☑️ Creating subtask on task:', taskId);
+
+    const access = req.projectAccess;
+
+    const targetError = await validateSubtaskTarget(projectId, taskId, access.project.owner_id, assigned_to);
+    if (targetError) {
+      return res.status(targetError.status).json({
+        success: false,
+        message: targetError.message
+      });
+    }
+
+    if (await subtaskService.countForParent('task', taskId) >= subtaskService.maxPerParent) {
+      return res.status(400).json({
+        success: false,
+        message: `A task can have at most ${subtaskService.maxPerParent} subtasks`
+      });
+    }
+
+    const [subtask] = await subtaskService.createSubtasks('task', taskId, [{ title, assigned_to }], userId);
+
+    console.log('✅ Subtask created:', subtask.id);
+
+    res.status(201).json({
+      success: true,
+      data: { subtask },
+      message: 'Subtask created successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Create subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// PUT a subtask: title, assignee, position or completion
+const updateSubtask = async (req, res) => {
+  try {
+    const { projectId, taskId, subtaskId } = req.params;
+    const userId = req.user.id;
+
+    const access = req.projectAccess;
+
+    const targetError = await validateSubtaskTarget(projectId, taskId, access.project.owner_id, req.body.assigned_to);
+    if (targetError) {
+      return res.status(targetError.status).json({
+        success: false,
+        message: targetError.message
+      });
+    }
+
+    if (!await subtaskService.getSubtask('task', taskId, subtaskId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    const subtask = await subtaskService.updateSubtask('task', taskId, subtaskId, req.body, userId);
+
+    console.log('✅ Subtask updated:', subtask.id);
+
+    res.json({
+      success: true,
+      data: { subtask },
+      message: 'Subtask updated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Update subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// DELETE a subtask
+const deleteSubtask = async (req, res) => {
+  try {
+    const { projectId, taskId, subtaskId } = req.params;
+
+    const access = req.projectAccess;
+
+    const targetError = await validateSubtaskTarget(projectId, taskId, access.project.owner_id);
+    if (targetError) {
+      return res.status(targetError.status).json({
+        success: false,
+        message: targetError.message
+      });
+    }
+
+    const deleted = await subtaskService.deleteSubtask('task', taskId, subtaskId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    console.log('✅ Subtask deleted:', subtaskId);
+
+    res.json({
+      success: true,
+      message: 'Subtask deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Delete subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getProjectTasks,
   createTask,
   updateTask,
   deleteTask,
   getTask,
-  getTaskStats
+  getTaskStats,
+  reorderTasks,
+  getBoardSettings,
+  updateBoardSettings,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  createSubtask,
+  updateSubtask,
+  deleteSubtask
 };
\ No newline at end of file
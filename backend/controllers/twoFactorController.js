@@ -0,0 +1,202 @@
+// backend/controllers/twoFactorController.js
+// Two-factor enrollment and management for the signed-in user. The login step itself
+// (trading a challenge token plus code for a session) lives in authController.
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+
+const getUserRole = async (userId) => {
+  const { data } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', userId)
+    .single();
+
+  return data?.role || 'user';
+};
+
+// GET status: enabled, required for the user's role, recovery codes left
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id, await getUserRole(req.user.id));
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST setup: new secret as otpauth URI + QR code; confirmed by enableTwoFactor
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (await twoFactorService.isEnabled(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST enable: first code from the authenticator app turns 2FA on and returns recovery codes
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code. Check your authenticator app and try again.'
+      });
+    }
+
+    // Other devices signed in with just a password; make them sign in again with 2FA
+    const revokedIds = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.user.sessionId,
+      reason: 'two_factor_enabled'
+    });
+    sessionService.disconnectSockets(req.app.get('io'), revokedIds);
+
+    console.log(`🔐 2FA enabled for user ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST disable: needs the password and a current code (or recovery code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const userId = req.user.id;
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('password_hash, role')
+      .eq('id', userId)
+      .single();
+
+    if (!user || !await bcrypt.compare(password || '', user.password_hash)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (await twoFactorService.isRequiredForRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for ${user.role} accounts`
+      });
+    }
+
+    const result = await twoFactorService.verifySecondFactor(userId, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(result.locked ? 429 : 400).json({
+        success: false,
+        message: result.locked
+          ? 'Too many invalid codes. Try again in a few minutes.'
+          : 'Invalid authentication code'
+      });
+    }
+
+    await twoFactorService.disable(userId);
+
+    console.log(`🔓 2FA disabled for user ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST recovery-codes: a current code replaces every recovery code with a fresh set
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const userId = req.user.id;
+
+    const record = await twoFactorService.getRecord(userId);
+    if (!record?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const result = await twoFactorService.verifyCode(record, code);
+    if (!result.valid) {
+      return res.status(result.locked ? 429 : 400).json({
+        success: false,
+        message: result.locked
+          ? 'Too many invalid codes. Try again in a few minutes.'
+          : 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(userId);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
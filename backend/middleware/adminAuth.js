@@ -1,5 +1,16 @@
 // backend/middleware/adminAuth.js
 const supabase = require('../config/supabase');
+const twoFactorService = require('../services/twoFactorService');
+
+// When system settings require 2FA for the role, staff without it are sent to enroll first
+const twoFactorMissing = async (user) =>
+  await twoFactorService.isRequiredForRole(user.role) && !await twoFactorService.isEnabled(user.id);
+
+const twoFactorRequiredResponse = (res) => res.status(403).json({
+  success: false,
+  code: 'TWO_FACTOR_REQUIRED',
+  message: 'Two-factor authentication must be enabled for your account'
+});
 
 // Middleware to check if user is admin
 const requireAdmin = async (req, res, next) => {
@@ -42,6 +53,10 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    if (await twoFactorMissing(user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
     // Add user info to request
     req.admin = user;
     next();
@@ -91,6 +106,10 @@ const requireModerator = async (req, res, next) => {
       });
     }
 
+    if (await twoFactorMissing(user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
     req.admin = user;
     next();
   } catch (error) {
@@ -1,6 +1,7 @@
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
+const sessionService = require('../services/sessionService');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -47,6 +48,14 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Tokens are only as good as their session: logout and revocation end them early
+    if (!await sessionService.isActive(decoded.sid, user.id)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+
     if (!user.is_active) {
       return res.status(401).json({
         success: false,
@@ -59,7 +68,8 @@ const authMiddleware = async (req, res, next) => {
       id: user.id,
       email: user.email,
       username: user.username,
-      fullName: user.full_name
+      fullName: user.full_name,
+      sessionId: decoded.sid
     };
 
     console.log(`Authenticated user: ${user.username} (${user.id})`);
@@ -101,14 +111,15 @@ const optionalAuthMiddleware = async (req, res, next) => {
         .eq('id', decoded.userId || decoded.id)
         .single();
 
-      if (error || !user || !user.is_active) {
+      if (error || !user || !user.is_active || !await sessionService.isActive(decoded.sid, user.id)) {
         req.user = null;
       } else {
         req.user = {
           id: user.id,
           email: user.email,
           username: user.username,
-          fullName: user.full_name
+          fullName: user.full_name,
+          sessionId: decoded.sid
         };
       }
     } catch (jwtError) {
@@ -0,0 +1,76 @@
+// backend/middleware/fileUpload.js
+// Multipart upload handling for attachments. Files are kept in memory and handed to
+// the storage adapter by the controller, so nothing touches disk before access checks.
+const multer = require('multer');
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_UPLOAD_MB) || 10;
+const MAX_FILES_PER_REQUEST = 5;
+
+// SVG is deliberately absent: it can carry scripts and is served back to browsers
+const ALLOWED_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES_PER_REQUEST
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Turns multer failures into the usual { success, message } response
+const handleUploadErrors = (err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+
+  const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  const messages = {
+    LIMIT_FILE_SIZE: `Files must be ${MAX_FILE_SIZE_MB}MB or smaller`,
+    LIMIT_FILE_COUNT: `At most ${MAX_FILES_PER_REQUEST} files can be uploaded at once`
+  };
+
+  return res.status(status).json({
+    success: false,
+    message: messages[err.code] || err.message || 'Upload failed'
+  });
+};
+
+// Accepts up to MAX_FILES_PER_REQUEST files in the `files` field
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_REQUEST)(req, res, (err) => {
+    if (err) return handleUploadErrors(err, req, res, next);
+    next();
+  });
+};
+
+module.exports = {
+  uploadAttachments,
+  handleUploadErrors,
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE_MB,
+  MAX_FILES_PER_REQUEST
+};
@@ -0,0 +1,25 @@
+// backend/middleware/githubRateLimit.js
+const githubTokenService = require('../services/githubTokenService');
+
+// Sends the caller's remaining GitHub quota with every GitHub route response, so the client can
+// slow down before GitHub starts refusing requests:
+//   X-GitHub-RateLimit-Limit, X-GitHub-RateLimit-Remaining, X-GitHub-RateLimit-Reset (ISO date)
+const exposeGitHubRateLimit = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const limit = req.user ? githubTokenService.getRateLimit(req.user.id) : null;
+    if (limit && !res.headersSent) {
+      res.set({
+        'X-GitHub-RateLimit-Limit': String(limit.limit),
+        'X-GitHub-RateLimit-Remaining': String(limit.remaining),
+        'X-GitHub-RateLimit-Reset': limit.resetAt
+      });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = { exposeGitHubRateLimit };
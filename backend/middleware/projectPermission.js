@@ -0,0 +1,38 @@
+// backend/middleware/projectPermission.js
+const permissionService = require('../services/permissionService');
+
+// Requires a project capability (see permissionService) for the project in req.params[param].
+// On success the caller's access is available as req.projectAccess.
+const requireProjectPermission = (capability, { param = 'projectId' } = {}) => async (req, res, next) => {
+  try {
+    const access = await permissionService.getProjectAccess(req.params[param], req.user.id);
+
+    if (!access.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.can(capability)) {
+      return res.status(403).json({
+        success: false,
+        message: permissionService.deniedMessage(access, capability),
+        capability
+      });
+    }
+
+    req.projectAccess = access;
+    next();
+  } catch (error) {
+    console.error('Project permission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  requireProjectPermission
+};
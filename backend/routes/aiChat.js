@@ -1,68 +1,47 @@
 // backend/routes/aiChat.js - ENHANCED WITH TASKS (Based on your existing structure)
 const express = require('express');
-const { GoogleGenAI } = require('@google/genai');
 const auth = require('../middleware/auth');
 const supabase = require('../config/supabase'); // FIXED: Use supabase instead of database
+const subtaskService = require('../services/subtaskService');
+const aiConversationService = require('../services/aiConversationService');
+const llmService = require('../services/llm');
+const { PROJECT_ASSISTANT_PROMPT, buildProjectIdeaPrompt, PROJECT_IDEA_SCHEMA } = require('../utils/aiPrompts');
 
 const router = express.Router();
 
-// Initialize Gemini AI with better error handling
-let genAI = null;
-let availableModels = [];
+// Sends the "AI unavailable" error and returns false when no model provider is configured
+const requireLLM = (res) => {
+  if (llmService.isAvailable()) return true;
 
-const initializeGeminiAI = async () => {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      console.warn('GEMINI_API_KEY not found. AI features will be disabled.');
-      return;
-    }
+  res.status(500).json({
+    success: false,
+    message: 'AI service is not available',
+    error: 'No LLM provider configured'
+  });
+  return false;
+};
 
-    console.log('Initializing Gemini AI...');
-    genAI = new GoogleGenAI({
-      apiKey: process.env.GEMINI_API_KEY
-    });
-    
-    try {
-      const testResponse = await genAI.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: "Hello"
+// Loads req.params.conversationId for the signed-in user into req.conversation
+const loadConversation = async (req, res, next) => {
+  try {
+    const conversation = await aiConversationService.getConversation(req.user.id, req.params.conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
       });
-      
-      console.log('✅ Gemini AI initialized successfully');
-      availableModels = ['gemini-2.5-flash', 'gemini-1.5-pro', 'gemini-1.5-flash'];
-      
-    } catch (testError) {
-      console.error('❌ Error testing Gemini AI:', testError.message);
-      
-      const alternativeModels = ['gemini-1.5-pro', 'gemini-1.5-flash', 'gemini-pro'];
-      for (const model of alternativeModels) {
-        try {
-          await genAI.models.generateContent({
-            model: model,
-            contents: "Hello"
-          });
-          console.log(`✅ Using alternative model: ${model}`);
-          availableModels = [model];
-          break;
-        } catch (altError) {
-          console.log(`❌ Model ${model} not available`);
-        }
-      }
     }
-    
-  } catch (error) {
-    console.error('❌ Error initializing Gemini AI:', error.message);
-    genAI = null;
-  }
-};
-
-initializeGeminiAI();
 
-const getBestAvailableModel = () => {
-  if (!genAI || availableModels.length === 0) {
-    return null;
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Load conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load conversation',
+      error: error.message
+    });
   }
-  return availableModels[0];
 };
 
 // FIXED: Programming language mapping - EXACT match to your database
@@ -131,185 +110,273 @@ const normalizeProgrammingLanguage = (langName) => {
   return LANGUAGE_MAPPING[cleaned] || cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
 };
 
-// Test endpoint
+// Test endpoint: which provider answers, and a round trip through it
 router.get('/test-api', async (req, res) => {
+  const status = llmService.describe();
+
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      return res.json({ error: 'No API key found' });
+    if (!status.available) {
+      return res.json({ error: 'No LLM provider configured', ...status });
     }
 
-    if (!genAI) {
-      return res.json({ error: 'Gemini AI not initialized' });
-    }
+    const testResponse = await llmService.generate({ prompt: 'Hello' });
 
-    const testResponse = await genAI.models.generateContent({
-      model: getBestAvailableModel() || "gemini-2.5-flash",
-      contents: "Hello"
-    });
-    
     res.json({
       success: true,
-      apiKeyLength: process.env.GEMINI_API_KEY.length,
-      modelsFound: availableModels.length,
-      models: availableModels,
+      provider: testResponse.provider,
+      model: testResponse.model,
       testResponse: testResponse.text
     });
   } catch (error) {
     res.json({
       error: error.message,
-      apiKeyExists: !!process.env.GEMINI_API_KEY,
-      apiKeyLength: process.env.GEMINI_API_KEY?.length || 0
+      ...status
     });
   }
 });
 
-// ENHANCED: AI Chat endpoint with task breakdown support
+// ENHANCED: AI Chat endpoint with task breakdown support. Without a conversationId a new
+// conversation is started; either way both turns are saved and the id is returned.
 router.post('/', auth, async (req, res) => {
   try {
-    if (!genAI) {
-      return res.status(500).json({
+    if (!requireLLM(res)) return;
+
+    const { message, conversationId } = req.body;
+    const userId = req.user.id;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
         success: false,
-        message: 'AI service is not available',
-        error: 'Gemini AI not initialized'
+        message: 'Message is required'
       });
     }
 
-    const modelName = getBestAvailableModel();
-    if (!modelName) {
-      return res.status(500).json({
+    const conversation = conversationId
+      ? await aiConversationService.getConversation(userId, conversationId)
+      : await aiConversationService.createConversation(userId);
+
+    if (!conversation) {
+      return res.status(404).json({
         success: false,
-        message: 'No available AI models',
-        error: 'No compatible models found'
+        message: 'Conversation not found'
       });
     }
 
-    const { message, conversationHistory = [] } = req.body;
-    const userId = req.user.id;
-
-    // ENHANCED: Include weekly task breakdown in the prompt
-    const systemPrompt = `You are Sync, a helpful coding project assistant.
-
-CRITICAL INSTRUCTION: You MUST respond in this EXACT format. Do NOT skip any sections.
-
-**[Project Name]**
-
-[1-2 sentence description]
-
-Key Features:
-• [Feature 1]
-• [Feature 2]
-• [Feature 3]
-• [Feature 4]
-
-Technologies: JavaScript
-
-Time Estimate: 3-4 weeks
-
-Difficulty: Medium
-
-Weekly Task Breakdown:
+    await aiConversationService.addMessage(conversation, 'user', message.trim());
+    const history = await aiConversationService.getHistory(conversation.id);
 
-Week 1: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-Week 2: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-Week 3: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-Week 4: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-MANDATORY RULES:
-1. You MUST include the "Weekly Task Breakdown:" section
-2. You MUST have exactly 4 weeks labeled "Week 1:", "Week 2:", "Week 3:", "Week 4:"
-3. The "Technologies:" line MUST contain ONLY ONE programming language (JavaScript, Python, Java, C++, etc.)
-4. DO NOT list features, frameworks, or tools in "Technologies:" - ONLY the base programming language
-
-EXAMPLE RESPONSE:
-
-**Quiz Game Application**
+    const { text: aiMessage } = await llmService.generate({
+      system: PROJECT_ASSISTANT_PROMPT,
+      messages: history
+    });
 
-An interactive quiz game where users answer multiple-choice questions and track their score.
+    const saved = await aiConversationService.addMessage(conversation, 'assistant', aiMessage);
 
-Key Features:
-• Multiple choice questions with 4 options
-• Real-time score tracking
-• Timer countdown for each question
-• Restart functionality to play again
+    res.json({
+      success: true,
+      data: {
+        message: aiMessage,
+        messageId: saved.id,
+        timestamp: saved.created_at,
+        conversationId: conversation.id
+      }
+    });
 
-Technologies: JavaScript
+  } catch (error) {
+    console.error('AI Chat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get AI response',
+      error: error.message
+    });
+  }
+});
 
-Time Estimate: 3-4 weeks
+// Conversation list, newest activity first
+router.get('/conversations', auth, async (req, res) => {
+  try {
+    const conversations = await aiConversationService.listConversations(req.user.id);
 
-Difficulty: Medium
+    res.json({
+      success: true,
+      data: { conversations }
+    });
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load conversations',
+      error: error.message
+    });
+  }
+});
 
-Weekly Task Breakdown:
+router.post('/conversations', auth, async (req, res) => {
+  try {
+    const conversation = await aiConversationService.createConversation(req.user.id, { title: req.body.title });
 
-Week 1: Core Game Structure & UI
-- Create HTML structure for quiz interface
-- Style with CSS for clean design
-- Implement basic question display
+    res.status(201).json({
+      success: true,
+      data: { conversation }
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create conversation',
+      error: error.message
+    });
+  }
+});
 
-Week 2: Quiz Logic & Scoring
-- Add answer checking functionality
-- Implement score tracking system
-- Create results screen
+// One conversation with all of its messages
+router.get('/conversations/:conversationId', auth, loadConversation, async (req, res) => {
+  try {
+    const messages = await aiConversationService.getMessages(req.conversation.id);
 
-Week 3: Timer & Navigation
-- Implement countdown timer
-- Add next/previous buttons
-- Create visual timer indicator
+    res.json({
+      success: true,
+      data: {
+        conversation: req.conversation,
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load conversation',
+      error: error.message
+    });
+  }
+});
 
-Week 4: Polish & Testing
-- Add restart functionality
-- Implement question shuffling
-- Add animations and test thoroughly
+router.put('/conversations/:conversationId', auth, loadConversation, async (req, res) => {
+  try {
+    const { title } = req.body;
 
-User message: ${message}
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
 
-REMEMBER: Your response MUST include the "Weekly Task Breakdown:" section with Week 1, Week 2, Week 3, and Week 4.`;
+    const conversation = await aiConversationService.renameConversation(req.conversation.id, title);
 
-    const response = await genAI.models.generateContent({
-      model: modelName,
-      contents: systemPrompt
+    res.json({
+      success: true,
+      message: 'Conversation renamed',
+      data: { conversation }
     });
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename conversation',
+      error: error.message
+    });
+  }
+});
 
-    const aiMessage = response.text;
+router.delete('/conversations/:conversationId', auth, loadConversation, async (req, res) => {
+  try {
+    await aiConversationService.deleteConversation(req.conversation.id);
 
     res.json({
       success: true,
-      data: {
-        message: aiMessage,
-        timestamp: new Date().toISOString(),
-        conversationId: `${userId}_${Date.now()}`
-      }
+      message: 'Conversation deleted'
     });
-
   } catch (error) {
-    console.error('AI Chat error:', error);
+    console.error('Delete conversation error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get AI response',
+      message: 'Failed to delete conversation',
       error: error.message
     });
   }
 });
 
+// Sends a message and streams the answer as server-sent events:
+//   event: message  data: { message }       the saved user turn
+//   event: token    data: { text }          the next piece of the answer
+//   event: done     data: { message, conversation }
+//   event: error    data: { message }
+router.post('/conversations/:conversationId/messages', auth, loadConversation, async (req, res) => {
+  if (!requireLLM(res)) return;
+
+  const { message } = req.body;
+  if (!message || !message.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message is required'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // req has already been read by express.json and closed by now, so the response's close
+  // event is what tells us the reader left before the answer finished
+  let clientGone = false;
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    clientGone = true;
+    abortController.abort();
+  });
+
+  const conversation = req.conversation;
+  let answer = '';
+
+  try {
+    const userMessage = await aiConversationService.addMessage(conversation, 'user', message.trim());
+    send('message', { message: userMessage });
+
+    const history = await aiConversationService.getHistory(conversation.id);
+    const stream = llmService.stream({
+      system: PROJECT_ASSISTANT_PROMPT,
+      messages: history,
+      signal: abortController.signal
+    });
+
+    for await (const text of stream) {
+      if (clientGone) break;
+      answer += text;
+      send('token', { text });
+    }
+
+    // Whatever was generated is kept, even when the reader left early
+    if (answer) {
+      const saved = await aiConversationService.addMessage(conversation, 'assistant', answer);
+      if (!clientGone) send('done', { message: saved, conversation });
+    } else if (!clientGone) {
+      send('error', { message: 'The assistant returned an empty response' });
+    }
+  } catch (error) {
+    // Aborting the model request for a reader who left lands here too
+    if (!clientGone) console.error('AI Chat stream error:', error);
+    if (answer) {
+      await aiConversationService.addMessage(conversation, 'assistant', answer).catch(() => {});
+    }
+    if (!clientGone) send('error', { message: 'Failed to get AI response' });
+  } finally {
+    res.end();
+  }
+});
+
 // ENHANCED: Project creation with tasks - using Supabase (no raw SQL)
 router.post('/create-project', auth, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { projectData } = req.body;
+    const { projectData, conversationId } = req.body;
 
     console.log('═══════════════════════════════════════════════');
     console.log('🔄 BACKEND RECEIVED CREATE PROJECT REQUEST');
@@ -524,14 +591,35 @@ router.post('/create-project', auth, async (req, res) => {
         target_date: task.target_date || null
       }));
 
-      const { error: tasksError } = await supabase
+      const { data: createdGoals, error: tasksError } = await supabase
         .from('solo_project_goals')
-        .insert(tasksToInsert);
+        .insert(tasksToInsert)
+        .select('id');
 
       if (tasksError) {
         console.error('💥 Error creating tasks:', tasksError);
       } else {
         console.log('✅ Tasks created successfully');
+
+        // Weekly bullets become checklist items on their week's goal (rows come back in insert order)
+        for (let i = 0; i < (createdGoals || []).length; i++) {
+          const subtaskTitles = (Array.isArray(projectData.tasks[i].subtasks) ? projectData.tasks[i].subtasks : [])
+            .filter(title => typeof title === 'string' && title.trim())
+            .slice(0, subtaskService.maxPerParent);
+
+          if (subtaskTitles.length === 0) continue;
+
+          try {
+            await subtaskService.createSubtasks(
+              'goal',
+              createdGoals[i].id,
+              subtaskTitles.map(title => ({ title })),
+              userId
+            );
+          } catch (subtaskError) {
+            console.error('💥 Error creating subtasks:', subtaskError);
+          }
+        }
       }
     }
 
@@ -592,6 +680,14 @@ router.post('/create-project', auth, async (req, res) => {
       console.error('Error fetching complete project:', fetchError);
     }
 
+    // Remember which conversation the project came from
+    if (conversationId) {
+      const conversation = await aiConversationService.getConversation(userId, conversationId);
+      if (conversation) {
+        await aiConversationService.setProject(conversation.id, projectId);
+      }
+    }
+
     console.log('🎉 Project created successfully with tasks!');
 
     res.json({
@@ -612,91 +708,32 @@ router.post('/create-project', auth, async (req, res) => {
   }
 });
 
-// Generate project ideas endpoint (your existing code)
+// Generate project ideas endpoint; the model answers in PROJECT_IDEA_SCHEMA
 router.post('/generate-project', auth, async (req, res) => {
   try {
-    if (!genAI) {
-      return res.status(500).json({
-        success: false,
-        message: 'AI service is not available',
-        error: 'Gemini AI not initialized'
-      });
-    }
-
-    const modelName = getBestAvailableModel();
-    if (!modelName) {
-      return res.status(500).json({
-        success: false,
-        message: 'No available AI models',
-        error: 'No compatible models found'
-      });
-    }
-
-    const { skills = [], interests = [], difficulty = 'easy', projectType = 'web' } = req.body;
-
-    const projectPrompt = `Generate 1 ${difficulty} ${projectType} project idea for a beginner:
-
-Requirements:
-- Use ONLY JavaScript as the technology (no React, Node.js, or frameworks)
-- Make it simple and achievable for beginners
-- Format clearly with sections
-
-Format:
-**Project Name**
-Brief description (2-3 sentences)
-Key Features: 
-• Feature 1
-• Feature 2  
-• Feature 3
-Technologies: JavaScript
-Time Estimate: 1-2 weeks
-Difficulty: Easy
-
-Focus on: ${skills.join(', ') || 'general web development'}
-Interest: ${interests.join(', ') || 'learning programming'}`;
+    if (!requireLLM(res)) return;
 
-    const response = await genAI.models.generateContent({
-      model: modelName,
-      contents: projectPrompt
-    });
-
-    const aiResponse = response.text;
-
-    let projects = [];
+    let projects;
+    let aiResponse;
     try {
-      const lines = aiResponse.split('\n').filter(line => line.trim());
-      
-      let name = '';
-      let description = '';
-      let technologies = ['JavaScript'];
-      let timeEstimate = '1-2 weeks';
-      let difficulty = 'Easy';
-      
-      for (const line of lines) {
-        if (line.startsWith('**') && line.endsWith('**')) {
-          name = line.replace(/\*\*/g, '').trim();
-        } else if (line.includes('Technologies:')) {
-          const tech = line.replace('Technologies:', '').trim();
-          technologies = tech ? [tech] : ['JavaScript'];
-        } else if (line.includes('Time Estimate:')) {
-          timeEstimate = line.replace('Time Estimate:', '').trim();
-        } else if (line.includes('Difficulty:')) {
-          difficulty = line.replace('Difficulty:', '').trim();
-        } else if (!line.startsWith('•') && !line.includes(':') && line.length > 10 && !description) {
-          description = line.trim();
-        }
-      }
+      const { data, text } = await llmService.generateJSON({
+        prompt: buildProjectIdeaPrompt(req.body),
+        schema: PROJECT_IDEA_SCHEMA
+      });
 
+      aiResponse = text;
       projects = [{
-        name: name || 'JavaScript Project',
-        description: description || 'A simple JavaScript project for beginners',
-        technologies,
-        timeEstimate,
-        difficulty
+        name: data.name,
+        description: data.description,
+        technologies: data.technologies.length > 0 ? data.technologies : ['JavaScript'],
+        timeEstimate: data.timeEstimate,
+        difficulty: data.difficulty
       }];
-
     } catch (parseError) {
+      if (parseError.code !== 'LLM_INVALID_JSON') throw parseError;
+
       console.error('Parse error:', parseError);
+      aiResponse = null;
       projects = [{
         name: "Simple JavaScript Project",
         description: "A beginner-friendly JavaScript project",
@@ -0,0 +1,105 @@
+// backend/routes/attachments.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  uploadAttachments,
+  getAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+} = require('../controllers/fileController');
+const { uploadAttachments: parseUploads } = require('../middleware/fileUpload');
+const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectPermission');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules
+const projectIdValidation = [
+  param('projectId')
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID')
+];
+
+const attachmentIdValidation = [
+  param('attachmentId')
+    .isUUID()
+    .withMessage('Attachment ID must be a valid UUID')
+];
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// POST /api/projects/:projectId/attachments - Upload files (multipart field `files`)
+// task_id is read from the multipart body, so it is validated after parsing.
+// Permission is checked first so non-members' uploads are never buffered.
+router.post(
+  '/:projectId/attachments',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('files.upload'),
+  parseUploads,
+  body('task_id')
+    .optional({ checkFalsy: true })
+    .isUUID()
+    .withMessage('Task ID must be a valid UUID'),
+  handleValidationErrors,
+  uploadAttachments
+);
+
+// GET /api/projects/:projectId/attachments?task_id= - List a task's attachments
+router.get(
+  '/:projectId/attachments',
+  projectIdValidation,
+  query('task_id')
+    .isUUID()
+    .withMessage('Task ID must be a valid UUID'),
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getAttachments
+);
+
+// GET /api/projects/:projectId/attachments/:attachmentId/download - Stream the file
+router.get(
+  '/:projectId/attachments/:attachmentId/download',
+  projectIdValidation,
+  attachmentIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  downloadAttachment
+);
+
+// GET /api/projects/:projectId/attachments/:attachmentId/thumbnail - Stream the image preview
+router.get(
+  '/:projectId/attachments/:attachmentId/thumbnail',
+  projectIdValidation,
+  attachmentIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getAttachmentThumbnail
+);
+
+// DELETE /api/projects/:projectId/attachments/:attachmentId - Remove an attachment
+router.delete(
+  '/:projectId/attachments/:attachmentId',
+  projectIdValidation,
+  attachmentIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  deleteAttachment
+);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 // backend/routes/auth.js - COMPLETE FILE
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/auth');
 
 // Validation middleware
@@ -151,13 +152,70 @@ const resetPasswordValidation = [
     .withMessage('Password must contain uppercase, lowercase, and number')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 40, max: 200 })
+    .withMessage('Refresh token is required')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Session ID must be a valid UUID')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Recovery code is invalid'),
+  body()
+    .custom(value => !!(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+  ...twoFactorCodeValidation
+];
+
+const requiredCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
 // EXISTING ROUTES
 router.post('/register', registerValidation, handleValidationErrors, authController.register);
 router.post('/login', loginValidation, handleValidationErrors, authController.login);
+router.post('/login/2fa', twoFactorLoginValidation, handleValidationErrors, authController.verifyTwoFactorLogin);
 router.get('/profile', authMiddleware, authController.getProfile);
 router.put('/profile', authMiddleware, updateProfileValidation, handleValidationErrors, authController.updateProfile);
 router.put('/change-password', authMiddleware, changePasswordValidation, handleValidationErrors, authController.changePassword);
 
+// SESSION ROUTES
+// Refresh and logout take the refresh token, so they work once the access token has expired
+router.post('/refresh', refreshTokenValidation, handleValidationErrors, authController.refreshSession);
+router.post('/logout', refreshTokenValidation, handleValidationErrors, authController.logout);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions', authMiddleware, authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', authMiddleware, sessionIdValidation, handleValidationErrors, authController.revokeSession);
+
+// TWO-FACTOR ROUTES
+router.get('/2fa', authMiddleware, twoFactorController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, requiredCodeValidation, handleValidationErrors, twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, twoFactorCodeValidation, handleValidationErrors, twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, requiredCodeValidation, handleValidationErrors, twoFactorController.regenerateRecoveryCodes);
+
 // PASSWORD RESET ROUTES - ADD THESE TWO ROUTES
 router.post(
   '/forgot-password',
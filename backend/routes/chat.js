@@ -3,14 +3,38 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectPermission');
 const {
   getProjectChatRooms,
   createChatRoom,
   getRoomMessages,
+  searchMessages,
   sendMessage,
   editMessage,
-  deleteMessage
+  deleteMessage,
+  getThread,
+  markThreadRead,
+  markRoomRead,
+  toggleReaction,
+  getPinnedMessages,
+  updatePin
 } = require('../controllers/chatController');
+const {
+  getConversations,
+  startConversation,
+  getConversationMessages,
+  markConversationRead,
+  leaveConversation
+} = require('../controllers/directMessageController');
+const {
+  getModerationLog,
+  getMutes,
+  getMyMute,
+  muteMember,
+  unmuteMember,
+  updateRoomSettings
+} = require('../controllers/chatModerationController');
+const chatModerationService = require('../services/chatModerationService');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -32,6 +56,25 @@ const uuidValidation = (field) => [
     .withMessage(`Invalid ${field} format`)
 ];
 
+// History cursors: one of before / after (message ids) and a page size
+const cursorValidation = [
+  query('before')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid message ID format'),
+  query('after')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid message ID format'),
+  query()
+    .custom(value => !(value.before && value.after))
+    .withMessage('Use either before or after, not both'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
 // All chat routes require authentication
 router.use(authMiddleware);
 
@@ -40,6 +83,7 @@ router.get(
   '/projects/:projectId/rooms',
   uuidValidation('projectId'),
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getProjectChatRooms
 );
 
@@ -63,6 +107,7 @@ router.post(
       .withMessage('Invalid room type')
   ],
   handleValidationErrors,
+  requireProjectPermission('chat.rooms'),
   createChatRoom
 );
 
@@ -72,17 +117,78 @@ router.get(
   [
     ...uuidValidation('projectId'),
     ...uuidValidation('roomId'),
+    ...cursorValidation,
+    query('around')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid message ID format')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getRoomMessages
+);
+
+// PUT /api/chat/projects/:projectId/rooms/:roomId/read - Mark the room read up to a message
+router.put(
+  '/projects/:projectId/rooms/:roomId/read',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    body('message_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid message ID format')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  markRoomRead
+);
+
+// GET /api/chat/projects/:projectId/search - Search messages across the project's rooms
+router.get(
+  '/projects/:projectId/search',
+  [
+    ...uuidValidation('projectId'),
+    query('q')
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Search text must be between 2 and 200 characters'),
+    query('room_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid room ID format'),
+    query('author_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid author ID format'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be a date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be a date'),
+    query('has_attachment')
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+    query('has_code')
+      .optional()
+      .isBoolean()
+      .toBoolean(),
     query('page')
       .optional()
       .isInt({ min: 1 })
       .withMessage('Page must be a positive integer'),
     query('limit')
       .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100')
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
   ],
   handleValidationErrors,
-  getRoomMessages
+  requireProjectPermission('project.view'),
+  searchMessages
 );
 
 // POST /api/chat/projects/:projectId/rooms/:roomId/messages - Send a message
@@ -102,12 +208,248 @@ router.post(
     body('reply_to_message_id')
       .optional()
       .isUUID()
-      .withMessage('Invalid reply message ID format')
+      .withMessage('Invalid reply message ID format'),
+    body('thread_root_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid thread ID format'),
+    body('attachment_ids')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('attachment_ids must be an array of at most 10 IDs'),
+    body('attachment_ids.*')
+      .isUUID()
+      .withMessage('Invalid attachment ID format')
   ],
   handleValidationErrors,
+  requireProjectPermission('chat.send'),
   sendMessage
 );
 
+// GET /api/chat/projects/:projectId/rooms/:roomId/pins - Get the room's pinned messages
+router.get(
+  '/projects/:projectId/rooms/:roomId/pins',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getPinnedMessages
+);
+
+// GET /api/chat/projects/:projectId/rooms/:roomId/messages/:messageId/thread - Get a thread
+router.get(
+  '/projects/:projectId/rooms/:roomId/messages/:messageId/thread',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    ...uuidValidation('messageId')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getThread
+);
+
+// PUT /api/chat/projects/:projectId/rooms/:roomId/messages/:messageId/thread/read - Mark a thread read
+router.put(
+  '/projects/:projectId/rooms/:roomId/messages/:messageId/thread/read',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    ...uuidValidation('messageId')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  markThreadRead
+);
+
+// POST /api/chat/projects/:projectId/rooms/:roomId/messages/:messageId/reactions - Toggle a reaction
+router.post(
+  '/projects/:projectId/rooms/:roomId/messages/:messageId/reactions',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    ...uuidValidation('messageId'),
+    body('emoji')
+      .isString()
+      .isLength({ min: 1, max: 32 })
+      .withMessage('Reaction must be a single emoji')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.send'),
+  toggleReaction
+);
+
+// PUT /api/chat/projects/:projectId/rooms/:roomId/messages/:messageId/pin - Pin or unpin a message (moderators)
+router.put(
+  '/projects/:projectId/rooms/:roomId/messages/:messageId/pin',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    ...uuidValidation('messageId'),
+    body('pinned')
+      .isBoolean()
+      .withMessage('pinned must be true or false')
+      .toBoolean()
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.moderate'),
+  updatePin
+);
+
+// PUT /api/chat/projects/:projectId/rooms/:roomId/settings - Read-only and slow mode
+router.put(
+  '/projects/:projectId/rooms/:roomId/settings',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('roomId'),
+    body('is_read_only')
+      .optional()
+      .isBoolean()
+      .withMessage('is_read_only must be true or false')
+      .toBoolean(),
+    body('slow_mode_seconds')
+      .optional()
+      .isInt({ min: 0, max: chatModerationService.maxSlowModeSeconds })
+      .withMessage(`Slow mode must be between 0 and ${chatModerationService.maxSlowModeSeconds} seconds`)
+      .toInt()
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.moderate'),
+  updateRoomSettings
+);
+
+// GET /api/chat/projects/:projectId/moderation/log - Moderation log (owner only)
+router.get(
+  '/projects/:projectId/moderation/log',
+  [
+    ...uuidValidation('projectId'),
+    query('action')
+      .optional()
+      .isIn(['message_deleted', 'member_muted', 'member_unmuted', 'room_locked', 'room_unlocked', 'slow_mode_changed'])
+      .withMessage('Invalid moderation action'),
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('before must be a date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.audit'),
+  getModerationLog
+);
+
+// GET /api/chat/projects/:projectId/moderation/mutes - Muted members
+router.get(
+  '/projects/:projectId/moderation/mutes',
+  uuidValidation('projectId'),
+  handleValidationErrors,
+  requireProjectPermission('chat.moderate'),
+  getMutes
+);
+
+// GET /api/chat/projects/:projectId/moderation/mutes/me - The current user's mute, if any
+router.get(
+  '/projects/:projectId/moderation/mutes/me',
+  uuidValidation('projectId'),
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getMyMute
+);
+
+// PUT /api/chat/projects/:projectId/moderation/mutes/:userId - Mute a member for a while
+router.put(
+  '/projects/:projectId/moderation/mutes/:userId',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('userId'),
+    body('duration_minutes')
+      .isInt({ min: 1, max: chatModerationService.maxMuteMinutes })
+      .withMessage(`Duration must be between 1 and ${chatModerationService.maxMuteMinutes} minutes`)
+      .toInt(),
+    body('reason')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason must not exceed 200 characters')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.moderate'),
+  muteMember
+);
+
+// DELETE /api/chat/projects/:projectId/moderation/mutes/:userId - Unmute a member
+router.delete(
+  '/projects/:projectId/moderation/mutes/:userId',
+  [
+    ...uuidValidation('projectId'),
+    ...uuidValidation('userId')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('chat.moderate'),
+  unmuteMember
+);
+
+// GET /api/chat/direct - Get the user's direct conversations
+router.get('/direct', getConversations);
+
+// POST /api/chat/direct - Message one user, or start a group conversation with several
+router.post(
+  '/direct',
+  [
+    body('user_ids')
+      .isArray({ min: 1, max: 9 })
+      .withMessage('Choose between 1 and 9 people'),
+    body('user_ids.*')
+      .isUUID()
+      .withMessage('Invalid user ID format'),
+    body('name')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Group name must not exceed 50 characters')
+  ],
+  handleValidationErrors,
+  startConversation
+);
+
+// GET /api/chat/direct/:roomId/messages - Get messages in a direct conversation
+router.get(
+  '/direct/:roomId/messages',
+  [
+    ...uuidValidation('roomId'),
+    ...cursorValidation
+  ],
+  handleValidationErrors,
+  getConversationMessages
+);
+
+// PUT /api/chat/direct/:roomId/read - Mark a direct conversation read up to a message
+router.put(
+  '/direct/:roomId/read',
+  [
+    ...uuidValidation('roomId'),
+    body('message_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid message ID format')
+  ],
+  handleValidationErrors,
+  markConversationRead
+);
+
+// DELETE /api/chat/direct/:roomId/members/me - Leave a group conversation
+router.delete(
+  '/direct/:roomId/members/me',
+  uuidValidation('roomId'),
+  handleValidationErrors,
+  leaveConversation
+);
+
 // PUT /api/chat/messages/:messageId - Edit a message
 router.put(
   '/messages/:messageId',
@@ -122,7 +464,7 @@ router.put(
   editMessage
 );
 
-// DELETE /api/chat/messages/:messageId - Delete a message
+// DELETE /api/chat/messages/:messageId - Delete a message (the author, or a chat moderator)
 router.delete(
   '/messages/:messageId',
   uuidValidation('messageId'),
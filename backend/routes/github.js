@@ -1,11 +1,60 @@
 // backend/routes/github.js
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const router = express.Router();
 const githubController = require('../controllers/githubController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectPermission');
+const { exposeGitHubRateLimit } = require('../middleware/githubRateLimit');
 
-// Apply authentication to all routes
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const issueSyncValidation = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean()
+];
+
+const insightsValidation = [
+  query('weeks')
+    .optional()
+    .isInt({ min: 1, max: 26 })
+    .withMessage('Weeks must be between 1 and 26'),
+  query('refresh')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('refresh must be true or false')
+];
+
+const issueSyncAuditValidation = [
+  query('taskId')
+    .optional()
+    .isUUID()
+    .withMessage('Task ID must be a valid UUID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+// GitHub webhook deliveries are signed instead of authenticated
+router.post('/webhook', githubController.handleWebhook);
+
+// Apply authentication to all other routes
 router.use(authMiddleware);
+router.use(exposeGitHubRateLimit);
 
 // GitHub OAuth routes
 router.get('/oauth/url', githubController.getOAuthURL);
@@ -22,8 +71,15 @@ router.get('/repository/:owner/:repo/branches', githubController.getRepositoryBr
 router.get('/repository/:owner/:repo/commits', githubController.getRepositoryCommits);
 
 // Project-specific GitHub integration
-router.post('/project/:projectId/connect', githubController.connectRepositoryToProject);
-router.delete('/project/:projectId/disconnect', githubController.disconnectRepositoryFromProject);
-router.get('/project/:projectId/repository', githubController.getProjectRepository);
+router.post('/project/:projectId/connect', requireProjectPermission('repo.connect'), githubController.connectRepositoryToProject);
+router.delete('/project/:projectId/disconnect', requireProjectPermission('repo.connect'), githubController.disconnectRepositoryFromProject);
+router.get('/project/:projectId/repository', requireProjectPermission('project.view'), githubController.getProjectRepository);
+router.get('/project/:projectId/insights', requireProjectPermission('project.view'), insightsValidation, handleValidationErrors, githubController.getRepositoryInsights);
+router.get('/project/:projectId/tasks/:taskId/links', requireProjectPermission('project.view'), githubController.getTaskGitHubLinks);
+
+// Two-way issue sync
+router.get('/project/:projectId/issue-sync', requireProjectPermission('project.view'), githubController.getIssueSync);
+router.put('/project/:projectId/issue-sync', requireProjectPermission('repo.connect'), issueSyncValidation, handleValidationErrors, githubController.updateIssueSync);
+router.get('/project/:projectId/issue-sync/audit', requireProjectPermission('project.view'), issueSyncAuditValidation, handleValidationErrors, githubController.getIssueSyncAudit);
 
 module.exports = router;
\ No newline at end of file
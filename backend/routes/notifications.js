@@ -1,19 +1,73 @@
 // backend/routes/notifications.js - FIXED VERSION
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const notificationsController = require('../controllers/notificationsController');
+const notificationService = require('../services/notificationService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
 const authMiddleware = require('../middleware/auth'); // Import the default export
 
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const preferencesValidation = [
+  body('preferences')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Preferences must be an array'),
+  body('preferences.*.type')
+    .isIn(Object.values(notificationService.types))
+    .withMessage('Unknown notification type'),
+  body('preferences.*.projectId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  body('preferences.*.channel')
+    .optional({ nullable: true })
+    .isIn(notificationPreferenceService.channels)
+    .withMessage(`Channel must be one of: ${notificationPreferenceService.channels.join(', ')}`),
+  body('digestFrequency')
+    .optional()
+    .isIn(notificationPreferenceService.digestFrequencies)
+    .withMessage(`Digest frequency must be one of: ${notificationPreferenceService.digestFrequencies.join(', ')}`)
+];
+
 // Apply authentication to all routes
 router.use(authMiddleware);
 
 // Get comment notifications
 router.get('/comments', notificationsController.getCommentNotifications);
 
+// Delete a comment notification
+router.delete('/comments/:notificationId', notificationsController.deleteNotification);
+
 // Mark notifications as read
 router.put('/read', notificationsController.markNotificationsRead);
 
 // Get unread count
 router.get('/unread-count', notificationsController.getUnreadCount);
 
-module.exports = router;
\ No newline at end of file
+// Notification events (task assigned, member joined, friend request, ...)
+router.get('/events', notificationsController.getNotifications);
+
+// Mark events read by id, by type, or all
+router.put('/events/read', notificationsController.markEventsRead);
+
+// Delete a notification event
+router.delete('/events/:notificationId', notificationsController.deleteEvent);
+
+// Delivery preferences (in-app, email digest or off) and digest cadence
+router.get('/preferences', notificationsController.getPreferences);
+router.put('/preferences', preferencesValidation, handleValidationErrors, notificationsController.updatePreferences);
+
+module.exports = router;
@@ -8,7 +8,22 @@ const {
   leaveProject
   // addProjectMember removed as requested
 } = require('../controllers/projectMemberController');
+const {
+  createInvite,
+  getProjectInvites,
+  revokeInvite,
+  getInviteByCode,
+  redeemInvite
+} = require('../controllers/projectInviteController');
+const {
+  getMyPermissions,
+  getProjectRoles,
+  createProjectRole,
+  updateProjectRole,
+  deleteProjectRole
+} = require('../controllers/projectRoleController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectPermission');
 
 const router = express.Router();
 
@@ -38,10 +53,82 @@ const memberIdValidation = [
     .withMessage('Member ID must be a valid UUID')
 ];
 
+// Built-in or custom role key; whether the project has it is checked in the controller
+const roleKeyRule = (field) => field
+  .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+  .withMessage('Role must be a valid role key');
+
 const updateRoleValidation = [
-  body('role')
-    .isIn(['member', 'moderator', 'lead'])
-    .withMessage('Role must be one of: member, moderator, lead')
+  roleKeyRule(body('role'))
+];
+
+const roleKeyParamValidation = [
+  roleKeyRule(param('roleKey'))
+];
+
+const capabilitiesRule = () => body('capabilities')
+  .optional()
+  .isArray({ max: 50 })
+  .withMessage('Capabilities must be an array of capability names');
+
+const createRoleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Role name must be between 2 and 50 characters'),
+  body('key')
+    .optional()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Role key must be 2-30 lowercase letters, numbers, dashes or underscores'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters'),
+  capabilitiesRule()
+];
+
+const updateRoleDefinitionValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Role name must be between 2 and 50 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters'),
+  capabilitiesRule()
+];
+
+const inviteIdValidation = [
+  param('inviteId')
+    .isUUID()
+    .withMessage('Invite ID must be a valid UUID')
+];
+
+const inviteCodeValidation = [
+  param('code')
+    .isLength({ min: 6, max: 32 })
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Invite code is invalid')
+];
+
+const createInviteValidation = [
+  roleKeyRule(body('role').optional()),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000'),
+  body('expiresInHours')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 24 * 90 })
+    .withMessage('Expiry must be between 1 hour and 90 days'),
+  body('skipChallenge')
+    .optional()
+    .isBoolean()
+    .withMessage('skipChallenge must be a boolean')
 ];
 
 // All routes require authentication
@@ -52,6 +139,7 @@ router.get(
   '/:projectId/members',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getProjectMembers
 );
 
@@ -62,6 +150,7 @@ router.put(
   memberIdValidation,
   updateRoleValidation,
   handleValidationErrors,
+  requireProjectPermission('members.manage'),
   updateMemberRole
 );
 
@@ -71,6 +160,7 @@ router.delete(
   projectIdValidation,
   memberIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   removeMember
 );
 
@@ -84,4 +174,98 @@ router.post(
 
 // REMOVED: POST /api/projects/:projectId/members route for adding members
 
+// GET /api/projects/invites/:code - Preview an invite link
+router.get(
+  '/invites/:code',
+  inviteCodeValidation,
+  handleValidationErrors,
+  getInviteByCode
+);
+
+// POST /api/projects/invites/:code/redeem - Join a project through an invite link
+router.post(
+  '/invites/:code/redeem',
+  inviteCodeValidation,
+  handleValidationErrors,
+  redeemInvite
+);
+
+// GET /api/projects/:projectId/invites - List invite links (members.invite)
+router.get(
+  '/:projectId/invites',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('members.invite'),
+  getProjectInvites
+);
+
+// POST /api/projects/:projectId/invites - Create an invite link (members.invite)
+router.post(
+  '/:projectId/invites',
+  projectIdValidation,
+  createInviteValidation,
+  handleValidationErrors,
+  requireProjectPermission('members.invite'),
+  createInvite
+);
+
+// DELETE /api/projects/:projectId/invites/:inviteId - Revoke an invite link (members.invite)
+router.delete(
+  '/:projectId/invites/:inviteId',
+  projectIdValidation,
+  inviteIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('members.invite'),
+  revokeInvite
+);
+
+// GET /api/projects/:projectId/permissions - The caller's role and capabilities
+router.get(
+  '/:projectId/permissions',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getMyPermissions
+);
+
+// GET /api/projects/:projectId/roles - Built-in and custom roles with the capability catalog
+router.get(
+  '/:projectId/roles',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getProjectRoles
+);
+
+// POST /api/projects/:projectId/roles - Create a custom role (roles.manage)
+router.post(
+  '/:projectId/roles',
+  projectIdValidation,
+  createRoleValidation,
+  handleValidationErrors,
+  requireProjectPermission('roles.manage'),
+  createProjectRole
+);
+
+// PUT /api/projects/:projectId/roles/:roleKey - Update a custom role (roles.manage)
+router.put(
+  '/:projectId/roles/:roleKey',
+  projectIdValidation,
+  roleKeyParamValidation,
+  updateRoleDefinitionValidation,
+  handleValidationErrors,
+  requireProjectPermission('roles.manage'),
+  updateProjectRole
+);
+
+// DELETE /api/projects/:projectId/roles/:roleKey - Delete an unused custom role (roles.manage)
+router.delete(
+  '/:projectId/roles/:roleKey',
+  projectIdValidation,
+  roleKeyParamValidation,
+  handleValidationErrors,
+  requireProjectPermission('roles.manage'),
+  deleteProjectRole
+);
+
 module.exports = router;
\ No newline at end of file
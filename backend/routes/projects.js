@@ -10,6 +10,7 @@ const {
   updateProject
 } = require('../controllers/projectController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectPermission');
 const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
@@ -165,16 +166,17 @@ router.post('/', createProjectValidation, handleValidationErrors, createProject)
 // GET /api/projects/user/my - Get current user's projects
 router.get('/user/my', getUserProjects);
 
-// PUT /api/projects/:id - Update project (only by owner)
+// PUT /api/projects/:id - Update project (project.edit)
 router.put('/:id', 
   projectIdValidation,
   updateProjectValidation,
   handleValidationErrors,
+  requireProjectPermission('project.edit', { param: 'id' }),
   updateProject
 );
 
-// DELETE /api/projects/:id - Delete project (only by owner)
-router.delete('/:id', projectIdValidation, handleValidationErrors, deleteProject);
+// DELETE /api/projects/:id - Delete project (project.delete, owner only)
+router.delete('/:id', projectIdValidation, handleValidationErrors, requireProjectPermission('project.delete', { param: 'id' }), deleteProject);
 
 // NOTE: Project joining is handled through the challenge system
 // Users must complete a coding challenge to join projects
@@ -165,6 +165,18 @@ router.delete(
   soloProjectController.deleteGoal
 );
 
+// PUT /api/solo-projects/:projectId/goals/:goalId/subtasks/:subtaskId - Check off a checklist item
+router.put(
+  '/:projectId/goals/:goalId/subtasks/:subtaskId',
+  projectIdValidation,
+  param('goalId').isUUID().withMessage('Goal ID must be a valid UUID'),
+  param('subtaskId').isUUID().withMessage('Subtask ID must be a valid UUID'),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Subtask title must be between 1 and 200 characters'),
+  body('is_completed').optional().isBoolean().withMessage('is_completed must be a boolean'),
+  handleValidationErrors,
+  soloProjectController.updateGoalSubtask
+);
+
 // ===== NOTES ROUTES =====
 
 // GET /api/solo-projects/:projectId/notes - Get all notes
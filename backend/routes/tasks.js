@@ -7,9 +7,19 @@ const {
   updateTask,
   deleteTask,
   getTask,
-  getTaskStats
+  getTaskStats,
+  reorderTasks,
+  getBoardSettings,
+  updateBoardSettings,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  createSubtask,
+  updateSubtask,
+  deleteSubtask
 } = require('../controllers/taskController');
 const authMiddleware = require('../middleware/auth');
+const { requireProjectPermission } = require('../middleware/projectPermission');
 
 const router = express.Router();
 
@@ -205,7 +215,7 @@ const updateTaskValidation = [
 const getTasksValidation = [
   query('sort_by')
     .optional()
-    .isIn(['created_at', 'updated_at', 'due_date', 'priority', 'status', 'title'])
+    .isIn(['created_at', 'updated_at', 'due_date', 'priority', 'status', 'title', 'position'])
     .withMessage('Invalid sort field'),
   
   query('sort_order')
@@ -229,6 +239,97 @@ const getTasksValidation = [
     .withMessage('Invalid priority filter')
 ];
 
+const TASK_STATUSES = ['todo', 'in_progress', 'in_review', 'completed', 'blocked'];
+
+const reorderTasksValidation = [
+  body('columns')
+    .isObject()
+    .withMessage('Columns must be an object keyed by status')
+    .custom((columns) => {
+      const statuses = Object.keys(columns);
+      if (statuses.length === 0) {
+        throw new Error('At least one column is required');
+      }
+      for (const status of statuses) {
+        if (!TASK_STATUSES.includes(status)) {
+          throw new Error(`Invalid status: ${status}`);
+        }
+        if (!Array.isArray(columns[status])) {
+          throw new Error(`Column ${status} must be an array of task IDs`);
+        }
+        if (columns[status].length > 500) {
+          throw new Error(`Column ${status} has too many tasks`);
+        }
+      }
+      return true;
+    }),
+
+  body('columns.*.*')
+    .isUUID()
+    .withMessage('Each task ID must be a valid UUID')
+];
+
+const boardSettingsValidation = [
+  body('wipLimits')
+    .isObject()
+    .withMessage('WIP limits must be an object keyed by status'),
+
+  body('wipLimits.*')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('WIP limits must be between 0 and 100')
+];
+
+const dependencyValidation = [
+  body('taskId')
+    .isUUID()
+    .withMessage('Task ID must be a valid UUID'),
+
+  body('type')
+    .isIn(['blocks', 'blocked_by'])
+    .withMessage('Type must be blocks or blocked_by')
+];
+
+const subtaskIdValidation = [
+  param('subtaskId')
+    .isUUID()
+    .withMessage('Subtask ID must be a valid UUID')
+];
+
+const subtaskAssigneeValidation = body('assigned_to')
+  .optional({ nullable: true, checkFalsy: true })
+  .isUUID()
+  .withMessage('Assigned to must be a valid user ID');
+
+const createSubtaskValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+
+  subtaskAssigneeValidation
+];
+
+const updateSubtaskValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+
+  body('is_completed')
+    .optional()
+    .isBoolean()
+    .withMessage('is_completed must be a boolean'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+
+  subtaskAssigneeValidation
+];
+
 // All routes require authentication
 router.use(authMiddleware);
 
@@ -238,6 +339,7 @@ router.get(
   projectIdValidation,
   getTasksValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getProjectTasks
 );
 
@@ -247,6 +349,7 @@ router.post(
   projectIdValidation,
   createTaskValidation,
   handleValidationErrors,
+  requireProjectPermission('tasks.create'),
   createTask
 );
 
@@ -255,15 +358,46 @@ router.get(
   '/:projectId/tasks/stats',
   projectIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getTaskStats
 );
 
+// PUT /api/projects/:projectId/tasks/reorder - Save board column order
+router.put(
+  '/:projectId/tasks/reorder',
+  projectIdValidation,
+  reorderTasksValidation,
+  handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
+  reorderTasks
+);
+
+// GET /api/projects/:projectId/tasks/board - Get board columns and WIP limits
+router.get(
+  '/:projectId/tasks/board',
+  projectIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getBoardSettings
+);
+
+// PUT /api/projects/:projectId/tasks/board - Update WIP limits
+router.put(
+  '/:projectId/tasks/board',
+  projectIdValidation,
+  boardSettingsValidation,
+  handleValidationErrors,
+  requireProjectPermission('tasks.configure'),
+  updateBoardSettings
+);
+
 // GET /api/projects/:projectId/tasks/:taskId - Get a specific task
 router.get(
   '/:projectId/tasks/:taskId',
   projectIdValidation,
   taskIdValidation,
   handleValidationErrors,
+  requireProjectPermission('project.view'),
   getTask
 );
 
@@ -274,15 +408,83 @@ router.put(
   taskIdValidation,
   updateTaskValidation,
   handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
   updateTask
 );
 
+// GET /api/projects/:projectId/tasks/:taskId/dependencies - Get blockers, dependents and the chain
+router.get(
+  '/:projectId/tasks/:taskId/dependencies',
+  projectIdValidation,
+  taskIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('project.view'),
+  getTaskDependencies
+);
+
+// POST /api/projects/:projectId/tasks/:taskId/dependencies - Link two tasks
+router.post(
+  '/:projectId/tasks/:taskId/dependencies',
+  projectIdValidation,
+  taskIdValidation,
+  dependencyValidation,
+  handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
+  addTaskDependency
+);
+
+// DELETE /api/projects/:projectId/tasks/:taskId/dependencies/:dependencyId - Unlink two tasks
+router.delete(
+  '/:projectId/tasks/:taskId/dependencies/:dependencyId',
+  projectIdValidation,
+  taskIdValidation,
+  param('dependencyId').isUUID().withMessage('Dependency ID must be a valid UUID'),
+  handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
+  removeTaskDependency
+);
+
+// POST /api/projects/:projectId/tasks/:taskId/subtasks - Add a checklist item
+router.post(
+  '/:projectId/tasks/:taskId/subtasks',
+  projectIdValidation,
+  taskIdValidation,
+  createSubtaskValidation,
+  handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
+  createSubtask
+);
+
+// PUT /api/projects/:projectId/tasks/:taskId/subtasks/:subtaskId - Update or check off a checklist item
+router.put(
+  '/:projectId/tasks/:taskId/subtasks/:subtaskId',
+  projectIdValidation,
+  taskIdValidation,
+  subtaskIdValidation,
+  updateSubtaskValidation,
+  handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
+  updateSubtask
+);
+
+// DELETE /api/projects/:projectId/tasks/:taskId/subtasks/:subtaskId - Remove a checklist item
+router.delete(
+  '/:projectId/tasks/:taskId/subtasks/:subtaskId',
+  projectIdValidation,
+  taskIdValidation,
+  subtaskIdValidation,
+  handleValidationErrors,
+  requireProjectPermission('tasks.edit'),
+  deleteSubtask
+);
+
 // DELETE /api/projects/:projectId/tasks/:taskId - Delete a task
 router.delete(
   '/:projectId/tasks/:taskId',
   projectIdValidation,
   taskIdValidation,
   handleValidationErrors,
+  requireProjectPermission('tasks.delete'),
   deleteTask
 );
 
@@ -0,0 +1,16 @@
+// backend/scripts/backfillTaskNumbers.js
+// Gives TASK-n numbers to tasks created before task numbering existed, oldest first,
+// so commits and pull requests can reference them.
+const taskWorkflowService = require('../services/taskWorkflowService');
+
+if (require.main === module) {
+  taskWorkflowService.backfillTaskNumbers()
+    .then(numbered => {
+      console.log(`🔢 Numbered ${numbered} task(s)`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
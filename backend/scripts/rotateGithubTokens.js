@@ -0,0 +1,17 @@
+// backend/scripts/rotateGithubTokens.js
+// Re-encrypts stored GitHub tokens with the first key in GITHUB_TOKEN_ENCRYPTION_KEYS.
+// Keep the previous key listed after the new one until this has run cleanly.
+const githubTokenService = require('../services/githubTokenService');
+
+if (require.main === module) {
+  githubTokenService.rotateKeys()
+    .then(({ currentKeyId, rotated, failed }) => {
+      console.log(`🔐 Re-encrypted ${rotated} GitHub token(s) with key "${currentKeyId}"`);
+      failed.forEach(({ userId, error }) => console.error(`❌ User ${userId}: ${error}`));
+      process.exit(failed.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,131 @@
+// backend/scripts/testChatModeration.js
+// Checks that mutes and read-only rooms hold on edits and reactions, not only on new messages.
+// Run from backend directory: node scripts/testChatModeration.js
+// Messages, mutes and project access are stubbed on the service singletons, so no database is
+// touched; the Supabase settings only need to exist for the modules to load.
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+
+const assert = require('assert/strict');
+const chatService = require('../services/chatService');
+const chatModerationService = require('../services/chatModerationService');
+const permissionService = require('../services/permissionService');
+const { editMessage, toggleReaction } = require('../controllers/chatController');
+
+const PROJECT_ID = '11111111-1111-4111-8111-111111111111';
+const ROOM_ID = '22222222-2222-4222-8222-222222222222';
+const MESSAGE_ID = '33333333-3333-4333-8333-333333333333';
+const MEMBER_ID = '44444444-4444-4444-8444-444444444444';
+const MUTED_UNTIL = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+const memberAccess = { isMember: true, isOwner: false, can: (capability) => capability !== 'chat.moderate' };
+const moderatorAccess = { isMember: true, isOwner: false, can: () => true };
+
+// One message by the member, in a room that is read-only or not, with the member muted or not
+const stubChat = ({ muted = false, readOnly = false } = {}) => {
+  const room = { id: ROOM_ID, project_id: PROJECT_ID, is_read_only: readOnly, slow_mode_seconds: 0 };
+  chatService.getMessage = async () => ({
+    id: MESSAGE_ID,
+    room_id: ROOM_ID,
+    user_id: MEMBER_ID,
+    content: 'before',
+    thread_root_id: null,
+    project_id: PROJECT_ID,
+    room
+  });
+  chatModerationService.getActiveMute = async () => (muted ? { expires_at: MUTED_UNTIL } : null);
+  permissionService.getProjectAccess = async () => memberAccess;
+  return room;
+};
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const request = (overrides = {}) => ({
+  params: { projectId: PROJECT_ID, roomId: ROOM_ID, messageId: MESSAGE_ID },
+  body: {},
+  user: { id: MEMBER_ID, username: 'member', fullName: 'Member' },
+  projectAccess: memberAccess,
+  app: { get: () => null },
+  ...overrides
+});
+
+const tests = [
+  ['a muted member cannot edit their message', async () => {
+    stubChat({ muted: true });
+    const res = fakeResponse();
+    await editMessage(request({ body: { content: 'after' } }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.mutedUntil, MUTED_UNTIL);
+  }],
+
+  ['a member cannot edit their message in a read-only room', async () => {
+    stubChat({ readOnly: true });
+    const res = fakeResponse();
+    await editMessage(request({ body: { content: 'after' } }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, 'This room is read-only');
+  }],
+
+  ['a muted member cannot react', async () => {
+    stubChat({ muted: true });
+    const res = fakeResponse();
+    await toggleReaction(request({ body: { emoji: '👍' } }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.mutedUntil, MUTED_UNTIL);
+  }],
+
+  ['moderators are exempt from mutes and read-only rooms', async () => {
+    const room = stubChat({ muted: true, readOnly: true });
+    await chatModerationService.assertCanWrite(room, MEMBER_ID, moderatorAccess);
+  }],
+
+  ['an unmuted member in an open room may write', async () => {
+    const room = stubChat();
+    await chatModerationService.assertCanWrite(room, MEMBER_ID, memberAccess);
+  }]
+];
+
+async function main() {
+  console.log('🧪 Testing chat moderation on edits and reactions...\n');
+
+  // The controllers log the refusals they return; keep the output to the results
+  const logError = console.error;
+  let failed = 0;
+
+  for (const [name, run] of tests) {
+    console.error = () => {};
+    try {
+      await run();
+      console.error = logError;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error = logError;
+      failed += 1;
+      console.error(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
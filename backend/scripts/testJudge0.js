@@ -1,15 +1,16 @@
 // backend/scripts/testJudge0.js
 // Run this to test your Judge0 integration: node scripts/testJudge0.js
+// Set CODE_EXECUTOR=local to exercise the local process runner instead.
 
 require('dotenv').config();
-const { runTests, testJudge0Connection } = require('../utils/codeEvaluator');
+const { runTests, testExecutorConnection } = require('../utils/codeEvaluator');
 
 async function main() {
   console.log('🔧 Testing Judge0 Integration...\n');
 
   // Step 1: Test connection
-  console.log('1️⃣ Testing Judge0 Connection:');
-  const connectionTest = await testJudge0Connection();
+  console.log(`1️⃣ Testing ${process.env.CODE_EXECUTOR || 'judge0'} executor:`);
+  const connectionTest = await testExecutorConnection();
   if (!connectionTest.success) {
     console.error('❌ Connection failed:', connectionTest.error);
     console.log('\n💡 Troubleshooting:');
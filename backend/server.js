@@ -1,5 +1,6 @@
 // backend/server.js
 const { app, server } = require('./app');
+const { startScheduledJobs } = require('./utils/scheduler');
 
 const PORT = process.env.PORT || 5000;
 
@@ -17,4 +18,6 @@ server.listen(PORT, () => {
   console.log(`   🔗 Tasks: http://localhost:${PORT}/api/tasks`);
   console.log(`   🔗 GitHub: http://localhost:${PORT}/api/github`);
   console.log('🚀 =================================');
+
+  startScheduledJobs();
 });
\ No newline at end of file
@@ -0,0 +1,151 @@
+// backend/services/aiConversationService.js
+// Saved conversations with the Sync assistant. ai_conversations (id, user_id, title, project_id,
+// created_at, updated_at, last_message_at) belongs to one user; project_id is the project the
+// assistant created from the conversation, if any. ai_messages (id, conversation_id, role
+// 'user' | 'assistant', content, created_at) holds the turns, and the latest ones are sent back
+// to the model as context.
+const supabase = require('../config/supabase');
+
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 80;
+// Turns of earlier conversation included in the model context
+const HISTORY_LIMIT = 20;
+
+class AIConversationService {
+  constructor() {
+    this.defaultTitle = DEFAULT_TITLE;
+    this.maxTitleLength = MAX_TITLE_LENGTH;
+  }
+
+  async listConversations(userId) {
+    const { data, error } = await supabase
+      .from('ai_conversations')
+      .select('id, title, project_id, created_at, updated_at, last_message_at')
+      .eq('user_id', userId)
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // The conversation when it belongs to the user, otherwise null
+  async getConversation(userId, conversationId) {
+    const { data } = await supabase
+      .from('ai_conversations')
+      .select('*')
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .single();
+
+    return data || null;
+  }
+
+  async createConversation(userId, { title } = {}) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('ai_conversations')
+      .insert({
+        user_id: userId,
+        title: (title || '').trim().slice(0, MAX_TITLE_LENGTH) || DEFAULT_TITLE,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async renameConversation(conversationId, title) {
+    const { data, error } = await supabase
+      .from('ai_conversations')
+      .update({
+        title: title.trim().slice(0, MAX_TITLE_LENGTH),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', conversationId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteConversation(conversationId) {
+    await supabase.from('ai_messages').delete().eq('conversation_id', conversationId);
+
+    const { error } = await supabase
+      .from('ai_conversations')
+      .delete()
+      .eq('id', conversationId);
+
+    if (error) throw error;
+  }
+
+  async getMessages(conversationId) {
+    const { data, error } = await supabase
+      .from('ai_messages')
+      .select('id, role, content, created_at')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Latest turns, oldest first, for the model context
+  async getHistory(conversationId, limit = HISTORY_LIMIT) {
+    const { data, error } = await supabase
+      .from('ai_messages')
+      .select('role, content')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return (data || []).reverse();
+  }
+
+  // Saves a turn and bumps the conversation; the first user message names an untitled one
+  async addMessage(conversation, role, content) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('ai_messages')
+      .insert({
+        conversation_id: conversation.id,
+        role,
+        content,
+        created_at: now
+      })
+      .select('id, role, content, created_at')
+      .single();
+
+    if (error) throw error;
+
+    const updates = { last_message_at: now, updated_at: now };
+    if (role === 'user' && conversation.title === DEFAULT_TITLE) {
+      updates.title = content.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+      conversation.title = updates.title;
+    }
+
+    await supabase
+      .from('ai_conversations')
+      .update(updates)
+      .eq('id', conversation.id);
+
+    return data;
+  }
+
+  async setProject(conversationId, projectId) {
+    const { error } = await supabase
+      .from('ai_conversations')
+      .update({ project_id: projectId, updated_at: new Date().toISOString() })
+      .eq('id', conversationId);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = new AIConversationService();
@@ -0,0 +1,234 @@
+// backend/services/attachmentService.js
+// Files attached to tasks, task comments and chat messages. Every row in `attachments`
+// belongs to a project (access is project membership) and to at most one target:
+// task_id, comment_id or message_id. Comment and chat files are uploaded first and
+// linked when the comment / message is created; uploads never linked are purged.
+// Image uploads get a small WebP thumbnail next to the original.
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const supabase = require('../config/supabase');
+const storageService = require('./storageService');
+
+const TARGET_COLUMNS = {
+  task: 'task_id',
+  comment: 'comment_id',
+  message: 'message_id'
+};
+
+const ATTACHMENT_SELECT = `
+  *,
+  uploader:uploaded_by(id, full_name, username, avatar_url)
+`;
+
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+class AttachmentService {
+  constructor() {
+    this.maxPerTarget = 10;
+    this.orphanTtlHours = 24;
+  }
+
+  targetColumn(target) {
+    const column = TARGET_COLUMNS[target];
+    if (!column) throw new Error(`Unknown attachment target "${target}"`);
+    return column;
+  }
+
+  sanitizeFileName(name) {
+    const cleaned = path.basename(String(name || 'file'))
+      .replace(/[\u0000-\u001f\u007f"\\]/g, '')
+      .trim();
+    return (cleaned || 'file').slice(0, 255);
+  }
+
+  async createThumbnail(file) {
+    if (!THUMBNAIL_MIME_TYPES.includes(file.mimetype)) return null;
+
+    try {
+      const image = sharp(file.buffer);
+      const metadata = await image.metadata();
+      const thumbnail = await image
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+
+      return { buffer: thumbnail, width: metadata.width || null, height: metadata.height || null };
+    } catch (error) {
+      // Not a decodable image after all; keep the file, skip the preview
+      console.warn(`⚠️ Could not create thumbnail for ${file.originalname}:`, error.message);
+      return null;
+    }
+  }
+
+  // Stores the multer files and creates their rows. Only a task can be given up front;
+  // comments and messages link their files when they are created (linkToTarget).
+  async createFromUploads(files, { projectId, userId, taskId = null }) {
+    const created = [];
+
+    for (const file of files) {
+      const id = crypto.randomUUID();
+      const extension = path.extname(file.originalname || '').toLowerCase().slice(0, 10);
+      const storageKey = `projects/${projectId}/${id}${extension}`;
+      const thumbnail = await this.createThumbnail(file);
+      const thumbnailKey = thumbnail ? `projects/${projectId}/${id}_thumb.webp` : null;
+
+      await storageService.put(storageKey, file.buffer, file.mimetype);
+      if (thumbnail) await storageService.put(thumbnailKey, thumbnail.buffer, 'image/webp');
+
+      const { data, error } = await supabase
+        .from('attachments')
+        .insert({
+          id,
+          project_id: projectId,
+          uploaded_by: userId,
+          task_id: taskId,
+          file_name: this.sanitizeFileName(file.originalname),
+          mime_type: file.mimetype,
+          size_bytes: file.size,
+          storage_key: storageKey,
+          thumbnail_key: thumbnailKey,
+          width: thumbnail?.width || null,
+          height: thumbnail?.height || null
+        })
+        .select(ATTACHMENT_SELECT)
+        .single();
+
+      if (error) {
+        await storageService.remove([storageKey, thumbnailKey]);
+        throw error;
+      }
+
+      created.push(data);
+    }
+
+    return created;
+  }
+
+  // Links the caller's own unlinked uploads in this project to a comment or message.
+  // Ids that are someone else's, already linked or from another project are ignored.
+  async linkToTarget(attachmentIds, { projectId, userId, target, targetId }) {
+    const ids = [...new Set((attachmentIds || []).filter(Boolean))].slice(0, this.maxPerTarget);
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('attachments')
+      .update({ [this.targetColumn(target)]: targetId })
+      .in('id', ids)
+      .eq('project_id', projectId)
+      .eq('uploaded_by', userId)
+      .is('task_id', null)
+      .is('comment_id', null)
+      .is('message_id', null)
+      .select(ATTACHMENT_SELECT);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async listForTargets(target, targetIds) {
+    if (!targetIds || targetIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('attachments')
+      .select(ATTACHMENT_SELECT)
+      .in(this.targetColumn(target), targetIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Adds `attachments` to each row (tasks, comments or messages)
+  async attachToTargets(target, rows) {
+    if (!rows || rows.length === 0) return rows || [];
+
+    const column = this.targetColumn(target);
+    const attachments = await this.listForTargets(target, rows.map(row => row.id));
+
+    const byTarget = new Map();
+    attachments.forEach(attachment => {
+      const targetId = attachment[column];
+      if (!byTarget.has(targetId)) byTarget.set(targetId, []);
+      byTarget.get(targetId).push(this.format(attachment));
+    });
+
+    return rows.map(row => ({ ...row, attachments: byTarget.get(row.id) || [] }));
+  }
+
+  async getAttachment(projectId, attachmentId) {
+    const { data, error } = await supabase
+      .from('attachments')
+      .select(ATTACHMENT_SELECT)
+      .eq('id', attachmentId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (error) return null;
+    return data;
+  }
+
+  async readFile(attachment, { thumbnail = false } = {}) {
+    return storageService.get(thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+  }
+
+  async deleteAttachment(attachment) {
+    const { error } = await supabase
+      .from('attachments')
+      .delete()
+      .eq('id', attachment.id);
+
+    if (error) throw error;
+
+    try {
+      await storageService.remove([attachment.storage_key, attachment.thumbnail_key]);
+    } catch (storageError) {
+      console.error('❌ Error removing attachment files:', storageError);
+    }
+  }
+
+  async deleteForTargets(target, targetIds) {
+    const attachments = await this.listForTargets(target, targetIds);
+    for (const attachment of attachments) {
+      await this.deleteAttachment(attachment);
+    }
+  }
+
+  // Uploads never linked to anything within the TTL (abandoned comment / message drafts)
+  async purgeOrphans() {
+    const cutoff = new Date(Date.now() - this.orphanTtlHours * 60 * 60 * 1000).toISOString();
+
+    const { data: orphans, error } = await supabase
+      .from('attachments')
+      .select('id, storage_key, thumbnail_key')
+      .is('task_id', null)
+      .is('comment_id', null)
+      .is('message_id', null)
+      .lt('created_at', cutoff);
+
+    if (error) throw error;
+
+    for (const attachment of orphans || []) {
+      await this.deleteAttachment(attachment);
+    }
+
+    return (orphans || []).length;
+  }
+
+  // API shape: storage keys stay server-side, clients get the routes that stream the file
+  format(attachment) {
+    const { storage_key, thumbnail_key, ...rest } = attachment;
+    const base = `/api/projects/${attachment.project_id}/attachments/${attachment.id}`;
+
+    return {
+      ...rest,
+      is_image: THUMBNAIL_MIME_TYPES.includes(attachment.mime_type),
+      download_url: `${base}/download`,
+      thumbnail_url: thumbnail_key ? `${base}/thumbnail` : null
+    };
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,288 @@
+// backend/services/chatModerationService.js
+// Project chat moderation, for members with chat.moderate (moderators, leads and the owner).
+//
+// Room settings live on chat_rooms: is_read_only (only moderators can post) and
+// slow_mode_seconds (0 = off; otherwise members wait that long between messages in the room).
+// Moderators are exempt from both, and from mutes.
+//
+// chat_mutes (id, project_id, user_id, muted_by, reason, expires_at, created_at) holds one mute
+// per member and project; it covers every room of the project and lapses at expires_at.
+//
+// Every moderator action is written to chat_moderation_log (id, project_id, room_id, actor_id,
+// action, target_user_id, message_id, details, created_at), which only the owner can read
+// (chat.audit). message_id is kept as a plain id, since the message may be gone: deleted messages
+// keep their content in details, so they can still be reviewed. Entries outlive the accounts
+// they mention: a deleted user's actor_id / target_user_id are cleared and their name is kept in
+// details.actor / details.target_user.
+const supabase = require('../config/supabase');
+const permissionService = require('./permissionService');
+
+const USER_FIELDS = 'id, username, full_name, avatar_url';
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+const MAX_SLOW_MODE_SECONDS = 3600;
+const DETACH_BATCH_SIZE = 500;
+
+const moderationError = (message, statusCode, extra = {}) => Object.assign(new Error(message), { statusCode, ...extra });
+
+class ChatModerationService {
+  constructor() {
+    this.maxMuteMinutes = MAX_MUTE_MINUTES;
+    this.maxSlowModeSeconds = MAX_SLOW_MODE_SECONDS;
+  }
+
+  async log(projectId, { actorId, action, roomId = null, targetUserId = null, messageId = null, details = {} }) {
+    const { error } = await supabase
+      .from('chat_moderation_log')
+      .insert({
+        project_id: projectId,
+        room_id: roomId,
+        actor_id: actorId,
+        action,
+        target_user_id: targetUserId,
+        message_id: messageId,
+        details,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) console.error('❌ Error writing moderation log:', error);
+  }
+
+  async getLog(projectId, { action = null, before = null, limit = 50 } = {}) {
+    let query = supabase
+      .from('chat_moderation_log')
+      .select(`
+        *,
+        actor:users!actor_id (${USER_FIELDS}),
+        target_user:users!target_user_id (${USER_FIELDS}),
+        room:chat_rooms!room_id (id, name)
+      `)
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (action) query = query.eq('action', action);
+    if (before) query = query.lt('created_at', before);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // The member's mute in the project while it lasts, otherwise null
+  async getActiveMute(projectId, userId) {
+    const { data } = await supabase
+      .from('chat_mutes')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    return data || null;
+  }
+
+  async listMutes(projectId) {
+    const { data, error } = await supabase
+      .from('chat_mutes')
+      .select(`*, user:users!user_id (${USER_FIELDS}), muted_by_user:users!muted_by (${USER_FIELDS})`)
+      .eq('project_id', projectId)
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Mutes a member for durationMinutes (replacing any current mute). The owner and other
+  // moderators can't be muted.
+  async muteMember(projectId, moderatorId, userId, { durationMinutes, reason = null }) {
+    if (userId === moderatorId) {
+      throw moderationError('You cannot mute yourself', 400);
+    }
+
+    const target = await permissionService.getProjectAccess(projectId, userId);
+    if (!target.isMember) {
+      throw moderationError('User is not a member of this project', 404);
+    }
+    if (target.isOwner || target.can('chat.moderate')) {
+      throw moderationError('The owner and chat moderators cannot be muted', 403);
+    }
+
+    const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000).toISOString();
+    const { data: mute, error } = await supabase
+      .from('chat_mutes')
+      .upsert({
+        project_id: projectId,
+        user_id: userId,
+        muted_by: moderatorId,
+        reason: reason?.trim() || null,
+        expires_at: expiresAt,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'project_id,user_id' })
+      .select(`*, user:users!user_id (${USER_FIELDS}), muted_by_user:users!muted_by (${USER_FIELDS})`)
+      .single();
+
+    if (error) throw error;
+
+    await this.log(projectId, {
+      actorId: moderatorId,
+      action: 'member_muted',
+      targetUserId: userId,
+      details: { duration_minutes: durationMinutes, expires_at: expiresAt, reason: mute.reason }
+    });
+
+    return mute;
+  }
+
+  // Lifts a member's mute; returns false when they weren't muted
+  async unmuteMember(projectId, moderatorId, userId) {
+    const mute = await this.getActiveMute(projectId, userId);
+
+    const { error } = await supabase
+      .from('chat_mutes')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    if (!mute) return false;
+
+    await this.log(projectId, {
+      actorId: moderatorId,
+      action: 'member_unmuted',
+      targetUserId: userId,
+      details: { expires_at: mute.expires_at }
+    });
+
+    return true;
+  }
+
+  // Applies { isReadOnly, slowModeSeconds } to a room; each setting that changes is logged.
+  // Returns the updated room.
+  async updateRoomSettings(room, moderatorId, { isReadOnly, slowModeSeconds }) {
+    const updates = {};
+    if (isReadOnly !== undefined && isReadOnly !== !!room.is_read_only) {
+      updates.is_read_only = isReadOnly;
+    }
+    if (slowModeSeconds !== undefined && slowModeSeconds !== (room.slow_mode_seconds || 0)) {
+      updates.slow_mode_seconds = slowModeSeconds;
+    }
+
+    if (Object.keys(updates).length === 0) return room;
+
+    const { data: updated, error } = await supabase
+      .from('chat_rooms')
+      .update(updates)
+      .eq('id', room.id)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    if (updates.is_read_only !== undefined) {
+      await this.log(room.project_id, {
+        actorId: moderatorId,
+        action: updates.is_read_only ? 'room_locked' : 'room_unlocked',
+        roomId: room.id
+      });
+    }
+    if (updates.slow_mode_seconds !== undefined) {
+      await this.log(room.project_id, {
+        actorId: moderatorId,
+        action: 'slow_mode_changed',
+        roomId: room.id,
+        details: { from: room.slow_mode_seconds || 0, to: updates.slow_mode_seconds }
+      });
+    }
+
+    return updated;
+  }
+
+  // Records a moderator deleting someone else's message, with what it said
+  async logDeletedMessage(message, moderatorId, deletedIds) {
+    await this.log(message.project_id, {
+      actorId: moderatorId,
+      action: 'message_deleted',
+      roomId: message.room_id,
+      targetUserId: message.user_id,
+      messageId: message.id,
+      details: {
+        content: message.content,
+        message_type: message.message_type,
+        sent_at: message.created_at,
+        thread_root_id: message.thread_root_id || null,
+        replies_deleted: deletedIds.length - 1
+      }
+    });
+  }
+
+  // Called before a user account is deleted, so the owner can still review what they did or
+  // what was done about them
+  async detachUser(user) {
+    const profile = { id: user.id, username: user.username, full_name: user.full_name };
+
+    for (const [column, key] of [['actor_id', 'actor'], ['target_user_id', 'target_user']]) {
+      for (;;) {
+        const { data: entries, error } = await supabase
+          .from('chat_moderation_log')
+          .select('id, details')
+          .eq(column, user.id)
+          .limit(DETACH_BATCH_SIZE);
+
+        if (error) throw error;
+        if (!entries || entries.length === 0) break;
+
+        const results = await Promise.all(entries.map(entry =>
+          supabase
+            .from('chat_moderation_log')
+            .update({ [column]: null, details: { ...(entry.details || {}), [key]: profile } })
+            .eq('id', entry.id)
+        ));
+
+        const failed = results.find(result => result.error);
+        if (failed) throw failed.error;
+      }
+    }
+  }
+
+  // Throws (statusCode 403) when the member may not change anything in the project room:
+  // they're muted or the room is read-only. Edits, reactions and pins go through this;
+  // access is the member's project access.
+  async assertCanWrite(room, userId, access) {
+    if (access.can('chat.moderate')) return;
+
+    const mute = await this.getActiveMute(room.project_id, userId);
+    if (mute) {
+      throw moderationError("You are muted in this project's chat", 403, { mutedUntil: mute.expires_at });
+    }
+
+    if (room.is_read_only) {
+      throw moderationError('This room is read-only', 403);
+    }
+  }
+
+  // Like assertCanWrite, for new messages, which slow mode also limits: throws with statusCode
+  // 429 and retryAfter seconds until the member's last message there is old enough.
+  async assertCanPost(room, userId, access) {
+    await this.assertCanWrite(room, userId, access);
+    if (access.can('chat.moderate')) return;
+
+    if (room.slow_mode_seconds > 0) {
+      const { data: latest } = await supabase
+        .from('chat_messages')
+        .select('created_at')
+        .eq('room_id', room.id)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      const elapsed = latest?.[0] ? (Date.now() - new Date(latest[0].created_at).getTime()) / 1000 : Infinity;
+      if (elapsed < room.slow_mode_seconds) {
+        const retryAfter = Math.ceil(room.slow_mode_seconds - elapsed);
+        throw moderationError(`Slow mode is on. You can send another message in ${retryAfter}s`, 429, { retryAfter });
+      }
+    }
+  }
+}
+
+module.exports = new ChatModerationService();
@@ -0,0 +1,687 @@
+// backend/services/chatService.js
+// Project chat messages, shared by the REST controller and the socket handler.
+//
+// Threads: a message with chat_messages.thread_root_id is a reply in the thread started by that
+// (top-level) message and stays out of the room's main stream. chat_thread_reads (user_id,
+// root_message_id, last_read_at) records how far each member has read a thread; a member follows
+// a thread they started, replied in or opened, and sees its unread replies from others.
+//
+// Reactions: chat_message_reactions (id, message_id, user_id, emoji, created_at), one row per
+// user and emoji, toggled on and off.
+//
+// Pins: chat_messages.pinned_at / pinned_by mark a message pinned to its room; pinning and
+// unpinning take chat.moderate.
+//
+// Search uses Postgres full-text search on chat_messages.content (websearch syntax: quoted
+// phrases, -exclusions, or); results carry a snippet with the matched ranges to highlight.
+//
+// History pages by message id (before / after cursors), never by offset, so messages arriving
+// while someone scrolls don't shift the pages.
+//
+// Read pointers: chat_room_reads (room_id, user_id, last_read_message_id, last_read_at), one row
+// per user and room, project rooms and direct conversations alike. Unread counts, "seen by"
+// receipts and the new-messages divider all come from it. Pointers only move forward.
+const supabase = require('../config/supabase');
+const attachmentService = require('./attachmentService');
+
+const USER_FIELDS = 'id, username, full_name, avatar_url';
+const MESSAGE_SELECT = `
+  *,
+  user:users!user_id (
+    ${USER_FIELDS}
+  )
+`;
+// Read pointers carry the reader, so a pointer is also a "seen by" receipt
+const READ_POINTER_FIELDS = `room_id, user_id, last_read_message_id, last_read_at, user:users!user_id (${USER_FIELDS})`;
+const MAX_PINS_PER_ROOM = 50;
+// Thread participants shown next to the reply count
+const MAX_THREAD_PARTICIPANTS = 5;
+// Characters of context kept on each side of the first match in a search snippet
+const SNIPPET_RADIUS = 80;
+
+// A single emoji (with modifiers, skin tones or ZWJ sequences), not arbitrary text
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:[\u200D\uFE0F\u20E3\p{Emoji_Modifier}\p{Extended_Pictographic}\p{Regional_Indicator}])*$/u;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Words and quoted phrases to highlight for a websearch query; exclusions and "or" are skipped
+const searchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1]) terms.push(match[2].trim().toLowerCase());
+      continue;
+    }
+
+    const word = match[3];
+    if (word.startsWith('-') || word.toLowerCase() === 'or') continue;
+    const cleaned = word.replace(/^\W+|\W+$/g, '').toLowerCase();
+    if (cleaned) terms.push(cleaned);
+  }
+
+  return [...new Set(terms.filter(Boolean))];
+};
+
+// Full-text search matches word stems ("deployed" finds "deploying"), so highlight by stem
+const stem = (term) => {
+  const stripped = term.replace(/(ing|ed|es|s|ly)$/, '');
+  return stripped.length >= 3 ? stripped : term;
+};
+
+// The part of the content around the first match, and the [start, end) ranges to highlight in it
+const buildSnippet = (content, terms) => {
+  const ranges = [];
+  terms.forEach(term => {
+    const pattern = new RegExp(`\\b${escapeRegExp(stem(term))}\\w*`, 'gi');
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+  });
+
+  // Sorted, with overlapping ranges merged
+  const merged = ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((list, range) => {
+      const last = list[list.length - 1];
+      if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+      else list.push([...range]);
+      return list;
+    }, []);
+
+  const first = merged[0] || [0, 0];
+  const start = Math.max(0, first[0] - SNIPPET_RADIUS);
+  const end = Math.min(content.length, first[1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights: merged
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length])
+  };
+};
+
+class ChatService {
+  constructor() {
+    this.maxPinsPerRoom = MAX_PINS_PER_ROOM;
+  }
+
+  isValidEmoji(emoji) {
+    return typeof emoji === 'string' && emoji.length <= 32 && EMOJI_PATTERN.test(emoji);
+  }
+
+  async getRoom(projectId, roomId, { includeArchived = false } = {}) {
+    let query = supabase
+      .from('chat_rooms')
+      .select('*')
+      .eq('id', roomId)
+      .eq('project_id', projectId);
+
+    if (!includeArchived) query = query.eq('is_archived', false);
+
+    const { data } = await query.single();
+    return data || null;
+  }
+
+  // The message with its room's project_id and moderation settings (as `room`), or null
+  async getMessage(messageId) {
+    const { data } = await supabase
+      .from('chat_messages')
+      .select('*, chat_rooms!inner(id, project_id, is_read_only, slow_mode_seconds)')
+      .eq('id', messageId)
+      .single();
+
+    if (!data) return null;
+    const { chat_rooms: room, ...message } = data;
+    return { ...message, project_id: room.project_id, room };
+  }
+
+  // Quoted messages for reply_to_message_id, fetched in one query
+  async attachReplyTo(messages) {
+    const ids = [...new Set(messages.map(message => message.reply_to_message_id).filter(Boolean))];
+    if (ids.length === 0) return messages;
+
+    const { data } = await supabase
+      .from('chat_messages')
+      .select(`id, content, user:users!user_id (${USER_FIELDS})`)
+      .in('id', ids);
+
+    const byId = new Map((data || []).map(message => [message.id, message]));
+    return messages.map(message => (
+      byId.has(message.reply_to_message_id) ? { ...message, reply_to: byId.get(message.reply_to_message_id) } : message
+    ));
+  }
+
+  async getReactions(messageIds) {
+    if (messageIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from('chat_message_reactions')
+      .select('message_id, user_id, emoji, created_at')
+      .in('message_id', messageIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    // message_id -> [{ emoji, count, user_ids }] in order of first use
+    const byMessage = new Map();
+    (data || []).forEach(reaction => {
+      if (!byMessage.has(reaction.message_id)) byMessage.set(reaction.message_id, new Map());
+      const emojis = byMessage.get(reaction.message_id);
+      if (!emojis.has(reaction.emoji)) emojis.set(reaction.emoji, { emoji: reaction.emoji, count: 0, user_ids: [] });
+
+      const entry = emojis.get(reaction.emoji);
+      entry.count++;
+      entry.user_ids.push(reaction.user_id);
+    });
+
+    return new Map([...byMessage].map(([messageId, emojis]) => [messageId, [...emojis.values()]]));
+  }
+
+  // Reply count, last reply, participants and the user's unread replies for each thread root
+  async getThreadSummaries(roots, userId) {
+    const rootIds = roots.map(root => root.id);
+    if (rootIds.length === 0) return new Map();
+
+    const [{ data: replies, error }, { data: reads }] = await Promise.all([
+      supabase
+        .from('chat_messages')
+        .select('thread_root_id, user_id, created_at')
+        .in('thread_root_id', rootIds)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('chat_thread_reads')
+        .select('root_message_id, last_read_at')
+        .eq('user_id', userId)
+        .in('root_message_id', rootIds)
+    ]);
+
+    if (error) throw error;
+
+    const lastReadByRoot = new Map((reads || []).map(read => [read.root_message_id, read.last_read_at]));
+    const summaries = new Map();
+
+    roots.forEach(root => {
+      const threadReplies = (replies || []).filter(reply => reply.thread_root_id === root.id);
+      if (threadReplies.length === 0) return;
+
+      const participantIds = [...new Set([root.user_id, ...threadReplies.map(reply => reply.user_id)])];
+      const following = lastReadByRoot.has(root.id) || participantIds.includes(userId);
+      const lastReadAt = lastReadByRoot.get(root.id);
+
+      summaries.set(root.id, {
+        reply_count: threadReplies.length,
+        last_reply_at: threadReplies[threadReplies.length - 1].created_at,
+        participant_ids: participantIds.slice(0, MAX_THREAD_PARTICIPANTS),
+        following,
+        unread_count: following
+          ? threadReplies.filter(reply => reply.user_id !== userId && (!lastReadAt || reply.created_at > lastReadAt)).length
+          : 0
+      });
+    });
+
+    return summaries;
+  }
+
+  // Adds reply_to, attachments, reactions and (for top-level messages) the thread summary
+  async decorate(messages, userId) {
+    if (!messages || messages.length === 0) return [];
+
+    const withReplies = await this.attachReplyTo(messages);
+    const withAttachments = await attachmentService.attachToTargets('message', withReplies);
+    const [reactions, threads] = await Promise.all([
+      this.getReactions(messages.map(message => message.id)),
+      this.getThreadSummaries(messages.filter(message => !message.thread_root_id), userId)
+    ]);
+
+    return withAttachments.map(message => ({
+      ...message,
+      reactions: reactions.get(message.id) || [],
+      thread: message.thread_root_id ? null : threads.get(message.id) || null
+    }));
+  }
+
+  // A page of the room's top-level messages, oldest first. `before` gives the page just older
+  // than that message, `after` the page just newer, neither the latest page. Returns null when
+  // the cursor message isn't in the room.
+  async getMessagesPage(roomId, userId, { before = null, after = null, limit = 50 } = {}) {
+    const cursorId = after || before;
+    let cursor = null;
+
+    if (cursorId) {
+      const { data } = await supabase
+        .from('chat_messages')
+        .select('id, created_at')
+        .eq('id', cursorId)
+        .eq('room_id', roomId)
+        .single();
+
+      if (!data) return null;
+      cursor = data;
+    }
+
+    const newer = !!after;
+    let query = supabase
+      .from('chat_messages')
+      .select(MESSAGE_SELECT)
+      .eq('room_id', roomId)
+      .is('thread_root_id', null);
+
+    if (cursor) {
+      // Messages sharing the cursor's timestamp are ordered by id, so none is skipped or repeated
+      const op = newer ? 'gt' : 'lt';
+      query = query.or(
+        `created_at.${op}."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.${op}.${cursor.id})`
+      );
+    }
+
+    // One extra row tells whether there's another page
+    const { data, error } = await query
+      .order('created_at', { ascending: newer })
+      .order('id', { ascending: newer })
+      .limit(limit + 1);
+
+    if (error) throw error;
+
+    const rows = (data || []).slice(0, limit);
+    const morePages = (data || []).length > limit;
+    const messages = await this.decorate(newer ? rows : rows.reverse(), userId);
+
+    return {
+      messages,
+      // Older messages exist; newer ones exist
+      hasMore: newer ? true : morePages,
+      hasNewer: newer ? morePages : !!before
+    };
+  }
+
+  // Top-level messages around one message, oldest first: up to half the limit before it, and it
+  // with the rest after it. A thread reply is shown through its root.
+  async getMessagesAround(roomId, messageId, userId, limit = 50) {
+    const { data: target } = await supabase
+      .from('chat_messages')
+      .select('id, room_id, thread_root_id, created_at')
+      .eq('id', messageId)
+      .eq('room_id', roomId)
+      .single();
+
+    if (!target) return null;
+
+    let anchor = target;
+    if (target.thread_root_id) {
+      const { data: root } = await supabase
+        .from('chat_messages')
+        .select('id, room_id, thread_root_id, created_at')
+        .eq('id', target.thread_root_id)
+        .single();
+      if (!root) return null;
+      anchor = root;
+    }
+
+    const beforeLimit = Math.floor(limit / 2);
+    const afterLimit = limit - beforeLimit;
+
+    const [{ data: before, error: beforeError }, { data: after, error: afterError }] = await Promise.all([
+      supabase
+        .from('chat_messages')
+        .select(MESSAGE_SELECT)
+        .eq('room_id', roomId)
+        .is('thread_root_id', null)
+        .lt('created_at', anchor.created_at)
+        .order('created_at', { ascending: false })
+        .limit(beforeLimit),
+      supabase
+        .from('chat_messages')
+        .select(MESSAGE_SELECT)
+        .eq('room_id', roomId)
+        .is('thread_root_id', null)
+        .gte('created_at', anchor.created_at)
+        .order('created_at', { ascending: true })
+        .limit(afterLimit)
+    ]);
+
+    if (beforeError) throw beforeError;
+    if (afterError) throw afterError;
+
+    const messages = await this.decorate([...(before || []).reverse(), ...(after || [])], userId);
+    return {
+      messages,
+      anchorId: anchor.id,
+      hasMore: (before || []).length === beforeLimit,
+      hasNewer: (after || []).length === afterLimit
+    };
+  }
+
+  // Messages in the project's open rooms matching a websearch query, newest first.
+  // Filters: roomId, authorId, from / to (ISO dates), hasAttachment, hasCode.
+  async searchMessages(projectId, { query, roomId, authorId, from, to, hasAttachment = false, hasCode = false, page = 1, limit = 20 }) {
+    const { data: rooms, error: roomsError } = await supabase
+      .from('chat_rooms')
+      .select('id, name')
+      .eq('project_id', projectId)
+      .eq('is_archived', false);
+
+    if (roomsError) throw roomsError;
+
+    const searchable = (rooms || []).filter(room => !roomId || room.id === roomId);
+    const pagination = { page, limit, hasMore: false };
+    if (searchable.length === 0) return { results: [], pagination };
+
+    let search = supabase
+      .from('chat_messages')
+      .select(MESSAGE_SELECT)
+      .in('room_id', searchable.map(room => room.id))
+      .textSearch('content', query, { type: 'websearch', config: 'english' });
+
+    if (authorId) search = search.eq('user_id', authorId);
+    if (from) search = search.gte('created_at', from);
+    if (to && DATE_ONLY_PATTERN.test(to)) {
+      // A bare date means the whole day, up to the next midnight
+      const nextDay = new Date(`${to}T00:00:00.000Z`);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      search = search.lt('created_at', nextDay.toISOString());
+    } else if (to) {
+      search = search.lte('created_at', to);
+    }
+    // Messages sent with files are saved as 'file' messages
+    if (hasAttachment) search = search.eq('message_type', 'file');
+    if (hasCode) search = search.or('message_type.eq.code,content.like.*```*');
+
+    // One extra row tells whether there's another page
+    const offset = (page - 1) * limit;
+    const { data, error } = await search
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit);
+
+    if (error) throw error;
+
+    const roomsById = new Map(searchable.map(room => [room.id, room]));
+    const terms = searchTerms(query);
+    const results = (data || []).slice(0, limit).map(message => ({
+      id: message.id,
+      room_id: message.room_id,
+      room: roomsById.get(message.room_id) || null,
+      thread_root_id: message.thread_root_id || null,
+      message_type: message.message_type,
+      user: message.user,
+      content: message.content,
+      created_at: message.created_at,
+      ...buildSnippet(message.content || '', terms)
+    }));
+
+    return { results, pagination: { ...pagination, hasMore: (data || []).length > limit } };
+  }
+
+  // Saves a message (a thread reply when threadRootId is set) and links its attachments.
+  // Throws with a statusCode when the thread root isn't a top-level message in the room.
+  async createMessage({ room, userId, content, messageType = 'text', replyToMessageId = null, threadRootId = null, attachmentIds = [] }) {
+    if (threadRootId) {
+      const { data: root } = await supabase
+        .from('chat_messages')
+        .select('id, room_id, thread_root_id')
+        .eq('id', threadRootId)
+        .single();
+
+      if (!root || root.room_id !== room.id || root.thread_root_id) {
+        throw Object.assign(new Error('Thread not found in this room'), { statusCode: 404 });
+      }
+    }
+
+    const { data: message, error } = await supabase
+      .from('chat_messages')
+      .insert({
+        room_id: room.id,
+        user_id: userId,
+        content: content.trim(),
+        message_type: attachmentIds.length > 0 && messageType === 'text' ? 'file' : messageType,
+        reply_to_message_id: replyToMessageId || null,
+        thread_root_id: threadRootId || null
+      })
+      .select(MESSAGE_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    const [processedMessage] = await this.attachReplyTo([message]);
+    const attachments = await attachmentService.linkToTarget(attachmentIds, {
+      projectId: room.project_id,
+      userId,
+      target: 'message',
+      targetId: message.id
+    });
+
+    // Writing in a thread or room counts as having read it
+    if (threadRootId) await this.markThreadRead(threadRootId, userId, message.created_at);
+    else await this.markRoomRead(room.id, userId, message.id);
+
+    return {
+      ...processedMessage,
+      attachments: attachments.map(attachment => attachmentService.format(attachment)),
+      reactions: [],
+      thread: null
+    };
+  }
+
+  // Removes a message with its attachments and reactions; a thread root takes its replies along.
+  // Returns the ids of every deleted message.
+  async deleteMessage(message) {
+    const { data: replies } = message.thread_root_id
+      ? { data: [] }
+      : await supabase.from('chat_messages').select('id').eq('thread_root_id', message.id);
+
+    const ids = [message.id, ...(replies || []).map(reply => reply.id)];
+
+    await attachmentService.deleteForTargets('message', ids);
+    await supabase.from('chat_message_reactions').delete().in('message_id', ids);
+    if (!message.thread_root_id) {
+      await supabase.from('chat_thread_reads').delete().eq('root_message_id', message.id);
+      // Pointers keep their timestamp, which is all unread counts need
+      await supabase.from('chat_room_reads').update({ last_read_message_id: null }).eq('last_read_message_id', message.id);
+    }
+
+    // Replies first, so nothing is left pointing at a deleted root
+    if (ids.length > 1) {
+      const { error: repliesError } = await supabase.from('chat_messages').delete().in('id', ids.slice(1));
+      if (repliesError) throw repliesError;
+    }
+
+    const { error } = await supabase.from('chat_messages').delete().eq('id', message.id);
+    if (error) throw error;
+
+    return ids;
+  }
+
+  // The root and its replies, oldest first, or null when the root isn't a top-level message
+  async getThread(roomId, rootId, userId) {
+    const { data: root } = await supabase
+      .from('chat_messages')
+      .select(MESSAGE_SELECT)
+      .eq('id', rootId)
+      .eq('room_id', roomId)
+      .is('thread_root_id', null)
+      .single();
+
+    if (!root) return null;
+
+    const { data: replies, error } = await supabase
+      .from('chat_messages')
+      .select(MESSAGE_SELECT)
+      .eq('thread_root_id', rootId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const [decoratedRoot, ...decoratedReplies] = await this.decorate([root, ...(replies || [])], userId);
+    return { root: decoratedRoot, replies: decoratedReplies };
+  }
+
+  async getReadPointer(roomId, userId) {
+    const { data } = await supabase
+      .from('chat_room_reads')
+      .select(READ_POINTER_FIELDS)
+      .eq('room_id', roomId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return data || null;
+  }
+
+  // Moves the user's read pointer forward to a top-level message (by default the room's latest).
+  // Returns the pointer, unchanged when it's already past that message.
+  async markRoomRead(roomId, userId, messageId = null) {
+    let query = supabase
+      .from('chat_messages')
+      .select('id, created_at')
+      .eq('room_id', roomId)
+      .is('thread_root_id', null);
+
+    query = messageId
+      ? query.eq('id', messageId)
+      : query.order('created_at', { ascending: false }).limit(1);
+
+    const [{ data: rows }, current] = await Promise.all([query, this.getReadPointer(roomId, userId)]);
+    const message = rows?.[0];
+
+    if (!message || (current && new Date(current.last_read_at) >= new Date(message.created_at))) {
+      return current;
+    }
+
+    const { data, error } = await supabase
+      .from('chat_room_reads')
+      .upsert({
+        room_id: roomId,
+        user_id: userId,
+        last_read_message_id: message.id,
+        last_read_at: message.created_at
+      }, { onConflict: 'room_id,user_id' })
+      .select(READ_POINTER_FIELDS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // roomId -> number of top-level messages from others after the user's read pointer
+  async getUnreadCounts(roomIds, userId) {
+    if (roomIds.length === 0) return new Map();
+
+    const { data: reads } = await supabase
+      .from('chat_room_reads')
+      .select('room_id, last_read_at')
+      .eq('user_id', userId)
+      .in('room_id', roomIds);
+
+    const lastReadByRoom = new Map((reads || []).map(read => [read.room_id, read.last_read_at]));
+
+    const counts = await Promise.all(roomIds.map(async (roomId) => {
+      let query = supabase
+        .from('chat_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('room_id', roomId)
+        .is('thread_root_id', null)
+        .neq('user_id', userId);
+
+      if (lastReadByRoom.has(roomId)) query = query.gt('created_at', lastReadByRoom.get(roomId));
+
+      const { count } = await query;
+      return [roomId, count || 0];
+    }));
+
+    return new Map(counts);
+  }
+
+  // Everyone's read pointer in the room, for "seen by" receipts
+  async getReadReceipts(roomId) {
+    const { data, error } = await supabase
+      .from('chat_room_reads')
+      .select(READ_POINTER_FIELDS)
+      .eq('room_id', roomId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async markThreadRead(rootId, userId, readAt = new Date().toISOString()) {
+    const { error } = await supabase
+      .from('chat_thread_reads')
+      .upsert({ root_message_id: rootId, user_id: userId, last_read_at: readAt }, { onConflict: 'root_message_id,user_id' });
+
+    if (error) throw error;
+    return readAt;
+  }
+
+  // Adds the user's reaction, or removes it when it's already there; returns the message's reactions
+  async toggleReaction(messageId, userId, emoji) {
+    const { data: existing } = await supabase
+      .from('chat_message_reactions')
+      .select('id')
+      .eq('message_id', messageId)
+      .eq('user_id', userId)
+      .eq('emoji', emoji)
+      .maybeSingle();
+
+    if (existing) {
+      const { error } = await supabase.from('chat_message_reactions').delete().eq('id', existing.id);
+      if (error) throw error;
+    } else {
+      const { error } = await supabase
+        .from('chat_message_reactions')
+        .insert({ message_id: messageId, user_id: userId, emoji, created_at: new Date().toISOString() });
+      if (error) throw error;
+    }
+
+    const reactions = await this.getReactions([messageId]);
+    return reactions.get(messageId) || [];
+  }
+
+  async getPinnedMessages(roomId, userId) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select(`${MESSAGE_SELECT}, pinned_by_user:users!pinned_by (${USER_FIELDS})`)
+      .eq('room_id', roomId)
+      .not('pinned_at', 'is', null)
+      .order('pinned_at', { ascending: false });
+
+    if (error) throw error;
+    return this.decorate(data || [], userId);
+  }
+
+  // Pins or unpins a top-level message; throws with a statusCode when the room is full
+  async setPinned(message, userId, pinned) {
+    if (pinned && !message.pinned_at) {
+      const { count } = await supabase
+        .from('chat_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('room_id', message.room_id)
+        .not('pinned_at', 'is', null);
+
+      if (count >= MAX_PINS_PER_ROOM) {
+        throw Object.assign(new Error(`A room can have at most ${MAX_PINS_PER_ROOM} pinned messages`), { statusCode: 400 });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .update(pinned
+        ? { pinned_at: message.pinned_at || new Date().toISOString(), pinned_by: message.pinned_by || userId }
+        : { pinned_at: null, pinned_by: null })
+      .eq('id', message.id)
+      .select(`${MESSAGE_SELECT}, pinned_by_user:users!pinned_by (${USER_FIELDS})`)
+      .single();
+
+    if (error) throw error;
+
+    const [decorated] = await this.decorate([data], userId);
+    return decorated;
+  }
+}
+
+module.exports = new ChatService();
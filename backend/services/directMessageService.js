@@ -0,0 +1,283 @@
+// backend/services/directMessageService.js
+// Direct messages between users, outside any project.
+//
+// A conversation is a chat_rooms row with project_id NULL and room_type 'direct' (two people)
+// or 'group_dm' (up to MAX_GROUP_MEMBERS). Its messages are ordinary chat_messages, so
+// replies, edits, deletes, reactions and pins work as in project rooms; with no moderators,
+// any participant can pin.
+//
+// chat_room_members (room_id, user_id, joined_at) lists who is in a conversation. Read state
+// uses the same chat_room_reads pointers as project rooms (see chatService).
+//
+// Starting a conversation requires the starter to be friends with, or share a project with,
+// every other participant.
+const supabase = require('../config/supabase');
+const chatService = require('./chatService');
+
+const DIRECT_TYPES = ['direct', 'group_dm'];
+const MAX_GROUP_MEMBERS = 10;
+const USER_FIELDS = 'id, username, full_name, avatar_url';
+
+const directMessageError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class DirectMessageService {
+  constructor() {
+    this.maxGroupMembers = MAX_GROUP_MEMBERS;
+  }
+
+  isDirectRoom(room) {
+    return !!room && !room.project_id && DIRECT_TYPES.includes(room.room_type);
+  }
+
+  async areFriends(userId, otherId) {
+    const { data } = await supabase
+      .from('user_friendships')
+      .select('id')
+      .eq('status', 'accepted')
+      .or(`and(requester_id.eq.${userId},addressee_id.eq.${otherId}),and(requester_id.eq.${otherId},addressee_id.eq.${userId})`)
+      // Rows may exist in both directions
+      .limit(1);
+
+    return !!data?.length;
+  }
+
+  // Ids of the projects the user owns or is an active member of
+  async getProjectIds(userId) {
+    const [{ data: owned }, { data: memberships }] = await Promise.all([
+      supabase.from('projects').select('id').eq('owner_id', userId),
+      supabase.from('project_members').select('project_id').eq('user_id', userId).eq('status', 'active')
+    ]);
+
+    return new Set([
+      ...(owned || []).map(project => project.id),
+      ...(memberships || []).map(membership => membership.project_id)
+    ]);
+  }
+
+  async shareProject(userId, otherId) {
+    const [mine, theirs] = await Promise.all([this.getProjectIds(userId), this.getProjectIds(otherId)]);
+    return [...mine].some(projectId => theirs.has(projectId));
+  }
+
+  async canMessage(userId, otherId) {
+    if (userId === otherId) return false;
+    return await this.areFriends(userId, otherId) || this.shareProject(userId, otherId);
+  }
+
+  async getMembers(roomId) {
+    const { data, error } = await supabase
+      .from('chat_room_members')
+      .select(`user_id, joined_at, user:users!user_id (${USER_FIELDS})`)
+      .eq('room_id', roomId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // The conversation when the user is in it, otherwise null
+  async getConversation(roomId, userId) {
+    const { data: room } = await supabase
+      .from('chat_rooms')
+      .select('*')
+      .eq('id', roomId)
+      .is('project_id', null)
+      .in('room_type', DIRECT_TYPES)
+      .single();
+
+    if (!room) return null;
+
+    const members = await this.getMembers(room.id);
+    if (!members.some(member => member.user_id === userId)) return null;
+
+    return { ...room, members };
+  }
+
+  // Room ids of every conversation the user is in
+  async getRoomIds(userId) {
+    const { data, error } = await supabase
+      .from('chat_room_members')
+      .select('room_id')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return (data || []).map(membership => membership.room_id);
+  }
+
+  // Ids of everyone the user has a conversation with (for presence updates)
+  async getPartnerIds(userId) {
+    const roomIds = await this.getRoomIds(userId);
+    if (roomIds.length === 0) return [];
+
+    const { data } = await supabase
+      .from('chat_room_members')
+      .select('user_id')
+      .in('room_id', roomIds)
+      .neq('user_id', userId);
+
+    return [...new Set((data || []).map(member => member.user_id))];
+  }
+
+  // The user's conversations with members, last message and unread count, most recent first.
+  // With roomId, just that conversation (still as a list).
+  async listConversations(userId, { roomId = null } = {}) {
+    let query = supabase
+      .from('chat_room_members')
+      .select('room_id, room:chat_rooms!room_id (*)')
+      .eq('user_id', userId);
+
+    if (roomId) query = query.eq('room_id', roomId);
+
+    const { data: memberships, error } = await query;
+
+    if (error) throw error;
+
+    const conversations = (memberships || []).filter(membership => this.isDirectRoom(membership.room));
+    if (conversations.length === 0) return [];
+
+    const roomIds = conversations.map(membership => membership.room_id);
+    const [{ data: members }, unreadCounts] = await Promise.all([
+      supabase
+        .from('chat_room_members')
+        .select(`room_id, user_id, user:users!user_id (${USER_FIELDS})`)
+        .in('room_id', roomIds),
+      chatService.getUnreadCounts(roomIds, userId)
+    ]);
+
+    const summaries = await Promise.all(conversations.map(async ({ room }) => {
+      const { data: latest } = await supabase
+        .from('chat_messages')
+        .select(`id, room_id, user_id, content, message_type, created_at, user:users!user_id (${USER_FIELDS})`)
+        .eq('room_id', room.id)
+        .is('thread_root_id', null)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      const lastMessage = latest?.[0] || null;
+      return {
+        ...room,
+        members: (members || []).filter(member => member.room_id === room.id).map(member => member.user),
+        last_message: lastMessage,
+        unread_count: unreadCounts.get(room.id) || 0,
+        last_activity_at: lastMessage?.created_at || room.created_at
+      };
+    }));
+
+    return summaries.sort((a, b) => new Date(b.last_activity_at) - new Date(a.last_activity_at));
+  }
+
+  // One conversation as listed in the inbox, or null
+  async getSummary(roomId, userId) {
+    const [summary] = await this.listConversations(userId, { roomId });
+    return summary || null;
+  }
+
+  // The existing one-to-one conversation between two users, or null
+  async findDirect(userId, otherId) {
+    const roomIds = await this.getRoomIds(userId);
+    if (roomIds.length === 0) return null;
+
+    const { data: shared } = await supabase
+      .from('chat_room_members')
+      .select('room_id, room:chat_rooms!room_id (id, room_type, project_id)')
+      .in('room_id', roomIds)
+      .eq('user_id', otherId);
+
+    const match = (shared || []).find(membership => (
+      membership.room && !membership.room.project_id && membership.room.room_type === 'direct'
+    ));
+    return match ? this.getConversation(match.room_id, userId) : null;
+  }
+
+  // Opens the one-to-one conversation with a single other user (reusing an existing one), or
+  // starts a group conversation with several. Returns { conversation, created }.
+  async startConversation(userId, otherIds, name = null) {
+    const participantIds = [...new Set(otherIds.filter(id => id && id !== userId))];
+
+    if (participantIds.length === 0) {
+      throw directMessageError('Choose at least one person to message', 400);
+    }
+    if (participantIds.length + 1 > MAX_GROUP_MEMBERS) {
+      throw directMessageError(`Group conversations are limited to ${MAX_GROUP_MEMBERS} people`, 400);
+    }
+
+    const { data: users } = await supabase
+      .from('users')
+      .select('id')
+      .in('id', participantIds);
+
+    if ((users || []).length !== participantIds.length) {
+      throw directMessageError('User not found', 404);
+    }
+
+    const allowed = await Promise.all(participantIds.map(otherId => this.canMessage(userId, otherId)));
+    if (allowed.includes(false)) {
+      throw directMessageError('You can only message friends or people you share a project with', 403);
+    }
+
+    const isGroup = participantIds.length > 1;
+    if (!isGroup) {
+      const existing = await this.findDirect(userId, participantIds[0]);
+      if (existing) return { conversation: existing, created: false };
+    }
+
+    const { data: room, error } = await supabase
+      .from('chat_rooms')
+      .insert({
+        project_id: null,
+        name: isGroup ? (name?.trim() || 'Group chat') : 'Direct message',
+        room_type: isGroup ? 'group_dm' : 'direct',
+        created_by: userId
+      })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    const now = new Date().toISOString();
+    const { error: membersError } = await supabase
+      .from('chat_room_members')
+      .insert([userId, ...participantIds].map(memberId => ({
+        room_id: room.id,
+        user_id: memberId,
+        joined_at: now
+      })));
+
+    if (membersError) {
+      await supabase.from('chat_rooms').delete().eq('id', room.id);
+      throw membersError;
+    }
+
+    return { conversation: await this.getConversation(room.id, userId), created: true };
+  }
+
+  // Leaving a group removes the member; the conversation goes once nobody is left in it
+  async leaveGroup(conversation, userId) {
+    if (conversation.room_type !== 'group_dm') {
+      throw directMessageError('Only group conversations can be left', 400);
+    }
+
+    const { error } = await supabase
+      .from('chat_room_members')
+      .delete()
+      .eq('room_id', conversation.id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    await supabase.from('chat_room_reads').delete().eq('room_id', conversation.id).eq('user_id', userId);
+
+    const remaining = conversation.members.filter(member => member.user_id !== userId);
+    if (remaining.length === 0) {
+      const { data: messages } = await supabase.from('chat_messages').select('id').eq('room_id', conversation.id);
+      const ids = (messages || []).map(message => message.id);
+      if (ids.length > 0) {
+        await supabase.from('chat_message_reactions').delete().in('message_id', ids);
+        await supabase.from('chat_messages').delete().eq('room_id', conversation.id);
+      }
+      await supabase.from('chat_rooms').delete().eq('id', conversation.id);
+    }
+
+    return remaining.map(member => member.user_id);
+  }
+}
+
+module.exports = new DirectMessageService();
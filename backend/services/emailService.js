@@ -1,5 +1,23 @@
 const nodemailer = require('nodemailer');
 
+const DIGEST_TYPE_LABELS = {
+    task_assigned: 'Tasks assigned to you',
+    task_due_soon: 'Tasks due soon',
+    member_joined: 'New team members',
+    member_removed: 'Project removals',
+    role_changed: 'Role changes',
+    friend_request: 'Friend requests',
+    award_earned: 'Awards earned',
+    challenge_result: 'Challenge results'
+};
+
+// Digest content includes titles written by other users
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -271,6 +289,188 @@ class EmailService {
         }
     }
 
+    // Daily/weekly batch of unread notifications, grouped by event type
+    async sendNotificationDigest(email, username, { frequency, notifications }) {
+        await this.initialize();
+
+        const appUrl = process.env.FRONTEND_URL;
+        const period = frequency === 'weekly' ? 'week' : 'day';
+
+        const groups = notifications.reduce((grouped, notification) => {
+            (grouped[notification.type] = grouped[notification.type] || []).push(notification);
+            return grouped;
+        }, {});
+
+        const sections = Object.entries(groups).map(([type, items]) => `
+                            <div class="group">
+                                <h2>${DIGEST_TYPE_LABELS[type] || 'Other updates'} <span class="count">${items.length}</span></h2>
+                                ${items.map(item => `
+                                <div class="item">
+                                    <a href="${appUrl}${item.data?.link || '/dashboard'}" class="item-title">${escapeHtml(item.title)}</a>
+                                    <p class="item-message">${escapeHtml(item.message)}</p>
+                                    <p class="item-meta">
+                                        ${item.project?.title ? `${escapeHtml(item.project.title)} · ` : ''}${new Date(item.created_at).toLocaleString()}
+                                    </p>
+                                </div>`).join('')}
+                            </div>`).join('');
+
+        const mailOptions = {
+            from: `"TechSync Platform" <${process.env.GMAIL_USER}>`,
+            to: email,
+            subject: `Your ${frequency} TechSync digest - ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                    <style>
+                        * { margin: 0; padding: 0; box-sizing: border-box; }
+                        body { 
+                            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                            line-height: 1.6; 
+                            color: #333;
+                            background-color: #f5f5f5;
+                            padding: 20px;
+                        }
+                        .container { 
+                            max-width: 600px; 
+                            margin: 0 auto; 
+                            background: white;
+                            border-radius: 12px;
+                            overflow: hidden;
+                            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                        }
+                        .header { 
+                            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                            color: white; 
+                            padding: 40px 30px; 
+                            text-align: center;
+                        }
+                        .header h1 {
+                            font-size: 28px;
+                            font-weight: 600;
+                            margin-bottom: 10px;
+                        }
+                        .content { 
+                            padding: 40px 30px;
+                            background: white;
+                        }
+                        .content p {
+                            margin-bottom: 15px;
+                            color: #555;
+                            font-size: 16px;
+                        }
+                        .group {
+                            margin: 25px 0;
+                        }
+                        .group h2 {
+                            font-size: 17px;
+                            color: #333;
+                            margin-bottom: 10px;
+                        }
+                        .count {
+                            display: inline-block;
+                            background: #667eea;
+                            color: white;
+                            border-radius: 10px;
+                            padding: 0 8px;
+                            font-size: 12px;
+                            vertical-align: middle;
+                        }
+                        .item {
+                            background: #f8f9fa;
+                            padding: 15px;
+                            border-radius: 8px;
+                            border-left: 4px solid #667eea;
+                            margin-bottom: 10px;
+                        }
+                        .item-title {
+                            color: #667eea;
+                            font-weight: 600;
+                            text-decoration: none;
+                        }
+                        .content .item-message {
+                            font-size: 14px;
+                            margin: 4px 0;
+                        }
+                        .content .item-meta {
+                            font-size: 12px;
+                            color: #999;
+                            margin: 0;
+                        }
+                        .button-container {
+                            text-align: center;
+                            margin: 30px 0;
+                        }
+                        .button { 
+                            display: inline-block; 
+                            padding: 14px 32px;
+                            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                            color: white !important;
+                            text-decoration: none;
+                            border-radius: 8px;
+                            font-weight: 600;
+                            font-size: 16px;
+                        }
+                        .footer { 
+                            text-align: center; 
+                            padding: 30px;
+                            background: #f8f9fa;
+                            color: #666;
+                            font-size: 13px;
+                            border-top: 1px solid #e9ecef;
+                        }
+                        .footer a {
+                            color: #667eea;
+                        }
+                        .divider {
+                            height: 1px;
+                            background: linear-gradient(to right, transparent, #e9ecef, transparent);
+                            margin: 25px 0;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Your ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest</h1>
+                            <p style="color: rgba(255,255,255,0.9); margin: 0;">TechSync Platform</p>
+                        </div>
+                        
+                        <div class="content">
+                            <p>Hi <strong>${escapeHtml(username)}</strong>,</p>
+                            
+                            <p>Here is what you missed this ${period}: ${notifications.length} unread update${notifications.length === 1 ? '' : 's'}.</p>
+                            ${sections}
+                            <div class="divider"></div>
+                            
+                            <div class="button-container">
+                                <a href="${appUrl}/dashboard" class="button">Open TechSync</a>
+                            </div>
+                        </div>
+                        
+                        <div class="footer">
+                            <p>You receive this because some notifications are set to email.
+                            <a href="${appUrl}/profile">Manage notification preferences</a></p>
+                            <p>© ${new Date().getFullYear()} TechSync. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `
+        };
+
+        try {
+            const info = await this.transporter.sendMail(mailOptions);
+            console.log(`✅ ${frequency} digest sent to: ${email}`);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('❌ Digest email error:', error);
+            throw error;
+        }
+    }
+
     async sendTestEmail(email) {
         await this.initialize();
 
@@ -0,0 +1,58 @@
+// backend/services/githubCacheService.js
+// In-memory cache of GitHub GET responses for conditional requests. Entries are keyed by the
+// access token (hashed), the API path (which names the repository and file path) and the query
+// (ref, page, ...), and keep the ETag GitHub sent. The next request for the same key sends
+// If-None-Match; a 304 answer reuses the cached body and doesn't count against the rate limit.
+// Least recently used entries are dropped past GITHUB_CACHE_MAX_ENTRIES.
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class GitHubCacheService {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get maxEntries() {
+    return parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+  }
+
+  key(accessToken, url, params = {}) {
+    const query = Object.keys(params)
+      .filter(name => params[name] !== undefined && params[name] !== null)
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+
+    return `${hash(accessToken).slice(0, 32)}:${url}?${query}`;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    // Re-insert so the Map's order tracks recent use
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, { etag, data }) {
+    if (!etag) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { etag, data, storedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = new GitHubCacheService();
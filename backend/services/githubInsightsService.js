@@ -0,0 +1,262 @@
+// backend/services/githubInsightsService.js
+// Code activity for a project's connected repository, next to its task throughput: commits per
+// member per week on the project branch, branches with recent commits, and open pull requests
+// by age. Commit and pull request authors are matched to members through the GitHub username
+// saved with their OAuth connection; authors who aren't members are listed by their login.
+//
+// The GitHub side is kept in memory per project and window for CACHE_TTL_MS, and dropped early
+// when a webhook delivery says the repository changed; task throughput is always read fresh.
+const supabase = require('../config/supabase');
+const githubTokenService = require('./githubTokenService');
+
+const CACHE_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_WEEKS = 8;
+const MAX_WEEKS = 26;
+const PAGE_SIZE = 100;
+const MAX_COMMIT_PAGES = 5;
+// Each branch costs a request to date its head commit, so only this many are checked
+const MAX_BRANCHES = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+const weekStart = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const ageInDays = (date, now = Date.now()) => Math.floor((now - new Date(date).getTime()) / DAY_MS);
+
+class GitHubInsightsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  normalizeWeeks(weeks) {
+    const value = parseInt(weeks) || DEFAULT_WEEKS;
+    return Math.min(Math.max(value, 1), MAX_WEEKS);
+  }
+
+  // Week starts covering the window, oldest first
+  buildWeeks(weeks, now = new Date()) {
+    const current = new Date(`${weekStart(now)}T00:00:00.000Z`);
+    return Array.from({ length: weeks }, (_, index) => {
+      const start = new Date(current.getTime() - (weeks - 1 - index) * 7 * DAY_MS);
+      return start.toISOString().slice(0, 10);
+    });
+  }
+
+  invalidate(projectId) {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${projectId}:`)) this.cache.delete(key);
+    }
+  }
+
+  // The requester's GitHub connection when they have one, otherwise the member who connected
+  // the repository, so members without GitHub still see the panel
+  async pickTokenOwner(userId, repository) {
+    const own = await githubTokenService.getConnection(userId);
+    if (own && own.token_status !== 'invalid') return userId;
+    return repository.connected_by || userId;
+  }
+
+  async getMembers(project, logins) {
+    const userIds = [...new Set([...logins.loginByUserId.keys(), project.owner_id])];
+    const { data } = await supabase
+      .from('users')
+      .select('id, username, full_name, avatar_url')
+      .in('id', userIds);
+
+    return new Map((data || []).map(user => [user.id, user]));
+  }
+
+  describeAuthor(login, fallbackName, logins, members) {
+    const userId = login ? logins.userIdByLogin.get(login.toLowerCase()) || null : null;
+    const member = userId ? members.get(userId) : null;
+
+    return {
+      key: userId || (login ? `github:${login.toLowerCase()}` : `name:${fallbackName}`),
+      userId,
+      githubLogin: login || null,
+      name: member?.full_name || member?.username || login || fallbackName || 'Unknown'
+    };
+  }
+
+  async fetchCommits(tokenOwner, repository, since) {
+    const commits = [];
+
+    for (let page = 1; page <= MAX_COMMIT_PAGES; page++) {
+      const { data } = await githubTokenService.request(tokenOwner, {
+        url: `/repos/${repository.repository_full_name}/commits`,
+        params: { sha: repository.branch || undefined, since, per_page: PAGE_SIZE, page }
+      });
+
+      commits.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    return commits;
+  }
+
+  async fetchActiveBranches(tokenOwner, repository, since) {
+    const { data: branches } = await githubTokenService.request(tokenOwner, {
+      url: `/repos/${repository.repository_full_name}/branches`,
+      params: { per_page: PAGE_SIZE }
+    });
+
+    const dated = await Promise.all(branches.slice(0, MAX_BRANCHES).map(async branch => {
+      try {
+        const { data: commit } = await githubTokenService.request(tokenOwner, {
+          url: `/repos/${repository.repository_full_name}/git/commits/${branch.commit.sha}`
+        });
+        return { name: branch.name, lastCommitAt: commit.committer?.date || commit.author?.date || null, author: commit.author?.name || null };
+      } catch (error) {
+        return { name: branch.name, lastCommitAt: null, author: null };
+      }
+    }));
+
+    return {
+      total: branches.length,
+      checked: dated.length,
+      active: dated
+        .filter(branch => branch.lastCommitAt && new Date(branch.lastCommitAt) >= new Date(since))
+        .sort((a, b) => new Date(b.lastCommitAt) - new Date(a.lastCommitAt))
+    };
+  }
+
+  async fetchOpenPullRequests(tokenOwner, repository) {
+    const { data } = await githubTokenService.request(tokenOwner, {
+      url: `/repos/${repository.repository_full_name}/pulls`,
+      params: { state: 'open', sort: 'created', direction: 'asc', per_page: PAGE_SIZE }
+    });
+    return data;
+  }
+
+  // Tasks completed per week in the same window
+  async getTaskThroughput(projectId, weeks, since) {
+    const { data, error } = await supabase
+      .from('project_tasks')
+      .select('completed_at')
+      .eq('project_id', projectId)
+      .eq('status', 'completed')
+      .gte('completed_at', since);
+
+    if (error) throw error;
+
+    const counts = Object.fromEntries(weeks.map(week => [week, 0]));
+    (data || []).forEach(task => {
+      const week = weekStart(task.completed_at);
+      if (week in counts) counts[week]++;
+    });
+
+    return weeks.map(week => ({ week, completed: counts[week] }));
+  }
+
+  async compute(project, repository, userId, weekCount) {
+    const now = new Date();
+    const weeks = this.buildWeeks(weekCount, now);
+    const since = `${weeks[0]}T00:00:00.000Z`;
+
+    const tokenOwner = await this.pickTokenOwner(userId, repository);
+    const logins = await githubTokenService.getProjectLogins(project);
+    const members = await this.getMembers(project, logins);
+
+    const [commits, branches, pullRequests] = await Promise.all([
+      this.fetchCommits(tokenOwner, repository, since),
+      this.fetchActiveBranches(tokenOwner, repository, since),
+      this.fetchOpenPullRequests(tokenOwner, repository)
+    ]);
+
+    // Commits per author per week
+    const authors = new Map();
+    commits.forEach(commit => {
+      const author = this.describeAuthor(commit.author?.login, commit.commit?.author?.name, logins, members);
+      if (!authors.has(author.key)) {
+        authors.set(author.key, { ...author, total: 0, weeks: Object.fromEntries(weeks.map(week => [week, 0])) });
+      }
+
+      const entry = authors.get(author.key);
+      const week = weekStart(commit.commit?.author?.date || commit.commit?.committer?.date);
+      if (week in entry.weeks) {
+        entry.weeks[week]++;
+        entry.total++;
+      }
+    });
+
+    const commitsByMember = [...authors.values()]
+      .filter(author => author.total > 0)
+      .sort((a, b) => b.total - a.total)
+      .map(author => ({
+        userId: author.userId,
+        githubLogin: author.githubLogin,
+        name: author.name,
+        total: author.total,
+        weeks: weeks.map(week => ({ week, commits: author.weeks[week] }))
+      }));
+
+    const openPullRequests = pullRequests.map(pullRequest => {
+      const author = this.describeAuthor(pullRequest.user?.login, null, logins, members);
+      return {
+        number: pullRequest.number,
+        title: pullRequest.title,
+        url: pullRequest.html_url,
+        draft: !!pullRequest.draft,
+        author: { userId: author.userId, githubLogin: author.githubLogin, name: author.name },
+        createdAt: pullRequest.created_at,
+        ageDays: ageInDays(pullRequest.created_at, now.getTime())
+      };
+    });
+
+    const ages = openPullRequests.map(pullRequest => pullRequest.ageDays);
+
+    return {
+      repository: repository.repository_full_name,
+      branch: repository.branch || null,
+      weeks,
+      commitsPerWeek: weeks.map(week => ({
+        week,
+        commits: commitsByMember.reduce((sum, author) => sum + author.weeks.find(entry => entry.week === week).commits, 0)
+      })),
+      commitsByMember,
+      branches,
+      pullRequests: {
+        open: openPullRequests.length,
+        averageAgeDays: ages.length > 0 ? Math.round(ages.reduce((sum, age) => sum + age, 0) / ages.length) : 0,
+        oldestAgeDays: ages.length > 0 ? Math.max(...ages) : 0,
+        items: openPullRequests
+      },
+      generatedAt: now.toISOString()
+    };
+  }
+
+  // Returns { data, cached } or null when no repository is connected
+  async getInsights(project, userId, { weeks, refresh = false } = {}) {
+    const { data: repository } = await supabase
+      .from('project_github_repos')
+      .select('*')
+      .eq('project_id', project.id)
+      .single();
+
+    if (!repository) return null;
+
+    const weekCount = this.normalizeWeeks(weeks);
+    const key = `${project.id}:${weekCount}`;
+    const cached = this.cache.get(key);
+
+    let data;
+    const isCached = !refresh && cached && cached.expiresAt > Date.now() && cached.data.repository === repository.repository_full_name;
+
+    if (isCached) {
+      data = cached.data;
+    } else {
+      data = await this.compute(project, repository, userId, weekCount);
+      this.cache.set(key, { data, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+
+    const taskThroughput = await this.getTaskThroughput(project.id, data.weeks, `${data.weeks[0]}T00:00:00.000Z`);
+    return { data: { ...data, taskThroughput }, cached: !!isCached };
+  }
+}
+
+module.exports = new GitHubInsightsService();
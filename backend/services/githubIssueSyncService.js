@@ -0,0 +1,520 @@
+// backend/services/githubIssueSyncService.js
+// Opt-in two-way sync between a connected repository's issues and the project's tasks.
+// project_github_repos.issue_sync_enabled turns it on; GitHub calls are made with the token
+// of the member who enabled it (issue_sync_user_id).
+//
+// task_github_issues pairs a task with an issue (id, project_id, task_id, repository_full_name,
+// issue_number, issue_synced_at, task_synced_at, created_at): the two timestamps are the
+// issue's and the task's updated_at as of the last sync, so each side can tell whether the
+// other changed since. When both changed, the later edit wins (last-writer-wins).
+// Every change, conflict and failure is written to github_sync_audit (id, project_id, task_id,
+// issue_number, direction, action, winner, changes, details, created_at).
+//
+// Synced fields: title <-> title, description <-> body, assignee <-> assignee (through the
+// GitHub username saved with each member's OAuth token), priority <-> a "priority: high"
+// style label, completed <-> closed.
+const supabase = require('../config/supabase');
+const githubTokenService = require('./githubTokenService');
+const taskWorkflowService = require('./taskWorkflowService');
+
+// "priority: high", "priority/high", "Priority - High", or just "high"; critical means urgent
+const PRIORITY_LABEL_PATTERN = /^(?:priority[\s:/_-]*)?(low|medium|high|urgent|critical)$/i;
+const IMPORT_PAGE_SIZE = 100;
+const IMPORT_MAX_PAGES = 10;
+
+const TASK_SELECT = `
+  *,
+  assigned_user:assigned_to(id, full_name, username, email),
+  creator:created_by(id, full_name, username, email)
+`;
+
+const isAfter = (a, b) => !b || new Date(a).getTime() > new Date(b).getTime();
+
+const priorityFromLabels = (labels = []) => {
+  for (const label of labels) {
+    const match = PRIORITY_LABEL_PATTERN.exec(typeof label === 'string' ? label : label.name || '');
+    if (match) return match[1].toLowerCase() === 'critical' ? 'urgent' : match[1].toLowerCase();
+  }
+  return null;
+};
+
+// { field: { from, to } } for every field whose value differs
+const diffFields = (current, desired) => Object.fromEntries(
+  Object.entries(desired)
+    .filter(([field, value]) => JSON.stringify(current[field] ?? null) !== JSON.stringify(value ?? null))
+    .map(([field, value]) => [field, { from: current[field] ?? null, to: value ?? null }])
+);
+
+class GitHubIssueSyncService {
+  async getRepository(projectId) {
+    const { data } = await supabase
+      .from('project_github_repos')
+      .select('*')
+      .eq('project_id', projectId)
+      .single();
+
+    return data || null;
+  }
+
+  async getMapping(filter) {
+    let query = supabase.from('task_github_issues').select('*');
+    Object.entries(filter).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+    const { data } = await query.maybeSingle();
+    return data || null;
+  }
+
+  async getStatus(projectId) {
+    const repository = await this.getRepository(projectId);
+    if (!repository) return null;
+
+    const { count } = await supabase
+      .from('task_github_issues')
+      .select('id', { count: 'exact', head: true })
+      .eq('project_id', projectId);
+
+    return {
+      repository: repository.repository_full_name,
+      enabled: !!repository.issue_sync_enabled,
+      enabledBy: repository.issue_sync_user_id || null,
+      enabledAt: repository.issue_sync_enabled_at || null,
+      linkedTasks: count || 0
+    };
+  }
+
+  async audit(projectId, { taskId = null, issueNumber = null, direction, action, winner = null, changes = {}, details = null }) {
+    const { error } = await supabase
+      .from('github_sync_audit')
+      .insert({
+        project_id: projectId,
+        task_id: taskId,
+        issue_number: issueNumber,
+        direction,
+        action,
+        winner,
+        changes,
+        details,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) console.error('❌ Error writing sync audit:', error);
+  }
+
+  async getAuditTrail(projectId, { taskId = null, limit = 50 } = {}) {
+    let query = supabase
+      .from('github_sync_audit')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (taskId) query = query.eq('task_id', taskId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Task fields the issue asks for; fields the issue can't express are left out
+  taskFieldsFromIssue(issue, users) {
+    const fields = {
+      title: issue.title,
+      description: issue.body || null
+    };
+
+    const priority = priorityFromLabels(issue.labels);
+    if (priority) fields.priority = priority;
+
+    if (!issue.assignee) {
+      fields.assigned_to = null;
+    } else if (users.userIdByLogin.has(issue.assignee.login.toLowerCase())) {
+      fields.assigned_to = users.userIdByLogin.get(issue.assignee.login.toLowerCase());
+    }
+
+    return fields;
+  }
+
+  // Issue fields the task asks for, keeping labels that aren't about priority
+  issueFieldsFromTask(task, issue, users) {
+    const fields = {
+      title: task.title,
+      body: task.description || null,
+      state: task.status === 'completed' ? 'closed' : 'open',
+      labels: [
+        ...(issue.labels || [])
+          .map(label => (typeof label === 'string' ? label : label.name))
+          .filter(name => !PRIORITY_LABEL_PATTERN.test(name)),
+        `priority: ${task.priority || 'medium'}`
+      ]
+    };
+
+    if (!task.assigned_to) {
+      fields.assignees = [];
+    } else if (users.loginByUserId.has(task.assigned_to)) {
+      fields.assignees = [users.loginByUserId.get(task.assigned_to)];
+    }
+
+    return fields;
+  }
+
+  currentIssueFields(issue) {
+    return {
+      title: issue.title,
+      body: issue.body || null,
+      state: issue.state,
+      labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+      assignees: (issue.assignees || []).map(assignee => assignee.login)
+    };
+  }
+
+  async saveSyncPoint(mappingId, { issueUpdatedAt, taskUpdatedAt }) {
+    await supabase
+      .from('task_github_issues')
+      .update({ issue_synced_at: issueUpdatedAt, task_synced_at: taskUpdatedAt })
+      .eq('id', mappingId);
+  }
+
+  // Creates a task for an issue and pairs them
+  async importIssue(project, repository, issue, users) {
+    const fields = this.taskFieldsFromIssue(issue, users);
+    const status = issue.state === 'closed' ? 'completed' : 'todo';
+    const now = new Date().toISOString();
+
+    const { data: task, error } = await taskWorkflowService.insertNumberedTask({
+      project_id: project.id,
+      title: (fields.title || `Issue #${issue.number}`).slice(0, 200),
+      description: fields.description,
+      task_type: 'development',
+      priority: fields.priority || 'medium',
+      status,
+      assigned_to: fields.assigned_to || null,
+      created_by: repository.issue_sync_user_id,
+      completed_at: status === 'completed' ? now : null,
+      position: await taskWorkflowService.getNextPosition(project.id, status)
+    }, TASK_SELECT);
+
+    if (error) throw error;
+
+    const { error: mappingError } = await supabase
+      .from('task_github_issues')
+      .insert({
+        project_id: project.id,
+        task_id: task.id,
+        repository_full_name: repository.repository_full_name,
+        issue_number: issue.number,
+        issue_synced_at: issue.updated_at,
+        task_synced_at: task.updated_at || task.created_at,
+        created_at: now
+      });
+
+    if (mappingError) {
+      // Another delivery paired this issue first
+      await supabase.from('project_tasks').delete().eq('id', task.id);
+      if (mappingError.code === '23505') return null;
+      throw mappingError;
+    }
+
+    await this.audit(project.id, {
+      taskId: task.id,
+      issueNumber: issue.number,
+      direction: 'github_to_task',
+      action: 'imported',
+      changes: diffFields({}, { ...fields, status })
+    });
+
+    console.log(`📥 Imported issue #${issue.number} as task ${task.id}`);
+    return task;
+  }
+
+  // Applies the issue to its task. Returns { task, dependencyUpdates, changedFields } when
+  // the task changed, otherwise null.
+  async applyIssueToTask(project, mapping, issue, { conflict = false } = {}) {
+    const { data: task } = await supabase
+      .from('project_tasks')
+      .select('*')
+      .eq('id', mapping.task_id)
+      .single();
+
+    if (!task) return null;
+
+    const users = await githubTokenService.getProjectLogins(project);
+    const changes = diffFields(task, this.taskFieldsFromIssue(issue, users));
+    const desiredStatus = issue.state === 'closed'
+      ? 'completed'
+      : task.status === 'completed' ? 'todo' : task.status;
+
+    let updatedTask = task;
+    let dependencyUpdates = [];
+
+    if (Object.keys(changes).length > 0) {
+      const { data, error } = await supabase
+        .from('project_tasks')
+        .update({
+          ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+          // A new assignee gets their own due-soon reminder
+          ...(changes.assigned_to ? { due_soon_notified_at: null } : {}),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', task.id)
+        .select('*')
+        .single();
+
+      if (error) throw error;
+      updatedTask = data;
+    }
+
+    if (desiredStatus !== task.status) {
+      const outcome = await taskWorkflowService.transition(project, updatedTask, desiredStatus);
+      if (outcome.skipped) {
+        await this.audit(project.id, {
+          taskId: task.id,
+          issueNumber: mapping.issue_number,
+          direction: 'github_to_task',
+          action: 'skipped',
+          changes: { status: { from: task.status, to: desiredStatus } },
+          details: outcome.skipped
+        });
+      } else {
+        changes.status = { from: task.status, to: desiredStatus };
+        updatedTask = outcome.task;
+        dependencyUpdates = outcome.dependencyUpdates;
+      }
+    }
+
+    await this.saveSyncPoint(mapping.id, { issueUpdatedAt: issue.updated_at, taskUpdatedAt: updatedTask.updated_at });
+
+    if (Object.keys(changes).length === 0) return null;
+
+    await this.audit(project.id, {
+      taskId: task.id,
+      issueNumber: mapping.issue_number,
+      direction: 'github_to_task',
+      action: conflict ? 'conflict_resolved' : 'updated',
+      winner: conflict ? 'github' : null,
+      changes
+    });
+
+    const { data: fullTask } = await supabase
+      .from('project_tasks')
+      .select(TASK_SELECT)
+      .eq('id', task.id)
+      .single();
+
+    return { task: fullTask || updatedTask, dependencyUpdates, changedFields: Object.keys(changes) };
+  }
+
+  // Webhook `issues` delivery for a repository with sync enabled.
+  // Returns { created: [task], updated: [{ task, dependencyUpdates, changedFields }] }.
+  async handleIssueEvent(project, repository, payload) {
+    const result = { created: [], updated: [] };
+    const issue = payload.issue;
+    if (!issue || issue.pull_request) return result;
+
+    const mapping = await this.getMapping({ project_id: project.id, issue_number: issue.number });
+
+    if (['deleted', 'transferred'].includes(payload.action)) {
+      if (mapping) {
+        await supabase.from('task_github_issues').delete().eq('id', mapping.id);
+        await this.audit(project.id, {
+          taskId: mapping.task_id,
+          issueNumber: issue.number,
+          direction: 'github_to_task',
+          action: 'unlinked',
+          details: `Issue was ${payload.action} on GitHub`
+        });
+      }
+      return result;
+    }
+
+    if (!mapping) {
+      if (issue.state !== 'open') return result;
+      const task = await this.importIssue(project, repository, issue, await githubTokenService.getProjectLogins(project));
+      if (task) result.created.push(task);
+      return result;
+    }
+
+    // Our own write coming back, or a delivery older than what we have
+    if (!isAfter(issue.updated_at, mapping.issue_synced_at)) return result;
+
+    const { data: task } = await supabase
+      .from('project_tasks')
+      .select('id, updated_at')
+      .eq('id', mapping.task_id)
+      .single();
+
+    const taskChanged = task && isAfter(task.updated_at, mapping.task_synced_at);
+
+    if (taskChanged && isAfter(task.updated_at, issue.updated_at)) {
+      // Both sides changed and the task was edited last: it wins and goes to GitHub
+      await this.pushTaskToIssue(project, repository, mapping, { conflict: true, issue });
+      return result;
+    }
+
+    const update = await this.applyIssueToTask(project, mapping, issue, { conflict: taskChanged });
+    if (update) result.updated.push(update);
+    return result;
+  }
+
+  // Writes the task to its issue. `issue` is the current issue when the caller has it.
+  async pushTaskToIssue(project, repository, mapping, { conflict = false, issue = null } = {}) {
+    const { data: task } = await supabase
+      .from('project_tasks')
+      .select('*')
+      .eq('id', mapping.task_id)
+      .single();
+
+    if (!task) return;
+
+    const issuePath = `/repos/${repository.repository_full_name}/issues/${mapping.issue_number}`;
+    const currentIssue = issue || (await githubTokenService.request(repository.issue_sync_user_id, { url: issuePath })).data;
+
+    const issueChanged = isAfter(currentIssue.updated_at, mapping.issue_synced_at);
+    if (issueChanged && !isAfter(task.updated_at, currentIssue.updated_at)) {
+      // GitHub was edited after the task: the issue wins instead
+      await this.applyIssueToTask(project, mapping, currentIssue, { conflict: true });
+      return;
+    }
+
+    const users = await githubTokenService.getProjectLogins(project);
+    const changes = diffFields(this.currentIssueFields(currentIssue), this.issueFieldsFromTask(task, currentIssue, users));
+
+    if (Object.keys(changes).length === 0) {
+      await this.saveSyncPoint(mapping.id, { issueUpdatedAt: currentIssue.updated_at, taskUpdatedAt: task.updated_at });
+      return;
+    }
+
+    const response = await githubTokenService.request(repository.issue_sync_user_id, {
+      method: 'patch',
+      url: issuePath,
+      scopes: ['repo'],
+      data: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]))
+    });
+
+    await this.saveSyncPoint(mapping.id, { issueUpdatedAt: response.data.updated_at, taskUpdatedAt: task.updated_at });
+
+    await this.audit(project.id, {
+      taskId: task.id,
+      issueNumber: mapping.issue_number,
+      direction: 'task_to_github',
+      action: conflict || issueChanged ? 'conflict_resolved' : 'updated',
+      winner: conflict || issueChanged ? 'task' : null,
+      changes
+    });
+
+    console.log(`📤 Synced task ${task.id} to issue #${mapping.issue_number}`);
+  }
+
+  // Called after a member edits tasks. Never throws: sync problems are recorded in the
+  // audit trail instead of failing the edit.
+  async pushTaskChanges(project, taskIds) {
+    try {
+      const repository = await this.getRepository(project.id);
+      if (!repository?.issue_sync_enabled) return;
+
+      const { data: mappings } = await supabase
+        .from('task_github_issues')
+        .select('*')
+        .eq('project_id', project.id)
+        .in('task_id', taskIds);
+
+      for (const mapping of mappings || []) {
+        try {
+          await this.pushTaskToIssue(project, repository, mapping);
+        } catch (error) {
+          console.error('❌ Issue sync push error:', error.message);
+          await this.audit(project.id, {
+            taskId: mapping.task_id,
+            issueNumber: mapping.issue_number,
+            direction: 'task_to_github',
+            action: 'failed',
+            details: error.message
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Issue sync error:', error);
+    }
+  }
+
+  // A deleted task stops syncing; its issue is left alone
+  async unlinkTask(projectId, taskId) {
+    const { data: removed } = await supabase
+      .from('task_github_issues')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('task_id', taskId)
+      .select('issue_number');
+
+    if (removed && removed.length > 0) {
+      await this.audit(projectId, {
+        issueNumber: removed[0].issue_number,
+        direction: 'task_to_github',
+        action: 'unlinked',
+        details: `Task ${taskId} was deleted`
+      });
+    }
+  }
+
+  // Turns sync on (importing open issues that have no task yet) or off.
+  // Returns { status, imported: [task] }.
+  async setEnabled(project, userId, enabled) {
+    const repository = await this.getRepository(project.id);
+    if (!repository) return null;
+
+    if (enabled) {
+      // Fails early when the member's GitHub connection can't write issues
+      await githubTokenService.getAuthorizedConnection(userId, { scopes: ['repo'] });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('project_github_repos')
+      .update({
+        issue_sync_enabled: enabled,
+        issue_sync_user_id: enabled ? userId : repository.issue_sync_user_id,
+        issue_sync_enabled_at: enabled ? new Date().toISOString() : repository.issue_sync_enabled_at,
+        updated_at: new Date().toISOString()
+      })
+      .eq('project_id', project.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await this.audit(project.id, {
+      direction: 'github_to_task',
+      action: enabled ? 'sync_enabled' : 'sync_disabled',
+      details: `Changed by user ${userId}`
+    });
+
+    const imported = enabled ? await this.importOpenIssues(project, updated) : [];
+    return { status: await this.getStatus(project.id), imported };
+  }
+
+  async importOpenIssues(project, repository) {
+    const users = await githubTokenService.getProjectLogins(project);
+    const imported = [];
+
+    for (let page = 1; page <= IMPORT_MAX_PAGES; page++) {
+      const { data: issues } = await githubTokenService.request(repository.issue_sync_user_id, {
+        url: `/repos/${repository.repository_full_name}/issues`,
+        params: { state: 'open', per_page: IMPORT_PAGE_SIZE, page }
+      });
+
+      for (const issue of issues.filter(item => !item.pull_request)) {
+        const existing = await this.getMapping({ project_id: project.id, issue_number: issue.number });
+        if (existing) continue;
+
+        const task = await this.importIssue(project, repository, issue, users);
+        if (task) imported.push(task);
+      }
+
+      if (issues.length < IMPORT_PAGE_SIZE) break;
+    }
+
+    console.log(`📥 Imported ${imported.length} issue(s) from ${repository.repository_full_name}`);
+    return imported;
+  }
+}
+
+module.exports = new GitHubIssueSyncService();
@@ -0,0 +1,458 @@
+// backend/services/githubTokenService.js
+// GitHub OAuth connections. github_oauth_tokens keeps one row per user with the access token
+// (and the refresh token, for apps with expiring tokens) AES-256-GCM encrypted, the id of the
+// key that encrypted them, the granted scopes and a token_status of 'active' or 'invalid'.
+//
+// Keys come from GITHUB_TOKEN_ENCRYPTION_KEYS as "id:secret" pairs, comma separated; the first
+// is used for new writes and the rest only decrypt. To rotate, put the new key first, keep the
+// old one listed and run `node scripts/rotateGithubTokens.js` (tokens are also re-encrypted
+// the next time they are used). Without the list, GITHUB_TOKEN_ENCRYPTION_KEY (or JWT_SECRET)
+// is used under the id "default".
+//
+// All GitHub API calls go through request(): a 401 from GitHub means the token was revoked or
+// expired, so it is refreshed once when possible and otherwise marked invalid and the caller is
+// asked to reconnect. Responses are cached with ETags and each user's remaining quota is
+// tracked from the rate-limit headers.
+const crypto = require('crypto');
+const axios = require('axios');
+const supabase = require('../config/supabase');
+const githubCacheService = require('./githubCacheService');
+
+const GITHUB_API_URL = 'https://api.github.com';
+const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const REQUESTED_SCOPES = ['repo', 'read:user', 'user:email'];
+// Refresh expiring tokens this long before GitHub would reject them
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Scopes that include narrower ones, so a token with `repo` passes a `public_repo` check
+const IMPLIED_SCOPES = {
+  repo: ['public_repo', 'repo:status', 'repo_deployment', 'repo:invite'],
+  user: ['read:user', 'user:email', 'user:follow'],
+  'admin:repo_hook': ['write:repo_hook', 'read:repo_hook'],
+  'write:repo_hook': ['read:repo_hook'],
+  'admin:org': ['write:org', 'read:org'],
+  'write:org': ['read:org']
+};
+
+const loadKeys = () => {
+  const configured = (process.env.GITHUB_TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { id: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    })
+    .filter(key => key.id && key.secret);
+
+  const keys = configured.length > 0
+    ? configured
+    : [{ id: 'default', secret: process.env.GITHUB_TOKEN_ENCRYPTION_KEY || process.env.JWT_SECRET || '' }];
+
+  return keys.map(key => ({ id: key.id, key: crypto.createHash('sha256').update(key.secret).digest() }));
+};
+
+const findKey = (keyId) => {
+  const key = loadKeys().find(candidate => candidate.id === keyId);
+  if (!key) throw new Error(`GitHub token encryption key "${keyId}" is not configured`);
+  return key.key;
+};
+
+const encryptToken = (token, keyId) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', findKey(keyId), iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptToken = (payload, keyId) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', findKey(keyId), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const parseScopes = (scope) =>
+  String(scope || '').split(/[\s,]+/).map(value => value.trim()).filter(Boolean);
+
+const expiresAt = (seconds) =>
+  seconds ? new Date(Date.now() + Number(seconds) * 1000).toISOString() : null;
+
+// Errors for connection problems (and an exhausted rate limit) carry an HTTP status and a code
+// the frontend can act on
+const connectionError = (status, code, message, extra = {}) =>
+  Object.assign(new Error(message), { status, code, isGitHubConnectionError: true }, extra);
+
+class GitHubTokenService {
+  constructor() {
+    this.requestedScopes = REQUESTED_SCOPES;
+    // userId -> latest rate limit headers
+    this.rateLimits = new Map();
+  }
+
+  get currentKeyId() {
+    return loadKeys()[0].id;
+  }
+
+  // Columns holding the encrypted tokens, ready for insert/update
+  encryptTokenColumns({ accessToken, refreshToken }) {
+    const keyId = this.currentKeyId;
+    return {
+      access_token: null,
+      access_token_encrypted: encryptToken(accessToken, keyId),
+      refresh_token_encrypted: refreshToken ? encryptToken(refreshToken, keyId) : null,
+      encryption_key_id: keyId
+    };
+  }
+
+  async getConnection(userId) {
+    const { data } = await supabase
+      .from('github_oauth_tokens')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    return data || null;
+  }
+
+  // Public shape of a connection; never includes tokens
+  formatConnection(connection) {
+    return {
+      github_username: connection.github_username,
+      github_name: connection.github_name,
+      github_email: connection.github_email,
+      github_avatar_url: connection.github_avatar_url,
+      scopes: parseScopes(connection.scope),
+      reconnect_required: connection.token_status === 'invalid',
+      connected_at: connection.created_at
+    };
+  }
+
+  // Whether granted scopes cover every required one
+  hasScopes(granted, required = []) {
+    const grantedScopes = Array.isArray(granted) ? granted : parseScopes(granted);
+    const covered = new Set(grantedScopes.flatMap(scope => [scope, ...(IMPLIED_SCOPES[scope] || [])]));
+    return required.every(scope => covered.has(scope));
+  }
+
+  missingScopes(connection, required = []) {
+    return required.filter(scope => !this.hasScopes(connection.scope, [scope]));
+  }
+
+  // Stores a freshly authorized token from the OAuth code exchange
+  async saveConnection(userId, { tokenData, githubUser, scope }) {
+    const { data, error } = await supabase
+      .from('github_oauth_tokens')
+      .upsert({
+        user_id: userId,
+        ...this.encryptTokenColumns({
+          accessToken: tokenData.access_token,
+          refreshToken: tokenData.refresh_token
+        }),
+        expires_at: expiresAt(tokenData.expires_in),
+        refresh_token_expires_at: expiresAt(tokenData.refresh_token_expires_in),
+        github_user_id: githubUser.id,
+        github_username: githubUser.login,
+        github_email: githubUser.email,
+        github_name: githubUser.name,
+        github_avatar_url: githubUser.avatar_url,
+        scope: scope ?? tokenData.scope ?? '',
+        token_type: tokenData.token_type || 'bearer',
+        token_status: 'active',
+        invalidated_at: null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Decrypted tokens of a connection. Rows written before encryption, or under a retired
+  // key, are re-encrypted with the current key on the way.
+  async readTokens(connection) {
+    if (!connection.access_token_encrypted && connection.access_token) {
+      const tokens = { accessToken: connection.access_token, refreshToken: null };
+      await this.storeTokens(connection.user_id, tokens);
+      return tokens;
+    }
+
+    const tokens = {
+      accessToken: decryptToken(connection.access_token_encrypted, connection.encryption_key_id),
+      refreshToken: connection.refresh_token_encrypted
+        ? decryptToken(connection.refresh_token_encrypted, connection.encryption_key_id)
+        : null
+    };
+
+    if (connection.encryption_key_id !== this.currentKeyId) {
+      await this.storeTokens(connection.user_id, tokens);
+    }
+
+    return tokens;
+  }
+
+  async storeTokens(userId, tokens, extra = {}) {
+    const { error } = await supabase
+      .from('github_oauth_tokens')
+      .update({
+        ...this.encryptTokenColumns(tokens),
+        ...extra,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  async markInvalid(userId) {
+    await supabase
+      .from('github_oauth_tokens')
+      .update({
+        token_status: 'invalid',
+        invalidated_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId);
+
+    console.log('🔌 GitHub token no longer valid for user:', userId);
+  }
+
+  // Exchanges the refresh token for a new pair. Returns the new tokens, or null when GitHub
+  // refuses (refresh token expired or the app was revoked).
+  async refresh(connection, refreshToken) {
+    if (!refreshToken) return null;
+    if (connection.refresh_token_expires_at && new Date(connection.refresh_token_expires_at) <= new Date()) {
+      return null;
+    }
+
+    const response = await axios.post(GITHUB_TOKEN_URL, {
+      client_id: process.env.GITHUB_CLIENT_ID,
+      client_secret: process.env.GITHUB_CLIENT_SECRET,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    }, {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // GitHub answers refresh failures with 200 and an `error` field
+    if (!response.data.access_token) {
+      console.log('⚠️ GitHub token refresh refused:', response.data.error || 'no token returned');
+      return null;
+    }
+
+    const tokens = {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token || refreshToken
+    };
+
+    await this.storeTokens(connection.user_id, tokens, {
+      expires_at: expiresAt(response.data.expires_in),
+      refresh_token_expires_at: expiresAt(response.data.refresh_token_expires_in),
+      token_status: 'active',
+      invalidated_at: null
+    });
+
+    console.log('🔄 Refreshed GitHub token for user:', connection.user_id);
+    return tokens;
+  }
+
+  // Loads a usable connection, refreshing an expiring token first. Throws a connection error
+  // when the user has no connection, must reconnect, or lacks one of the required scopes.
+  async getAuthorizedConnection(userId, { scopes = [] } = {}) {
+    const connection = await this.getConnection(userId);
+
+    if (!connection) {
+      throw connectionError(404, 'GITHUB_NOT_CONNECTED', 'GitHub account not connected');
+    }
+    if (connection.token_status === 'invalid') {
+      throw connectionError(403, 'GITHUB_RECONNECT_REQUIRED', 'Your GitHub authorization has expired or was revoked. Please reconnect your GitHub account.');
+    }
+
+    const missingScopes = this.missingScopes(connection, scopes);
+    if (missingScopes.length > 0) {
+      throw connectionError(403, 'GITHUB_SCOPE_MISSING', `Your GitHub connection is missing the ${missingScopes.join(', ')} permission. Please reconnect your GitHub account.`, { missingScopes });
+    }
+
+    let tokens = await this.readTokens(connection);
+
+    if (connection.expires_at && new Date(connection.expires_at).getTime() - REFRESH_MARGIN_MS <= Date.now()) {
+      tokens = await this.refresh(connection, tokens.refreshToken) || tokens;
+    }
+
+    return { connection, tokens };
+  }
+
+  // Calls the GitHub API as the user: request(userId, { url: '/user/repos', params, scopes }).
+  // GETs are conditional (see githubCacheService) unless `cache: false`; a 304 comes back as the
+  // cached 200 with `cached: true`.
+  async request(userId, { method = 'get', url, params, data, headers = {}, scopes = [], cache = method === 'get' }) {
+    const { connection, tokens } = await this.getAuthorizedConnection(userId, { scopes });
+
+    const send = async (accessToken) => {
+      const cacheKey = cache ? githubCacheService.key(accessToken, url, params) : null;
+      const cached = cacheKey ? githubCacheService.get(cacheKey) : null;
+
+      // Out of quota until the reset: answer from the cache, or don't bother GitHub
+      const limit = this.getRateLimit(userId);
+      if (limit && limit.remaining === 0 && new Date(limit.resetAt).getTime() > Date.now()) {
+        if (cached) return { status: 200, headers: {}, data: cached.data, cached: true, stale: true };
+        throw this.rateLimitError(limit.resetAt);
+      }
+
+      try {
+        const response = await axios({
+          method,
+          url: url.startsWith('http') ? url : `${GITHUB_API_URL}${url}`,
+          params,
+          data,
+          headers: {
+            'Authorization': `token ${accessToken}`,
+            'Accept': 'application/vnd.github.v3+json',
+            ...(cached ? { 'If-None-Match': cached.etag } : {}),
+            ...headers
+          },
+          validateStatus: status => (status >= 200 && status < 300) || (!!cached && status === 304)
+        });
+
+        this.recordRateLimit(userId, response.headers);
+
+        if (response.status === 304) {
+          return { ...response, status: 200, data: cached.data, cached: true };
+        }
+        if (cacheKey) githubCacheService.set(cacheKey, { etag: response.headers.etag, data: response.data });
+        return response;
+      } catch (error) {
+        if (!error.response) throw error;
+        this.recordRateLimit(userId, error.response.headers);
+
+        if (this.isRateLimited(error.response)) {
+          if (cached) return { status: 200, headers: error.response.headers, data: cached.data, cached: true, stale: true };
+          throw this.rateLimitError(this.getRateLimit(userId)?.resetAt);
+        }
+        throw error;
+      }
+    };
+
+    let response;
+    try {
+      response = await send(tokens.accessToken);
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+
+      const refreshed = await this.refresh(connection, tokens.refreshToken);
+      if (!refreshed) {
+        await this.markInvalid(userId);
+        throw connectionError(403, 'GITHUB_RECONNECT_REQUIRED', 'Your GitHub authorization has expired or was revoked. Please reconnect your GitHub account.');
+      }
+      response = await send(refreshed.accessToken);
+    }
+
+    await this.recordScopes(connection, response.headers?.['x-oauth-scopes']);
+    return response;
+  }
+
+  // Latest core quota GitHub reported for the user's token: { limit, remaining, used, resetAt }
+  recordRateLimit(userId, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+    if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') return;
+
+    this.rateLimits.set(userId, {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']) || 0,
+      resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString()
+    });
+  }
+
+  getRateLimit(userId) {
+    return this.rateLimits.get(userId) || null;
+  }
+
+  // Primary limit (403/429 with no requests left) or a secondary limit (Retry-After)
+  isRateLimited(response) {
+    if (![403, 429].includes(response.status)) return false;
+    return response.headers['x-ratelimit-remaining'] === '0' || response.headers['retry-after'] !== undefined;
+  }
+
+  rateLimitError(resetAt) {
+    const retryAt = resetAt ? new Date(resetAt) : new Date(Date.now() + 60 * 1000);
+    return connectionError(429, 'GITHUB_RATE_LIMITED', `GitHub's rate limit was reached. Try again after ${retryAt.toISOString()}.`, {
+      resetAt: retryAt.toISOString()
+    });
+  }
+
+  // Keeps the stored scopes in step with what GitHub reports (users can narrow a grant)
+  async recordScopes(connection, scopeHeader) {
+    if (scopeHeader === undefined) return;
+
+    const scope = parseScopes(scopeHeader).join(',');
+    if (scope === parseScopes(connection.scope).join(',')) return;
+
+    await supabase
+      .from('github_oauth_tokens')
+      .update({ scope, updated_at: new Date().toISOString() })
+      .eq('user_id', connection.user_id);
+  }
+
+  // GitHub usernames of the project owner and active members, mapped both ways with user ids
+  async getProjectLogins(project) {
+    const { data: members } = await supabase
+      .from('project_members')
+      .select('user_id')
+      .eq('project_id', project.id)
+      .eq('status', 'active');
+
+    const userIds = [project.owner_id, ...(members || []).map(member => member.user_id)];
+    const { data: connections } = await supabase
+      .from('github_oauth_tokens')
+      .select('user_id, github_username')
+      .in('user_id', userIds);
+
+    const userIdByLogin = new Map();
+    const loginByUserId = new Map();
+    (connections || []).forEach(({ user_id: userId, github_username: login }) => {
+      if (!login) return;
+      userIdByLogin.set(login.toLowerCase(), userId);
+      loginByUserId.set(userId, login);
+    });
+
+    return { userIdByLogin, loginByUserId };
+  }
+
+  isConnectionError(error) {
+    return !!error?.isGitHubConnectionError;
+  }
+
+  // Re-encrypts every stored token that isn't under the current key (or isn't encrypted yet)
+  async rotateKeys() {
+    const currentKeyId = this.currentKeyId;
+    const { data: connections, error } = await supabase
+      .from('github_oauth_tokens')
+      .select('*')
+      .or(`encryption_key_id.is.null,encryption_key_id.neq.${currentKeyId}`);
+
+    if (error) throw error;
+
+    let rotated = 0;
+    const failed = [];
+    for (const connection of connections || []) {
+      try {
+        await this.readTokens(connection);
+        rotated++;
+      } catch (rotateError) {
+        failed.push({ userId: connection.user_id, error: rotateError.message });
+      }
+    }
+
+    return { currentKeyId, rotated, failed };
+  }
+}
+
+module.exports = new GitHubTokenService();
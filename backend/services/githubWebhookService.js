@@ -0,0 +1,337 @@
+// backend/services/githubWebhookService.js
+// GitHub webhooks for repositories connected to projects (project_github_repos).
+// Every delivery is stored once per project in github_events (id, project_id, delivery_id,
+// event_type, action, payload, received_at; unique on project_id + delivery_id, so GitHub
+// redeliveries are ignored). A delivery that fails to process is removed again so it can be retried. Commits, pull requests and issues that mention a task, as
+// "#TASK-12", "TASK-12" (also in branch names) or the task id, are linked to it in
+// task_github_links (id, project_id, task_id, link_type, external_id, title, url, author,
+// state, created_at, updated_at; unique on task_id + link_type + external_id).
+// A pull request that is opened moves its tasks to in_review; a merged one completes them.
+// Issue deliveries also drive the two-way issue sync when the project has it turned on.
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const githubTokenService = require('./githubTokenService');
+const taskWorkflowService = require('./taskWorkflowService');
+const githubIssueSyncService = require('./githubIssueSyncService');
+const githubInsightsService = require('./githubInsightsService');
+
+const SUPPORTED_EVENTS = ['push', 'pull_request', 'issues'];
+
+const TASK_NUMBER_PATTERN = /(?:^|[^a-z0-9])#?task-(\d+)(?![a-z0-9])/gi;
+const TASK_ID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+
+// Pull request actions that put its tasks up for review
+const REVIEW_ACTIONS = ['opened', 'reopened', 'ready_for_review'];
+// Only tasks that are still being worked on are moved to review
+const REVIEWABLE_STATUSES = ['todo', 'in_progress'];
+
+const WEBHOOK_ACTOR = { id: null, username: 'github', full_name: 'GitHub' };
+
+// Repository names may contain `_`, which LIKE would treat as a wildcard
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+class GitHubWebhookService {
+  constructor() {
+    this.supportedEvents = SUPPORTED_EVENTS;
+    this.actor = WEBHOOK_ACTOR;
+  }
+
+  get secret() {
+    return process.env.GITHUB_WEBHOOK_SECRET || '';
+  }
+
+  isConfigured() {
+    return !!this.secret;
+  }
+
+  // X-Hub-Signature-256 is "sha256=" + HMAC-SHA256 of the raw request body
+  verifySignature(rawBody, signature) {
+    if (!this.secret || !rawBody || !signature) return false;
+
+    const expected = `sha256=${crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')}`;
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // Task numbers and ids mentioned in any of the given texts
+  extractReferences(...texts) {
+    const numbers = new Set();
+    const ids = new Set();
+
+    texts.filter(Boolean).forEach(text => {
+      for (const match of String(text).matchAll(TASK_NUMBER_PATTERN)) numbers.add(Number(match[1]));
+      for (const match of String(text).matchAll(TASK_ID_PATTERN)) ids.add(match[0].toLowerCase());
+    });
+
+    return { numbers: [...numbers], ids: [...ids] };
+  }
+
+  async findReferencedTasks(projectId, { numbers, ids }) {
+    if (numbers.length === 0 && ids.length === 0) return [];
+
+    const filters = [];
+    if (numbers.length > 0) filters.push(`task_number.in.(${numbers.join(',')})`);
+    if (ids.length > 0) filters.push(`id.in.(${ids.join(',')})`);
+
+    const { data, error } = await supabase
+      .from('project_tasks')
+      .select('id, title, status, task_number, project_id')
+      .eq('project_id', projectId)
+      .or(filters.join(','));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // [{ project, repository }] for every project the repository is connected to. GitHub names
+  // are case-insensitive, so this is an exact ilike match with the LIKE wildcards escaped.
+  async getConnectedProjects(repositoryFullName) {
+    const { data, error } = await supabase
+      .from('project_github_repos')
+      .select('*, projects:project_id(*)')
+      .ilike('repository_full_name', escapeLikePattern(repositoryFullName.toLowerCase()));
+
+    if (error) throw error;
+    return (data || [])
+      .filter(row => row.projects)
+      .map(({ projects, ...repository }) => ({ project: projects, repository }));
+  }
+
+  // Stores the delivery for a project; false when it was already received
+  async storeEvent(projectId, { deliveryId, event, payload }) {
+    const { error } = await supabase
+      .from('github_events')
+      .insert({
+        project_id: projectId,
+        delivery_id: deliveryId,
+        event_type: event,
+        action: payload.action || null,
+        payload,
+        received_at: new Date().toISOString()
+      });
+
+    if (error) {
+      if (error.code === '23505') return false;
+      throw error;
+    }
+    return true;
+  }
+
+  async releaseEvent(projectId, deliveryId) {
+    const { error } = await supabase
+      .from('github_events')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('delivery_id', deliveryId);
+
+    if (error) console.error(`❌ Failed to release GitHub delivery ${deliveryId}:`, error.message);
+  }
+
+  async linkTasks(projectId, tasks, link) {
+    if (tasks.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('task_github_links')
+      .upsert(tasks.map(task => ({
+        project_id: projectId,
+        task_id: task.id,
+        link_type: link.type,
+        external_id: String(link.externalId),
+        title: link.title,
+        url: link.url,
+        author: link.author || null,
+        state: link.state || null,
+        created_at: link.createdAt || now,
+        updated_at: now
+      })), { onConflict: 'task_id,link_type,external_id' })
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Handles one delivery for every project the repository is connected to.
+  // Returns { projects, links, transitions, createdTasks } for the caller to broadcast.
+  async handleEvent({ deliveryId, event, payload }) {
+    const result = { projects: 0, links: [], transitions: [], createdTasks: [] };
+    const repositoryFullName = payload.repository?.full_name;
+    if (!SUPPORTED_EVENTS.includes(event) || !repositoryFullName) return result;
+
+    const connections = await this.getConnectedProjects(repositoryFullName);
+
+    for (const { project, repository } of connections) {
+      const isNew = await this.storeEvent(project.id, { deliveryId, event, payload });
+      if (!isNew) continue;
+
+      try {
+        await this.processEvent(project, repository, { event, payload }, result);
+      } catch (error) {
+        // Forget the delivery so GitHub's redelivery is processed instead of skipped as a duplicate
+        await this.releaseEvent(project.id, deliveryId);
+        throw error;
+      }
+      result.projects++;
+    }
+
+    return result;
+  }
+
+  async processEvent(project, repository, { event, payload }, result) {
+    // Commits and pull requests changed, so the cached insights are stale
+    if (event !== 'issues') githubInsightsService.invalidate(project.id);
+
+    if (event === 'push') {
+      result.links.push(...await this.handlePush(project, payload));
+    } else if (event === 'pull_request') {
+      const { links, transitions } = await this.handlePullRequest(project, payload);
+      result.links.push(...links);
+      result.transitions.push(...transitions);
+    } else if (event === 'issues') {
+      result.links.push(...await this.handleIssue(project, payload));
+
+      if (repository.issue_sync_enabled) {
+        const { created, updated } = await githubIssueSyncService.handleIssueEvent(project, repository, payload);
+        result.createdTasks.push(...created.map(task => ({ projectId: project.id, task })));
+        result.transitions.push(...updated.map(update => ({ projectId: project.id, ...update })));
+      }
+    }
+  }
+
+  async handlePush(project, payload) {
+    const links = [];
+
+    for (const commit of payload.commits || []) {
+      const tasks = await this.findReferencedTasks(project.id, this.extractReferences(commit.message));
+      links.push(...await this.linkTasks(project.id, tasks, {
+        type: 'commit',
+        externalId: commit.id,
+        title: (commit.message || '').split('\n')[0].slice(0, 200),
+        url: commit.url,
+        author: commit.author?.username || commit.author?.name,
+        state: (payload.ref || '').replace('refs/heads/', '') || null,
+        createdAt: commit.timestamp
+      }));
+    }
+
+    return links;
+  }
+
+  async handlePullRequest(project, payload) {
+    const pullRequest = payload.pull_request;
+    if (!pullRequest) return { links: [], transitions: [] };
+
+    const tasks = await this.findReferencedTasks(project.id, this.extractReferences(
+      pullRequest.title,
+      pullRequest.body,
+      pullRequest.head?.ref
+    ));
+
+    const links = await this.linkTasks(project.id, tasks, {
+      type: 'pull_request',
+      externalId: pullRequest.number,
+      title: pullRequest.title,
+      url: pullRequest.html_url,
+      author: pullRequest.user?.login,
+      state: pullRequest.merged ? 'merged' : pullRequest.draft ? 'draft' : pullRequest.state,
+      createdAt: pullRequest.created_at
+    });
+
+    let targetStatus = null;
+    if (REVIEW_ACTIONS.includes(payload.action) && !pullRequest.draft) targetStatus = 'in_review';
+    if (payload.action === 'closed' && pullRequest.merged) targetStatus = 'completed';
+
+    const transitions = [];
+    if (targetStatus) {
+      for (const task of tasks) {
+        if (targetStatus === 'in_review' && !REVIEWABLE_STATUSES.includes(task.status)) continue;
+
+        const outcome = await taskWorkflowService.transition(project, task, targetStatus);
+        if (outcome.skipped) {
+          console.log(`⏭️ PR #${pullRequest.number} left task ${task.id} as ${task.status}: ${outcome.skipped}`);
+          continue;
+        }
+
+        console.log(`🔀 PR #${pullRequest.number} moved task ${task.id} to ${targetStatus}`);
+        transitions.push({ projectId: project.id, ...outcome, changedFields: ['status'] });
+      }
+    }
+
+    return { links, transitions };
+  }
+
+  async handleIssue(project, payload) {
+    const issue = payload.issue;
+    if (!issue) return [];
+
+    const tasks = await this.findReferencedTasks(project.id, this.extractReferences(issue.title, issue.body));
+    return this.linkTasks(project.id, tasks, {
+      type: 'issue',
+      externalId: issue.number,
+      title: issue.title,
+      url: issue.html_url,
+      author: issue.user?.login,
+      state: issue.state,
+      createdAt: issue.created_at
+    });
+  }
+
+  async getTaskLinks(projectId, taskId) {
+    const { data, error } = await supabase
+      .from('task_github_links')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('task_id', taskId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Creates the repository webhook with the user's GitHub token when GITHUB_WEBHOOK_URL
+  // is configured. Returns the hook id, or null when it could not be created (the
+  // repository admin can still add it by hand).
+  async registerWebhook(userId, repositoryFullName) {
+    if (!this.isConfigured() || !process.env.GITHUB_WEBHOOK_URL) return null;
+
+    try {
+      const response = await githubTokenService.request(userId, {
+        method: 'post',
+        url: `/repos/${repositoryFullName}/hooks`,
+        scopes: ['repo'],
+        data: {
+          name: 'web',
+          active: true,
+          events: SUPPORTED_EVENTS,
+          config: {
+            url: process.env.GITHUB_WEBHOOK_URL,
+            content_type: 'json',
+            secret: this.secret
+          }
+        }
+      });
+      console.log('🪝 Registered GitHub webhook for:', repositoryFullName);
+      return response.data.id;
+    } catch (error) {
+      console.log('⚠️ Could not register GitHub webhook for', repositoryFullName, '-', error.response?.data?.message || error.message);
+      return null;
+    }
+  }
+
+  async removeWebhook(userId, repositoryFullName, webhookId) {
+    if (!webhookId) return;
+
+    try {
+      await githubTokenService.request(userId, {
+        method: 'delete',
+        url: `/repos/${repositoryFullName}/hooks/${webhookId}`
+      });
+    } catch (error) {
+      console.log('⚠️ Could not remove GitHub webhook for', repositoryFullName, '-', error.response?.data?.message || error.message);
+    }
+  }
+}
+
+module.exports = new GitHubWebhookService();
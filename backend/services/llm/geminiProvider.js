@@ -0,0 +1,102 @@
+// backend/services/llm/geminiProvider.js
+// Google Gemini through @google/genai. GEMINI_API_KEY is required; LLM_MODEL pins the model.
+// Without a pinned model the first call tries CANDIDATE_MODELS in order and keeps the first
+// that answers, so nothing is sent to Google until the assistant is actually used.
+const { GoogleGenAI } = require('@google/genai');
+const { LLMProvider, llmError } = require('./llmProvider');
+
+const CANDIDATE_MODELS = ['gemini-2.5-flash', 'gemini-1.5-pro', 'gemini-1.5-flash', 'gemini-pro'];
+
+// Conversation turns in the shape Gemini expects; the assistant is the "model" role
+const toContents = (messages) => messages.map(message => ({
+  role: message.role === 'assistant' ? 'model' : 'user',
+  parts: [{ text: message.content }]
+}));
+
+class GeminiProvider extends LLMProvider {
+  constructor({ apiKey = process.env.GEMINI_API_KEY, model = process.env.LLM_MODEL } = {}) {
+    super('gemini');
+    this.apiKey = apiKey;
+    this.pinnedModel = model || null;
+    this.client = apiKey ? new GoogleGenAI({ apiKey }) : null;
+    this.modelPromise = null;
+    this.resolvedModel = null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  get modelName() {
+    return this.pinnedModel || this.resolvedModel;
+  }
+
+  async probeModels() {
+    for (const model of CANDIDATE_MODELS) {
+      try {
+        await this.client.models.generateContent({ model, contents: 'Hello' });
+        console.log(`✅ Gemini model available: ${model}`);
+        return model;
+      } catch (error) {
+        console.log(`❌ Gemini model ${model} not available: ${error.message}`);
+      }
+    }
+    throw llmError('LLM_UNAVAILABLE', 'No compatible Gemini models found');
+  }
+
+  async resolveModel() {
+    if (!this.client) {
+      throw llmError('LLM_UNAVAILABLE', 'GEMINI_API_KEY is not set');
+    }
+    if (this.pinnedModel) return this.pinnedModel;
+
+    if (!this.modelPromise) {
+      this.modelPromise = this.probeModels()
+        .then(model => {
+          this.resolvedModel = model;
+          return model;
+        })
+        .catch(error => {
+          // Try again on the next call; the outage may be temporary
+          this.modelPromise = null;
+          throw error;
+        });
+    }
+    return this.modelPromise;
+  }
+
+  buildRequest(model, { system, messages, temperature, signal }, extraConfig = {}) {
+    const config = { ...extraConfig };
+    if (system) config.systemInstruction = system;
+    if (temperature !== undefined) config.temperature = temperature;
+    if (signal) config.abortSignal = signal;
+
+    return { model, contents: toContents(messages), config };
+  }
+
+  async generate(options) {
+    const model = await this.resolveModel();
+    const response = await this.client.models.generateContent(this.buildRequest(model, options));
+    return { text: response.text || '', model };
+  }
+
+  async *stream(options) {
+    const model = await this.resolveModel();
+    const stream = await this.client.models.generateContentStream(this.buildRequest(model, options));
+
+    for await (const chunk of stream) {
+      if (chunk.text) yield chunk.text;
+    }
+  }
+
+  async generateJSON(options) {
+    const model = await this.resolveModel();
+    const config = { responseMimeType: 'application/json' };
+    if (options.schema) config.responseJsonSchema = options.schema;
+
+    const response = await this.client.models.generateContent(this.buildRequest(model, options, config));
+    return { text: response.text || '', model };
+  }
+}
+
+module.exports = GeminiProvider;
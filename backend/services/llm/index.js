@@ -0,0 +1,114 @@
+// backend/services/llm/index.js
+// The one entry point for language model calls. LLM_PROVIDER picks the adapter:
+//   gemini  Google Gemini (GEMINI_API_KEY)
+//   openai  any OpenAI-compatible chat completions server (LLM_BASE_URL, LLM_MODEL)
+//   mock    deterministic fixture replies, for CI and offline development
+// Without LLM_PROVIDER, Gemini is used when GEMINI_API_KEY is set and the OpenAI-compatible
+// adapter when LLM_BASE_URL is; otherwise AI features report themselves unavailable. The mock
+// is never picked implicitly, so a missing key can't turn into canned answers in production.
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockProvider = require('./mockProvider');
+const { llmError, parseJSONReply, checkSchema } = require('./llmProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+class LLMService {
+  constructor() {
+    this.provider = undefined;
+  }
+
+  selectProviderName() {
+    const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+    if (configured) return configured;
+    if (process.env.GEMINI_API_KEY) return 'gemini';
+    if (process.env.LLM_BASE_URL) return 'openai';
+    return null;
+  }
+
+  // The configured provider, created on first use; null when none is usable
+  getProvider() {
+    if (this.provider !== undefined) return this.provider;
+
+    const name = this.selectProviderName();
+    const Provider = name ? PROVIDERS[name] : null;
+
+    if (!name) {
+      console.warn('⚠️ No LLM provider configured. AI features will be disabled.');
+      this.provider = null;
+    } else if (!Provider) {
+      console.warn(`⚠️ Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+      this.provider = null;
+    } else {
+      const provider = new Provider();
+      if (provider.isConfigured()) {
+        console.log(`🤖 LLM provider: ${name}`);
+        this.provider = provider;
+      } else {
+        console.warn(`⚠️ LLM provider "${name}" is missing its configuration. AI features will be disabled.`);
+        this.provider = null;
+      }
+    }
+
+    return this.provider;
+  }
+
+  // Forgets the chosen provider so the next call re-reads the environment
+  reset() {
+    this.provider = undefined;
+  }
+
+  isAvailable() {
+    return !!this.getProvider();
+  }
+
+  describe() {
+    const provider = this.getProvider();
+    return {
+      available: !!provider,
+      provider: provider ? provider.name : this.selectProviderName(),
+      model: provider ? provider.modelName : null
+    };
+  }
+
+  requireProvider() {
+    const provider = this.getProvider();
+    if (!provider) throw llmError('LLM_UNAVAILABLE', 'AI service is not available');
+    return provider;
+  }
+
+  normalize({ system = null, messages = [], prompt, temperature, signal } = {}) {
+    const turns = prompt ? [...messages, { role: 'user', content: prompt }] : messages;
+    if (turns.length === 0) throw llmError('LLM_INVALID_REQUEST', 'At least one message is required');
+    return { system, messages: turns, temperature, signal };
+  }
+
+  // { system, messages | prompt, temperature } -> { text, model, provider }
+  async generate(options) {
+    const provider = this.requireProvider();
+    const result = await provider.generate(this.normalize(options));
+    return { ...result, provider: provider.name };
+  }
+
+  // Async iterable of text pieces; join them for the full answer. Aborting options.signal
+  // stops the model request, e.g. when the reader has left.
+  stream(options) {
+    return this.requireProvider().stream(this.normalize(options));
+  }
+
+  // { system, messages | prompt, schema } -> { data, text, model, provider }. Throws
+  // LLM_INVALID_JSON when the reply isn't JSON or misses what the schema requires.
+  async generateJSON({ schema, ...options }) {
+    const provider = this.requireProvider();
+    const { text, model } = await provider.generateJSON({ ...this.normalize(options), schema });
+    const data = parseJSONReply(text);
+    checkSchema(data, schema);
+    return { data, text, model, provider: provider.name };
+  }
+}
+
+module.exports = new LLMService();
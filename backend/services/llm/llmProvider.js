@@ -0,0 +1,113 @@
+// backend/services/llm/llmProvider.js
+// Shared base for language model adapters. Every adapter takes the same call shape:
+//   { system, messages: [{ role: 'user' | 'assistant', content }], temperature, schema }
+// and implements generate() -> { text, model } and stream() -> async iterable of text pieces.
+// stream() also gets an AbortSignal as `signal` and stops requesting once it is aborted.
+// generateJSON() is built on generate() here; adapters with a native JSON mode override it.
+
+const llmError = (code, message, cause) => Object.assign(new Error(message), {
+  code,
+  isLLMError: true,
+  cause
+});
+
+// The first JSON object or array in a reply, tolerating ```json fences and text around it
+const parseJSONReply = (text) => {
+  const fenced = (text || '').match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = (fenced ? fenced[1] : text || '').trim();
+  const start = body.search(/[{[]/);
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+
+  if (start === -1 || end < start) {
+    throw llmError('LLM_INVALID_JSON', 'The model did not return JSON');
+  }
+
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (error) {
+    throw llmError('LLM_INVALID_JSON', `The model returned malformed JSON: ${error.message}`, error);
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Checks the top level of a JSON Schema: the value's type, required properties and their types
+const checkSchema = (value, schema) => {
+  if (!schema) return;
+
+  const fail = (reason) => {
+    throw llmError('LLM_INVALID_JSON', `The model's JSON does not match the schema: ${reason}`);
+  };
+
+  if (schema.type && TYPE_CHECKS[schema.type] && !TYPE_CHECKS[schema.type](value)) {
+    fail(`expected ${schema.type}`);
+  }
+
+  if (schema.type !== 'object') return;
+
+  (schema.required || []).forEach(name => {
+    if (value[name] === undefined || value[name] === null) fail(`missing "${name}"`);
+  });
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    if (value[name] === undefined || !property.type || !TYPE_CHECKS[property.type]) return;
+    if (!TYPE_CHECKS[property.type](value[name])) fail(`"${name}" should be ${property.type}`);
+  });
+};
+
+// System text asking for JSON, for providers without a schema-aware JSON mode
+const jsonInstruction = (system, schema) => [
+  system,
+  'Respond with a single JSON object and nothing else: no prose and no code fences.',
+  schema ? `The object must match this JSON Schema:\n${JSON.stringify(schema, null, 2)}` : null
+].filter(Boolean).join('\n\n');
+
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether the environment has what this provider needs (keys, URLs, fixtures)
+  isConfigured() {
+    return false;
+  }
+
+  // The model that answers, once known
+  get modelName() {
+    return null;
+  }
+
+  async generate() {
+    throw llmError('LLM_NOT_IMPLEMENTED', `${this.name} does not implement generate`);
+  }
+
+  // Providers without streaming answer in one piece
+  async *stream(options) {
+    const { text } = await this.generate(options);
+    if (text) yield text;
+  }
+
+  async generateJSON({ system, messages, schema, temperature }) {
+    const { text, model } = await this.generate({
+      system: jsonInstruction(system, schema),
+      messages,
+      temperature
+    });
+    return { text, model };
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  llmError,
+  parseJSONReply,
+  checkSchema,
+  jsonInstruction
+};
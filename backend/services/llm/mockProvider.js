@@ -0,0 +1,89 @@
+// backend/services/llm/mockProvider.js
+// Deterministic replies from JSON fixtures, so AI features run in CI and local development
+// without a model. Fixtures are read from LLM_MOCK_FIXTURES_DIR (default: ./fixtures), in file
+// name order. Each file holds:
+//   { "name", "type": "text" | "json", "match": ["keyword", ...], "response": ... }
+// The reply is the first fixture of the requested type whose keywords appear in the latest user
+// message, otherwise the first fixture of that type without "match". Text responses may be a
+// string or an array of lines.
+const fs = require('fs');
+const path = require('path');
+const { LLMProvider, llmError } = require('./llmProvider');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+class MockProvider extends LLMProvider {
+  constructor({ fixturesDir = process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR } = {}) {
+    super('mock');
+    this.fixturesDir = fixturesDir;
+    this.fixtures = null;
+  }
+
+  isConfigured() {
+    return this.loadFixtures().length > 0;
+  }
+
+  get modelName() {
+    return 'mock';
+  }
+
+  loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+
+    if (!fs.existsSync(this.fixturesDir)) {
+      console.warn(`⚠️ LLM mock fixtures directory not found: ${this.fixturesDir}`);
+      this.fixtures = [];
+      return this.fixtures;
+    }
+
+    this.fixtures = fs.readdirSync(this.fixturesDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'));
+        return {
+          name: fixture.name || path.basename(file, '.json'),
+          type: fixture.type || 'text',
+          match: (fixture.match || []).map(keyword => keyword.toLowerCase()),
+          response: fixture.response
+        };
+      });
+
+    return this.fixtures;
+  }
+
+  findFixture(type, messages) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = (lastUserMessage?.content || '').toLowerCase();
+    const candidates = this.loadFixtures().filter(fixture => fixture.type === type);
+
+    const fixture = candidates.find(candidate => candidate.match.some(keyword => prompt.includes(keyword)))
+      || candidates.find(candidate => candidate.match.length === 0);
+
+    if (!fixture) {
+      throw llmError('LLM_UNAVAILABLE', `No ${type} fixture matches the prompt in ${this.fixturesDir}`);
+    }
+    return fixture;
+  }
+
+  async generate({ messages }) {
+    const { response } = this.findFixture('text', messages);
+    return { text: Array.isArray(response) ? response.join('\n') : String(response), model: this.modelName };
+  }
+
+  // Word by word, like a real model streaming tokens
+  async *stream(options) {
+    const { text } = await this.generate(options);
+    for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+      if (options.signal?.aborted) return;
+      yield piece;
+    }
+  }
+
+  async generateJSON({ messages }) {
+    const { response } = this.findFixture('json', messages);
+    return { text: JSON.stringify(response), model: this.modelName };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,125 @@
+// backend/services/llm/openAICompatibleProvider.js
+// Any server speaking the OpenAI chat completions API: self-hosted runtimes (Ollama, vLLM,
+// llama.cpp, LM Studio) as well as hosted ones. LLM_BASE_URL is the API root including the
+// version segment (e.g. http://localhost:11434/v1), LLM_MODEL the model name and LLM_API_KEY
+// an optional bearer token. LLM_TIMEOUT_MS bounds each request.
+const axios = require('axios');
+const { LLMProvider, llmError, jsonInstruction } = require('./llmProvider');
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({
+    baseURL = process.env.LLM_BASE_URL,
+    apiKey = process.env.LLM_API_KEY,
+    model = process.env.LLM_MODEL,
+    timeout = parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  } = {}) {
+    super('openai');
+    this.baseURL = baseURL ? baseURL.replace(/\/+$/, '') : null;
+    this.model = model || null;
+    this.client = axios.create({
+      baseURL: this.baseURL || undefined,
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      }
+    });
+  }
+
+  isConfigured() {
+    return !!(this.baseURL && this.model);
+  }
+
+  get modelName() {
+    return this.model;
+  }
+
+  buildBody({ system, messages, temperature }, extra = {}) {
+    if (!this.isConfigured()) {
+      throw llmError('LLM_UNAVAILABLE', 'LLM_BASE_URL and LLM_MODEL must be set for the openai provider');
+    }
+
+    return {
+      model: this.model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => ({ role: message.role, content: message.content }))
+      ],
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...extra
+    };
+  }
+
+  // Axios errors carry the server's explanation in the body; surface it
+  wrapError(error) {
+    const detail = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+    return llmError('LLM_REQUEST_FAILED', `LLM request failed: ${detail}`, error);
+  }
+
+  async generate(options) {
+    const body = this.buildBody(options);
+
+    try {
+      const { data } = await this.client.post('/chat/completions', body);
+      return { text: data.choices?.[0]?.message?.content || '', model: data.model || this.model };
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  // Reads the completion as server-sent events, one "data: {...}" line per delta
+  async *stream(options) {
+    const body = this.buildBody(options, { stream: true });
+
+    let response;
+    try {
+      response = await this.client.post('/chat/completions', body, { responseType: 'stream', signal: options.signal });
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.trim();
+        if (!payload.startsWith('data:')) continue;
+
+        const data = payload.slice(5).trim();
+        if (data === '[DONE]') return;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (error) {
+          continue;
+        }
+
+        const text = event.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  // json_object is the JSON mode most compatible servers accept; the schema goes in the prompt
+  async generateJSON({ system, messages, schema, temperature }) {
+    const body = this.buildBody(
+      { system: jsonInstruction(system, schema), messages, temperature },
+      { response_format: { type: 'json_object' } }
+    );
+
+    try {
+      const { data } = await this.client.post('/chat/completions', body);
+      return { text: data.choices?.[0]?.message?.content || '', model: data.model || this.model };
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
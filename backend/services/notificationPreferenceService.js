@@ -0,0 +1,162 @@
+// backend/services/notificationPreferenceService.js
+// Per-user delivery settings for notification events. A row in notification_preferences
+// sets the channel for one event type, either globally (project_id null) or for one
+// project; the project row wins. Channels:
+//   in_app - stored and pushed live (the default)
+//   email  - in_app, plus included in the email digest
+//   off    - not stored at all
+// Digest cadence lives in notification_digest_settings (one row per user).
+const supabase = require('../config/supabase');
+
+const CHANNELS = ['in_app', 'email', 'off'];
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+const DEFAULT_CHANNEL = 'in_app';
+const DEFAULT_DIGEST_FREQUENCY = 'daily';
+const USER_BATCH_SIZE = 200;
+
+class NotificationPreferenceService {
+  constructor() {
+    this.channels = CHANNELS;
+    this.digestFrequencies = DIGEST_FREQUENCIES;
+    this.defaultChannel = DEFAULT_CHANNEL;
+  }
+
+  async getPreferences(userId) {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select(`
+        id,
+        type,
+        project_id,
+        channel,
+        updated_at,
+        project:project_id (
+          id,
+          title
+        )
+      `)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Project-specific preference, else the global one for the type, else the default
+  resolveChannel(preferences, type, projectId = null) {
+    const forType = preferences.filter(pref => pref.type === type);
+    const projectPref = projectId && forType.find(pref => pref.project_id === projectId);
+    const globalPref = forType.find(pref => !pref.project_id);
+    return (projectPref || globalPref)?.channel || DEFAULT_CHANNEL;
+  }
+
+  // Channel per recipient for one event, in a single query: Map(userId -> channel)
+  async resolveChannels(userIds, type, projectId = null) {
+    const channels = new Map(userIds.map(userId => [userId, DEFAULT_CHANNEL]));
+    if (userIds.length === 0) return channels;
+
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('user_id, type, project_id, channel')
+      .in('user_id', userIds)
+      .eq('type', type);
+
+    if (error) {
+      // Preferences are best effort: fall back to in-app delivery
+      console.error('❌ Error loading notification preferences:', error);
+      return channels;
+    }
+
+    userIds.forEach(userId => {
+      const userPrefs = (data || []).filter(pref => pref.user_id === userId);
+      channels.set(userId, this.resolveChannel(userPrefs, type, projectId));
+    });
+
+    return channels;
+  }
+
+  // Upserts the given preferences. A null channel deletes the row, falling back to
+  // the global setting (or the default).
+  async savePreferences(userId, preferences) {
+    for (const pref of preferences) {
+      let query = supabase
+        .from('notification_preferences')
+        .delete()
+        .eq('user_id', userId)
+        .eq('type', pref.type);
+
+      query = pref.projectId ? query.eq('project_id', pref.projectId) : query.is('project_id', null);
+
+      const { error: deleteError } = await query;
+      if (deleteError) throw deleteError;
+
+      if (!pref.channel) continue;
+
+      const { error: insertError } = await supabase
+        .from('notification_preferences')
+        .insert({
+          user_id: userId,
+          type: pref.type,
+          project_id: pref.projectId || null,
+          channel: pref.channel,
+          updated_at: new Date().toISOString()
+        });
+
+      if (insertError) throw insertError;
+    }
+
+    return this.getPreferences(userId);
+  }
+
+  async getDigestSettings(userId) {
+    const { data } = await supabase
+      .from('notification_digest_settings')
+      .select('frequency, last_sent_at')
+      .eq('user_id', userId)
+      .single();
+
+    return {
+      frequency: data?.frequency || DEFAULT_DIGEST_FREQUENCY,
+      lastSentAt: data?.last_sent_at || null
+    };
+  }
+
+  async setDigestFrequency(userId, frequency) {
+    const { error } = await supabase
+      .from('notification_digest_settings')
+      .upsert({
+        user_id: userId,
+        frequency,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+    return this.getDigestSettings(userId);
+  }
+
+  // Users with a non-default cadence, as Map(userId -> frequency)
+  async getDigestFrequencies(userIds) {
+    const frequencies = new Map(userIds.map(userId => [userId, DEFAULT_DIGEST_FREQUENCY]));
+    if (userIds.length === 0) return frequencies;
+
+    // Batched so the id list stays within URL limits and under the 1000-row response cap
+    for (let i = 0; i < userIds.length; i += USER_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('notification_digest_settings')
+        .select('user_id, frequency')
+        .in('user_id', userIds.slice(i, i + USER_BATCH_SIZE));
+
+      if (error) throw error;
+      // markDigestSent creates rows without a frequency for users on the default cadence
+      (data || []).forEach(row => frequencies.set(row.user_id, row.frequency || DEFAULT_DIGEST_FREQUENCY));
+    }
+    return frequencies;
+  }
+
+  async markDigestSent(userId, sentAt) {
+    await supabase
+      .from('notification_digest_settings')
+      .upsert({ user_id: userId, last_sent_at: sentAt }, { onConflict: 'user_id' });
+  }
+}
+
+module.exports = new NotificationPreferenceService();
@@ -0,0 +1,323 @@
+// backend/services/notificationService.js
+// Typed notification events (task assigned, member joined, friend request, ...).
+// Every event is stored in the `notifications` table and pushed live to the
+// recipient's socket room (`user_<id>`, joined on connect in socketHandler).
+// Comment activity keeps living in comment_notifications; the controller merges its counts.
+// Recipients' preferences decide whether an event is stored at all and whether it goes
+// into their email digest (see notificationPreferenceService).
+const supabase = require('../config/supabase');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const emailService = require('./emailService');
+
+const NOTIFICATION_TYPES = {
+  TASK_ASSIGNED: 'task_assigned',
+  TASK_DUE_SOON: 'task_due_soon',
+  MEMBER_JOINED: 'member_joined',
+  MEMBER_REMOVED: 'member_removed',
+  ROLE_CHANGED: 'role_changed',
+  FRIEND_REQUEST: 'friend_request',
+  AWARD_EARNED: 'award_earned',
+  CHALLENGE_RESULT: 'challenge_result'
+};
+
+const userRoom = (userId) => `user_${userId}`;
+const DIGEST_PAGE_SIZE = 1000;
+
+class NotificationService {
+  constructor() {
+    this.io = null;
+    this.types = NOTIFICATION_TYPES;
+    this.dueSoonWindowHours = 24;
+  }
+
+  attachSocketServer(io) {
+    this.io = io;
+  }
+
+  isValidType(type) {
+    return Object.values(NOTIFICATION_TYPES).includes(type);
+  }
+
+  // Stores one event per recipient and pushes it live. Never throws: a failed
+  // notification must not fail the action that triggered it.
+  async notify(userIds, type, { title, message, data = {}, actorId = null, projectId = null }) {
+    const recipients = [...new Set((Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean))]
+      // Nobody needs to be told about their own action
+      .filter(userId => userId !== actorId);
+
+    if (recipients.length === 0) return [];
+    if (!this.isValidType(type)) {
+      console.error('❌ Unknown notification type:', type);
+      return [];
+    }
+
+    try {
+      const channels = await notificationPreferenceService.resolveChannels(recipients, type, projectId);
+      const subscribed = recipients.filter(userId => channels.get(userId) !== 'off');
+      if (subscribed.length === 0) return [];
+
+      const { data: notifications, error } = await supabase
+        .from('notifications')
+        .insert(subscribed.map(userId => ({
+          user_id: userId,
+          type,
+          title,
+          message,
+          data,
+          actor_id: actorId,
+          project_id: projectId,
+          channel: channels.get(userId),
+          is_read: false
+        })))
+        .select();
+
+      if (error) throw error;
+
+      (notifications || []).forEach(notification => {
+        if (this.io) this.io.to(userRoom(notification.user_id)).emit('notification', notification);
+      });
+
+      console.log(`🔔 ${type} notification sent to ${subscribed.length} user(s)`);
+      return notifications || [];
+    } catch (error) {
+      console.error('❌ Error creating notifications:', error);
+      return [];
+    }
+  }
+
+  async list(userId, { type = null, unreadOnly = false, page = 1, limit = 20 } = {}) {
+    let query = supabase
+      .from('notifications')
+      .select(`
+        *,
+        actor:actor_id (
+          id,
+          username,
+          full_name,
+          avatar_url
+        )
+      `, { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (type) query = query.eq('type', type);
+    if (unreadOnly) query = query.eq('is_read', false);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) throw error;
+    return { notifications: data || [], total: count || 0 };
+  }
+
+  // Unread counts keyed by type
+  async unreadCountsByType(userId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('type')
+      .eq('user_id', userId)
+      .eq('is_read', false);
+
+    if (error) throw error;
+
+    return (data || []).reduce((counts, row) => {
+      counts[row.type] = (counts[row.type] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // Marks the given ids, every unread event of one type, or (neither given) everything read
+  async markRead(userId, { ids = null, type = null } = {}) {
+    let query = supabase
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('is_read', false);
+
+    if (ids) query = query.in('id', ids);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+
+    if (this.io && data && data.length > 0) {
+      this.io.to(userRoom(userId)).emit('notifications_read', { ids: data.map(row => row.id), type });
+    }
+
+    return (data || []).length;
+  }
+
+  async remove(userId, notificationId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .delete()
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .select('id')
+      .single();
+
+    if (error) return false;
+    return !!data;
+  }
+
+  // Tells the project owner and leads that someone joined
+  async notifyMemberJoined(projectId, userId, { role = 'member', via = 'challenge' } = {}) {
+    try {
+      const [{ data: project }, { data: leads }, { data: user }] = await Promise.all([
+        supabase.from('projects').select('id, title, owner_id').eq('id', projectId).single(),
+        supabase
+          .from('project_members')
+          .select('user_id')
+          .eq('project_id', projectId)
+          .eq('role', 'lead')
+          .neq('status', 'removed'),
+        supabase.from('users').select('id, username, full_name').eq('id', userId).single()
+      ]);
+
+      if (!project) return [];
+
+      return this.notify(
+        [project.owner_id, ...(leads || []).map(lead => lead.user_id)],
+        NOTIFICATION_TYPES.MEMBER_JOINED,
+        {
+          title: 'New team member',
+          message: `${user?.full_name || user?.username || 'Someone'} joined ${project.title} as ${role}`,
+          data: { userId, role, via, link: `/project/${projectId}/members` },
+          actorId: userId,
+          projectId
+        }
+      );
+    } catch (error) {
+      console.error('❌ Error sending member joined notification:', error);
+      return [];
+    }
+  }
+
+  async notifyAwardEarned(award) {
+    return this.notify(award.user_id, NOTIFICATION_TYPES.AWARD_EARNED, {
+      title: 'Award earned',
+      message: `You earned ${award.award_title}${award.metadata?.project_title ? ` in ${award.metadata.project_title}` : ''}`,
+      data: { awardId: award.id, awardType: award.award_type, link: '/profile' },
+      projectId: award.project_id
+    });
+  }
+
+  // Emails each user on the given cadence their unread email-channel notifications that
+  // have not been in a digest yet. Returns the number of digests sent.
+  async sendDigests(frequency) {
+    // Supabase caps a response at 1000 rows, so the pending queue is read a page at a time
+    const pending = [];
+    for (let offset = 0; ; offset += DIGEST_PAGE_SIZE) {
+      const { data: page, error } = await supabase
+        .from('notifications')
+        .select(`
+          id,
+          user_id,
+          type,
+          title,
+          message,
+          data,
+          created_at,
+          project:project_id (
+            id,
+            title
+          ),
+          user:user_id (
+            id,
+            email,
+            username,
+            full_name
+          )
+        `)
+        .eq('channel', 'email')
+        .eq('is_read', false)
+        .is('emailed_at', null)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + DIGEST_PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('❌ Error loading digest notifications:', error);
+        return 0;
+      }
+
+      pending.push(...(page || []));
+      if (!page || page.length < DIGEST_PAGE_SIZE) break;
+    }
+
+    const byUser = new Map();
+    pending.forEach(notification => {
+      if (!byUser.has(notification.user_id)) byUser.set(notification.user_id, []);
+      byUser.get(notification.user_id).push(notification);
+    });
+
+    const frequencies = await notificationPreferenceService.getDigestFrequencies([...byUser.keys()]);
+    let sent = 0;
+
+    for (const [userId, notifications] of byUser) {
+      const user = notifications[0].user;
+      if (frequencies.get(userId) !== frequency || !user?.email) continue;
+
+      try {
+        await emailService.sendNotificationDigest(user.email, user.full_name || user.username, {
+          frequency,
+          notifications
+        });
+
+        const sentAt = new Date().toISOString();
+        await supabase
+          .from('notifications')
+          .update({ emailed_at: sentAt })
+          .in('id', notifications.map(notification => notification.id));
+        await notificationPreferenceService.markDigestSent(userId, sentAt);
+        sent++;
+      } catch (sendError) {
+        // Left pending, so the next run retries
+        console.error(`❌ Failed to send ${frequency} digest to user ${userId}:`, sendError.message);
+      }
+    }
+
+    return sent;
+  }
+
+  // Sends task_due_soon once per task for open tasks due within the window.
+  // Run periodically; `due_soon_notified_at` keeps it from repeating, and task updates clear it
+  // when the due date or assignee changes.
+  async notifyTasksDueSoon() {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + this.dueSoonWindowHours * 60 * 60 * 1000);
+
+    const { data: tasks, error } = await supabase
+      .from('project_tasks')
+      .select('id, title, project_id, assigned_to, due_date')
+      .not('assigned_to', 'is', null)
+      .neq('status', 'completed')
+      .is('due_soon_notified_at', null)
+      .gte('due_date', now.toISOString())
+      .lte('due_date', windowEnd.toISOString());
+
+    if (error) {
+      console.error('❌ Error finding tasks due soon:', error);
+      return 0;
+    }
+
+    for (const task of tasks || []) {
+      await this.notify(task.assigned_to, NOTIFICATION_TYPES.TASK_DUE_SOON, {
+        title: 'Task due soon',
+        message: `"${task.title}" is due ${new Date(task.due_date).toLocaleString()}`,
+        data: { taskId: task.id, dueDate: task.due_date, link: `/project/${task.project_id}/tasks/${task.id}` },
+        projectId: task.project_id
+      });
+
+      await supabase
+        .from('project_tasks')
+        .update({ due_soon_notified_at: now.toISOString() })
+        .eq('id', task.id);
+    }
+
+    return (tasks || []).length;
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
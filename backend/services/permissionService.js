@@ -0,0 +1,222 @@
+// backend/services/permissionService.js
+// Project permissions. Everything a member can do in a project is a named capability
+// (`tasks.delete`, `members.manage`, ...). A project role is a set of capabilities: one of
+// the built-in roles below, or a custom role the owner defines in project_roles
+// (id, project_id, key, name, description, capabilities, created_by, created_at, updated_at).
+// project_members.role holds the role key. The owner always has every capability.
+const supabase = require('../config/supabase');
+
+// Capability -> what it allows, phrased to complete "Your role can't ..."
+const CAPABILITIES = {
+  'project.view': 'view this project',
+  'project.edit': 'edit the project details',
+  'project.delete': 'delete the project',
+  'tasks.create': 'create tasks',
+  'tasks.edit': 'edit or move tasks',
+  'tasks.delete': 'delete tasks',
+  'tasks.configure': 'change the task board settings',
+  'comments.create': 'comment on tasks',
+  'comments.moderate': "delete other members' comments",
+  'files.upload': 'upload files',
+  'files.manage': "delete other members' files",
+  'members.invite': 'manage invite links',
+  'members.manage': 'change member roles or remove members',
+  'roles.manage': 'manage project roles',
+  'repo.connect': 'connect or disconnect the GitHub repository',
+  'chat.send': 'send chat messages',
+  'chat.rooms': 'create chat rooms',
+  'chat.moderate': 'moderate the project chat',
+  'chat.audit': 'review the chat moderation log'
+};
+
+// Never granted through a role; only the owner has them
+const OWNER_ONLY_CAPABILITIES = ['project.delete', 'roles.manage', 'chat.audit'];
+
+const MEMBER_CAPABILITIES = [
+  'project.view',
+  'tasks.create',
+  'tasks.edit',
+  'tasks.delete',
+  'comments.create',
+  'files.upload',
+  'chat.send',
+  'chat.rooms'
+];
+
+const MODERATOR_CAPABILITIES = [
+  ...MEMBER_CAPABILITIES,
+  'comments.moderate',
+  'files.manage',
+  'chat.moderate'
+];
+
+const LEAD_CAPABILITIES = [
+  ...MODERATOR_CAPABILITIES,
+  'tasks.configure',
+  'members.invite',
+  'members.manage',
+  'repo.connect'
+];
+
+const BUILT_IN_ROLES = {
+  member: { name: 'Member', description: 'Works on tasks, comments and chats', capabilities: MEMBER_CAPABILITIES },
+  moderator: { name: 'Moderator', description: 'Member who also moderates comments, files and chat', capabilities: MODERATOR_CAPABILITIES },
+  lead: { name: 'Lead', description: 'Runs the project: board settings, members, invites and the repository', capabilities: LEAD_CAPABILITIES }
+};
+
+const OWNER_ROLE = 'owner';
+const DEFAULT_ROLE = 'member';
+
+// Custom role keys: lowercase slug that can't shadow a built-in role
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+
+const formatBuiltInRole = (key) => ({
+  key,
+  name: BUILT_IN_ROLES[key].name,
+  description: BUILT_IN_ROLES[key].description,
+  capabilities: BUILT_IN_ROLES[key].capabilities,
+  builtIn: true
+});
+
+const formatCustomRole = (role) => ({
+  id: role.id,
+  key: role.key,
+  name: role.name,
+  description: role.description || '',
+  capabilities: role.capabilities || [],
+  builtIn: false
+});
+
+class PermissionService {
+  constructor() {
+    this.capabilities = CAPABILITIES;
+    this.ownerRole = OWNER_ROLE;
+    this.defaultRole = DEFAULT_ROLE;
+  }
+
+  isReservedRoleKey(key) {
+    return key === OWNER_ROLE || !!BUILT_IN_ROLES[key];
+  }
+
+  isValidRoleKey(key) {
+    return ROLE_KEY_PATTERN.test(key || '') && !this.isReservedRoleKey(key);
+  }
+
+  // Known, grantable capabilities without duplicates; project.view is implied by any role
+  normalizeCapabilities(capabilities = []) {
+    const grantable = capabilities.filter(capability =>
+      CAPABILITIES[capability] && !OWNER_ONLY_CAPABILITIES.includes(capability)
+    );
+    return [...new Set(['project.view', ...grantable])];
+  }
+
+  // Capability catalog for role editors
+  listCapabilities() {
+    return Object.entries(CAPABILITIES).map(([key, description]) => ({
+      key,
+      description,
+      ownerOnly: OWNER_ONLY_CAPABILITIES.includes(key)
+    }));
+  }
+
+  async listCustomRoles(projectId) {
+    const { data, error } = await supabase
+      .from('project_roles')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(formatCustomRole);
+  }
+
+  // Built-in roles followed by the project's custom roles
+  async listRoles(projectId) {
+    return [
+      ...Object.keys(BUILT_IN_ROLES).map(formatBuiltInRole),
+      ...await this.listCustomRoles(projectId)
+    ];
+  }
+
+  // Role definition for a key, or null when the project has no such role
+  async getRole(projectId, key) {
+    if (key === OWNER_ROLE) {
+      return { key: OWNER_ROLE, name: 'Owner', capabilities: Object.keys(CAPABILITIES), builtIn: true };
+    }
+    if (BUILT_IN_ROLES[key]) return formatBuiltInRole(key);
+
+    const { data } = await supabase
+      .from('project_roles')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('key', key)
+      .single();
+
+    return data ? formatCustomRole(data) : null;
+  }
+
+  // What the user may do in the project:
+  // { exists, project, isOwner, isMember, role, capabilities, can(capability) }
+  async getProjectAccess(projectId, userId) {
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('*')
+      .eq('id', projectId)
+      .single();
+
+    if (error || !project) {
+      return { exists: false, project: null, isOwner: false, isMember: false, role: null, capabilities: [], can: () => false };
+    }
+
+    const isOwner = project.owner_id === userId;
+    let roleKey = isOwner ? OWNER_ROLE : null;
+
+    if (!isOwner) {
+      const { data: membership } = await supabase
+        .from('project_members')
+        .select('role')
+        .eq('project_id', projectId)
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .single();
+
+      roleKey = membership ? membership.role || DEFAULT_ROLE : null;
+    }
+
+    let capabilities = [];
+    if (roleKey) {
+      // A member whose custom role was removed keeps the default role's rights
+      const role = await this.getRole(projectId, roleKey) || formatBuiltInRole(DEFAULT_ROLE);
+      capabilities = role.capabilities;
+    }
+
+    return {
+      exists: true,
+      project,
+      isOwner,
+      isMember: !!roleKey,
+      role: roleKey,
+      capabilities,
+      can: (capability) => capabilities.includes(capability)
+    };
+  }
+
+  async can(projectId, userId, capability) {
+    const access = await this.getProjectAccess(projectId, userId);
+    return access.can(capability);
+  }
+
+  // Roles can only hand out rights the acting member has, so nobody can promote past themselves
+  canGrantRole(access, role) {
+    if (!role || role.key === OWNER_ROLE) return false;
+    return role.capabilities.every(capability => access.can(capability));
+  }
+
+  // Message for a denied capability, e.g. "Access denied. Your role can't delete tasks."
+  deniedMessage(access, capability) {
+    if (!access.isMember) return 'Access denied. You are not a member of this project.';
+    return `Access denied. Your role can't ${CAPABILITIES[capability] || capability}.`;
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,233 @@
+// backend/services/sessionService.js
+// Login sessions. Each login creates a row in user_sessions (one per device) and hands out
+// a short-lived access JWT plus a long-lived refresh token. Only a hash of the refresh token
+// is stored; every refresh rotates it. Presenting an already-rotated refresh token means it
+// was copied, so the whole session is revoked. Access tokens carry the session id (`sid`),
+// which the auth middleware and the socket handshake check against revocation.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REUSE_GRACE_MS = 30 * 1000;
+
+const SESSION_SELECT = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const supersededError = () => Object.assign(
+  new Error('Session was just refreshed elsewhere, use the latest refresh token'),
+  { statusCode: 409, code: 'REFRESH_SUPERSEDED' }
+);
+
+const sameHash = (a, b) =>
+  !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = ACCESS_TOKEN_TTL;
+    this.refreshTokenTtlDays = REFRESH_TOKEN_TTL_DAYS;
+  }
+
+  issueAccessToken(userId, sessionId) {
+    return jwt.sign(
+      {
+        userId,
+        id: userId, // Include both for compatibility
+        sid: sessionId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // `<sessionId>.<secret>`: the id finds the row, the secret is compared against its hash
+  newRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  clientInfo(req) {
+    return {
+      user_agent: (req.get('user-agent') || 'Unknown device').slice(0, 500),
+      ip_address: req.ip || null
+    };
+  }
+
+  tokensFor(session, refreshToken) {
+    return {
+      token: this.issueAccessToken(session.user_id, session.id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId: session.id
+    };
+  }
+
+  async createSession(userId, req) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = this.newRefreshToken(sessionId);
+    const now = new Date().toISOString();
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert({
+        id: sessionId,
+        user_id: userId,
+        refresh_token_hash: hashToken(refreshToken),
+        ...this.clientInfo(req),
+        created_at: now,
+        last_used_at: now,
+        expires_at: this.refreshExpiry()
+      })
+      .select(SESSION_SELECT)
+      .single();
+
+    if (error) throw error;
+    return this.tokensFor(session, refreshToken);
+  }
+
+  // Returns new tokens, or null when the refresh token is unknown, expired or revoked.
+  // Throws a 409 when another client of the session rotated it a moment ago.
+  async rotate(refreshToken, req) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId) return null;
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select(`${SESSION_SELECT}, refresh_token_hash, previous_token_hash`)
+      .eq('id', sessionId)
+      .single();
+
+    if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) return null;
+
+    const presentedHash = hashToken(refreshToken);
+
+    if (sameHash(presentedHash, session.previous_token_hash)) {
+      // Another tab of the same browser may have rotated a moment ago; only older reuse is theft.
+      // That tab stored the new pair, so the client picks it up instead of ending the session.
+      const sinceRotation = Date.now() - new Date(session.last_used_at).getTime();
+      if (sinceRotation < REUSE_GRACE_MS) throw supersededError();
+
+      console.warn(`🚨 Refresh token reuse detected, revoking session ${session.id}`);
+      await this.revokeSessions(session.user_id, [session.id], 'refresh_token_reuse');
+      return null;
+    }
+
+    if (!sameHash(presentedHash, session.refresh_token_hash)) return null;
+
+    const nextRefreshToken = this.newRefreshToken(session.id);
+
+    // Only rotate if nobody else rotated in the meantime (two tabs refreshing at once)
+    const { data: rotated, error } = await supabase
+      .from('user_sessions')
+      .update({
+        refresh_token_hash: hashToken(nextRefreshToken),
+        previous_token_hash: session.refresh_token_hash,
+        ...this.clientInfo(req),
+        last_used_at: new Date().toISOString(),
+        expires_at: this.refreshExpiry()
+      })
+      .eq('id', session.id)
+      .eq('refresh_token_hash', session.refresh_token_hash)
+      .select(SESSION_SELECT)
+      .single();
+
+    if (error || !rotated) throw supersededError();
+    return this.tokensFor(rotated, nextRefreshToken);
+  }
+
+  // Logout with just the refresh token, so it works after the access token has expired
+  async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId) return null;
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('id, user_id, refresh_token_hash')
+      .eq('id', sessionId)
+      .single();
+
+    if (!session || !sameHash(hashToken(refreshToken), session.refresh_token_hash)) return null;
+
+    await this.revokeSessions(session.user_id, [session.id], reason);
+    return session;
+  }
+
+  // True when the session exists, belongs to the user and is neither revoked nor expired
+  async isActive(sessionId, userId) {
+    if (!sessionId) return false;
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('user_id, expires_at, revoked_at')
+      .eq('id', sessionId)
+      .single();
+
+    return !!session &&
+      session.user_id === userId &&
+      !session.revoked_at &&
+      new Date(session.expires_at) > new Date();
+  }
+
+  async listSessions(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select(SESSION_SELECT)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Revokes the given sessions of the user and returns the ids that were active
+  async revokeSessions(userId, sessionIds, reason = 'logout') {
+    if (!sessionIds || sessionIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .in('id', sessionIds)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).map(row => row.id);
+  }
+
+  // Every active session of the user, optionally keeping one (the caller's)
+  async revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return (data || []).map(row => row.id);
+  }
+
+  // Drops live sockets opened with a revoked session
+  disconnectSockets(io, sessionIds) {
+    if (!io || sessionIds.length === 0) return;
+
+    for (const socket of io.sockets.sockets.values()) {
+      if (sessionIds.includes(socket.sessionId)) {
+        socket.emit('session_revoked');
+        socket.disconnect(true);
+      }
+    }
+  }
+}
+
+module.exports = new SessionService();
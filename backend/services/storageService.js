@@ -0,0 +1,110 @@
+// backend/services/storageService.js
+// Where uploaded file bytes live. Callers only deal in opaque storage keys; the adapter
+// is chosen by STORAGE_DRIVER:
+//   local    - files under UPLOAD_DIR (default backend/uploads), for development
+//   supabase - a Supabase Storage bucket (SUPABASE_STORAGE_BUCKET), the production default
+const fs = require('fs/promises');
+const path = require('path');
+const supabase = require('../config/supabase');
+
+class LocalStorageAdapter {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Keys are generated server-side, but never let one escape the upload directory
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(keys) {
+    await Promise.all(keys.map(key => fs.rm(this.resolve(key), { force: true })));
+  }
+}
+
+class SupabaseStorageAdapter {
+  constructor(bucket) {
+    this.name = 'supabase';
+    this.bucket = bucket;
+  }
+
+  async put(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw error;
+  }
+
+  async get(key) {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(keys) {
+    if (keys.length === 0) return;
+
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .remove(keys);
+
+    if (error) throw error;
+  }
+}
+
+const createAdapter = () => {
+  const driver = process.env.STORAGE_DRIVER ||
+    (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+
+  if (driver === 'supabase') {
+    return new SupabaseStorageAdapter(process.env.SUPABASE_STORAGE_BUCKET || 'attachments');
+  }
+
+  if (driver !== 'local') {
+    console.warn(`⚠️ Unknown STORAGE_DRIVER "${driver}", using local disk`);
+  }
+
+  return new LocalStorageAdapter(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+};
+
+class StorageService {
+  constructor(adapter = createAdapter()) {
+    this.adapter = adapter;
+    console.log(`🗄️ File storage driver: ${adapter.name}`);
+  }
+
+  put(key, buffer, contentType) {
+    return this.adapter.put(key, buffer, contentType);
+  }
+
+  get(key) {
+    return this.adapter.get(key);
+  }
+
+  remove(keys) {
+    return this.adapter.remove(keys.filter(Boolean));
+  }
+}
+
+module.exports = new StorageService();
+module.exports.LocalStorageAdapter = LocalStorageAdapter;
+module.exports.SupabaseStorageAdapter = SupabaseStorageAdapter;
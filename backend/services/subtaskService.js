@@ -0,0 +1,192 @@
+// backend/services/subtaskService.js
+// Checklist items (subtasks) with their own completion state and assignee.
+// A row in task_subtasks belongs to exactly one parent: a team task (task_id ->
+// project_tasks) or a solo project goal (goal_id -> solo_project_goals).
+// Parents report progress rolled up from their subtasks.
+const supabase = require('../config/supabase');
+
+const SUBTASK_SELECT = `
+  *,
+  assignee:assigned_to(id, full_name, username, avatar_url)
+`;
+
+const PARENT_COLUMNS = {
+  task: 'task_id',
+  goal: 'goal_id'
+};
+
+class SubtaskService {
+  constructor() {
+    this.maxTitleLength = 200;
+    this.maxPerParent = 50;
+  }
+
+  parentColumn(parentType) {
+    const column = PARENT_COLUMNS[parentType];
+    if (!column) throw new Error(`Unknown subtask parent type "${parentType}"`);
+    return column;
+  }
+
+  async listForParents(parentType, parentIds) {
+    if (!parentIds || parentIds.length === 0) return [];
+    const column = this.parentColumn(parentType);
+
+    const { data, error } = await supabase
+      .from('task_subtasks')
+      .select(SUBTASK_SELECT)
+      .in(column, parentIds)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getSubtask(parentType, parentId, subtaskId) {
+    const { data, error } = await supabase
+      .from('task_subtasks')
+      .select(SUBTASK_SELECT)
+      .eq('id', subtaskId)
+      .eq(this.parentColumn(parentType), parentId)
+      .single();
+
+    if (error) return null;
+    return data;
+  }
+
+  summarize(subtasks) {
+    const total = subtasks.length;
+    const completed = subtasks.filter(subtask => subtask.is_completed).length;
+    return {
+      total,
+      completed,
+      progress: total > 0 ? Math.round((completed / total) * 100) : null
+    };
+  }
+
+  // Parent progress: rolled up from subtasks when there are any, otherwise the parent's own
+  // progress (solo goals store one) or 0 / 100 from its status
+  parentProgress(parent, summary) {
+    if (parent.status === 'completed') return 100;
+    if (summary.total > 0) return summary.progress;
+    return parent.progress || 0;
+  }
+
+  // Adds `subtasks` (optional) and `subtask_summary` to each parent row
+  async attachToParents(parentType, parents, { includeItems = false } = {}) {
+    if (!parents || parents.length === 0) return parents || [];
+
+    const column = this.parentColumn(parentType);
+    const subtasks = await this.listForParents(parentType, parents.map(parent => parent.id));
+
+    const byParent = new Map();
+    subtasks.forEach(subtask => {
+      const parentId = subtask[column];
+      if (!byParent.has(parentId)) byParent.set(parentId, []);
+      byParent.get(parentId).push(subtask);
+    });
+
+    return parents.map(parent => {
+      const items = byParent.get(parent.id) || [];
+      const summary = this.summarize(items);
+      return {
+        ...parent,
+        ...(includeItems ? { subtasks: items } : {}),
+        subtask_summary: summary,
+        progress: this.parentProgress(parent, summary)
+      };
+    });
+  }
+
+  async createSubtasks(parentType, parentId, items, createdBy) {
+    const column = this.parentColumn(parentType);
+
+    const { data: existing } = await supabase
+      .from('task_subtasks')
+      .select('position')
+      .eq(column, parentId)
+      .order('position', { ascending: false })
+      .limit(1);
+
+    const startPosition = existing && existing.length > 0 ? existing[0].position + 1 : 0;
+
+    const rows = items.map((item, index) => ({
+      [column]: parentId,
+      title: String(item.title).trim().slice(0, this.maxTitleLength),
+      assigned_to: item.assigned_to || null,
+      is_completed: false,
+      position: startPosition + index,
+      created_by: createdBy
+    }));
+
+    const { data, error } = await supabase
+      .from('task_subtasks')
+      .insert(rows)
+      .select(SUBTASK_SELECT);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async updateSubtask(parentType, parentId, subtaskId, changes, userId) {
+    const update = { updated_at: new Date().toISOString() };
+
+    if (changes.title !== undefined) {
+      update.title = String(changes.title).trim().slice(0, this.maxTitleLength);
+    }
+    if (changes.assigned_to !== undefined) {
+      update.assigned_to = changes.assigned_to || null;
+    }
+    if (changes.position !== undefined) {
+      update.position = parseInt(changes.position) || 0;
+    }
+    if (changes.is_completed !== undefined) {
+      const isCompleted = Boolean(changes.is_completed);
+      update.is_completed = isCompleted;
+      update.completed_at = isCompleted ? new Date().toISOString() : null;
+      update.completed_by = isCompleted ? userId : null;
+    }
+
+    const { data, error } = await supabase
+      .from('task_subtasks')
+      .update(update)
+      .eq('id', subtaskId)
+      .eq(this.parentColumn(parentType), parentId)
+      .select(SUBTASK_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteSubtask(parentType, parentId, subtaskId) {
+    const { data, error } = await supabase
+      .from('task_subtasks')
+      .delete()
+      .eq('id', subtaskId)
+      .eq(this.parentColumn(parentType), parentId)
+      .select('id')
+      .single();
+
+    if (error) return false;
+    return !!data;
+  }
+
+  async deleteForParent(parentType, parentId) {
+    await supabase
+      .from('task_subtasks')
+      .delete()
+      .eq(this.parentColumn(parentType), parentId);
+  }
+
+  async countForParent(parentType, parentId) {
+    const { count } = await supabase
+      .from('task_subtasks')
+      .select('id', { count: 'exact', head: true })
+      .eq(this.parentColumn(parentType), parentId);
+
+    return count || 0;
+  }
+}
+
+module.exports = new SubtaskService();
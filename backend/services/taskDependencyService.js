@@ -0,0 +1,212 @@
+// backend/services/taskDependencyService.js
+// "Blocks / blocked by" links between tasks of the same project.
+// A row in project_task_dependencies means blocker_task_id must be completed
+// before blocked_task_id can move forward.
+// project_tasks.blocked_by_dependencies marks tasks this service moved to `blocked`, so only
+// those are moved back out when their blockers complete; tasks a member blocked stay blocked.
+const supabase = require('../config/supabase');
+
+class TaskDependencyService {
+  async getProjectDependencies(projectId) {
+    const { data, error } = await supabase
+      .from('project_task_dependencies')
+      .select('id, blocker_task_id, blocked_task_id, created_at')
+      .eq('project_id', projectId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Adding blocker -> blocked closes a cycle if `blocked` already (transitively) blocks `blocker`.
+  // Returns the offending chain of task ids, or null when the link is safe.
+  findCycle(dependencies, blockerId, blockedId) {
+    if (blockerId === blockedId) return [blockerId];
+
+    const blocks = this.buildAdjacency(dependencies, 'blocker_task_id', 'blocked_task_id');
+    const previous = new Map([[blockedId, null]]);
+    const queue = [blockedId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === blockerId) {
+        const chain = [];
+        for (let node = current; node; node = previous.get(node)) chain.unshift(node);
+        return chain;
+      }
+      (blocks.get(current) || []).forEach(next => {
+        if (!previous.has(next)) {
+          previous.set(next, current);
+          queue.push(next);
+        }
+      });
+    }
+
+    return null;
+  }
+
+  buildAdjacency(dependencies, fromKey, toKey) {
+    const adjacency = new Map();
+    dependencies.forEach(dep => {
+      if (!adjacency.has(dep[fromKey])) adjacency.set(dep[fromKey], []);
+      adjacency.get(dep[fromKey]).push(dep[toKey]);
+    });
+    return adjacency;
+  }
+
+  // Direct blockers of a task that are not completed yet
+  async getOpenBlockers(taskId) {
+    const { data, error } = await supabase
+      .from('project_task_dependencies')
+      .select('blocker:blocker_task_id(id, title, status)')
+      .eq('blocked_task_id', taskId);
+
+    if (error) throw error;
+    return (data || [])
+      .map(row => row.blocker)
+      .filter(blocker => blocker && blocker.status !== 'completed');
+  }
+
+  // Re-evaluate the given tasks: open blockers force `blocked`, and a task blocked here
+  // whose last blocker has completed goes back to `todo`. Completed tasks are left alone.
+  async syncBlockedStatus(projectId, taskIds) {
+    if (!taskIds || taskIds.length === 0) return [];
+
+    const [{ data: tasks, error: tasksError }, { data: links, error: linksError }] = await Promise.all([
+      supabase
+        .from('project_tasks')
+        .select('id, status, blocked_by_dependencies')
+        .eq('project_id', projectId)
+        .in('id', taskIds),
+      supabase
+        .from('project_task_dependencies')
+        .select('blocked_task_id, blocker:blocker_task_id(status)')
+        .eq('project_id', projectId)
+        .in('blocked_task_id', taskIds)
+    ]);
+
+    if (tasksError) throw tasksError;
+    if (linksError) throw linksError;
+
+    const openBlockerCount = new Map();
+    (links || []).forEach(link => {
+      if (link.blocker && link.blocker.status !== 'completed') {
+        openBlockerCount.set(link.blocked_task_id, (openBlockerCount.get(link.blocked_task_id) || 0) + 1);
+      }
+    });
+
+    const changes = [];
+    (tasks || []).forEach(task => {
+      if (task.status === 'completed') return;
+
+      const isBlocked = openBlockerCount.has(task.id);
+      if (isBlocked && task.status !== 'blocked') {
+        changes.push({ id: task.id, from: task.status, to: 'blocked' });
+      } else if (!isBlocked && task.status === 'blocked' && task.blocked_by_dependencies) {
+        changes.push({ id: task.id, from: task.status, to: 'todo' });
+      }
+    });
+
+    const now = new Date().toISOString();
+    await Promise.all(changes.map(change =>
+      supabase
+        .from('project_tasks')
+        // Null position drops the task at the bottom of its new board column
+        .update({ status: change.to, blocked_by_dependencies: change.to === 'blocked', position: null, updated_at: now })
+        .eq('id', change.id)
+    ));
+
+    if (changes.length > 0) {
+      console.log('🔗 Dependency status changes:', changes);
+    }
+
+    return changes;
+  }
+
+  // Called after a task's status changed: its dependents may need to block or unblock
+  async syncDependents(projectId, taskId) {
+    const { data, error } = await supabase
+      .from('project_task_dependencies')
+      .select('blocked_task_id')
+      .eq('blocker_task_id', taskId);
+
+    if (error) throw error;
+    return this.syncBlockedStatus(projectId, (data || []).map(row => row.blocked_task_id));
+  }
+
+  // Longest chain of unfinished tasks where each one blocks the next.
+  // Length is counted in tasks; estimatedHours sums the chain's estimates.
+  getCriticalPath(tasks, dependencies) {
+    const openTasks = new Map(
+      tasks.filter(task => task.status !== 'completed').map(task => [task.id, task])
+    );
+    const openLinks = dependencies.filter(dep =>
+      openTasks.has(dep.blocker_task_id) && openTasks.has(dep.blocked_task_id)
+    );
+    const blockers = this.buildAdjacency(openLinks, 'blocked_task_id', 'blocker_task_id');
+
+    const longest = new Map();
+    const visiting = new Set();
+
+    const walk = (taskId) => {
+      if (longest.has(taskId)) return longest.get(taskId);
+      // Cycles are rejected on insert; this guards against legacy data
+      if (visiting.has(taskId)) return [];
+      visiting.add(taskId);
+
+      let best = [];
+      (blockers.get(taskId) || []).forEach(blockerId => {
+        const chain = walk(blockerId);
+        if (chain.length > best.length) best = chain;
+      });
+
+      visiting.delete(taskId);
+      const result = [...best, taskId];
+      longest.set(taskId, result);
+      return result;
+    };
+
+    let path = [];
+    openTasks.forEach((task, taskId) => {
+      const chain = walk(taskId);
+      if (chain.length > path.length) path = chain;
+    });
+
+    // A lone task is not a dependency chain
+    if (path.length < 2) path = [];
+
+    return {
+      length: path.length,
+      taskIds: path,
+      estimatedHours: path.reduce((sum, id) => sum + (openTasks.get(id).estimated_hours || 0), 0)
+    };
+  }
+
+  // Transitive blockers (upstream) and dependents (downstream) of a task, with depth
+  getDependencyChain(taskId, dependencies) {
+    const collect = (fromKey, toKey) => {
+      const adjacency = this.buildAdjacency(dependencies, fromKey, toKey);
+      const depth = new Map([[taskId, 0]]);
+      const queue = [taskId];
+      const chain = [];
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        (adjacency.get(current) || []).forEach(next => {
+          if (depth.has(next)) return;
+          depth.set(next, depth.get(current) + 1);
+          chain.push({ taskId: next, depth: depth.get(next), via: current });
+          queue.push(next);
+        });
+      }
+
+      return chain;
+    };
+
+    return {
+      upstream: collect('blocked_task_id', 'blocker_task_id'),
+      downstream: collect('blocker_task_id', 'blocked_task_id')
+    };
+  }
+}
+
+module.exports = new TaskDependencyService();
@@ -0,0 +1,166 @@
+// backend/services/taskWorkflowService.js
+// Board rules shared by everything that moves tasks: per-column WIP limits, bottom-of-column
+// positions, unfinished blockers, and per-project task numbers (shown as TASK-12).
+// project_tasks is unique on (project_id, task_number); tasks from before numbering existed are
+// numbered by scripts/backfillTaskNumbers.js.
+const supabase = require('../config/supabase');
+const taskDependencyService = require('./taskDependencyService');
+
+// Board columns, in display order (same list as updateTaskValidation)
+const TASK_STATUSES = ['todo', 'in_progress', 'in_review', 'completed', 'blocked'];
+// Tries at a free task number before giving up on concurrent creates
+const TASK_NUMBER_ATTEMPTS = 5;
+const BACKFILL_BATCH_SIZE = 500;
+
+class TaskWorkflowService {
+  constructor() {
+    this.statuses = TASK_STATUSES;
+  }
+
+  // Per-column work-in-progress limits are stored on the project, e.g. { in_progress: 3 }
+  getWipLimits(project) {
+    const limits = project?.task_wip_limits || {};
+    return Object.fromEntries(
+      Object.entries(limits).filter(([status, limit]) => TASK_STATUSES.includes(status) && Number(limit) > 0)
+    );
+  }
+
+  // Returns an error message when adding `incoming` tasks to the column would exceed its limit
+  async checkWipLimit(projectId, wipLimits, status, incoming = 1) {
+    const limit = Number(wipLimits[status]);
+    if (!limit) return null;
+
+    const { count, error } = await supabase
+      .from('project_tasks')
+      .select('id', { count: 'exact', head: true })
+      .eq('project_id', projectId)
+      .eq('status', status);
+
+    if (error) throw error;
+
+    if ((count || 0) + incoming > limit) {
+      return `The "${status.replace('_', ' ')}" column has reached its WIP limit of ${limit}`;
+    }
+    return null;
+  }
+
+  // Position after the last task in a column, so new and moved tasks land at the bottom
+  async getNextPosition(projectId, status) {
+    const { data } = await supabase
+      .from('project_tasks')
+      .select('position')
+      .eq('project_id', projectId)
+      .eq('status', status)
+      .not('position', 'is', null)
+      .order('position', { ascending: false })
+      .limit(1);
+
+    return data && data.length > 0 ? data[0].position + 1 : 0;
+  }
+
+  // Error message when a task still has unfinished blockers, otherwise null
+  async describeOpenBlockers(taskId) {
+    const openBlockers = await taskDependencyService.getOpenBlockers(taskId);
+    if (openBlockers.length === 0) return null;
+    return `This task is blocked by unfinished tasks: ${openBlockers.map(blocker => blocker.title).join(', ')}`;
+  }
+
+  // Next number in the project's TASK-n sequence
+  async getNextTaskNumber(projectId) {
+    const { data } = await supabase
+      .from('project_tasks')
+      .select('task_number')
+      .eq('project_id', projectId)
+      .not('task_number', 'is', null)
+      .order('task_number', { ascending: false })
+      .limit(1);
+
+    return data && data.length > 0 ? data[0].task_number + 1 : 1;
+  }
+
+  // Inserts a task under the project's next task number. A concurrent create that took the same
+  // number fails the unique constraint, so the insert is retried with a fresh one.
+  // Returns the insert's { data, error }.
+  async insertNumberedTask(taskData, select = '*') {
+    for (let attempt = 1; ; attempt++) {
+      const result = await supabase
+        .from('project_tasks')
+        .insert({ ...taskData, task_number: await this.getNextTaskNumber(taskData.project_id) })
+        .select(select)
+        .single();
+
+      if (result.error?.code !== '23505' || attempt >= TASK_NUMBER_ATTEMPTS) return result;
+    }
+  }
+
+  // Numbers every task that has no task number yet, oldest first within each project, so
+  // "#TASK-n" references can link them. Returns how many tasks were numbered.
+  async backfillTaskNumbers() {
+    let numbered = 0;
+
+    for (;;) {
+      const { data: tasks, error } = await supabase
+        .from('project_tasks')
+        .select('id, project_id')
+        .is('task_number', null)
+        .order('created_at', { ascending: true })
+        .limit(BACKFILL_BATCH_SIZE);
+
+      if (error) throw error;
+      if (!tasks || tasks.length === 0) return numbered;
+
+      for (const task of tasks) {
+        for (let attempt = 1; ; attempt++) {
+          const { error: updateError } = await supabase
+            .from('project_tasks')
+            .update({ task_number: await this.getNextTaskNumber(task.project_id) })
+            .eq('id', task.id)
+            .is('task_number', null);
+
+          if (!updateError) break;
+          if (updateError.code !== '23505' || attempt >= TASK_NUMBER_ATTEMPTS) throw updateError;
+        }
+        numbered += 1;
+      }
+    }
+  }
+
+  // Moves a task to another column on behalf of an automation, with the same checks a member
+  // gets on the board. Returns { task, dependencyUpdates } or { skipped: reason }.
+  async transition(project, task, status) {
+    if (task.status === status) return { skipped: `already ${status}` };
+
+    if (status !== 'blocked') {
+      const blockerError = await this.describeOpenBlockers(task.id);
+      if (blockerError) return { skipped: blockerError };
+    }
+
+    const wipError = await this.checkWipLimit(project.id, this.getWipLimits(project), status);
+    if (wipError) return { skipped: wipError };
+
+    const now = new Date().toISOString();
+    const { data: updated, error } = await supabase
+      .from('project_tasks')
+      .update({
+        status,
+        blocked_by_dependencies: false,
+        position: await this.getNextPosition(project.id, status),
+        completed_at: status === 'completed' ? now : null,
+        updated_at: now
+      })
+      .eq('id', task.id)
+      .select(`
+        *,
+        assigned_user:assigned_to(id, full_name, username, email),
+        creator:created_by(id, full_name, username, email)
+      `)
+      .single();
+
+    if (error) throw error;
+
+    const dependencyUpdates = await taskDependencyService.syncDependents(project.id, task.id);
+    return { task: updated, dependencyUpdates };
+  }
+}
+
+module.exports = new TaskWorkflowService();
@@ -0,0 +1,259 @@
+// backend/services/twoFactorService.js
+// Opt-in TOTP two-factor authentication (RFC 6238, 30s steps, as used by authenticator apps).
+// user_two_factor holds one row per user: the secret (AES-256-GCM encrypted), whether it is
+// enabled, the last accepted time step (a code can't be replayed) and a failure counter
+// that locks verification for a while after too many wrong codes.
+// user_recovery_codes holds hashed one-time codes for when the authenticator is lost.
+// The second login step is bridged by a short-lived, single-purpose challenge JWT.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const supabase = require('../config/supabase');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'TechSync';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const CHALLENGE_TTL = '5m';
+
+// Roles that can be required to use 2FA, with their system_settings keys
+const REQUIRED_ROLE_SETTINGS = {
+  admin: 'require_2fa_admin',
+  moderator: 'require_2fa_moderator'
+};
+
+// Accept the previous and next step too, for clock drift
+authenticator.options = { window: 1 };
+
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '').digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+class TwoFactorService {
+  constructor() {
+    this.requiredRoleSettings = REQUIRED_ROLE_SETTINGS;
+  }
+
+  async getRecord(userId) {
+    const { data } = await supabase
+      .from('user_two_factor')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    return data || null;
+  }
+
+  async isEnabled(userId) {
+    const record = await this.getRecord(userId);
+    return !!record?.enabled;
+  }
+
+  // Whether system_settings require 2FA for this role
+  async isRequiredForRole(role) {
+    const key = REQUIRED_ROLE_SETTINGS[role];
+    if (!key) return false;
+
+    const { data } = await supabase
+      .from('system_settings')
+      .select('value')
+      .eq('key', key)
+      .single();
+
+    return data?.value === 'true';
+  }
+
+  async getStatus(userId, role) {
+    const [record, required, { count }] = await Promise.all([
+      this.getRecord(userId),
+      this.isRequiredForRole(role),
+      supabase
+        .from('user_recovery_codes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('used_at', null)
+    ]);
+
+    return {
+      enabled: !!record?.enabled,
+      enabledAt: record?.enabled_at || null,
+      required,
+      recoveryCodesRemaining: record?.enabled ? count || 0 : 0
+    };
+  }
+
+  // Starts (or restarts) enrollment with a fresh secret; 2FA stays off until confirmed
+  async startEnrollment(user) {
+    const secret = authenticator.generateSecret();
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .upsert({
+        user_id: user.id,
+        secret_encrypted: encryptSecret(secret),
+        enabled: false,
+        enabled_at: null,
+        last_used_step: null,
+        failed_attempts: 0,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    const otpauthUrl = authenticator.keyuri(user.email || user.username, ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  // Checks a TOTP code against the stored secret. Returns { valid, locked }.
+  // A code is accepted once: its time step must be newer than the last accepted one.
+  async verifyCode(record, code) {
+    if (!record) return { valid: false, locked: false };
+
+    if (record.locked_until && new Date(record.locked_until) > new Date()) {
+      return { valid: false, locked: true };
+    }
+
+    const token = String(code || '').replace(/\s/g, '');
+    const delta = /^\d{6}$/.test(token) ? authenticator.checkDelta(token, decryptSecret(record.secret_encrypted)) : null;
+    const step = delta === null ? null : Math.floor(Date.now() / 1000 / 30) + delta;
+
+    if (step === null || (record.last_used_step !== null && step <= record.last_used_step)) {
+      await this.recordFailure(record);
+      return { valid: false, locked: false };
+    }
+
+    await supabase
+      .from('user_two_factor')
+      .update({ last_used_step: step, failed_attempts: 0, locked_until: null })
+      .eq('user_id', record.user_id);
+
+    return { valid: true, locked: false };
+  }
+
+  async recordFailure(record) {
+    const failedAttempts = (record.failed_attempts || 0) + 1;
+    const lock = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+    await supabase
+      .from('user_two_factor')
+      .update({
+        failed_attempts: lock ? 0 : failedAttempts,
+        locked_until: lock ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString() : null
+      })
+      .eq('user_id', record.user_id);
+
+    if (lock) console.warn(`🔒 2FA locked for user ${record.user_id} after ${MAX_FAILED_ATTEMPTS} failed codes`);
+  }
+
+  // Confirms enrollment with a first code; returns the recovery codes or null
+  async confirmEnrollment(userId, code) {
+    const record = await this.getRecord(userId);
+    if (!record || record.enabled) return null;
+
+    const { valid } = await this.verifyCode(record, code);
+    if (!valid) return null;
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .update({ enabled: true, enabled_at: new Date().toISOString() })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return this.regenerateRecoveryCodes(userId);
+  }
+
+  async disable(userId) {
+    await supabase.from('user_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  // Replaces all recovery codes; the plain codes are only ever returned here
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await supabase.from('user_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabase
+      .from('user_recovery_codes')
+      .insert(codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+    if (error) throw error;
+    return codes;
+  }
+
+  // Marks a matching unused recovery code as used; true when one was consumed
+  async consumeRecoveryCode(userId, code) {
+    const { data } = await supabase
+      .from('user_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', hashRecoveryCode(code))
+      .is('used_at', null)
+      .select('id');
+
+    return (data || []).length > 0;
+  }
+
+  // A TOTP code or, failing that, a recovery code. Returns { valid, locked, usedRecoveryCode }.
+  async verifySecondFactor(userId, { code, recoveryCode }) {
+    const record = await this.getRecord(userId);
+    if (!record?.enabled) return { valid: false, locked: false };
+
+    if (recoveryCode) {
+      if (record.locked_until && new Date(record.locked_until) > new Date()) {
+        return { valid: false, locked: true };
+      }
+      const valid = await this.consumeRecoveryCode(userId, recoveryCode);
+      if (!valid) await this.recordFailure(record);
+      return { valid, locked: false, usedRecoveryCode: valid };
+    }
+
+    return this.verifyCode(record, code);
+  }
+
+  // Short-lived token proving the password step passed; only accepted by the 2FA login step
+  issueChallenge(userId) {
+    return jwt.sign({ userId, purpose: '2fa_login' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+  }
+
+  // Returns the user id, or null for an invalid or expired challenge
+  readChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      return decoded.purpose === '2fa_login' ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,56 @@
+// backend/utils/chatRealtime.js
+// Project chat sync: message, thread, reaction and pin changes go to everyone in the chat room.
+// Sockets join `room_<roomId>` via `join_project_rooms` (socketHandler); controllers reach the
+// socket server through req.app.get('io'). Direct conversations use the same rooms, joined on
+// connect and whenever a conversation starts.
+
+const chatRoom = (roomId) => `room_${roomId}`;
+// Every socket of a user is in this room (see socketHandler)
+const userRoom = (userId) => `user_${userId}`;
+
+// Emits `event` to the chat room; payloads always carry roomId
+const broadcastChatEvent = (io, roomId, event, payload = {}) => {
+  if (!io) return;
+
+  try {
+    io.to(chatRoom(roomId)).emit(event, { roomId, ...payload });
+  } catch (error) {
+    // A failed broadcast must never fail the change that triggered it
+    console.error('❌ Chat broadcast error:', error);
+  }
+};
+
+// A read receipt for everyone in the room ("seen by"), which includes the reader's other tabs.
+// pointer comes from chatService.markRoomRead and carries the reader.
+const broadcastRoomRead = (io, projectId, pointer) => {
+  broadcastChatEvent(io, pointer.room_id, 'room_read', {
+    projectId,
+    userId: pointer.user_id,
+    user: pointer.user,
+    lastReadMessageId: pointer.last_read_message_id,
+    lastReadAt: pointer.last_read_at
+  });
+};
+
+// Adds the users' open sockets to a chat room, e.g. everyone in a new direct conversation
+const joinChatRoom = (io, roomId, userIds) => {
+  if (!io) return;
+  userIds.forEach(userId => io.in(userRoom(userId)).socketsJoin(chatRoom(roomId)));
+};
+
+const leaveChatRoom = (io, roomId, userIds) => {
+  if (!io) return;
+  userIds.forEach(userId => io.in(userRoom(userId)).socketsLeave(chatRoom(roomId)));
+};
+
+const isUserOnline = (io, userId) => (io?.sockets.adapter.rooms.get(userRoom(userId))?.size || 0) > 0;
+
+module.exports = {
+  chatRoom,
+  userRoom,
+  broadcastChatEvent,
+  broadcastRoomRead,
+  joinChatRoom,
+  leaveChatRoom,
+  isUserOnline
+};
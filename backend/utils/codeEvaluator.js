@@ -1,27 +1,16 @@
 // backend/utils/codeEvaluator.js
-// Forgiving checker: don't send expected_output to Judge0; compare JSON/text in backend.
+// Forgiving checker: don't send expected_output to the executor; compare JSON/text in backend.
 // Provides detailed per-test diffs for UI.
+// Execution itself is delegated to the backend chosen in utils/codeExecutor.js (Judge0 or local).
 
-const axios = require('axios');
-const { resolveLanguageId } = require('./judge0Languages');
+const { getExecutor } = require('./codeExecutor');
+const judge0Executor = require('./judge0Executor');
 
-const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
-const JUDGE0_KEY = process.env.JUDGE0_KEY || process.env.RAPIDAPI_KEY || null;
-const JUDGE0_HOST = process.env.JUDGE0_HOST || 'judge0-ce.p.rapidapi.com';
 const JSON_NUM_TOLERANCE = Number(process.env.JUDGE0_JSON_TOLERANCE || '0'); // e.g. 0.000001
 const DEBUG = process.env.JUDGE0_DEBUG === '1';
 
 function log(...args) { if (DEBUG) console.log('[Judge0]', ...args); }
 
-function getHeaders() {
-  const headers = { 'Content-Type': 'application/json' };
-  if (JUDGE0_KEY) {
-    headers['X-RapidAPI-Key'] = JUDGE0_KEY;
-    headers['X-RapidAPI-Host'] = JUDGE0_HOST;
-  }
-  return headers;
-}
-
 // -------- utils --------
 function safeStringify(value) {
   if (value === null || value === undefined) return '';
@@ -174,62 +163,12 @@ function compareOutputs(expectedRaw, actualRaw, tol = JSON_NUM_TOLERANCE) {
   return { ok, mode: 'text', expected: expStr, actual: actStr, firstDiffIndex: idx, expectedPreview: expPrev, actualPreview: actPrev };
 }
 
-// -------- Judge0 interaction (no expected_output) --------
-async function submitExecution({ sourceCode, languageId, stdin = '', timeLimitMs = 5000, memoryLimitMb = 256 }) {
-  try {
-    const payload = {
-      source_code: Buffer.from(safeStringify(sourceCode)).toString('base64'),
-      language_id: languageId,
-      stdin: stdin ? Buffer.from(safeStringify(stdin)).toString('base64') : null,
-      cpu_time_limit: Math.ceil(timeLimitMs / 1000),
-      memory_limit: memoryLimitMb * 1024
-    };
-    const resp = await axios.post(
-      `${JUDGE0_URL}/submissions?base64_encoded=true&wait=false`,
-      payload,
-      { headers: getHeaders(), timeout: 15000 }
-    );
-    if (!resp.data.token) throw new Error('No submission token received from Judge0');
-    return resp.data.token;
-  } catch (error) {
-    log('Submission failed', error.response?.data || error.message);
-    throw new Error(`Judge0 submission failed: ${error.message}`);
-  }
-}
-
-async function getExecutionResult(token) {
-  try {
-    const maxAttempts = 30;
-    let attempts = 0;
-    while (attempts < maxAttempts) {
-      const resp = await axios.get(
-        `${JUDGE0_URL}/submissions/${token}?base64_encoded=true`,
-        { headers: getHeaders(), timeout: 10000 }
-      );
-      const d = resp.data;
-      if (d.status?.id <= 2) { // queued/processing
-        await new Promise(r => setTimeout(r, 1000));
-        attempts++;
-        continue;
-      }
-      return {
-        status: d.status,
-        stdout: d.stdout ? Buffer.from(d.stdout, 'base64').toString() : '',
-        stderr: d.stderr ? Buffer.from(d.stderr, 'base64').toString() : '',
-        compile_output: d.compile_output ? Buffer.from(d.compile_output, 'base64').toString() : '',
-        time: parseFloat(d.time) || 0,
-        memory: parseInt(d.memory) || 0,
-        exit_code: d.exit_code
-      };
-    }
-    throw new Error('Execution timeout - Judge0 took too long to respond');
-  } catch (error) {
-    log('Get result failed', error.response?.data || error.message);
-    throw new Error(`Failed to get Judge0 result: ${error.message}`);
-  }
-}
+// -1: the executor call itself failed; 13: Judge0 / sandbox "Internal Error".
+// Neither says anything about the submitted code.
+const EXECUTOR_FAILURE_STATUS_IDS = new Set([-1, 13]);
 
-async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs = 5000, memoryLimitMb = 256 }) {
+// -------- execution (no expected_output) --------
+async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs = 5000, memoryLimitMb = 256, executor = getExecutor() }) {
   try {
     const start = Date.now();
 
@@ -238,8 +177,7 @@ async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs =
       testCase.expected_output || testCase.output || testCase.expectedOutput || testCase.expected || ''
     );
 
-    const token = await submitExecution({ sourceCode, languageId, stdin: input, timeLimitMs, memoryLimitMb });
-    const res = await getExecutionResult(token);
+    const res = await executor.execute({ sourceCode, languageId, stdin: input, timeLimitMs, memoryLimitMb });
     const end = Date.now();
 
     const errorStatusIds = new Set([5,6,7,8,9,10,11,12]); // TLE, CE, RE, etc.
@@ -305,6 +243,49 @@ async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs =
 }
 
 // -------- test-cases helpers --------
+// Test cases may be flagged hidden by the challenge author; their input and
+// expected output are only ever shown to the challenge's owner.
+function isHiddenTestCase(testCase) {
+  if (!testCase || typeof testCase !== 'object') return false;
+  return Boolean(testCase.hidden || testCase.is_hidden || testCase.isHidden || testCase.visibility === 'hidden');
+}
+
+function testCaseWeight(testCase) {
+  const w = Number(testCase?.weight);
+  return Number.isFinite(w) && w > 0 ? w : 1;
+}
+
+// Visible cases only, for showing the challenge to a candidate
+function getPublicTestCases(rawTestCases) {
+  const testCases = parseTestCases(rawTestCases);
+  return {
+    testCases: testCases.filter(tc => !isHiddenTestCase(tc)),
+    hiddenCount: testCases.filter(isHiddenTestCase).length
+  };
+}
+
+// Strip everything that would reveal a hidden case before returning results to the candidate
+function redactHiddenResults(tests) {
+  return tests.map(t => {
+    if (!t.hidden) return t;
+    return {
+      testNumber: t.testNumber,
+      hidden: true,
+      passed: t.passed,
+      weight: t.weight,
+      status: t.status,
+      executionTime: t.executionTime,
+      memoryUsage: t.memoryUsage,
+      input: '',
+      expectedOutput: '',
+      actualOutput: '',
+      stderr: '',
+      compileOutput: t.compileOutput,
+      diff: null
+    };
+  });
+}
+
 function parseTestCases(testCasesData) {
   try {
     let t = testCasesData;
@@ -341,9 +322,11 @@ async function getExpectedSolution(challengeId) {
 
 // -------- main runner --------
 async function runTests({ sourceCode, languageName, testCases, challengeId = null, timeLimitMs = 5000, memoryLimitMb = 256 }) {
-  log('Running tests for', languageName);
-  const languageId = await resolveLanguageId(languageName);
-  if (!languageId) throw new Error(`Unsupported language: ${languageName}`);
+  const executor = getExecutor();
+  log('Running tests for', languageName, 'on', executor.name);
+  const languageId = await executor.resolveLanguageId(languageName);
+  // Problems with the challenge itself carry a statusCode: retrying won't fix them
+  if (!languageId) throw Object.assign(new Error(`Unsupported language: ${languageName}`), { statusCode: 422 });
 
   let finalTestCases = parseTestCases(testCases);
   if (challengeId && (!finalTestCases || finalTestCases.length === 0)) {
@@ -351,7 +334,7 @@ async function runTests({ sourceCode, languageName, testCases, challengeId = nul
     if (db?.testCases?.length) finalTestCases = db.testCases;
   }
   if (!finalTestCases || finalTestCases.length === 0) {
-    throw new Error('No test cases available for this challenge');
+    throw Object.assign(new Error('No test cases available for this challenge'), { statusCode: 422 });
   }
 
   const results = [];
@@ -362,7 +345,11 @@ async function runTests({ sourceCode, languageName, testCases, challengeId = nul
   const perTest = Math.max(1500, Math.min(10000, Math.floor(timeLimitMs)));
 
   for (let i = 0; i < finalTestCases.length; i++) {
-    const r = await executeTestCase({ sourceCode, languageId, testCase: finalTestCases[i], timeLimitMs: perTest, memoryLimitMb });
+    const r = await executeTestCase({ sourceCode, languageId, testCase: finalTestCases[i], timeLimitMs: perTest, memoryLimitMb, executor });
+    // An executor failure partway through must not be graded as a failing test
+    if (EXECUTOR_FAILURE_STATUS_IDS.has(r.status?.id)) {
+      throw Object.assign(new Error(`Code executor failed on test ${i + 1}: ${r.stderr || r.status.description}`), { executorOutage: true });
+    }
     results.push({ testNumber: i + 1, ...r });
     totalTime += r.executionTime;
     peakMem = Math.max(peakMem, r.memoryUsage || 0);
@@ -383,20 +370,24 @@ async function runTests({ sourceCode, languageName, testCases, challengeId = nul
 }
 
 async function testJudge0Connection() {
-  try {
-    const resp = await axios.get(`${JUDGE0_URL}/languages`, { headers: getHeaders(), timeout: 10000 });
-    return { success: true, languageCount: Array.isArray(resp.data) ? resp.data.length : 0 };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+  return judge0Executor.testConnection();
+}
+
+async function testExecutorConnection() {
+  return getExecutor().testConnection();
 }
 
 module.exports = {
   runTests,
   executeTestCase,
-  submitExecution,
-  getExecutionResult,
+  submitExecution: judge0Executor.submitExecution,
+  getExecutionResult: judge0Executor.getExecutionResult,
   testJudge0Connection,
+  testExecutorConnection,
   parseTestCases,
-  getExpectedSolution
+  getExpectedSolution,
+  isHiddenTestCase,
+  testCaseWeight,
+  getPublicTestCases,
+  redactHiddenResults
 };
\ No newline at end of file
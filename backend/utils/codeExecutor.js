@@ -0,0 +1,30 @@
+// backend/utils/codeExecutor.js
+// Picks the code-execution backend used by codeEvaluator.
+//
+// Every executor exposes:
+//   name                                   'judge0' | 'local'
+//   resolveLanguageId(languageName)        -> Promise<number|null> (Judge0 language ids)
+//   execute({ sourceCode, languageId, stdin, timeLimitMs, memoryLimitMb })
+//                                          -> Promise<{ status: { id, description }, stdout, stderr,
+//                                                       compile_output, time (s), memory (KB), exit_code }>
+//   testConnection()                       -> Promise<{ success, executor, languageCount?, error? }>
+//
+// Select with CODE_EXECUTOR=judge0 (default) or CODE_EXECUTOR=local.
+
+const EXECUTORS = {
+  judge0: () => require('./judge0Executor'),
+  local: () => require('./localExecutor')
+};
+
+const DEFAULT_EXECUTOR = 'judge0';
+
+function getExecutor(name = process.env.CODE_EXECUTOR) {
+  const key = String(name || DEFAULT_EXECUTOR).toLowerCase().trim();
+  const load = EXECUTORS[key];
+  if (!load) {
+    throw new Error(`Unknown CODE_EXECUTOR "${name}". Expected one of: ${Object.keys(EXECUTORS).join(', ')}`);
+  }
+  return load();
+}
+
+module.exports = { getExecutor, EXECUTORS };
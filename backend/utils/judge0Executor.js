@@ -0,0 +1,105 @@
+// backend/utils/judge0Executor.js
+// Judge0 (RapidAPI or self-hosted) implementation of the code executor interface.
+// See utils/codeExecutor.js for the interface every executor exposes.
+
+const axios = require('axios');
+const { resolveLanguageId } = require('./judge0Languages');
+
+const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
+const JUDGE0_KEY = process.env.JUDGE0_KEY || process.env.RAPIDAPI_KEY || null;
+const JUDGE0_HOST = process.env.JUDGE0_HOST || 'judge0-ce.p.rapidapi.com';
+const DEBUG = process.env.JUDGE0_DEBUG === '1';
+
+function log(...args) { if (DEBUG) console.log('[Judge0]', ...args); }
+
+function getHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (JUDGE0_KEY) {
+    headers['X-RapidAPI-Key'] = JUDGE0_KEY;
+    headers['X-RapidAPI-Host'] = JUDGE0_HOST;
+  }
+  return headers;
+}
+
+function toBase64(value) {
+  if (value === null || value === undefined) return '';
+  return Buffer.from(typeof value === 'string' ? value : String(value)).toString('base64');
+}
+
+// -------- Judge0 interaction (no expected_output) --------
+async function submitExecution({ sourceCode, languageId, stdin = '', timeLimitMs = 5000, memoryLimitMb = 256 }) {
+  try {
+    const payload = {
+      source_code: toBase64(sourceCode),
+      language_id: languageId,
+      stdin: stdin ? toBase64(stdin) : null,
+      cpu_time_limit: Math.ceil(timeLimitMs / 1000),
+      memory_limit: memoryLimitMb * 1024
+    };
+    const resp = await axios.post(
+      `${JUDGE0_URL}/submissions?base64_encoded=true&wait=false`,
+      payload,
+      { headers: getHeaders(), timeout: 15000 }
+    );
+    if (!resp.data.token) throw new Error('No submission token received from Judge0');
+    return resp.data.token;
+  } catch (error) {
+    log('Submission failed', error.response?.data || error.message);
+    throw new Error(`Judge0 submission failed: ${error.message}`);
+  }
+}
+
+async function getExecutionResult(token) {
+  try {
+    const maxAttempts = 30;
+    let attempts = 0;
+    while (attempts < maxAttempts) {
+      const resp = await axios.get(
+        `${JUDGE0_URL}/submissions/${token}?base64_encoded=true`,
+        { headers: getHeaders(), timeout: 10000 }
+      );
+      const d = resp.data;
+      if (d.status?.id <= 2) { // queued/processing
+        await new Promise(r => setTimeout(r, 1000));
+        attempts++;
+        continue;
+      }
+      return {
+        status: d.status,
+        stdout: d.stdout ? Buffer.from(d.stdout, 'base64').toString() : '',
+        stderr: d.stderr ? Buffer.from(d.stderr, 'base64').toString() : '',
+        compile_output: d.compile_output ? Buffer.from(d.compile_output, 'base64').toString() : '',
+        time: parseFloat(d.time) || 0,
+        memory: parseInt(d.memory) || 0,
+        exit_code: d.exit_code
+      };
+    }
+    throw new Error('Execution timeout - Judge0 took too long to respond');
+  } catch (error) {
+    log('Get result failed', error.response?.data || error.message);
+    throw new Error(`Failed to get Judge0 result: ${error.message}`);
+  }
+}
+
+async function execute(options) {
+  const token = await submitExecution(options);
+  return getExecutionResult(token);
+}
+
+async function testConnection() {
+  try {
+    const resp = await axios.get(`${JUDGE0_URL}/languages`, { headers: getHeaders(), timeout: 10000 });
+    return { success: true, executor: 'judge0', languageCount: Array.isArray(resp.data) ? resp.data.length : 0 };
+  } catch (error) {
+    return { success: false, executor: 'judge0', error: error.message };
+  }
+}
+
+module.exports = {
+  name: 'judge0',
+  resolveLanguageId,
+  execute,
+  testConnection,
+  submitExecution,
+  getExecutionResult
+};
@@ -0,0 +1,296 @@
+// backend/utils/localExecutor.js
+// Process-based implementation of the code executor interface, for offline and
+// air-gapped environments where Judge0 is unreachable. Each submission is written
+// to a throwaway temp dir, compiled if needed and run with a wall-clock limit, an
+// address-space (or runtime heap) limit, a stripped environment and capped output.
+// Results use Judge0 status ids so codeEvaluator can treat both executors alike.
+//
+// This isolates submissions from each other, not from the host: run it under a
+// dedicated low-privilege user or inside a container.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEBUG = process.env.LOCAL_EXECUTOR_DEBUG === '1';
+const COMPILE_TIMEOUT_MS = Number(process.env.LOCAL_EXECUTOR_COMPILE_TIMEOUT_MS || '20000');
+const MAX_OUTPUT_BYTES = Number(process.env.LOCAL_EXECUTOR_MAX_OUTPUT_KB || '1024') * 1024;
+const WORK_ROOT = process.env.LOCAL_EXECUTOR_WORKDIR || os.tmpdir();
+
+function log(...args) { if (DEBUG) console.log('[LocalExecutor]', ...args); }
+
+// Judge0 status ids/descriptions, reused verbatim so the UI needs no changes.
+const STATUS = {
+  ACCEPTED: { id: 3, description: 'Accepted' },
+  TIME_LIMIT: { id: 5, description: 'Time Limit Exceeded' },
+  COMPILATION_ERROR: { id: 6, description: 'Compilation Error' },
+  SIGSEGV: { id: 7, description: 'Runtime Error (SIGSEGV)' },
+  SIGXFSZ: { id: 8, description: 'Runtime Error (SIGXFSZ)' },
+  SIGFPE: { id: 9, description: 'Runtime Error (SIGFPE)' },
+  SIGABRT: { id: 10, description: 'Runtime Error (SIGABRT)' },
+  NZEC: { id: 11, description: 'Runtime Error (NZEC)' },
+  OTHER: { id: 12, description: 'Runtime Error (Other)' },
+  INTERNAL_ERROR: { id: 13, description: 'Internal Error' }
+};
+
+// Keyed by the Judge0 language id so stored attempts stay comparable across executors.
+// `memory: 'ulimit'` caps the address space; runtimes that reserve large virtual
+// ranges up front (V8, the JVM, Go) get a heap flag instead.
+const LANGUAGES = {
+  63: {
+    name: 'javascript',
+    aliases: ['javascript', 'js', 'node', 'nodejs'],
+    file: 'main.js',
+    memory: 'flag',
+    run: ({ memoryLimitMb }) => ['node', `--max-old-space-size=${memoryLimitMb}`, 'main.js']
+  },
+  71: {
+    name: 'python',
+    aliases: ['python', 'python3', 'py'],
+    file: 'main.py',
+    memory: 'ulimit',
+    run: () => [process.env.LOCAL_EXECUTOR_PYTHON || 'python3', 'main.py']
+  },
+  50: {
+    name: 'c',
+    aliases: ['c'],
+    file: 'main.c',
+    memory: 'ulimit',
+    compile: () => ['gcc', '-O2', '-o', 'main', 'main.c', '-lm'],
+    run: () => ['./main']
+  },
+  54: {
+    name: 'c++',
+    aliases: ['c++', 'cpp'],
+    file: 'main.cpp',
+    memory: 'ulimit',
+    compile: () => ['g++', '-O2', '-std=c++17', '-o', 'main', 'main.cpp'],
+    run: () => ['./main']
+  },
+  62: {
+    name: 'java',
+    aliases: ['java'],
+    file: 'Main.java',
+    memory: 'flag',
+    compile: () => ['javac', 'Main.java'],
+    run: ({ memoryLimitMb }) => ['java', `-Xmx${memoryLimitMb}m`, 'Main']
+  },
+  60: {
+    name: 'go',
+    aliases: ['go', 'golang'],
+    file: 'main.go',
+    memory: 'flag',
+    compile: () => ['go', 'build', '-o', 'main', 'main.go'],
+    run: () => ['./main'],
+    env: ({ memoryLimitMb }) => ({ GOMEMLIMIT: `${memoryLimitMb}MiB` })
+  },
+  73: {
+    name: 'rust',
+    aliases: ['rust', 'rs'],
+    file: 'main.rs',
+    memory: 'ulimit',
+    compile: () => ['rustc', '-O', '-o', 'main', 'main.rs'],
+    run: () => ['./main']
+  }
+};
+
+async function resolveLanguageId(langName) {
+  const name = String(langName || '').toLowerCase().trim();
+  for (const [id, lang] of Object.entries(LANGUAGES)) {
+    if (lang.aliases.includes(name)) return Number(id);
+  }
+  return null;
+}
+
+// Minimal environment for user code: no secrets from process.env leak in.
+function sandboxEnv(extra = {}) {
+  return {
+    PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin',
+    LANG: 'C.UTF-8',
+    HOME: os.tmpdir(),
+    ...extra
+  };
+}
+
+function readPeakMemoryKb(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const m = status.match(/VmHWM:\s+(\d+)\s+kB/);
+    return m ? Number(m[1]) : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function runProcess(argv, { cwd, stdin = '', timeLimitMs, memoryLimitMb = null, env, maxOutputBytes = MAX_OUTPUT_BYTES }) {
+  return new Promise((resolve) => {
+    let [cmd, ...args] = argv;
+    if (memoryLimitMb && process.platform !== 'win32') {
+      // ulimit only affects the shell, which then execs into the real command
+      args = ['-c', `ulimit -v ${memoryLimitMb * 1024} 2>/dev/null; exec "$@"`, 'sh', cmd, ...args];
+      cmd = '/bin/sh';
+    }
+
+    const started = process.hrtime.bigint();
+    let stdout = '';
+    let stderr = '';
+    let outputBytes = 0;
+    let timedOut = false;
+    let outputExceeded = false;
+    let peakMemoryKb = 0;
+    let settled = false;
+
+    let child;
+    try {
+      child = spawn(cmd, args, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'] });
+    } catch (error) {
+      resolve({ spawnError: error });
+      return;
+    }
+
+    const killTimer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeLimitMs);
+
+    const memTimer = process.platform === 'linux'
+      ? setInterval(() => { peakMemoryKb = Math.max(peakMemoryKb, readPeakMemoryKb(child.pid)); }, 20)
+      : null;
+
+    const collect = (chunk, isStdout) => {
+      outputBytes += chunk.length;
+      if (outputBytes > maxOutputBytes) {
+        outputExceeded = true;
+        child.kill('SIGKILL');
+        return;
+      }
+      if (isStdout) stdout += chunk.toString();
+      else stderr += chunk.toString();
+    };
+
+    child.stdout.on('data', (chunk) => collect(chunk, true));
+    child.stderr.on('data', (chunk) => collect(chunk, false));
+    // Programs that never read stdin close the pipe early; that is not an error.
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin || '');
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      if (memTimer) clearInterval(memTimer);
+      const timeMs = Number(process.hrtime.bigint() - started) / 1e6;
+      resolve({ stdout, stderr, timedOut, outputExceeded, timeMs, memoryKb: peakMemoryKb, ...result });
+    };
+
+    child.on('error', (error) => finish({ spawnError: error, exitCode: null, signal: null }));
+    child.on('close', (exitCode, signal) => finish({ exitCode, signal }));
+  });
+}
+
+function statusFor(run) {
+  if (run.spawnError) return STATUS.INTERNAL_ERROR;
+  if (run.timedOut) return STATUS.TIME_LIMIT;
+  if (run.outputExceeded) return STATUS.SIGXFSZ;
+  switch (run.signal) {
+    case null:
+    case undefined:
+      break;
+    case 'SIGSEGV':
+    case 'SIGBUS':
+      return STATUS.SIGSEGV;
+    case 'SIGXFSZ':
+      return STATUS.SIGXFSZ;
+    case 'SIGFPE':
+      return STATUS.SIGFPE;
+    case 'SIGABRT':
+      return STATUS.SIGABRT;
+    default:
+      return STATUS.OTHER;
+  }
+  return run.exitCode === 0 ? STATUS.ACCEPTED : STATUS.NZEC;
+}
+
+function buildResult(status, { stdout = '', stderr = '', compileOutput = '', timeMs = 0, memoryKb = 0, exitCode = null } = {}) {
+  return {
+    status,
+    stdout,
+    stderr,
+    compile_output: compileOutput,
+    time: timeMs / 1000,
+    memory: memoryKb,
+    exit_code: exitCode
+  };
+}
+
+async function execute({ sourceCode, languageId, stdin = '', timeLimitMs = 5000, memoryLimitMb = 256 }) {
+  const lang = LANGUAGES[languageId];
+  if (!lang) throw new Error(`Local executor does not support language id ${languageId}`);
+
+  const workDir = await fs.promises.mkdtemp(path.join(WORK_ROOT, 'techsync-exec-'));
+  try {
+    await fs.promises.writeFile(path.join(workDir, lang.file), String(sourceCode ?? ''));
+    const limits = { memoryLimitMb };
+
+    if (lang.compile) {
+      // Compilers get the normal environment (toolchain caches, HOME) but no user stdin.
+      const compiled = await runProcess(lang.compile(limits), {
+        cwd: workDir,
+        timeLimitMs: COMPILE_TIMEOUT_MS,
+        env: process.env
+      });
+      if (compiled.spawnError) {
+        log('Compiler unavailable', compiled.spawnError.message);
+        return buildResult(STATUS.INTERNAL_ERROR, { stderr: `Compiler unavailable: ${compiled.spawnError.message}` });
+      }
+      if (compiled.timedOut || compiled.exitCode !== 0) {
+        const output = compiled.timedOut ? 'Compilation timed out' : (compiled.stderr || compiled.stdout);
+        return buildResult(STATUS.COMPILATION_ERROR, { compileOutput: output, exitCode: compiled.exitCode });
+      }
+    }
+
+    const run = await runProcess(lang.run(limits), {
+      cwd: workDir,
+      stdin,
+      timeLimitMs,
+      memoryLimitMb: lang.memory === 'ulimit' ? memoryLimitMb : null,
+      env: sandboxEnv(lang.env ? lang.env(limits) : {})
+    });
+
+    if (run.spawnError) {
+      log('Runtime unavailable', run.spawnError.message);
+      return buildResult(STATUS.INTERNAL_ERROR, { stderr: `Runtime unavailable: ${run.spawnError.message}` });
+    }
+
+    return buildResult(statusFor(run), {
+      stdout: run.stdout,
+      stderr: run.stderr,
+      timeMs: run.timeMs,
+      memoryKb: run.memoryKb,
+      exitCode: run.exitCode
+    });
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function testConnection() {
+  try {
+    const result = await execute({ sourceCode: 'console.log(1)', languageId: 63, timeLimitMs: 5000, memoryLimitMb: 64 });
+    if (result.status.id !== STATUS.ACCEPTED.id) {
+      return { success: false, executor: 'local', error: result.stderr || result.status.description };
+    }
+    return { success: true, executor: 'local', languageCount: Object.keys(LANGUAGES).length };
+  } catch (error) {
+    return { success: false, executor: 'local', error: error.message };
+  }
+}
+
+module.exports = {
+  name: 'local',
+  resolveLanguageId,
+  execute,
+  testConnection,
+  LANGUAGES
+};
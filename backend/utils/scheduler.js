@@ -0,0 +1,55 @@
+// backend/utils/scheduler.js
+// Background jobs on node-cron. Started from server.js once the server is listening,
+// so requiring app.js (scripts, tests) never starts timers.
+const cron = require('node-cron');
+const notificationService = require('../services/notificationService');
+const attachmentService = require('../services/attachmentService');
+
+const jobs = [];
+
+const schedule = (name, expression, task) => {
+  jobs.push(cron.schedule(expression, async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Scheduled job "${name}" failed:`, error);
+    }
+  }));
+  console.log(`⏰ Scheduled job "${name}" (${expression})`);
+};
+
+const startScheduledJobs = () => {
+  if (jobs.length > 0) return;
+
+  // Every 15 minutes: remind assignees about tasks due within the next day
+  schedule('task-due-soon', '*/15 * * * *', async () => {
+    const count = await notificationService.notifyTasksDueSoon();
+    if (count > 0) console.log(`⏰ Sent ${count} due-soon reminder(s)`);
+  });
+
+  // 08:00 daily / Mondays 08:00: batch unread email-channel notifications into digests
+  schedule('daily-digest', '0 8 * * *', async () => {
+    const count = await notificationService.sendDigests('daily');
+    console.log(`📬 Sent ${count} daily digest(s)`);
+  });
+
+  schedule('weekly-digest', '0 8 * * 1', async () => {
+    const count = await notificationService.sendDigests('weekly');
+    console.log(`📬 Sent ${count} weekly digest(s)`);
+  });
+
+  // Hourly: drop uploads that were never attached to a comment or message
+  schedule('attachment-orphans', '0 * * * *', async () => {
+    const count = await attachmentService.purgeOrphans();
+    if (count > 0) console.log(`🧹 Purged ${count} orphaned attachment(s)`);
+  });
+};
+
+const stopScheduledJobs = () => {
+  jobs.splice(0).forEach(job => job.stop());
+};
+
+module.exports = {
+  startScheduledJobs,
+  stopScheduledJobs
+};
@@ -2,6 +2,14 @@
 require('dotenv').config(); // Load environment variables first
 const { createClient } = require('@supabase/supabase-js');
 const jwt = require('jsonwebtoken');
+const { taskRoom } = require('./taskRealtime');
+const { chatRoom, userRoom, broadcastChatEvent, broadcastRoomRead, isUserOnline } = require('./chatRealtime');
+const attachmentService = require('../services/attachmentService');
+const chatService = require('../services/chatService');
+const chatModerationService = require('../services/chatModerationService');
+const directMessageService = require('../services/directMessageService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
 
 // Validate environment variables
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -17,6 +25,16 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SER
 const userSockets = new Map();
 const socketUsers = new Map();
 
+// Who has which task open: taskId -> Map(socketId -> user)
+const taskViewers = new Map();
+
+// One entry per user even when they have the task open in several tabs
+const listTaskViewers = (taskId) => {
+  const viewers = new Map();
+  (taskViewers.get(taskId) || new Map()).forEach(user => viewers.set(user.id, user));
+  return Array.from(viewers.values());
+};
+
 const setupSocketHandlers = (io) => {
   console.log('🔌 Setting up Socket.io handlers for chat...');
   
@@ -43,8 +61,14 @@ const setupSocketHandlers = (io) => {
         return next(new Error('Invalid authentication token'));
       }
 
+      if (!await sessionService.isActive(decoded.sid, user.id)) {
+        return next(new Error('Session has ended'));
+      }
+
       socket.userId = user.id;
       socket.user = user;
+      // Lets sessionService.disconnectSockets drop this socket when the session is revoked
+      socket.sessionId = decoded.sid;
       next();
     } catch (error) {
       console.error('Socket authentication error:', error);
@@ -59,18 +83,30 @@ const setupSocketHandlers = (io) => {
     userSockets.set(socket.userId, socket.id);
     socketUsers.set(socket.id, socket.userId);
 
+    // Personal room for notification events (see notificationService)
+    const firstConnection = !isUserOnline(io, socket.userId);
+    socket.join(userRoom(socket.userId));
+
+    // Direct conversations follow the user rather than a project: join them all up front,
+    // and tell conversation partners the user came online
+    directMessageService.getRoomIds(socket.userId)
+      .then(async (roomIds) => {
+        roomIds.forEach(roomId => socket.join(chatRoom(roomId)));
+        if (!firstConnection) return;
+
+        const partnerIds = await directMessageService.getPartnerIds(socket.userId);
+        partnerIds.forEach(partnerId => {
+          io.to(userRoom(partnerId)).emit('direct_presence', { userId: socket.userId, online: true });
+        });
+      })
+      .catch(error => console.error('Error joining direct conversations:', error));
+
     // Join user to their project rooms (ONLY projects they're members of)
     socket.on('join_project_rooms', async (projectId) => {
       try {
         // CRITICAL: Verify user is a member of the project
-        const { data: membership, error } = await supabase
-          .from('project_members')
-          .select('role')
-          .eq('project_id', projectId)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (error || !membership) {
+        const allowed = await permissionService.can(projectId, socket.userId, 'project.view');
+        if (!allowed) {
           socket.emit('error', { message: 'Not authorized to join project rooms - you must be a project member' });
           return;
         }
@@ -85,7 +121,7 @@ const setupSocketHandlers = (io) => {
         if (!roomsError && chatRooms) {
           // Join all project chat rooms
           chatRooms.forEach(room => {
-            socket.join(`room_${room.id}`);
+            socket.join(chatRoom(room.id));
           });
 
           // Join project-specific room for announcements
@@ -104,98 +140,149 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle sending messages (ONLY to project members) - FIXED VERSION
+    // Live task board: join the project's task room (owner or members only)
+    socket.on('join_project_tasks', async (projectId) => {
+      try {
+        const allowed = await permissionService.can(projectId, socket.userId, 'project.view');
+        if (!allowed) {
+          socket.emit('error', { message: 'Not authorized to follow project tasks - you must be a project member' });
+          return;
+        }
+
+        socket.join(taskRoom(projectId));
+        socket.emit('joined_project_tasks', { projectId });
+      } catch (error) {
+        console.error('Error joining project tasks:', error);
+        socket.emit('error', { message: 'Failed to follow project tasks' });
+      }
+    });
+
+    socket.on('leave_project_tasks', (projectId) => {
+      socket.leave(taskRoom(projectId));
+    });
+
+    const stopViewingTask = (projectId, taskId) => {
+      const viewers = taskViewers.get(taskId);
+      if (!viewers || !viewers.delete(socket.id)) return;
+      if (viewers.size === 0) taskViewers.delete(taskId);
+
+      socket.viewingTasks.delete(taskId);
+      io.to(taskRoom(projectId)).emit('task_viewers', { projectId, taskId, viewers: listTaskViewers(taskId) });
+    };
+
+    socket.viewingTasks = new Map(); // taskId -> projectId
+
+    // Task detail presence, so people editing the same task can see each other
+    socket.on('task_viewing_start', ({ projectId, taskId } = {}) => {
+      if (!projectId || !taskId || !socket.rooms.has(taskRoom(projectId))) return;
+
+      if (!taskViewers.has(taskId)) taskViewers.set(taskId, new Map());
+      taskViewers.get(taskId).set(socket.id, {
+        id: socket.userId,
+        username: socket.user.username,
+        full_name: socket.user.full_name,
+        avatar_url: socket.user.avatar_url
+      });
+      socket.viewingTasks.set(taskId, projectId);
+
+      io.to(taskRoom(projectId)).emit('task_viewers', { projectId, taskId, viewers: listTaskViewers(taskId) });
+    });
+
+    socket.on('task_viewing_stop', ({ projectId, taskId } = {}) => {
+      if (!projectId || !taskId) return;
+      stopViewingTask(projectId, taskId);
+    });
+
+    // Mutes, read-only rooms and slow mode turn a write into an error the client can show
+    // against the room; anything else is a real failure and is rethrown
+    const emitModerationError = (moderationError, room) => {
+      if (!moderationError.statusCode) throw moderationError;
+      socket.emit('error', {
+        message: moderationError.message,
+        code: moderationError.statusCode === 429 ? 'slow_mode' : 'moderation',
+        projectId: room.project_id,
+        roomId: room.id,
+        retryAfter: moderationError.retryAfter,
+        mutedUntil: moderationError.mutedUntil
+      });
+    };
+
+    // Handle sending messages (ONLY to project members). With threadRootId the message is a
+    // thread reply: it goes out as `thread_reply` instead of `new_message`. Without projectId
+    // the room is a direct conversation, open to its members only.
     socket.on('send_message', async (data) => {
       try {
-        const { roomId, projectId, content, messageType = 'text', replyToMessageId } = data;
+        const { roomId, projectId, content, messageType = 'text', replyToMessageId, threadRootId } = data;
+        // Attachments are stored per project, so direct messages carry none
+        const attachmentIds = projectId ? data.attachmentIds || [] : [];
 
-        // CRITICAL: Verify user can send messages to this room
-        const { data: membership, error: memberError } = await supabase
-          .from('project_members')
-          .select('*')
-          .eq('project_id', projectId)
-          .eq('user_id', socket.userId)
-          .single();
+        if (!Array.isArray(attachmentIds) || attachmentIds.length > attachmentService.maxPerTarget) {
+          socket.emit('error', { message: 'Invalid attachments' });
+          return;
+        }
 
-        if (memberError || !membership) {
-          socket.emit('error', { message: 'Not authorized to send messages - project members only' });
+        if (!content || !content.trim()) {
+          socket.emit('error', { message: 'Message content cannot be empty' });
           return;
         }
 
-        // Verify room belongs to project
-        const { data: room, error: roomError } = await supabase
-          .from('chat_rooms')
-          .select('*')
-          .eq('id', roomId)
-          .eq('project_id', projectId)
-          .eq('is_archived', false)
-          .single();
+        let room;
+        let access = null;
+        if (projectId) {
+          // CRITICAL: Verify user can send messages to this room
+          access = await permissionService.getProjectAccess(projectId, socket.userId);
+          if (!access.can('chat.send')) {
+            socket.emit('error', { message: permissionService.deniedMessage(access, 'chat.send') });
+            return;
+          }
+
+          // Verify room belongs to project
+          room = await chatService.getRoom(projectId, roomId);
+        } else {
+          room = await directMessageService.getConversation(roomId, socket.userId);
+        }
 
-        if (roomError || !room) {
+        if (!room) {
           socket.emit('error', { message: 'Chat room not found' });
           return;
         }
 
-        // Save message to database first
-        const { data: message, error: messageError } = await supabase
-          .from('chat_messages')
-          .insert({
-            room_id: roomId,
-            user_id: socket.userId,
-            content: content.trim(),
-            message_type: messageType,
-            reply_to_message_id: replyToMessageId || null
-          })
-          .select(`
-            *,
-            user:users!user_id (
-              id,
-              username,
-              full_name,
-              avatar_url
-            )
-          `)
-          .single();
+        // Mutes, read-only rooms and slow mode apply to project rooms
+        if (access) {
+          try {
+            await chatModerationService.assertCanPost(room, socket.userId, access);
+          } catch (moderationError) {
+            emitModerationError(moderationError, room);
+            return;
+          }
+        }
 
-        if (messageError) {
+        let message;
+        try {
+          message = await chatService.createMessage({
+            room,
+            userId: socket.userId,
+            content,
+            messageType,
+            replyToMessageId,
+            threadRootId,
+            attachmentIds
+          });
+        } catch (messageError) {
           console.error('Error saving message:', messageError);
-          socket.emit('error', { message: 'Failed to send message' });
+          socket.emit('error', { message: messageError.statusCode ? messageError.message : 'Failed to send message' });
           return;
         }
 
-        // If this message is a reply, fetch the reply data separately (same as API fix)
-        let processedMessage = { ...message };
-        
-        if (message.reply_to_message_id) {
-          const { data: replyToMessage, error: replyError } = await supabase
-            .from('chat_messages')
-            .select(`
-              id,
-              content,
-              user:users!user_id (
-                id,
-                username,
-                full_name,
-                avatar_url
-              )
-            `)
-            .eq('id', message.reply_to_message_id)
-            .single();
-
-          if (!replyError && replyToMessage) {
-            processedMessage.reply_to = replyToMessage;
-          }
-        }
-
         // Broadcast message to all users in the room (ONLY project members)
-        io.to(`room_${roomId}`).emit('new_message', {
-          message: processedMessage,
-          roomId,
-          projectId
-        });
+        if (threadRootId) {
+          broadcastChatEvent(io, roomId, 'thread_reply', { message, rootId: threadRootId, projectId: projectId || null });
+        } else {
+          broadcastChatEvent(io, roomId, 'new_message', { message, projectId: projectId || null });
+        }
 
         // Send acknowledgment back to sender
-        socket.emit('message_sent', { messageId: message.id });
+        socket.emit('message_sent', { messageId: message.id, threadRootId: threadRootId || null });
 
       } catch (error) {
         console.error('Error sending message:', error);
@@ -209,18 +296,23 @@ const setupSocketHandlers = (io) => {
         const { messageId, content } = data;
 
         // Check if user owns the message
-        const { data: message, error: messageError } = await supabase
-          .from('chat_messages')
-          .select('*, chat_rooms!inner(project_id)')
-          .eq('id', messageId)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (messageError || !message) {
+        const message = messageId ? await chatService.getMessage(messageId) : null;
+        if (!message || message.user_id !== socket.userId) {
           socket.emit('error', { message: 'Message not found or permission denied' });
           return;
         }
 
+        // Muted members and read-only rooms can't rewrite old messages either
+        if (message.project_id) {
+          const access = await permissionService.getProjectAccess(message.project_id, socket.userId);
+          try {
+            await chatModerationService.assertCanWrite(message.room, socket.userId, access);
+          } catch (moderationError) {
+            emitModerationError(moderationError, message.room);
+            return;
+          }
+        }
+
         // Update message
         const { data: updatedMessage, error: updateError } = await supabase
           .from('chat_messages')
@@ -271,10 +363,10 @@ const setupSocketHandlers = (io) => {
         }
 
         // Broadcast updated message to room
-        io.to(`room_${message.room_id}`).emit('message_edited', {
+        broadcastChatEvent(io, message.room_id, 'message_edited', {
           message: processedMessage,
-          roomId: message.room_id,
-          projectId: message.chat_rooms.project_id
+          threadRootId: message.thread_root_id || null,
+          projectId: message.project_id
         });
 
       } catch (error) {
@@ -283,40 +375,39 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle message deletion (only message owner)
+    // Handle message deletion (the author, or a chat moderator in the message's project)
     socket.on('delete_message', async (data) => {
       try {
         const { messageId } = data;
 
-        // Check if user owns the message
-        const { data: message, error: messageError } = await supabase
-          .from('chat_messages')
-          .select('*, chat_rooms!inner(project_id)')
-          .eq('id', messageId)
-          .eq('user_id', socket.userId)
-          .single();
+        const message = messageId ? await chatService.getMessage(messageId) : null;
+        const moderating = !!message && message.user_id !== socket.userId;
+        const allowed = !!message && (!moderating ||
+          (!!message.project_id && await permissionService.can(message.project_id, socket.userId, 'chat.moderate')));
 
-        if (messageError || !message) {
+        if (!allowed) {
           socket.emit('error', { message: 'Message not found or permission denied' });
           return;
         }
 
-        // Delete message
-        const { error: deleteError } = await supabase
-          .from('chat_messages')
-          .delete()
-          .eq('id', messageId);
-
-        if (deleteError) {
+        // A thread root takes its replies along
+        let deletedIds;
+        try {
+          deletedIds = await chatService.deleteMessage(message);
+        } catch (deleteError) {
+          console.error('Error deleting message:', deleteError);
           socket.emit('error', { message: 'Failed to delete message' });
           return;
         }
 
+        if (moderating) await chatModerationService.logDeletedMessage(message, socket.userId, deletedIds);
+
         // Broadcast deletion to room
-        io.to(`room_${message.room_id}`).emit('message_deleted', {
+        broadcastChatEvent(io, message.room_id, 'message_deleted', {
           messageId,
-          roomId: message.room_id,
-          projectId: message.chat_rooms.project_id
+          deletedIds,
+          threadRootId: message.thread_root_id || null,
+          projectId: message.project_id
         });
 
       } catch (error) {
@@ -325,10 +416,144 @@ const setupSocketHandlers = (io) => {
       }
     });
 
+    // Loads a message for a reaction or pin and checks the sender's capability in its project;
+    // with `write`, also that they aren't muted and the room isn't read-only.
+    // Direct messages have no project: being in the conversation is enough.
+    const loadMessageFor = async (messageId, capability, { write = false } = {}) => {
+      const message = messageId ? await chatService.getMessage(messageId) : null;
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+        return null;
+      }
+
+      if (!message.project_id) {
+        if (!await directMessageService.getConversation(message.room_id, socket.userId)) {
+          socket.emit('error', { message: 'Message not found' });
+          return null;
+        }
+        return message;
+      }
+
+      const access = await permissionService.getProjectAccess(message.project_id, socket.userId);
+      if (!access.can(capability)) {
+        socket.emit('error', { message: permissionService.deniedMessage(access, capability) });
+        return null;
+      }
+
+      if (write) {
+        try {
+          await chatModerationService.assertCanWrite(message.room, socket.userId, access);
+        } catch (moderationError) {
+          emitModerationError(moderationError, message.room);
+          return null;
+        }
+      }
+      return message;
+    };
+
+    // Emoji reactions: the same emoji again removes the user's reaction
+    socket.on('toggle_reaction', async ({ messageId, emoji } = {}) => {
+      try {
+        if (!chatService.isValidEmoji(emoji)) {
+          socket.emit('error', { message: 'Reaction must be a single emoji' });
+          return;
+        }
+
+        const message = await loadMessageFor(messageId, 'chat.send', { write: true });
+        if (!message) return;
+
+        const reactions = await chatService.toggleReaction(message.id, socket.userId, emoji);
+
+        broadcastChatEvent(io, message.room_id, 'reaction_updated', {
+          projectId: message.project_id,
+          messageId: message.id,
+          threadRootId: message.thread_root_id || null,
+          reactions
+        });
+      } catch (error) {
+        console.error('Error toggling reaction:', error);
+        socket.emit('error', { message: 'Failed to update reaction' });
+      }
+    });
+
+    // Room-level pins are room announcements, so only moderators pin and unpin; only top-level
+    // messages can be pinned
+    socket.on('pin_message', async ({ messageId, pinned = true } = {}) => {
+      try {
+        const message = await loadMessageFor(messageId, 'chat.moderate', { write: true });
+        if (!message) return;
+
+        if (message.thread_root_id) {
+          socket.emit('error', { message: 'Thread replies cannot be pinned' });
+          return;
+        }
+
+        const updated = await chatService.setPinned(message, socket.userId, !!pinned);
+
+        broadcastChatEvent(io, message.room_id, pinned ? 'message_pinned' : 'message_unpinned', {
+          projectId: message.project_id,
+          message: updated
+        });
+      } catch (error) {
+        console.error('Error pinning message:', error);
+        socket.emit('error', { message: error.statusCode ? error.message : 'Failed to update pin' });
+      }
+    });
+
+    // Thread read state is per user, so only the user's own sockets hear about it
+    socket.on('mark_thread_read', async ({ rootId } = {}) => {
+      try {
+        const message = await loadMessageFor(rootId, 'project.view');
+        if (!message || message.thread_root_id) return;
+
+        const lastReadAt = await chatService.markThreadRead(message.id, socket.userId);
+        io.to(`user_${socket.userId}`).emit('thread_read', {
+          roomId: message.room_id,
+          rootId: message.id,
+          lastReadAt
+        });
+      } catch (error) {
+        console.error('Error marking thread read:', error);
+      }
+    });
+
+    // Read pointers, project rooms and direct conversations alike. The receipt goes to the
+    // whole room ("seen by"), which includes the user's other tabs.
+    socket.on('mark_room_read', async ({ roomId, messageId } = {}) => {
+      try {
+        const { data: room } = roomId
+          ? await supabase.from('chat_rooms').select('id, project_id').eq('id', roomId).single()
+          : { data: null };
+        if (!room) return;
+
+        const allowed = room.project_id
+          ? await permissionService.can(room.project_id, socket.userId, 'project.view')
+          : !!await directMessageService.getConversation(room.id, socket.userId);
+        if (!allowed) return;
+
+        const pointer = await chatService.markRoomRead(room.id, socket.userId, messageId || null);
+        if (pointer) broadcastRoomRead(io, room.project_id, pointer);
+      } catch (error) {
+        console.error('Error marking room read:', error);
+      }
+    });
+
+    // Which of the user's conversation partners are online right now
+    socket.on('get_direct_presence', async () => {
+      try {
+        const partnerIds = await directMessageService.getPartnerIds(socket.userId);
+        socket.emit('direct_presence_list', {
+          userIds: partnerIds.filter(partnerId => isUserOnline(io, partnerId))
+        });
+      } catch (error) {
+        console.error('Error getting direct presence:', error);
+      }
+    });
+
     // Handle user typing indicators
     socket.on('typing_start', (data) => {
       const { roomId, projectId } = data;
-      socket.to(`room_${roomId}`).emit('user_typing', {
+      socket.to(chatRoom(roomId)).emit('user_typing', {
         userId: socket.userId,
         username: socket.user.username,
         roomId,
@@ -338,7 +563,7 @@ const setupSocketHandlers = (io) => {
 
     socket.on('typing_stop', (data) => {
       const { roomId, projectId } = data;
-      socket.to(`room_${roomId}`).emit('user_stopped_typing', {
+      socket.to(chatRoom(roomId)).emit('user_stopped_typing', {
         userId: socket.userId,
         roomId,
         projectId
@@ -372,6 +597,16 @@ const setupSocketHandlers = (io) => {
       // Clean up mappings
       userSockets.delete(socket.userId);
       socketUsers.delete(socket.id);
+      socket.viewingTasks.forEach((projectId, taskId) => stopViewingTask(projectId, taskId));
+
+      // Partners only see the user go offline once their last tab closes
+      if (!isUserOnline(io, socket.userId)) {
+        directMessageService.getPartnerIds(socket.userId)
+          .then(partnerIds => partnerIds.forEach(partnerId => {
+            io.to(userRoom(partnerId)).emit('direct_presence', { userId: socket.userId, online: false });
+          }))
+          .catch(error => console.error('Error announcing direct presence:', error));
+      }
 
       // Notify rooms about user going offline
       socket.rooms.forEach(roomName => {
@@ -0,0 +1,35 @@
+// backend/utils/taskRealtime.js
+// Live task board sync: controllers push task changes to everyone who has the
+// project's tasks open. Sockets join the room via `join_project_tasks` (socketHandler).
+
+const taskRoom = (projectId) => `project_tasks_${projectId}`;
+
+// Emits `event` to the project's task room, tagged with who made the change.
+// Requests without a signed-in user (e.g. webhooks) pass their own `actor` in the payload.
+const broadcastTaskEvent = (req, projectId, event, payload = {}) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  try {
+    io.to(taskRoom(projectId)).emit(event, {
+      projectId,
+      ...payload,
+      actor: req.user
+        ? {
+          id: req.user.id,
+          username: req.user.username,
+          full_name: req.user.fullName
+        }
+        : payload.actor || null,
+      at: new Date().toISOString()
+    });
+  } catch (error) {
+    // A failed broadcast must never fail the request that triggered it
+    console.error('❌ Task broadcast error:', error);
+  }
+};
+
+module.exports = {
+  taskRoom,
+  broadcastTaskEvent
+};
@@ -638,8 +638,8 @@ const PublicRoute = ({ children }) => {
 function App() {
   return (
     <AuthProvider>
-      <NotificationProvider>
-        <ChatProvider>
+      <ChatProvider>
+        <NotificationProvider>
           <Router>
             <ScrollToTop />
             <div className="App">
@@ -1007,8 +1007,8 @@ function App() {
               </Routes>
             </div>
           </Router>
-        </ChatProvider>
-      </NotificationProvider>
+        </NotificationProvider>
+      </ChatProvider>
     </AuthProvider>
   );
 }
@@ -1,10 +1,33 @@
 // frontend/src/components/AIChat/AIChatInterface.js - COMPLETE FIX
 // Replace your ENTIRE AIChatInterface.js with this version
 
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { aiChatService } from '../../services/aiChatService';
-import { Send, Sparkles, Code, Coffee, Lightbulb, Rocket, MessageCircle, Bot, CheckCircle } from 'lucide-react';
+import { Send, Sparkles, Code, Coffee, Lightbulb, Rocket, MessageCircle, Bot, CheckCircle, History, Plus, Pencil, Trash2, FolderCheck } from 'lucide-react';
+
+// The conversation that was open, restored after a reload
+const ACTIVE_CONVERSATION_KEY = 'syncActiveConversationId';
+
+// Answers in the project format can be previewed and turned into a project
+const isProjectSuggestion = (content) =>
+  (content.includes('**') &&
+    (content.includes('Technologies:') ||
+     content.includes('Difficulty:') ||
+     content.includes('Key Features:') ||
+     content.includes('Time Estimate:') ||
+     content.includes('Weekly Task Breakdown:') ||
+     content.match(/Week\s+\d+:/i))) ||
+  content.toLowerCase().includes('project idea');
+
+// Saved message from the API in the shape the chat renders
+const toChatMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  content: message.content,
+  timestamp: message.created_at,
+  isProjectSuggestion: message.role === 'assistant' && !!isProjectSuggestion(message.content)
+});
 
 const AIChatInterface = () => {
   const { user, token } = useAuth();
@@ -12,8 +35,16 @@ const AIChatInterface = () => {
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [creatingProject, setCreatingProject] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
   const messagesEndRef = useRef(null);
   const textareaRef = useRef(null);
+  // Read by the createAIProject listener without re-registering it on every switch
+  const conversationIdRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -23,11 +54,10 @@ const AIChatInterface = () => {
     scrollToBottom();
   }, [messages]);
 
-  useEffect(() => {
-    setMessages([{
-      id: Date.now(),
-      role: 'assistant',
-      content: `Hi ${user?.username || 'there'}! I'm Sync, your AI coding assistant. I can help you to:
+  const getWelcomeMessage = useCallback(() => ({
+    id: 'welcome',
+    role: 'assistant',
+    content: `Hi ${user?.username || 'there'}! I'm Sync, your AI coding assistant. I can help you to:
 
 • Generate project ideas with structured weekly tasks
 • Plan and structure your coding projects  
@@ -36,9 +66,90 @@ const AIChatInterface = () => {
 • Help with project architecture and implementation
 
 What would you like to work on today?`,
-      timestamp: new Date().toISOString()
-    }]);
-  }, [user?.username]);
+    timestamp: new Date().toISOString()
+  }), [user?.username]);
+
+  const selectConversation = (id) => {
+    conversationIdRef.current = id;
+    setConversationId(id);
+    if (id) {
+      localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+    } else {
+      localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+    }
+  };
+
+  const refreshConversations = useCallback(async () => {
+    try {
+      const response = await aiChatService.listConversations(token);
+      if (response.success) {
+        setConversations(response.data.conversations);
+        return response.data.conversations;
+      }
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+    return [];
+  }, [token]);
+
+  const openConversation = useCallback(async (id) => {
+    try {
+      const response = await aiChatService.getConversation(id, token);
+      if (response.success) {
+        conversationIdRef.current = id;
+        setConversationId(id);
+        localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+        setMessages([getWelcomeMessage(), ...response.data.messages.map(toChatMessage)]);
+        setShowHistory(false);
+      }
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+    }
+  }, [token, getWelcomeMessage]);
+
+  const startNewConversation = () => {
+    selectConversation(null);
+    setMessages([getWelcomeMessage()]);
+    setShowHistory(false);
+  };
+
+  // Reopen the conversation from last time, or start fresh
+  useEffect(() => {
+    const restore = async () => {
+      setMessages([getWelcomeMessage()]);
+      const saved = await refreshConversations();
+      const lastId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+      if (lastId && saved.some(conversation => conversation.id === lastId)) {
+        await openConversation(lastId);
+      }
+    };
+    restore();
+  }, [getWelcomeMessage, refreshConversations, openConversation]);
+
+  const handleRenameConversation = async (id) => {
+    const title = renameValue.trim();
+    setRenamingId(null);
+    if (!title) return;
+
+    try {
+      await aiChatService.renameConversation(id, title, token);
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation? This cannot be undone.')) return;
+
+    try {
+      await aiChatService.deleteConversation(id, token);
+      if (id === conversationId) startNewConversation();
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
 
   // Listen for project creation events from Dashboard
   useEffect(() => {
@@ -78,7 +189,7 @@ What would you like to work on today?`,
         }
         console.log('═══════════════════════════════════════════════');
         
-        const response = await aiChatService.createProjectFromResponse(cleanedProjectData, token);
+        const response = await aiChatService.createProjectFromResponse(cleanedProjectData, token, conversationIdRef.current);
         
         if (response.success) {
           const taskCount = cleanedProjectData.tasks?.length || 0;
@@ -93,6 +204,7 @@ What would you like to work on today?`,
           window.dispatchEvent(new CustomEvent('projectCreated', { 
             detail: { project: response.data.project } 
           }));
+          refreshConversations();
           
         } else {
           throw new Error(response.message || 'Failed to create project');
@@ -113,7 +225,7 @@ What would you like to work on today?`,
 
     window.addEventListener('createAIProject', handleCreateAIProject);
     return () => window.removeEventListener('createAIProject', handleCreateAIProject);
-  }, [token]);
+  }, [token, refreshConversations]);
 
   // ENHANCED: Parse tasks from AI response
   const parseTasksFromContent = (content) => {
@@ -130,7 +242,7 @@ What would you like to work on today?`,
     
     let currentWeek = null;
     let currentTaskTitle = '';
-    let currentDescription = '';
+    let currentSubtasks = [];
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
@@ -142,29 +254,30 @@ What would you like to work on today?`,
         if (currentTaskTitle) {
           const task = {
             title: currentTaskTitle,
-            description: currentDescription.trim(),
+            description: '',
+            subtasks: currentSubtasks,
             priority: 'medium',
             category: 'learning',
             estimated_hours: Math.min(parseInt(currentWeek) * 8, 40),
             target_date: null
           };
           tasks.push(task);
-          console.log(`✅ Parsed: ${task.title} (${task.estimated_hours}h)`);
+          console.log(`✅ Parsed: ${task.title} (${task.estimated_hours}h, ${task.subtasks.length} subtasks)`);
         }
         
         currentWeek = weekMatch[1];
         currentTaskTitle = `Week ${currentWeek}: ${weekMatch[2]}`;
-        currentDescription = '';
+        currentSubtasks = [];
         console.log(`🔍 Found Week ${currentWeek}: ${weekMatch[2]}`);
         continue;
       }
       
-      // Collect subtasks/description
+      // Collect bullets as subtasks of the current week
       if (currentTaskTitle) {
         if (line.startsWith('-') || line.startsWith('•') || line.startsWith('*')) {
           const cleaned = line.replace(/^[-•*]\s*/, '').trim();
           if (cleaned && !cleaned.toLowerCase().startsWith('expected outcome')) {
-            currentDescription += cleaned + '\n';
+            currentSubtasks.push(cleaned.substring(0, 200));
           }
         }
       }
@@ -174,14 +287,15 @@ What would you like to work on today?`,
     if (currentTaskTitle) {
       const task = {
         title: currentTaskTitle,
-        description: currentDescription.trim(),
+        description: '',
+        subtasks: currentSubtasks,
         priority: 'medium',
         category: 'learning',
         estimated_hours: Math.min(parseInt(currentWeek) * 8, 40),
         target_date: null
       };
       tasks.push(task);
-      console.log(`✅ Parsed: ${task.title} (${task.estimated_hours}h)`);
+      console.log(`✅ Parsed: ${task.title} (${task.estimated_hours}h, ${task.subtasks.length} subtasks)`);
     }
     
     console.log('═══════════════════════════════════════════════');
@@ -501,37 +615,32 @@ What would you like to work on today?`,
     setInputMessage('');
     setIsLoading(true);
 
+    // Pieces of the answer are appended to this message as they arrive
+    const answerId = `answer-${Date.now()}`;
+    setStreamingMessageId(answerId);
+
     try {
-      const conversationHistory = messages.slice(-10).map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+      let activeId = conversationId;
+      if (!activeId) {
+        const created = await aiChatService.createConversation(null, token);
+        activeId = created.data.conversation.id;
+        selectConversation(activeId);
+      }
 
-      const response = await aiChatService.sendMessage(
-        userMessage.content,
-        conversationHistory,
-        token
-      );
+      await aiChatService.streamMessage(activeId, userMessage.content, token, {
+        onToken: (text) => {
+          setMessages(prev => (prev.some(msg => msg.id === answerId)
+            ? prev.map(msg => (msg.id === answerId ? { ...msg, content: msg.content + text } : msg))
+            : [...prev, { id: answerId, role: 'assistant', content: text, timestamp: new Date().toISOString() }]));
+        },
+        onDone: ({ message }) => {
+          setMessages(prev => (prev.some(msg => msg.id === answerId)
+            ? prev.map(msg => (msg.id === answerId ? toChatMessage(message) : msg))
+            : [...prev, toChatMessage(message)]));
+        }
+      });
 
-      if (response.success) {
-        const aiMessage = {
-          id: Date.now() + 1,
-          role: 'assistant',
-          content: response.data.message,
-          timestamp: response.data.timestamp,
-          isProjectSuggestion: (response.data.message.includes('**') && 
-                               (response.data.message.includes('Technologies:') ||
-                                response.data.message.includes('Difficulty:') ||
-                                response.data.message.includes('Key Features:') ||
-                                response.data.message.includes('Time Estimate:') ||
-                                response.data.message.includes('Weekly Task Breakdown:') ||
-                                response.data.message.match(/Week\s+\d+:/i))) ||
-                               response.data.message.toLowerCase().includes('project idea')
-        };
-        setMessages(prev => [...prev, aiMessage]);
-      } else {
-        throw new Error(response.message || 'Failed to get AI response');
-      }
+      refreshConversations();
     } catch (error) {
       console.error('Error sending message:', error);
       const errorMessage = {
@@ -543,9 +652,33 @@ What would you like to work on today?`,
       setMessages(prev => [...prev, errorMessage]);
     } finally {
       setIsLoading(false);
+      setStreamingMessageId(null);
     }
   };
 
+  const headerButtonStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    background: 'rgba(255, 255, 255, 0.05)',
+    color: '#e2e8f0',
+    border: '1px solid rgba(255, 255, 255, 0.15)',
+    borderRadius: '20px',
+    fontSize: '12px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  };
+
+  const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: '#94a3b8',
+    cursor: 'pointer',
+    padding: '4px',
+    display: 'flex'
+  };
+
   const quickActions = [
     { text: "Help me plan a web application", icon: <Code size={16} /> },
     { text: "Generate a JavaScript project idea", icon: <Lightbulb size={16} /> },
@@ -792,24 +925,156 @@ What would you like to work on today?`,
             </h3>
             <div style={{ fontSize: '13px', color: '#94a3b8', fontWeight: '500' }}>Your AI coding companion</div>
           </div>
-          <div style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '8px',
-            padding: '6px 12px',
-            background: 'rgba(16, 185, 129, 0.1)',
-            borderRadius: '20px',
-            border: '1px solid rgba(16, 185, 129, 0.3)'
-          }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <button
+              type="button"
+              onClick={startNewConversation}
+              title="New conversation"
+              style={headerButtonStyle}
+            >
+              <Plus size={14} />
+              New
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowHistory(prev => !prev)}
+              title="Saved conversations"
+              style={{
+                ...headerButtonStyle,
+                ...(showHistory ? { background: 'rgba(59, 130, 246, 0.2)', borderColor: 'rgba(59, 130, 246, 0.4)' } : {})
+              }}
+            >
+              <History size={14} />
+              History
+            </button>
             <div style={{
-              width: '6px', height: '6px', borderRadius: '50%',
-              backgroundColor: '#10b981', animation: 'pulse 2s infinite'
-            }}></div>
-            <span style={{ fontSize: '12px', color: '#10b981', fontWeight: '500' }}>Online</span>
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '6px 12px',
+              background: 'rgba(16, 185, 129, 0.1)',
+              borderRadius: '20px',
+              border: '1px solid rgba(16, 185, 129, 0.3)'
+            }}>
+              <div style={{
+                width: '6px', height: '6px', borderRadius: '50%',
+                backgroundColor: '#10b981', animation: 'pulse 2s infinite'
+              }}></div>
+              <span style={{ fontSize: '12px', color: '#10b981', fontWeight: '500' }}>Online</span>
+            </div>
           </div>
         </div>
       </div>
 
+      {/* Saved conversations */}
+      {showHistory && (
+        <div style={{
+          position: 'absolute',
+          top: '80px',
+          bottom: '88px',
+          left: 0,
+          width: '300px',
+          zIndex: 20,
+          overflowY: 'auto',
+          padding: '16px',
+          background: 'rgba(15, 17, 22, 0.98)',
+          borderRight: '1px solid rgba(255, 255, 255, 0.1)',
+          boxShadow: '8px 0 24px rgba(0, 0, 0, 0.3)'
+        }} className="messages-scrollbar">
+          <div style={{ fontSize: '13px', fontWeight: '600', color: '#e2e8f0', marginBottom: '12px' }}>
+            Saved conversations
+          </div>
+          {conversations.length === 0 ? (
+            <div style={{ fontSize: '13px', color: '#94a3b8' }}>
+              Conversations you start are saved here.
+            </div>
+          ) : conversations.map(conversation => (
+            <div
+              key={conversation.id}
+              style={{
+                padding: '10px 12px',
+                marginBottom: '6px',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                border: '1px solid',
+                borderColor: conversation.id === conversationId ? 'rgba(59, 130, 246, 0.4)' : 'transparent',
+                background: conversation.id === conversationId ? 'rgba(59, 130, 246, 0.12)' : 'rgba(255, 255, 255, 0.03)'
+              }}
+              onClick={() => renamingId !== conversation.id && openConversation(conversation.id)}
+            >
+              {renamingId === conversation.id ? (
+                <input
+                  autoFocus
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  onBlur={() => handleRenameConversation(conversation.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleRenameConversation(conversation.id);
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                  maxLength={80}
+                  style={{
+                    width: '100%',
+                    padding: '6px 8px',
+                    borderRadius: '6px',
+                    border: '1px solid rgba(59, 130, 246, 0.4)',
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    color: 'white',
+                    fontSize: '13px',
+                    boxSizing: 'border-box'
+                  }}
+                />
+              ) : (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{
+                      fontSize: '13px',
+                      color: 'white',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {conversation.title}
+                    </div>
+                    <div style={{ fontSize: '11px', color: '#64748b', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      {new Date(conversation.last_message_at || conversation.created_at).toLocaleDateString()}
+                      {conversation.project_id && (
+                        <span style={{ color: '#10b981', display: 'inline-flex', alignItems: 'center', gap: '3px' }}>
+                          <FolderCheck size={11} /> Project created
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    title="Rename"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setRenamingId(conversation.id);
+                      setRenameValue(conversation.title);
+                    }}
+                    style={iconButtonStyle}
+                  >
+                    <Pencil size={13} />
+                  </button>
+                  <button
+                    type="button"
+                    title="Delete"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDeleteConversation(conversation.id);
+                    }}
+                    style={iconButtonStyle}
+                  >
+                    <Trash2 size={13} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Messages */}
       <div style={{
         position: 'absolute',
@@ -894,7 +1159,7 @@ What would you like to work on today?`,
           );
         })}
         
-        {isLoading && (
+        {isLoading && !messages.some(msg => msg.id === streamingMessageId) && (
           <div style={{
             alignSelf: 'flex-start',
             maxWidth: '85%',
@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { attachmentService } from '../../services/attachmentService';
+
+export const formatFileSize = (bytes) => {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const fileIcon = (mimeType = '') => {
+    if (mimeType.startsWith('image/')) return '🖼️';
+    if (mimeType === 'application/pdf') return '📄';
+    if (mimeType.includes('zip')) return '🗜️';
+    if (mimeType.includes('sheet') || mimeType.includes('excel') || mimeType === 'text/csv') return '📊';
+    return '📎';
+};
+
+// Thumbnails need the auth header, so they are loaded as blobs
+const AttachmentThumbnail = ({ attachment, style }) => {
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        let objectUrl = null;
+        let cancelled = false;
+
+        attachmentService.getThumbnailUrl(attachment)
+            .then(url => {
+                if (cancelled) {
+                    URL.revokeObjectURL(url);
+                } else {
+                    objectUrl = url;
+                    setSrc(url);
+                }
+            })
+            .catch(error => console.error('Error loading thumbnail:', error));
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [attachment]);
+
+    if (!src) return <div style={{ ...style, ...styles.thumbnailPlaceholder }}>🖼️</div>;
+    return <img src={src} alt={attachment.file_name} style={style} />;
+};
+
+const AttachmentList = ({ attachments = [], onDelete, canDelete = () => true, theme = 'light' }) => {
+    const [downloadError, setDownloadError] = useState(null);
+
+    if (attachments.length === 0) return null;
+
+    const palette = theme === 'dark' ? styles.dark : styles.light;
+
+    const handleDownload = async (attachment) => {
+        try {
+            setDownloadError(null);
+            await attachmentService.downloadAttachment(attachment);
+        } catch (error) {
+            setDownloadError(error.message);
+        }
+    };
+
+    return (
+        <div>
+            <div style={styles.list}>
+                {attachments.map(attachment => (
+                    <div key={attachment.id} style={{ ...styles.item, ...palette.item }}>
+                        <div
+                            style={styles.clickable}
+                            onClick={() => handleDownload(attachment)}
+                            title={`Download ${attachment.file_name}`}
+                        >
+                            {attachment.thumbnail_url ? (
+                                <AttachmentThumbnail attachment={attachment} style={styles.thumbnail} />
+                            ) : (
+                                <div style={{ ...styles.thumbnail, ...styles.thumbnailPlaceholder }}>
+                                    {fileIcon(attachment.mime_type)}
+                                </div>
+                            )}
+                            <div style={styles.meta}>
+                                <span style={{ ...styles.fileName, ...palette.fileName }}>{attachment.file_name}</span>
+                                <span style={{ ...styles.fileSize, ...palette.fileSize }}>
+                                    {formatFileSize(attachment.size_bytes)}
+                                </span>
+                            </div>
+                        </div>
+                        {onDelete && canDelete(attachment) && (
+                            <button
+                                type="button"
+                                onClick={() => onDelete(attachment)}
+                                style={{ ...styles.removeButton, ...palette.removeButton }}
+                                title="Remove attachment"
+                            >
+                                ×
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+            {downloadError && <div style={styles.error}>{downloadError}</div>}
+        </div>
+    );
+};
+
+const styles = {
+    list: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginTop: '8px'
+    },
+    item: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        borderRadius: '8px',
+        padding: '6px',
+        maxWidth: '260px'
+    },
+    clickable: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        cursor: 'pointer',
+        minWidth: 0
+    },
+    thumbnail: {
+        width: '48px',
+        height: '48px',
+        objectFit: 'cover',
+        borderRadius: '6px',
+        flexShrink: 0
+    },
+    thumbnailPlaceholder: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        fontSize: '20px',
+        backgroundColor: 'rgba(127, 127, 127, 0.15)'
+    },
+    meta: {
+        display: 'flex',
+        flexDirection: 'column',
+        minWidth: 0
+    },
+    fileName: {
+        fontSize: '13px',
+        fontWeight: '500',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap'
+    },
+    fileSize: {
+        fontSize: '11px'
+    },
+    removeButton: {
+        border: 'none',
+        background: 'none',
+        cursor: 'pointer',
+        fontSize: '16px',
+        lineHeight: 1,
+        padding: '2px 4px'
+    },
+    error: {
+        color: '#dc3545',
+        fontSize: '12px',
+        marginTop: '4px'
+    },
+    light: {
+        item: { border: '1px solid #e1e5e9', backgroundColor: '#f8f9fa' },
+        fileName: { color: '#333' },
+        fileSize: { color: '#6c757d' },
+        removeButton: { color: '#dc3545' }
+    },
+    dark: {
+        item: { border: '1px solid rgba(255, 255, 255, 0.1)', backgroundColor: 'rgba(255, 255, 255, 0.05)' },
+        fileName: { color: '#e5e7eb' },
+        fileSize: { color: '#9ca3af' },
+        removeButton: { color: '#fca5a5' }
+    }
+};
+
+export default AttachmentList;
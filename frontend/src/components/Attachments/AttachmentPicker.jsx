@@ -0,0 +1,88 @@
+import React, { useState, useRef } from 'react';
+import { attachmentService } from '../../services/attachmentService';
+
+// Matches the server allowlist in middleware/fileUpload.js
+const ACCEPTED_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'text/markdown', 'text/csv', 'application/json',
+    'application/zip', '.md', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx'
+].join(',');
+
+// Uploads the chosen files right away and reports the created attachments.
+// With a taskId they land on the task; otherwise the caller links them on submit.
+const AttachmentPicker = ({ projectId, taskId, onUploaded, disabled = false, theme = 'light', label = '📎 Attach' }) => {
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState(null);
+    const inputRef = useRef(null);
+
+    const handleFiles = async (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        try {
+            setUploading(true);
+            setError(null);
+            const response = await attachmentService.uploadFiles(projectId, files, { taskId });
+            onUploaded(response.data.attachments);
+        } catch (uploadError) {
+            setError(uploadError.message);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    return (
+        <div style={styles.wrapper}>
+            <input
+                ref={inputRef}
+                type="file"
+                multiple
+                accept={ACCEPTED_TYPES}
+                onChange={handleFiles}
+                style={{ display: 'none' }}
+            />
+            <button
+                type="button"
+                onClick={() => inputRef.current?.click()}
+                disabled={disabled || uploading}
+                style={{ ...styles.button, ...(theme === 'dark' ? styles.darkButton : styles.lightButton) }}
+                title="Attach files"
+            >
+                {uploading ? 'Uploading...' : label}
+            </button>
+            {error && <span style={styles.error}>{error}</span>}
+        </div>
+    );
+};
+
+const styles = {
+    wrapper: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+    },
+    button: {
+        padding: '6px 12px',
+        borderRadius: '6px',
+        fontSize: '13px',
+        cursor: 'pointer',
+        whiteSpace: 'nowrap'
+    },
+    lightButton: {
+        border: '1px solid #ced4da',
+        backgroundColor: 'white',
+        color: '#495057'
+    },
+    darkButton: {
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        color: '#d1d5db'
+    },
+    error: {
+        color: '#dc3545',
+        fontSize: '12px'
+    }
+};
+
+export default AttachmentPicker;
@@ -17,7 +17,7 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
   });
 
   const [languages, setLanguages] = useState([]);
-  const [testCaseFields, setTestCaseFields] = useState([{ input: '', expected_output: '' }]);
+  const [testCaseFields, setTestCaseFields] = useState([{ input: '', expected_output: '', hidden: false }]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -45,7 +45,8 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
           
           setTestCaseFields(existingTestCases.map(tc => ({
             input: JSON.stringify(tc.input, null, 2),
-            expected_output: JSON.stringify(tc.expected_output, null, 2)
+            expected_output: JSON.stringify(tc.expected_output, null, 2),
+            hidden: Boolean(tc.hidden)
           })));
         } catch (error) {
           console.error('Error parsing test cases:', error);
@@ -85,7 +86,7 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
   };
 
   const addTestCase = () => {
-    setTestCaseFields([...testCaseFields, { input: '', expected_output: '' }]);
+    setTestCaseFields([...testCaseFields, { input: '', expected_output: '', hidden: false }]);
   };
 
   const removeTestCase = (index) => {
@@ -101,13 +102,15 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
         try {
           return {
             input: JSON.parse(testCase.input),
-            expected_output: JSON.parse(testCase.expected_output)
+            expected_output: JSON.parse(testCase.expected_output),
+            hidden: Boolean(testCase.hidden)
           };
         } catch (error) {
           // If JSON parsing fails, use as string
           return {
             input: testCase.input,
-            expected_output: testCase.expected_output
+            expected_output: testCase.expected_output,
+            hidden: Boolean(testCase.hidden)
           };
         }
       });
@@ -186,7 +189,7 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
             expected_solution: '',
             test_cases: ''
           });
-          setTestCaseFields([{ input: '', expected_output: '' }]);
+          setTestCaseFields([{ input: '', expected_output: '', hidden: false }]);
         }
       }
       
@@ -540,6 +543,14 @@ const ChallengeForm = ({ onSuccess, onCancel, initialData = null }) => {
                 <div style={styles.testCaseTitle}>
                   <Code size={16} style={{ color: '#3b82f6' }} />
                   Test Case {index + 1}
+                  <label style={{ marginLeft: '12px', fontSize: '12px', fontWeight: 'normal', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(testCase.hidden)}
+                      onChange={(e) => handleTestCaseChange(index, 'hidden', e.target.checked)}
+                    />
+                    Hidden from candidates
+                  </label>
                 </div>
                 {testCaseFields.length > 1 && (
                   <button
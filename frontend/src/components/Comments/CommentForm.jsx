@@ -1,8 +1,12 @@
 import React, { useState, useRef, useEffect } from 'react';
 import MentionInput from './MentionInput';
+import AttachmentList from '../Attachments/AttachmentList';
+import AttachmentPicker from '../Attachments/AttachmentPicker';
+import { attachmentService } from '../../services/attachmentService';
 
 const CommentForm = ({ 
     taskId, 
+    projectId = null, // enables file attachments
     parentCommentId = null,
     projectMembers = [],
     projectOwner = null, // ✅ NEW: Add project owner prop
@@ -16,6 +20,7 @@ const CommentForm = ({
     const [mentions, setMentions] = useState([]);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState(null);
+    const [attachments, setAttachments] = useState([]);
     const textareaRef = useRef(null);
 
     useEffect(() => {
@@ -27,7 +32,7 @@ const CommentForm = ({
     const handleSubmit = async (e) => {
         e.preventDefault();
         
-        if (!content.trim()) return;
+        if (!content.trim() && attachments.length === 0) return;
 
         setIsSubmitting(true);
         setError(null);
@@ -40,9 +45,10 @@ const CommentForm = ({
                     'Authorization': `Bearer ${localStorage.getItem('token')}`
                 },
                 body: JSON.stringify({
-                    content: content.trim(),
+                    content: content.trim() || attachments.map(attachment => `📎 ${attachment.file_name}`).join('\n'),
                     parentCommentId,
-                    mentions
+                    mentions,
+                    attachmentIds: attachments.map(attachment => attachment.id)
                 })
             });
 
@@ -54,6 +60,7 @@ const CommentForm = ({
 
             setContent('');
             setMentions([]);
+            setAttachments([]);
             onCommentCreated(data.comment);
 
             if (onCancel) {
@@ -68,7 +75,18 @@ const CommentForm = ({
         }
     };
 
+    // Uploaded but not yet posted: remove the file rather than leave it for the orphan cleanup
+    const handleRemoveAttachment = async (attachment) => {
+        setAttachments(prev => prev.filter(item => item.id !== attachment.id));
+        try {
+            await attachmentService.deleteAttachment(attachment);
+        } catch (deleteError) {
+            console.error('Error removing attachment:', deleteError);
+        }
+    };
+
     const handleCancel = () => {
+        attachments.forEach(handleRemoveAttachment);
         setContent('');
         setMentions([]);
         setError(null);
@@ -95,8 +113,19 @@ const CommentForm = ({
                 placeholder={placeholder}
                 disabled={isSubmitting}
             />
+
+            {projectId && (
+                <AttachmentList attachments={attachments} onDelete={handleRemoveAttachment} />
+            )}
             
             <div className="comment-form-actions">
+                {projectId && (
+                    <AttachmentPicker
+                        projectId={projectId}
+                        onUploaded={(uploaded) => setAttachments(prev => [...prev, ...uploaded])}
+                        disabled={isSubmitting}
+                    />
+                )}
                 <div className="character-count">
                     <span className={
                         content.length > 1800 ? 'error' : 
@@ -118,7 +147,7 @@ const CommentForm = ({
                     )}
                     <button
                         type="submit"
-                        disabled={!content.trim() || isSubmitting || content.length > 2000}
+                        disabled={(!content.trim() && attachments.length === 0) || isSubmitting || content.length > 2000}
                         className="btn-primary"
                     >
                         {isSubmitting ? 'Posting...' : submitButtonText}
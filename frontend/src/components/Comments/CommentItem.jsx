@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import MentionInput from './MentionInput';
+import AttachmentList from '../Attachments/AttachmentList';
 
 const CommentItem = ({ 
     comment, 
@@ -156,6 +157,8 @@ const CommentItem = ({
                 {comment.content}
             </div>
 
+            <AttachmentList attachments={comment.attachments || []} />
+
             {!isReply && (
                 <div className="comment-footer">
                     <button
@@ -5,7 +5,7 @@ import CommentForm from './CommentForm';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import './Comments.css';
 
-const CommentsContainer = ({ taskId, projectMembers = [], projectOwner = null }) => {
+const CommentsContainer = ({ taskId, projectId = null, projectMembers = [], projectOwner = null }) => {
     const [comments, setComments] = useState([]);
     const [loading, setLoading] = useState(true);
     const [pagination, setPagination] = useState({
@@ -124,6 +124,7 @@ const CommentsContainer = ({ taskId, projectMembers = [], projectOwner = null })
 
             <CommentForm
                 taskId={taskId}
+                projectId={projectId}
                 projectMembers={projectMembers}
                 projectOwner={projectOwner} /* ✅ NEW: Pass project owner */
                 onCommentCreated={handleCommentCreated}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useNotifications } from '../../contexts/NotificationContext';
+import { useNotifications, NOTIFICATION_TYPE_LABELS } from '../../contexts/NotificationContext';
 import NotificationItem from './NotificationItem';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import './Notifications.css';
@@ -11,21 +11,24 @@ const NotificationDropdown = ({ onClose }) => {
         error,
         fetchNotifications, 
         markAllAsRead, 
+        markTypeAsRead,
         unreadCount,
+        unreadByType,
         clearError
     } = useNotifications();
     const [localError, setLocalError] = useState(null);
+    const [typeFilter, setTypeFilter] = useState('');
 
     // Use useCallback to fix dependency warning
     const loadNotifications = useCallback(async () => {
         try {
             setLocalError(null);
             if (clearError) clearError();
-            await fetchNotifications({ limit: 20 });
+            await fetchNotifications({ limit: 20, type: typeFilter || undefined });
         } catch (error) {
             setLocalError('Failed to load notifications');
         }
-    }, [fetchNotifications, clearError]);
+    }, [fetchNotifications, clearError, typeFilter]);
 
     // Now loadNotifications is stable and can be used in useEffect
     useEffect(() => {
@@ -36,12 +39,18 @@ const NotificationDropdown = ({ onClose }) => {
         try {
             setLocalError(null);
             if (clearError) clearError();
-            await markAllAsRead();
+            if (typeFilter) {
+                await markTypeAsRead(typeFilter);
+            } else {
+                await markAllAsRead();
+            }
         } catch (error) {
             setLocalError('Failed to mark notifications as read');
         }
     };
 
+    const filteredUnread = typeFilter ? (unreadByType[typeFilter] || 0) : unreadCount;
+
     const displayError = localError || error;
 
     return (
@@ -50,13 +59,13 @@ const NotificationDropdown = ({ onClose }) => {
             <div className="notification-dropdown-header">
                 <h3>Notifications</h3>
                 <div className="notification-actions">
-                    {unreadCount > 0 && (
+                    {filteredUnread > 0 && (
                         <button 
                             onClick={handleMarkAllRead}
                             className="mark-all-read-btn"
                             disabled={loading}
                         >
-                            Mark all read
+                            {typeFilter ? 'Mark these read' : 'Mark all read'}
                         </button>
                     )}
                     <button 
@@ -69,6 +78,22 @@ const NotificationDropdown = ({ onClose }) => {
                 </div>
             </div>
 
+            {/* Type filter */}
+            <div className="notification-type-filter">
+                <select
+                    value={typeFilter}
+                    onChange={(e) => setTypeFilter(e.target.value)}
+                    aria-label="Filter notifications by type"
+                >
+                    <option value="">All notifications{unreadCount > 0 ? ` (${unreadCount})` : ''}</option>
+                    {Object.entries(NOTIFICATION_TYPE_LABELS).map(([type, label]) => (
+                        <option key={type} value={type}>
+                            {label}{unreadByType[type] > 0 ? ` (${unreadByType[type]})` : ''}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
             {/* Content */}
             <div className="notification-dropdown-content">
                 {loading && notifications.length === 0 ? (
@@ -95,7 +120,7 @@ const NotificationDropdown = ({ onClose }) => {
                             <path d="M13.73 21a2 2 0 0 1-3.46 0" />
                         </svg>
                         <p>No notifications yet</p>
-                        <span>You'll see notifications for comments and mentions here</span>
+                        <span>You'll see comments, task assignments, team changes, friend requests and awards here</span>
                     </div>
                 ) : (
                     <div className="notification-list">
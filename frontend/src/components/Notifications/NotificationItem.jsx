@@ -28,12 +28,32 @@ const NotificationItem = ({ notification, onClose }) => {
                 return '💬';
             case 'task_comment':
                 return '📝';
+            case 'task_assigned':
+                return '📌';
+            case 'task_due_soon':
+                return '⏰';
+            case 'member_joined':
+                return '👋';
+            case 'member_removed':
+                return '🚪';
+            case 'role_changed':
+                return '🎖️';
+            case 'friend_request':
+                return '🤝';
+            case 'award_earned':
+                return '🏆';
+            case 'challenge_result':
+                return '🧩';
             default:
                 return '🔔';
         }
     };
 
+    const isEvent = notification.source === 'event';
+
     const getNotificationMessage = () => {
+        if (isEvent) return notification.message || notification.title;
+
         const { comment } = notification;
         const authorName = comment.author.full_name;
         const taskTitle = comment.task.title;
@@ -58,6 +78,12 @@ const NotificationItem = ({ notification, onClose }) => {
                 await markAsRead([notification.id]);
             }
 
+            if (isEvent) {
+                if (notification.data?.link) navigate(notification.data.link);
+                onClose();
+                return;
+            }
+
             // Navigate to the task
             const { comment } = notification;
             const projectId = comment.task.project.id;
@@ -96,7 +122,7 @@ const NotificationItem = ({ notification, onClose }) => {
                     {getNotificationMessage()}
                 </p>
                 
-                {notification.comment.content && (
+                {!isEvent && notification.comment.content && (
                     <div className="notification-preview">
                         "{notification.comment.content.length > 100 
                             ? notification.comment.content.substring(0, 100) + '...'
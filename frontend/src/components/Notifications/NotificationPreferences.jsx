@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, X } from 'lucide-react';
+import { notificationService } from '../../services/notificationService';
+import { projectService } from '../../services/projectService';
+import { NOTIFICATION_TYPE_LABELS } from '../../contexts/NotificationContext';
+
+const CHANNEL_LABELS = {
+    in_app: 'In-app',
+    email: 'In-app + email digest',
+    off: 'Off'
+};
+
+const DIGEST_LABELS = {
+    daily: 'Daily (08:00)',
+    weekly: 'Weekly (Monday 08:00)',
+    off: 'Never'
+};
+
+// Delivery settings per event type, with per-project overrides. Every change is saved immediately.
+const NotificationPreferences = ({ onNotify }) => {
+    const [settings, setSettings] = useState(null);
+    const [projects, setProjects] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [override, setOverride] = useState({ projectId: '', type: '', channel: 'off' });
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const [preferencesResponse, projectsResponse] = await Promise.all([
+                    notificationService.getPreferences(),
+                    projectService.getUserProjects()
+                ]);
+                setSettings(preferencesResponse.data);
+                setProjects(projectsResponse.data.projects || []);
+            } catch (error) {
+                console.error('Error loading notification preferences:', error);
+                setLoadError('Failed to load notification preferences');
+            }
+        };
+
+        load();
+    }, []);
+
+    const save = async (payload) => {
+        try {
+            setSaving(true);
+            const response = await notificationService.updatePreferences(payload);
+            setSettings(prev => ({ ...prev, ...response.data }));
+            onNotify?.('Notification preferences saved', 'success');
+            return true;
+        } catch (error) {
+            onNotify?.(error.message || 'Failed to save notification preferences', 'error');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!settings) {
+        return (
+            <div style={styles.section}>
+                <h3 style={styles.sectionTitle}>
+                    <Bell size={18} style={{ color: '#60a5fa' }} />
+                    Notification Preferences
+                </h3>
+                <p style={styles.hint}>{loadError || 'Loading preferences...'}</p>
+            </div>
+        );
+    }
+
+    const globalChannel = (type) =>
+        settings.preferences.find(pref => pref.type === type && !pref.project_id)?.channel || settings.defaultChannel;
+
+    const projectOverrides = settings.preferences.filter(pref => pref.project_id);
+
+    const handleAddOverride = async (e) => {
+        e.preventDefault();
+        if (!override.projectId || !override.type) return;
+
+        const saved = await save({ preferences: [override] });
+        if (saved) setOverride({ projectId: '', type: '', channel: 'off' });
+    };
+
+    return (
+        <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>
+                <Bell size={18} style={{ color: '#60a5fa' }} />
+                Notification Preferences
+            </h3>
+
+            <div style={styles.row}>
+                <label style={styles.rowLabel}>Email digest</label>
+                <select
+                    value={settings.digest.frequency}
+                    onChange={(e) => save({ digestFrequency: e.target.value })}
+                    disabled={saving}
+                    style={styles.select}
+                >
+                    {settings.digestFrequencies.map(frequency => (
+                        <option key={frequency} value={frequency}>{DIGEST_LABELS[frequency] || frequency}</option>
+                    ))}
+                </select>
+            </div>
+            <p style={styles.hint}>
+                Unread notifications set to email are batched into one digest.
+                {settings.digest.lastSentAt && ` Last sent ${new Date(settings.digest.lastSentAt).toLocaleString()}.`}
+            </p>
+
+            <h4 style={styles.subTitle}>All projects</h4>
+            {settings.types.map(type => (
+                <div key={type} style={styles.row}>
+                    <label style={styles.rowLabel}>{NOTIFICATION_TYPE_LABELS[type] || type}</label>
+                    <select
+                        value={globalChannel(type)}
+                        onChange={(e) => save({ preferences: [{ type, projectId: null, channel: e.target.value }] })}
+                        disabled={saving}
+                        style={styles.select}
+                    >
+                        {settings.channels.map(channel => (
+                            <option key={channel} value={channel}>{CHANNEL_LABELS[channel] || channel}</option>
+                        ))}
+                    </select>
+                </div>
+            ))}
+
+            <h4 style={styles.subTitle}>Project overrides</h4>
+            {projectOverrides.length === 0 ? (
+                <p style={styles.hint}>No overrides. Every project follows the settings above.</p>
+            ) : (
+                projectOverrides.map(pref => (
+                    <div key={pref.id} style={styles.row}>
+                        <label style={styles.rowLabel}>
+                            {pref.project?.title || 'Project'} · {NOTIFICATION_TYPE_LABELS[pref.type] || pref.type}
+                        </label>
+                        <select
+                            value={pref.channel}
+                            onChange={(e) => save({
+                                preferences: [{ type: pref.type, projectId: pref.project_id, channel: e.target.value }]
+                            })}
+                            disabled={saving}
+                            style={styles.select}
+                        >
+                            {settings.channels.map(channel => (
+                                <option key={channel} value={channel}>{CHANNEL_LABELS[channel] || channel}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={() => save({ preferences: [{ type: pref.type, projectId: pref.project_id, channel: null }] })}
+                            disabled={saving}
+                            style={styles.removeButton}
+                            title="Remove override"
+                        >
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))
+            )}
+
+            <form onSubmit={handleAddOverride} style={styles.overrideForm}>
+                <select
+                    value={override.projectId}
+                    onChange={(e) => setOverride(prev => ({ ...prev, projectId: e.target.value }))}
+                    style={styles.select}
+                >
+                    <option value="">Project...</option>
+                    {projects.map(project => (
+                        <option key={project.id} value={project.id}>{project.title}</option>
+                    ))}
+                </select>
+                <select
+                    value={override.type}
+                    onChange={(e) => setOverride(prev => ({ ...prev, type: e.target.value }))}
+                    style={styles.select}
+                >
+                    <option value="">Event...</option>
+                    {settings.types.map(type => (
+                        <option key={type} value={type}>{NOTIFICATION_TYPE_LABELS[type] || type}</option>
+                    ))}
+                </select>
+                <select
+                    value={override.channel}
+                    onChange={(e) => setOverride(prev => ({ ...prev, channel: e.target.value }))}
+                    style={styles.select}
+                >
+                    {settings.channels.map(channel => (
+                        <option key={channel} value={channel}>{CHANNEL_LABELS[channel] || channel}</option>
+                    ))}
+                </select>
+                <button
+                    type="submit"
+                    disabled={saving || !override.projectId || !override.type}
+                    style={styles.addButton}
+                >
+                    Add
+                </button>
+            </form>
+        </div>
+    );
+};
+
+const styles = {
+    section: {
+        background: 'rgba(26, 28, 32, 0.8)',
+        backdropFilter: 'blur(20px)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '16px',
+        padding: '24px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    sectionTitle: {
+        fontSize: '18px',
+        fontWeight: 'bold',
+        color: 'white',
+        margin: '0 0 16px 0',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+    },
+    subTitle: {
+        color: '#d1d5db',
+        fontSize: '14px',
+        fontWeight: '600',
+        margin: '20px 0 8px 0'
+    },
+    row: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        padding: '6px 0'
+    },
+    rowLabel: {
+        flex: 1,
+        color: '#d1d5db',
+        fontSize: '14px'
+    },
+    select: {
+        padding: '8px 10px',
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '13px',
+        fontFamily: 'inherit'
+    },
+    hint: {
+        color: '#9ca3af',
+        fontSize: '13px',
+        margin: '4px 0 0 0'
+    },
+    overrideForm: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginTop: '12px'
+    },
+    addButton: {
+        backgroundColor: '#3b82f6',
+        color: 'white',
+        border: 'none',
+        padding: '8px 16px',
+        borderRadius: '8px',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '500'
+    },
+    removeButton: {
+        background: 'rgba(239, 68, 68, 0.15)',
+        border: '1px solid rgba(239, 68, 68, 0.3)',
+        color: '#fca5a5',
+        borderRadius: '6px',
+        padding: '4px 6px',
+        cursor: 'pointer',
+        display: 'flex',
+        alignItems: 'center'
+    }
+};
+
+export default NotificationPreferences;
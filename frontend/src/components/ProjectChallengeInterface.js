@@ -5,7 +5,7 @@ import ChallengeFailureAlert from './ChallengeFailureAlert';
 import TestResultsPanel from './TestResultsPanel';
 import ChallengeHints from './ChallengeHints';
 
-const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
+const ProjectChallengeInterface = ({ projectId, inviteCode, onClose, onSuccess }) => {
   const navigate = useNavigate();
   const [challenge, setChallenge] = useState(null);
   const [submittedCode, setSubmittedCode] = useState('');
@@ -164,6 +164,9 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
       if (challenge?.challenge?.id && !challenge.challenge.isTemporary) {
         payload.challengeId = challenge.challenge.id;
       }
+      if (inviteCode) {
+        payload.inviteCode = inviteCode;
+      }
 
       const url = `${API_BASE_URL}/api/challenges/project/${projectId}/attempt`;
       const response = await fetch(url, {
@@ -198,7 +201,7 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
     } finally {
       setIsSubmitting(false);
     }
-  }, [submittedCode, startedAt, challenge, projectId, API_BASE_URL, getAuthHeaders, handleApiResponse]);
+  }, [submittedCode, startedAt, challenge, projectId, inviteCode, API_BASE_URL, getAuthHeaders, handleApiResponse]);
 
   // Keep ref updated
   handleSubmitRef.current = handleSubmit;
@@ -1013,6 +1016,11 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
                       ? challenge.challenge.test_cases
                       : JSON.stringify(challenge.challenge.test_cases, null, 2)}
                   </pre>
+                  {challenge.challenge.hidden_test_count > 0 && (
+                    <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#9ca3af' }}>
+                      🔒 Plus {challenge.challenge.hidden_test_count} hidden test case{challenge.challenge.hidden_test_count === 1 ? '' : 's'} used for grading.
+                    </p>
+                  )}
                 </div>
               </div>
             )}
@@ -1201,6 +1209,25 @@ const ProjectChallengeInterface = ({ projectId, onClose, onSuccess }) => {
                   </div>
                 )}
                  
+                {result.evaluation && result.evaluation.testSummary && (
+                  <div style={{
+                    marginTop: '16px',
+                    padding: '16px',
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    borderRadius: '12px',
+                    border: '1px solid rgba(255, 255, 255, 0.1)'
+                  }}>
+                    <p style={{ fontSize: '16px', fontWeight: 'bold', margin: '0 0 8px 0', color: 'white' }}>
+                      🧪 Test Results: {result.evaluation.testSummary.passedTests}/{result.evaluation.testSummary.totalTests} passed
+                    </p>
+                    <p style={{ fontSize: '14px', margin: 0, color: '#e2e8f0' }}>
+                      Visible: {result.evaluation.testSummary.visiblePassed}/{result.evaluation.testSummary.visibleTotal}
+                      {result.evaluation.testSummary.hiddenTotal > 0 &&
+                        ` • Hidden: ${result.evaluation.testSummary.hiddenPassed}/${result.evaluation.testSummary.hiddenTotal}`}
+                    </p>
+                  </div>
+                )}
+
                  {result.evaluation &&
                     Array.isArray(result.evaluation.testResults) &&
                     result.evaluation.testResults.length > 0 && (
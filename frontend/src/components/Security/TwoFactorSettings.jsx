@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, Copy } from 'lucide-react';
+import { twoFactorService } from '../../services/twoFactorService';
+
+// Authenticator-app two-factor authentication: enrollment with a QR code,
+// one-time recovery codes, and turning it off again
+const TwoFactorSettings = ({ onNotify }) => {
+    const [status, setStatus] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    // 'setup' | 'disable' | 'regenerate' while one of the forms is open
+    const [mode, setMode] = useState(null);
+    const [enrollment, setEnrollment] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const loadStatus = useCallback(async () => {
+        try {
+            const response = await twoFactorService.getStatus();
+            setStatus(response.data);
+        } catch (error) {
+            console.error('Error loading 2FA status:', error);
+            setLoadError(error.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadStatus();
+    }, [loadStatus]);
+
+    const closeForm = () => {
+        setMode(null);
+        setEnrollment(null);
+        setCode('');
+        setPassword('');
+    };
+
+    const run = async (action) => {
+        try {
+            setBusy(true);
+            await action();
+        } catch (error) {
+            onNotify?.(error.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleStartSetup = () => run(async () => {
+        const response = await twoFactorService.setup();
+        setRecoveryCodes(null);
+        setEnrollment(response.data);
+        setMode('setup');
+    });
+
+    const handleEnable = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const response = await twoFactorService.enable(code.replace(/\s/g, ''));
+            closeForm();
+            setRecoveryCodes(response.data.recoveryCodes);
+            onNotify?.('Two-factor authentication enabled', 'success');
+            await loadStatus();
+        });
+    };
+
+    const handleDisable = (e) => {
+        e.preventDefault();
+        const value = code.trim();
+        run(async () => {
+            await twoFactorService.disable(
+                /^\d{6}$/.test(value.replace(/\s/g, ''))
+                    ? { password, code: value.replace(/\s/g, '') }
+                    : { password, recoveryCode: value }
+            );
+            closeForm();
+            setRecoveryCodes(null);
+            onNotify?.('Two-factor authentication disabled', 'success');
+            await loadStatus();
+        });
+    };
+
+    const handleRegenerate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const response = await twoFactorService.regenerateRecoveryCodes(code.replace(/\s/g, ''));
+            closeForm();
+            setRecoveryCodes(response.data.recoveryCodes);
+            onNotify?.('New recovery codes generated', 'success');
+            await loadStatus();
+        });
+    };
+
+    const copyRecoveryCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+            onNotify?.('Recovery codes copied', 'success');
+        } catch (error) {
+            onNotify?.('Could not copy to clipboard', 'error');
+        }
+    };
+
+    const codeInput = (placeholder) => (
+        <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={placeholder}
+            inputMode={mode === 'disable' ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            style={styles.input}
+            required
+        />
+    );
+
+    return (
+        <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>
+                <ShieldCheck size={18} style={{ color: '#a78bfa' }} />
+                Two-Factor Authentication
+            </h3>
+
+            {!status ? (
+                <p style={styles.hint}>{loadError || 'Loading...'}</p>
+            ) : (
+                <>
+                    <p style={styles.statusLine}>
+                        {status.enabled ? (
+                            <>
+                                <span style={styles.enabledBadge}>Enabled</span>
+                                {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}
+                                {` · ${status.recoveryCodesRemaining} recovery codes left`}
+                            </>
+                        ) : (
+                            'Protect your account with a code from an authenticator app when you sign in.'
+                        )}
+                    </p>
+
+                    {status.required && !status.enabled && (
+                        <p style={styles.warning}>
+                            Your role requires two-factor authentication. Admin tools stay locked until it is enabled.
+                        </p>
+                    )}
+
+                    {recoveryCodes && (
+                        <div style={styles.recoveryBox}>
+                            <p style={styles.hint}>
+                                Save these recovery codes somewhere safe. Each works once if you lose your authenticator, and they won't be shown again.
+                            </p>
+                            <div style={styles.codeGrid}>
+                                {recoveryCodes.map(recoveryCode => (
+                                    <code key={recoveryCode} style={styles.code}>{recoveryCode}</code>
+                                ))}
+                            </div>
+                            <div style={styles.actions}>
+                                <button onClick={copyRecoveryCodes} style={styles.secondaryButton}>
+                                    <Copy size={14} />
+                                    Copy
+                                </button>
+                                <button onClick={() => setRecoveryCodes(null)} style={styles.secondaryButton}>
+                                    I've saved them
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {mode === 'setup' && enrollment && (
+                        <form onSubmit={handleEnable} style={styles.form}>
+                            <p style={styles.hint}>
+                                Scan the QR code with your authenticator app, or enter the key manually, then type the 6-digit code it shows.
+                            </p>
+                            <img src={enrollment.qrCode} alt="Two-factor QR code" style={styles.qrCode} />
+                            <code style={styles.secret}>{enrollment.secret}</code>
+                            {codeInput('123456')}
+                            <div style={styles.actions}>
+                                <button type="submit" disabled={busy || !code.trim()} style={styles.primaryButton}>
+                                    {busy ? 'Verifying...' : 'Enable'}
+                                </button>
+                                <button type="button" onClick={closeForm} style={styles.secondaryButton}>
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {mode === 'disable' && (
+                        <form onSubmit={handleDisable} style={styles.form}>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="Current password"
+                                autoComplete="current-password"
+                                style={styles.input}
+                                required
+                            />
+                            {codeInput('Authentication or recovery code')}
+                            <div style={styles.actions}>
+                                <button type="submit" disabled={busy} style={styles.dangerButton}>
+                                    {busy ? 'Disabling...' : 'Disable'}
+                                </button>
+                                <button type="button" onClick={closeForm} style={styles.secondaryButton}>
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {mode === 'regenerate' && (
+                        <form onSubmit={handleRegenerate} style={styles.form}>
+                            <p style={styles.hint}>Your current recovery codes will stop working.</p>
+                            {codeInput('123456')}
+                            <div style={styles.actions}>
+                                <button type="submit" disabled={busy || !code.trim()} style={styles.primaryButton}>
+                                    {busy ? 'Generating...' : 'Generate new codes'}
+                                </button>
+                                <button type="button" onClick={closeForm} style={styles.secondaryButton}>
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {!mode && (
+                        <div style={styles.actions}>
+                            {status.enabled ? (
+                                <>
+                                    <button onClick={() => setMode('regenerate')} disabled={busy} style={styles.secondaryButton}>
+                                        New recovery codes
+                                    </button>
+                                    {!status.required && (
+                                        <button onClick={() => setMode('disable')} disabled={busy} style={styles.dangerButton}>
+                                            Disable
+                                        </button>
+                                    )}
+                                </>
+                            ) : (
+                                <button onClick={handleStartSetup} disabled={busy} style={styles.primaryButton}>
+                                    {busy ? 'Preparing...' : 'Set up authenticator app'}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    section: {
+        background: 'rgba(26, 28, 32, 0.8)',
+        backdropFilter: 'blur(20px)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '16px',
+        padding: '24px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    sectionTitle: {
+        fontSize: '18px',
+        fontWeight: 'bold',
+        color: 'white',
+        margin: '0 0 16px 0',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+    },
+    statusLine: {
+        color: '#d1d5db',
+        fontSize: '14px',
+        margin: 0
+    },
+    enabledBadge: {
+        fontSize: '12px',
+        color: '#10b981',
+        background: 'rgba(16, 185, 129, 0.15)',
+        border: '1px solid rgba(16, 185, 129, 0.3)',
+        borderRadius: '6px',
+        padding: '1px 6px'
+    },
+    warning: {
+        color: '#fbbf24',
+        fontSize: '13px',
+        margin: '12px 0 0 0'
+    },
+    hint: {
+        color: '#9ca3af',
+        fontSize: '13px',
+        margin: '4px 0 0 0'
+    },
+    form: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '10px',
+        marginTop: '16px'
+    },
+    qrCode: {
+        width: '180px',
+        height: '180px',
+        borderRadius: '8px',
+        background: 'white',
+        padding: '8px'
+    },
+    secret: {
+        color: '#d1d5db',
+        fontSize: '13px',
+        wordBreak: 'break-all'
+    },
+    input: {
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '8px',
+        color: 'white',
+        padding: '10px 12px',
+        fontSize: '14px',
+        maxWidth: '280px'
+    },
+    recoveryBox: {
+        marginTop: '16px',
+        padding: '16px',
+        borderRadius: '12px',
+        border: '1px solid rgba(167, 139, 250, 0.3)',
+        background: 'rgba(167, 139, 250, 0.08)'
+    },
+    codeGrid: {
+        display: 'grid',
+        gridTemplateColumns: 'repeat(2, minmax(0, 140px))',
+        gap: '6px',
+        marginTop: '12px'
+    },
+    code: {
+        color: 'white',
+        fontSize: '14px',
+        fontFamily: 'monospace'
+    },
+    actions: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginTop: '16px'
+    },
+    primaryButton: {
+        background: 'rgba(167, 139, 250, 0.2)',
+        border: '1px solid rgba(167, 139, 250, 0.4)',
+        color: '#ddd6fe',
+        borderRadius: '8px',
+        padding: '8px 16px',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '500'
+    },
+    secondaryButton: {
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        color: '#d1d5db',
+        borderRadius: '8px',
+        padding: '8px 16px',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '500',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px'
+    },
+    dangerButton: {
+        background: 'rgba(239, 68, 68, 0.15)',
+        border: '1px solid rgba(239, 68, 68, 0.3)',
+        color: '#fca5a5',
+        borderRadius: '8px',
+        padding: '8px 16px',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '500'
+    }
+};
+
+export default TwoFactorSettings;
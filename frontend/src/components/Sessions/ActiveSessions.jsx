@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { sessionService } from '../../services/sessionService';
+import { useAuth } from '../../contexts/AuthContext';
+
+// "Chrome on Windows" style label from a user agent string
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'],
+        ['Chrome/', 'Chrome'], ['Safari/', 'Safari']
+    ].find(([marker]) => userAgent.includes(marker))?.[1];
+    const os = [
+        ['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'],
+        ['Mac OS X', 'macOS'], ['Linux', 'Linux']
+    ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+// Devices currently signed in to this account, with per-device and global sign-out
+const ActiveSessions = ({ onNotify }) => {
+    const navigate = useNavigate();
+    const { logout } = useAuth();
+    const [sessions, setSessions] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const loadSessions = useCallback(async () => {
+        try {
+            const response = await sessionService.getSessions();
+            setSessions(response.data.sessions);
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            setLoadError(error.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handleRevoke = async (session) => {
+        if (session.is_current) {
+            await handleLogoutEverywhere(false);
+            return;
+        }
+
+        try {
+            setBusy(true);
+            await sessionService.revokeSession(session.id);
+            setSessions(prev => prev.filter(item => item.id !== session.id));
+            onNotify?.('Device signed out', 'success');
+        } catch (error) {
+            onNotify?.(error.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleLogoutOthers = async () => {
+        try {
+            setBusy(true);
+            const response = await sessionService.revokeAllSessions({ keepCurrent: true });
+            setSessions(prev => prev.filter(session => session.is_current));
+            onNotify?.(response.message, 'success');
+        } catch (error) {
+            onNotify?.(error.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // everywhere = false signs out just this device
+    const handleLogoutEverywhere = async (everywhere = true) => {
+        if (everywhere && !window.confirm('Sign out of every device, including this one?')) return;
+
+        try {
+            setBusy(true);
+            if (everywhere) await sessionService.revokeAllSessions();
+            logout();
+            navigate('/login');
+        } catch (error) {
+            onNotify?.(error.message, 'error');
+            setBusy(false);
+        }
+    };
+
+    const otherSessions = (sessions || []).filter(session => !session.is_current);
+
+    return (
+        <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>
+                <Monitor size={18} style={{ color: '#a78bfa' }} />
+                Active Sessions
+            </h3>
+
+            {!sessions ? (
+                <p style={styles.hint}>{loadError || 'Loading sessions...'}</p>
+            ) : (
+                <>
+                    {sessions.map(session => {
+                        const DeviceIcon = isMobile(session.user_agent) ? Smartphone : Monitor;
+                        return (
+                            <div key={session.id} style={styles.sessionRow}>
+                                <DeviceIcon size={20} style={{ color: '#9ca3af', flexShrink: 0 }} />
+                                <div style={styles.sessionInfo}>
+                                    <span style={styles.deviceName}>
+                                        {describeDevice(session.user_agent)}
+                                        {session.is_current && <span style={styles.currentBadge}>This device</span>}
+                                    </span>
+                                    <span style={styles.hint}>
+                                        {session.ip_address || 'Unknown IP'} · Last active {new Date(session.last_used_at).toLocaleString()}
+                                    </span>
+                                </div>
+                                <button
+                                    onClick={() => handleRevoke(session)}
+                                    disabled={busy}
+                                    style={styles.revokeButton}
+                                >
+                                    Sign out
+                                </button>
+                            </div>
+                        );
+                    })}
+
+                    <div style={styles.actions}>
+                        {otherSessions.length > 0 && (
+                            <button onClick={handleLogoutOthers} disabled={busy} style={styles.secondaryButton}>
+                                Sign out other devices
+                            </button>
+                        )}
+                        <button onClick={() => handleLogoutEverywhere(true)} disabled={busy} style={styles.dangerButton}>
+                            <LogOut size={14} />
+                            Log out everywhere
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    section: {
+        background: 'rgba(26, 28, 32, 0.8)',
+        backdropFilter: 'blur(20px)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '16px',
+        padding: '24px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    sectionTitle: {
+        fontSize: '18px',
+        fontWeight: 'bold',
+        color: 'white',
+        margin: '0 0 16px 0',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+    },
+    sessionRow: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        padding: '10px 0',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+    },
+    sessionInfo: {
+        flex: 1,
+        display: 'flex',
+        flexDirection: 'column',
+        minWidth: 0
+    },
+    deviceName: {
+        color: '#d1d5db',
+        fontSize: '14px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+    },
+    currentBadge: {
+        fontSize: '11px',
+        color: '#10b981',
+        background: 'rgba(16, 185, 129, 0.15)',
+        border: '1px solid rgba(16, 185, 129, 0.3)',
+        borderRadius: '6px',
+        padding: '1px 6px'
+    },
+    hint: {
+        color: '#9ca3af',
+        fontSize: '13px',
+        margin: '4px 0 0 0'
+    },
+    actions: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        marginTop: '16px'
+    },
+    revokeButton: {
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        color: '#d1d5db',
+        borderRadius: '8px',
+        padding: '6px 12px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    },
+    secondaryButton: {
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        color: '#d1d5db',
+        borderRadius: '8px',
+        padding: '8px 16px',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '500'
+    },
+    dangerButton: {
+        background: 'rgba(239, 68, 68, 0.15)',
+        border: '1px solid rgba(239, 68, 68, 0.3)',
+        color: '#fca5a5',
+        borderRadius: '8px',
+        padding: '8px 16px',
+        cursor: 'pointer',
+        fontSize: '13px',
+        fontWeight: '500',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px'
+    }
+};
+
+export default ActiveSessions;
@@ -0,0 +1,402 @@
+// frontend/src/components/Tasks/TaskBoard.js - Kanban view of project tasks
+import React, { useMemo, useState } from 'react';
+
+const COLUMNS = [
+  { status: 'todo', label: 'To Do' },
+  { status: 'in_progress', label: 'In Progress' },
+  { status: 'in_review', label: 'In Review' },
+  { status: 'completed', label: 'Completed' },
+  { status: 'blocked', label: 'Blocked' }
+];
+
+// Tasks without a position (created before the board existed) go after ordered ones
+const byBoardOrder = (a, b) => {
+  const aPos = a.position ?? Number.MAX_SAFE_INTEGER;
+  const bPos = b.position ?? Number.MAX_SAFE_INTEGER;
+  if (aPos !== bPos) return aPos - bPos;
+  return new Date(a.created_at) - new Date(b.created_at);
+};
+
+const TaskBoard = ({
+  tasks,
+  wipLimits = {},
+  canEditLimits = false,
+  onMoveTask,
+  onSaveLimits,
+  onOpenTask,
+  onError,
+  getMemberName,
+  getStatusColor,
+  getPriorityColor,
+  recentEditors = {}
+}) => {
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [editingLimits, setEditingLimits] = useState(false);
+  const [limitDraft, setLimitDraft] = useState({});
+
+  const columns = useMemo(() => {
+    const grouped = Object.fromEntries(COLUMNS.map(({ status }) => [status, []]));
+    tasks.forEach(task => {
+      if (grouped[task.status]) grouped[task.status].push(task);
+    });
+    Object.values(grouped).forEach(list => list.sort(byBoardOrder));
+    return grouped;
+  }, [tasks]);
+
+  const handleDragStart = (e, task) => {
+    setDraggedTaskId(task.id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTaskId(null);
+    setDropTarget(null);
+  };
+
+  // Drop above or below a card depending on which half the pointer is over
+  const handleCardDragOver = (e, status, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    const nextIndex = after ? index + 1 : index;
+    if (dropTarget?.status !== status || dropTarget?.index !== nextIndex) {
+      setDropTarget({ status, index: nextIndex });
+    }
+  };
+
+  const handleColumnDragOver = (e, status) => {
+    e.preventDefault();
+    if (dropTarget?.status !== status) {
+      setDropTarget({ status, index: columns[status].length });
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const taskId = draggedTaskId || e.dataTransfer.getData('text/plain');
+    const target = dropTarget?.status === status ? dropTarget : { status, index: columns[status].length };
+    handleDragEnd();
+
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    const sourceIds = columns[task.status].map(t => t.id);
+    const sourceIndex = sourceIds.indexOf(taskId);
+    let targetIndex = target.index;
+
+    if (task.status === status) {
+      // Dropping a card onto its own slot is a no-op
+      if (targetIndex === sourceIndex || targetIndex === sourceIndex + 1) return;
+      if (targetIndex > sourceIndex) targetIndex -= 1;
+    } else {
+      const limit = wipLimits[status];
+      if (limit && columns[status].length >= limit) {
+        const label = COLUMNS.find(c => c.status === status)?.label || status;
+        onError?.(`"${label}" is at its WIP limit of ${limit}`);
+        return;
+      }
+    }
+
+    const nextColumns = { [task.status]: sourceIds.filter(id => id !== taskId) };
+    const targetIds = task.status === status ? nextColumns[status] : columns[status].map(t => t.id);
+    targetIds.splice(targetIndex, 0, taskId);
+    nextColumns[status] = targetIds;
+
+    onMoveTask(nextColumns, task);
+  };
+
+  const startEditingLimits = () => {
+    setLimitDraft(Object.fromEntries(COLUMNS.map(({ status }) => [status, wipLimits[status] || ''])));
+    setEditingLimits(true);
+  };
+
+  const saveLimits = async () => {
+    const limits = {};
+    Object.entries(limitDraft).forEach(([status, value]) => {
+      const limit = parseInt(value);
+      if (!isNaN(limit) && limit > 0) limits[status] = limit;
+    });
+    const saved = await onSaveLimits(limits);
+    if (saved !== false) setEditingLimits(false);
+  };
+
+  const styles = {
+    toolbar: {
+      position: 'relative',
+      zIndex: 10,
+      display: 'flex',
+      justifyContent: 'flex-end',
+      gap: '8px',
+      marginBottom: '12px'
+    },
+    toolbarButton: {
+      background: 'linear-gradient(135deg, rgba(107, 114, 128, 0.8), rgba(75, 85, 99, 0.8))',
+      color: 'white',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      padding: '6px 14px',
+      borderRadius: '8px',
+      cursor: 'pointer',
+      fontSize: '13px',
+      fontWeight: '500'
+    },
+    saveButton: {
+      background: 'linear-gradient(135deg, #10b981, #059669)',
+      color: 'white',
+      border: 'none',
+      padding: '6px 14px',
+      borderRadius: '8px',
+      cursor: 'pointer',
+      fontSize: '13px',
+      fontWeight: '600'
+    },
+    board: {
+      position: 'relative',
+      zIndex: 10,
+      display: 'grid',
+      gridTemplateColumns: `repeat(${COLUMNS.length}, minmax(220px, 1fr))`,
+      gap: '16px',
+      overflowX: 'auto',
+      paddingBottom: '30px'
+    },
+    column: {
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '14px',
+      minHeight: '300px',
+      display: 'flex',
+      flexDirection: 'column',
+      transition: 'border-color 0.2s ease'
+    },
+    columnHeader: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: '8px',
+      marginBottom: '12px',
+      paddingBottom: '10px',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+    },
+    columnTitle: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '14px',
+      fontWeight: '600',
+      color: 'white'
+    },
+    statusDot: {
+      width: '10px',
+      height: '10px',
+      borderRadius: '50%'
+    },
+    count: {
+      fontSize: '12px',
+      fontWeight: '600',
+      padding: '2px 8px',
+      borderRadius: '10px',
+      backgroundColor: 'rgba(255, 255, 255, 0.08)',
+      color: '#d1d5db'
+    },
+    countOver: {
+      backgroundColor: 'rgba(239, 68, 68, 0.2)',
+      color: '#fca5a5'
+    },
+    limitInput: {
+      width: '52px',
+      padding: '4px 6px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '6px',
+      fontSize: '12px',
+      backgroundColor: 'rgba(26, 28, 32, 0.8)',
+      color: 'white',
+      outline: 'none'
+    },
+    cardList: {
+      flex: 1,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px'
+    },
+    card: {
+      background: 'rgba(255, 255, 255, 0.04)',
+      border: '1px solid rgba(255, 255, 255, 0.08)',
+      borderRadius: '10px',
+      padding: '12px',
+      cursor: 'grab',
+      userSelect: 'none'
+    },
+    cardTitle: {
+      fontSize: '14px',
+      fontWeight: '600',
+      color: 'white',
+      margin: '0 0 8px 0',
+      lineHeight: '1.4'
+    },
+    cardEditedBy: {
+      fontSize: '11px',
+      color: '#fbbf24',
+      marginBottom: '8px'
+    },
+    cardProgress: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '11px',
+      color: '#9ca3af',
+      marginBottom: '8px'
+    },
+    cardProgressTrack: {
+      flex: 1,
+      height: '4px',
+      borderRadius: '2px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      overflow: 'hidden'
+    },
+    cardProgressFill: {
+      height: '100%',
+      backgroundColor: '#10b981'
+    },
+    cardMeta: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '12px',
+      color: '#9ca3af'
+    },
+    priorityBadge: {
+      padding: '2px 8px',
+      borderRadius: '8px',
+      fontSize: '11px',
+      fontWeight: '600',
+      textTransform: 'uppercase',
+      color: 'white'
+    },
+    dropIndicator: {
+      height: '3px',
+      borderRadius: '2px',
+      backgroundColor: '#3b82f6'
+    },
+    emptyColumn: {
+      color: '#6b7280',
+      fontSize: '13px',
+      textAlign: 'center',
+      padding: '20px 0'
+    }
+  };
+
+  return (
+    <div>
+      {canEditLimits && (
+        <div style={styles.toolbar}>
+          {editingLimits ? (
+            <>
+              <button style={styles.toolbarButton} onClick={() => setEditingLimits(false)}>
+                Cancel
+              </button>
+              <button style={styles.saveButton} onClick={saveLimits}>
+                Save WIP Limits
+              </button>
+            </>
+          ) : (
+            <button style={styles.toolbarButton} onClick={startEditingLimits}>
+              Edit WIP Limits
+            </button>
+          )}
+        </div>
+      )}
+
+      <div style={styles.board}>
+        {COLUMNS.map(({ status, label }) => {
+          const columnTasks = columns[status];
+          const limit = wipLimits[status];
+          const overLimit = limit && columnTasks.length > limit;
+          const isDropColumn = draggedTaskId && dropTarget?.status === status;
+
+          return (
+            <div
+              key={status}
+              style={{
+                ...styles.column,
+                borderColor: isDropColumn ? getStatusColor(status) : 'rgba(255, 255, 255, 0.1)'
+              }}
+              onDragOver={(e) => handleColumnDragOver(e, status)}
+              onDrop={(e) => handleDrop(e, status)}
+            >
+              <div style={styles.columnHeader}>
+                <div style={styles.columnTitle}>
+                  <span style={{ ...styles.statusDot, backgroundColor: getStatusColor(status) }} />
+                  {label}
+                </div>
+                {editingLimits ? (
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    placeholder="∞"
+                    title="WIP limit (empty for none)"
+                    style={styles.limitInput}
+                    value={limitDraft[status]}
+                    onChange={(e) => setLimitDraft(prev => ({ ...prev, [status]: e.target.value }))}
+                  />
+                ) : (
+                  <span
+                    style={{ ...styles.count, ...(overLimit ? styles.countOver : {}) }}
+                    title={limit ? `WIP limit: ${limit}` : 'No WIP limit'}
+                  >
+                    {limit ? `${columnTasks.length} / ${limit}` : columnTasks.length}
+                  </span>
+                )}
+              </div>
+
+              <div style={styles.cardList}>
+                {columnTasks.map((task, index) => (
+                  <React.Fragment key={task.id}>
+                    {isDropColumn && dropTarget.index === index && <div style={styles.dropIndicator} />}
+                    <div
+                      draggable
+                      style={{ ...styles.card, opacity: draggedTaskId === task.id ? 0.4 : 1 }}
+                      onDragStart={(e) => handleDragStart(e, task)}
+                      onDragEnd={handleDragEnd}
+                      onDragOver={(e) => handleCardDragOver(e, status, index)}
+                      onClick={() => onOpenTask(task.id)}
+                    >
+                      <h4 style={styles.cardTitle}>{task.title}</h4>
+                      {recentEditors[task.id] && (
+                        <div style={styles.cardEditedBy}>✏️ Edited by {recentEditors[task.id]}</div>
+                      )}
+                      {task.subtask_summary?.total > 0 && (
+                        <div style={styles.cardProgress} title={`${task.progress}% of subtasks done`}>
+                          <div style={styles.cardProgressTrack}>
+                            <div style={{ ...styles.cardProgressFill, width: `${task.progress}%` }} />
+                          </div>
+                          <span>{task.subtask_summary.completed}/{task.subtask_summary.total}</span>
+                        </div>
+                      )}
+                      <div style={styles.cardMeta}>
+                        <span>{getMemberName(task.assigned_to)}</span>
+                        <span style={{ ...styles.priorityBadge, backgroundColor: getPriorityColor(task.priority) }}>
+                          {task.priority}
+                        </span>
+                      </div>
+                    </div>
+                  </React.Fragment>
+                ))}
+                {isDropColumn && dropTarget.index === columnTasks.length && <div style={styles.dropIndicator} />}
+                {columnTasks.length === 0 && !isDropColumn && (
+                  <div style={styles.emptyColumn}>No tasks</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskBoard;
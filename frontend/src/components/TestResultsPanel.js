@@ -57,6 +57,7 @@ export default function TestResultsPanel({ tests = [] }) {
             <div>
               <span style={badge(t.passed)}>{t.passed ? 'PASSED' : 'FAILED'}</span>
               <span style={{ marginLeft: 8, color: '#555' }}>Test {t.testNumber}</span>
+              {t.hidden && <span style={{ marginLeft: 8, color: '#888', fontSize: 12 }}>🔒 hidden</span>}
             </div>
             <div style={{ color: '#666', fontSize: 12 }}>
               {Math.round(t.executionTime)} ms • {Math.round(t.memoryUsage)} KB
@@ -64,7 +65,22 @@ export default function TestResultsPanel({ tests = [] }) {
             </div>
           </div>
 
-          {open[i] && (
+          {open[i] && t.hidden && (
+            <div style={itemBody}>
+              <div style={{ color: '#555', fontSize: 13 }}>
+                This is a hidden test case, so its input and expected output are not shown.
+                {t.status?.description ? ` Result: ${t.status.description}.` : ''}
+              </div>
+              {t.compileOutput && (
+                <>
+                  <div style={{ fontWeight: 600, margin: '8px 0 4px' }}>Compile Output</div>
+                  <pre style={mono}>{t.compileOutput}</pre>
+                </>
+              )}
+            </div>
+          )}
+
+          {open[i] && !t.hidden && (
             <div style={itemBody}>
               {/* Show compiler/runtime errors if present */}
               {(t.compileOutput || t.stderr) && (
@@ -2,7 +2,29 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useChat } from '../../contexts/ChatContext';
 import { useAuth } from '../../contexts/AuthContext';
-import { Send, Reply, Edit3, Trash2, X } from 'lucide-react';
+import { Send, Reply, Edit3, Trash2, X, MessageSquare, SmilePlus, Pin, PinOff, Search, ArrowDown, Shield, Lock, Timer, VolumeX } from 'lucide-react';
+import AttachmentList from '../Attachments/AttachmentList';
+import AttachmentPicker from '../Attachments/AttachmentPicker';
+import MessageReactions from './MessageReactions';
+import ThreadPanel from './ThreadPanel';
+import ChatSearch from './ChatSearch';
+import { groupReceiptsByMessage, SeenBy, NewMessagesDivider } from './ReadReceipts';
+import ModerationPanel from './ModerationPanel';
+import { attachmentService } from '../../services/attachmentService';
+import { projectService } from '../../services/projectService';
+
+const roomBadgeStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '2px 8px',
+  borderRadius: '10px',
+  backgroundColor: 'rgba(251, 191, 36, 0.1)',
+  border: '1px solid rgba(251, 191, 36, 0.25)',
+  color: '#fbbf24',
+  fontSize: '11px',
+  fontWeight: '500'
+};
 
 const ChatInterface = ({ projectId }) => {
   const { user } = useAuth();
@@ -14,19 +36,37 @@ const ChatInterface = ({ projectId }) => {
     onlineUsers,
     typingUsers,
     loading,
+    threads,
+    activeThread,
+    pinnedMessages,
+    messagePagination,
+    unreadMarkers,
+    readReceipts,
+    chatMutes,
+    sendError,
+    clearSendError,
+    fetchMyMute,
     setActiveRoom,
     joinProjectRooms,
     sendMessage,
     editMessage,
     deleteMessage,
+    toggleReaction,
+    pinMessage,
+    openThread,
+    closeThread,
+    fetchPinnedMessages,
     startTyping,
     stopTyping,
     fetchChatRooms,
     fetchMessages,
+    fetchMessagesAround,
+    markRoomRead,
     createChatRoom
   } = useChat();
 
   const [messageInput, setMessageInput] = useState('');
+  const [pendingAttachments, setPendingAttachments] = useState([]);
   const [showCreateRoom, setShowCreateRoom] = useState(false);
   const [newRoomName, setNewRoomName] = useState('');
   const [newRoomDescription, setNewRoomDescription] = useState('');
@@ -34,9 +74,23 @@ const ChatInterface = ({ projectId }) => {
   const [editingMessage, setEditingMessage] = useState(null);
   const [replyingTo, setReplyingTo] = useState(null);
   const [typingTimer, setTypingTimer] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [showPinned, setShowPinned] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [viewingHistory, setViewingHistory] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [capabilities, setCapabilities] = useState([]);
+  const [showModeration, setShowModeration] = useState(false);
+  const [muteTarget, setMuteTarget] = useState(null);
+  // Slow mode wait after the user's last message: { roomId, until }
+  const [slowModeCooldown, setSlowModeCooldown] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
+  // Set while a search result is loading its room, so the room-change effect
+  // doesn't overwrite the context page with the latest messages
+  const jumpTargetRef = useRef(null);
 
   // Helper function to safely get user display name
   const getUserDisplayName = (userObj) => {
@@ -51,6 +105,40 @@ const ChatInterface = ({ projectId }) => {
     return displayName.charAt(0).toUpperCase();
   };
 
+  // Hover action on a message; danger buttons turn red on hover
+  const renderActionButton = (title, icon, onClick, danger = false) => (
+    <button
+      onClick={onClick}
+      title={title}
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: '#9ca3af',
+        cursor: 'pointer',
+        padding: '6px',
+        borderRadius: '6px',
+        fontSize: '14px',
+        transition: 'all 0.2s ease'
+      }}
+      onMouseEnter={(e) => {
+        e.currentTarget.style.backgroundColor = danger ? 'rgba(239, 68, 68, 0.1)' : 'rgba(255, 255, 255, 0.1)';
+        e.currentTarget.style.color = danger ? '#ef4444' : 'white';
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.backgroundColor = 'transparent';
+        e.currentTarget.style.color = '#9ca3af';
+      }}
+    >
+      {icon}
+    </button>
+  );
+
+  const handleSendThreadReply = (content) => {
+    if (activeRoom && activeThread) {
+      sendMessage(activeRoom, content, 'text', null, [], activeThread);
+    }
+  };
+
   // Initialize chat when component mounts
   useEffect(() => {
     if (projectId && connected) {
@@ -59,31 +147,143 @@ const ChatInterface = ({ projectId }) => {
     }
   }, [projectId, connected, joinProjectRooms, fetchChatRooms]);
 
-  // Load messages when active room changes
+  // The user's capabilities (for the moderation tools) and whether they're muted
+  useEffect(() => {
+    if (!projectId) return;
+    projectService.getMyPermissions(projectId)
+      .then(response => setCapabilities(response.data.capabilities || []))
+      .catch(() => setCapabilities([]));
+    fetchMyMute(projectId);
+  }, [projectId, fetchMyMute]);
+
+  // The message box unlocks by itself when slow mode or a mute runs out
+  const myMute = chatMutes[projectId];
+  useEffect(() => {
+    if (!slowModeCooldown) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= slowModeCooldown.until) setSlowModeCooldown(null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [slowModeCooldown]);
+
+  useEffect(() => {
+    const remaining = myMute ? new Date(myMute.mutedUntil).getTime() - Date.now() : 0;
+    if (remaining <= 0 || remaining > 2147483647) return;
+    const timer = setTimeout(() => setNow(Date.now()), remaining);
+    return () => clearTimeout(timer);
+  }, [myMute]);
+
+  // The server refused a message under slow mode and says how long to wait
+  useEffect(() => {
+    if (sendError?.code === 'slow_mode' && sendError.retryAfter) {
+      setNow(Date.now());
+      setSlowModeCooldown({ roomId: sendError.roomId, until: Date.now() + sendError.retryAfter * 1000 });
+    }
+  }, [sendError]);
+
+  // Threads and the pinned list belong to one room
+  useEffect(() => {
+    closeThread();
+    setShowPinned(false);
+  }, [activeRoom, closeThread]);
+
+  // Load messages and pins when active room changes. The room is marked read once its
+  // messages are in, so the "new messages" divider still knows where the last visit ended.
   useEffect(() => {
     if (activeRoom && projectId) {
-      fetchMessages(projectId, activeRoom);
+      if (jumpTargetRef.current?.roomId !== activeRoom) {
+        setViewingHistory(false);
+        fetchMessages(projectId, activeRoom).then(pagination => {
+          if (pagination) markRoomRead(activeRoom);
+        });
+      }
+      fetchPinnedMessages(projectId, activeRoom);
     }
-  }, [activeRoom, projectId, fetchMessages]);
+  }, [activeRoom, projectId, fetchMessages, fetchPinnedMessages, markRoomRead]);
+
+  // Scroll to bottom when new messages arrive (not when reactions or threads change, or
+  // older messages load at the top), unless a search result has the view parked further up
+  const messageCount = activeRoom ? (messages[activeRoom] || []).length : 0;
+  const lastMessageId = activeRoom ? (messages[activeRoom] || [])[messageCount - 1]?.id : null;
+  useEffect(() => {
+    if (!viewingHistory) scrollToBottom();
+  }, [lastMessageId, activeRoom, viewingHistory]);
 
-  // Scroll to bottom when new messages arrive
+  // Bring a jumped-to message into view and flash it
   useEffect(() => {
-    scrollToBottom();
-  }, [messages, activeRoom]);
+    if (!highlightedMessageId) return;
+
+    document.getElementById(`chat-message-${highlightedMessageId}`)?.scrollIntoView({ block: 'center' });
+    const timer = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, messageCount]);
+
+  // Open a search result in its room, with the surrounding messages loaded around it.
+  // Thread replies are shown by opening their thread next to the root message.
+  const jumpToMessage = async (result) => {
+    jumpTargetRef.current = { roomId: result.room_id };
+    if (activeRoom !== result.room_id) setActiveRoom(result.room_id);
+
+    const pagination = await fetchMessagesAround(projectId, result.room_id, result.thread_root_id || result.id);
+    jumpTargetRef.current = null;
+    if (!pagination) return;
+
+    setViewingHistory(true);
+    setHighlightedMessageId(pagination.around);
+    if (result.thread_root_id) {
+      openThread(projectId, result.room_id, result.thread_root_id);
+    }
+  };
+
+  const jumpToLatest = async () => {
+    if (!activeRoom) return;
+    await fetchMessages(projectId, activeRoom);
+    setViewingHistory(false);
+  };
+
+  const loadOlderMessages = () => {
+    if (!activeRoom || currentMessages.length === 0) return;
+    fetchMessages(projectId, activeRoom, { before: currentMessages[0].id });
+  };
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  const activeRoomData = chatRooms.find(room => room.id === activeRoom);
+  const canModerate = capabilities.includes('chat.moderate');
+  const mutedUntil = myMute && new Date(myMute.mutedUntil).getTime() > now ? myMute.mutedUntil : null;
+  const cooldownLeft = slowModeCooldown?.roomId === activeRoom ? Math.max(Math.ceil((slowModeCooldown.until - now) / 1000), 0) : 0;
+  // Mutes and read-only rooms also stop edits and reactions; slow mode only limits new messages.
+  // Moderators are exempt
+  const writeBlocked = !canModerate && (!!mutedUntil || !!activeRoomData?.is_read_only);
+  const postingBlocked = writeBlocked || (!editingMessage && !canModerate && cooldownLeft > 0);
+
+  const canSend = !postingBlocked &&
+    (messageInput.trim().length > 0 || (!editingMessage && pendingAttachments.length > 0));
+
   const handleSendMessage = () => {
-    if (!messageInput.trim() || !activeRoom) return;
+    if (!canSend || !activeRoom) return;
+    clearSendError();
 
     if (editingMessage) {
       editMessage(editingMessage.id, messageInput);
       setEditingMessage(null);
     } else {
-      sendMessage(activeRoom, messageInput, 'text', replyingTo?.id);
+      // A files-only message still needs text: list the file names
+      const content = messageInput.trim() ||
+        pendingAttachments.map(attachment => `📎 ${attachment.file_name}`).join('\n');
+      sendMessage(activeRoom, content, 'text', replyingTo?.id, pendingAttachments.map(attachment => attachment.id));
       setReplyingTo(null);
+      setPendingAttachments([]);
+      // The new message lands after the latest ones, not in the search context
+      if (viewingHistory) jumpToLatest();
+
+      if (!canModerate && activeRoomData.slow_mode_seconds > 0) {
+        setNow(Date.now());
+        setSlowModeCooldown({ roomId: activeRoom, until: Date.now() + activeRoomData.slow_mode_seconds * 1000 });
+      }
     }
 
     setMessageInput('');
@@ -93,6 +293,16 @@ const ChatInterface = ({ projectId }) => {
     }
   };
 
+  // Uploaded but not sent: remove the file rather than leave it for the orphan cleanup
+  const handleRemovePendingAttachment = async (attachment) => {
+    setPendingAttachments(prev => prev.filter(item => item.id !== attachment.id));
+    try {
+      await attachmentService.deleteAttachment(attachment);
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+    }
+  };
+
   const handleInputChange = (e) => {
     setMessageInput(e.target.value);
     
@@ -152,9 +362,12 @@ const ChatInterface = ({ projectId }) => {
     }
   };
 
-  const activeRoomData = chatRooms.find(room => room.id === activeRoom);
   const currentMessages = activeRoom ? (messages[activeRoom] || []) : [];
   const currentTypingUsers = activeRoom ? (typingUsers[activeRoom] || {}) : {};
+  const currentPinned = activeRoom ? (pinnedMessages[activeRoom] || []) : [];
+  const currentPagination = activeRoom ? messagePagination[activeRoom] : null;
+  const unreadMarker = activeRoom ? unreadMarkers[activeRoom] : null;
+  const seenBy = groupReceiptsByMessage(currentMessages, activeRoom ? readReceipts[activeRoom] : [], user?.id);
 
   if (loading) {
     return (
@@ -234,22 +447,44 @@ const ChatInterface = ({ projectId }) => {
         <div style={{ padding: '20px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
           <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
             <h2 style={{ fontSize: '18px', fontWeight: '700', color: 'white', margin: 0 }}>Project Chat</h2>
-            <button
-              onClick={() => setShowCreateRoom(true)}
-              style={{ 
-                background: 'rgba(59, 130, 246, 0.15)',
-                border: '1px solid rgba(59, 130, 246, 0.3)',
-                color: '#60a5fa',
-                padding: '8px',
-                borderRadius: '8px',
-                cursor: 'pointer',
-                fontSize: '18px',
-                fontWeight: 'bold',
-                transition: 'all 0.3s ease'
-              }}
-            >
-              +
-            </button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={() => {
+                  setShowSearch(!showSearch);
+                  setShowModeration(false);
+                }}
+                title="Search messages"
+                style={{ 
+                  background: showSearch ? 'rgba(59, 130, 246, 0.3)' : 'rgba(59, 130, 246, 0.15)',
+                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                  color: '#60a5fa',
+                  padding: '8px',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  transition: 'all 0.3s ease'
+                }}
+              >
+                <Search size={18} />
+              </button>
+              <button
+                onClick={() => setShowCreateRoom(true)}
+                style={{ 
+                  background: 'rgba(59, 130, 246, 0.15)',
+                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                  color: '#60a5fa',
+                  padding: '8px',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  fontSize: '18px',
+                  fontWeight: 'bold',
+                  transition: 'all 0.3s ease'
+                }}
+              >
+                +
+              </button>
+            </div>
           </div>
           
           {/* Connection Status */}
@@ -286,7 +521,23 @@ const ChatInterface = ({ projectId }) => {
             >
               <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
                 <span>#</span>
-                <span style={{ fontWeight: '500' }}>{room.name}</span>
+                <span style={{ fontWeight: room.unread_count > 0 ? '700' : '500', color: room.unread_count > 0 && activeRoom !== room.id ? 'white' : undefined }}>
+                  {room.name}
+                </span>
+                {room.unread_count > 0 && activeRoom !== room.id && (
+                  <span style={{
+                    marginLeft: 'auto',
+                    backgroundColor: '#ef4444',
+                    color: 'white',
+                    borderRadius: '10px',
+                    padding: '0 7px',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    lineHeight: '18px'
+                  }}>
+                    {room.unread_count > 99 ? '99+' : room.unread_count}
+                  </span>
+                )}
               </div>
               {room.description && (
                 <p style={{ fontSize: '12px', color: '#9ca3af', margin: 0, paddingLeft: '20px' }}>
@@ -329,6 +580,115 @@ const ChatInterface = ({ projectId }) => {
       }}>
         {activeRoomData ? (
           <>
+            {/* Room Header */}
+            <div style={{
+              padding: '14px 20px',
+              borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              flexShrink: 0
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'white', fontWeight: '600' }}>
+                <span style={{ color: '#9ca3af' }}>#</span>
+                {activeRoomData.name}
+                {activeRoomData.is_read_only && (
+                  <span title="Only moderators can post" style={roomBadgeStyle}>
+                    <Lock size={12} /> Read-only
+                  </span>
+                )}
+                {activeRoomData.slow_mode_seconds > 0 && (
+                  <span title="Members wait between messages" style={roomBadgeStyle}>
+                    <Timer size={12} /> Slow mode · {activeRoomData.slow_mode_seconds}s
+                  </span>
+                )}
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                {canModerate && (
+                  <button
+                    onClick={() => {
+                      setShowModeration(!showModeration);
+                      setShowSearch(false);
+                    }}
+                    title="Moderation"
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '6px',
+                      background: showModeration ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                      border: '1px solid rgba(59, 130, 246, 0.3)',
+                      borderRadius: '8px',
+                      padding: '6px 10px',
+                      color: '#60a5fa',
+                      fontSize: '13px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <Shield size={14} /> Moderate
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowPinned(!showPinned)}
+                  disabled={currentPinned.length === 0}
+                  title={currentPinned.length === 0 ? 'No pinned messages' : 'Show pinned messages'}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    background: showPinned ? 'rgba(251, 191, 36, 0.15)' : 'transparent',
+                    border: '1px solid rgba(251, 191, 36, 0.3)',
+                    borderRadius: '8px',
+                    padding: '6px 10px',
+                    color: currentPinned.length > 0 ? '#fbbf24' : '#6b7280',
+                    fontSize: '13px',
+                    cursor: currentPinned.length > 0 ? 'pointer' : 'default'
+                  }}
+                >
+                  <Pin size={14} /> {currentPinned.length} pinned
+                </button>
+              </div>
+            </div>
+
+            {/* Pinned Messages */}
+            {showPinned && currentPinned.length > 0 && (
+              <div style={{
+                maxHeight: '240px',
+                overflowY: 'auto',
+                borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+                background: 'rgba(251, 191, 36, 0.05)',
+                flexShrink: 0
+              }}>
+                {currentPinned.map(pinned => (
+                  <div key={pinned.id} style={{
+                    display: 'flex',
+                    alignItems: 'flex-start',
+                    gap: '10px',
+                    padding: '10px 20px',
+                    borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+                  }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontSize: '12px', color: '#9ca3af', marginBottom: '2px' }}>
+                        <span style={{ color: '#d1d5db', fontWeight: '600' }}>{getUserDisplayName(pinned.user)}</span>
+                        {' · '}{formatTime(pinned.created_at)}
+                        {pinned.pinned_by_user && ` · pinned by ${getUserDisplayName(pinned.pinned_by_user)}`}
+                      </div>
+                      <div style={{
+                        fontSize: '13px',
+                        color: 'white',
+                        whiteSpace: 'pre-wrap',
+                        wordBreak: 'break-word',
+                        maxHeight: '60px',
+                        overflow: 'hidden'
+                      }}>
+                        {pinned.content}
+                      </div>
+                    </div>
+                    {canModerate && renderActionButton('Unpin', <PinOff size={14} />, () => pinMessage(pinned.id, false))}
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Messages Area */}
             <div style={{ 
               flex: 1, 
@@ -341,6 +701,17 @@ const ChatInterface = ({ projectId }) => {
             }}>
               {/* Messages Container */}
               <div style={{ flex: 1, paddingBottom: '16px' }}>
+                {currentPagination?.hasMore && (
+                  <div style={{ textAlign: 'center', marginBottom: '12px' }}>
+                    <button
+                      onClick={loadOlderMessages}
+                      style={{ background: 'transparent', border: 'none', color: '#60a5fa', fontSize: '13px', cursor: 'pointer' }}
+                    >
+                      Load older messages
+                    </button>
+                  </div>
+                )}
+
                 {currentMessages.map((message) => {
                   if (!message || !message.user) {
                     console.warn('Message or user is undefined:', message);
@@ -350,236 +721,243 @@ const ChatInterface = ({ projectId }) => {
                   const isOwnMessage = user && message.user && message.user.id === user.id;
 
                   return (
-                    <div 
-                      key={message.id} 
-                      style={{ 
-                        marginBottom: '16px',
-                        display: 'flex',
-                        flexDirection: 'column',
-                        alignItems: isOwnMessage ? 'flex-end' : 'flex-start', // This properly aligns the entire message
-                        width: '100%'
-                      }}
-                      onMouseEnter={(e) => {
-                        const actions = e.currentTarget.querySelector('.message-actions');
-                        if (actions) actions.style.opacity = '1';
-                      }}
-                      onMouseLeave={(e) => {
-                        const actions = e.currentTarget.querySelector('.message-actions');
-                        if (actions) actions.style.opacity = '0';
-                      }}
-                    >
-                      {/* Reply indicator - now properly handles backend data */}
-                      {message.reply_to && (
-                        <div style={{ 
-                          marginBottom: '8px',
-                          padding: '8px 12px',
-                          borderRadius: '8px',
-                          fontSize: '12px',
-                          maxWidth: '300px',
-                          backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                          border: '1px solid rgba(59, 130, 246, 0.2)',
-                          color: '#93c5fd',
-                          alignSelf: isOwnMessage ? 'flex-end' : 'flex-start',
-                          width: 'fit-content'
-                        }}>
+                    <React.Fragment key={message.id}>
+                      {message.id === unreadMarker && <NewMessagesDivider />}
+                      <div 
+                        id={`chat-message-${message.id}`}
+                        style={{ 
+                          marginBottom: '16px',
+                          display: 'flex',
+                          flexDirection: 'column',
+                          alignItems: isOwnMessage ? 'flex-end' : 'flex-start', // This properly aligns the entire message
+                          width: '100%',
+                          borderRadius: '12px',
+                          backgroundColor: highlightedMessageId === message.id ? 'rgba(251, 191, 36, 0.12)' : 'transparent',
+                          transition: 'background-color 0.6s ease'
+                        }}
+                        onMouseEnter={(e) => {
+                          const actions = e.currentTarget.querySelector('.message-actions');
+                          if (actions) actions.style.opacity = '1';
+                        }}
+                        onMouseLeave={(e) => {
+                          const actions = e.currentTarget.querySelector('.message-actions');
+                          if (actions) actions.style.opacity = '0';
+                        }}
+                      >
+                        {/* Reply indicator - now properly handles backend data */}
+                        {message.reply_to && (
                           <div style={{ 
-                            marginBottom: '4px', 
-                            fontWeight: '600',
-                            display: 'flex',
-                            alignItems: 'center',
-                            gap: '4px'
+                            marginBottom: '8px',
+                            padding: '8px 12px',
+                            borderRadius: '8px',
+                            fontSize: '12px',
+                            maxWidth: '300px',
+                            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                            border: '1px solid rgba(59, 130, 246, 0.2)',
+                            color: '#93c5fd',
+                            alignSelf: isOwnMessage ? 'flex-end' : 'flex-start',
+                            width: 'fit-content'
                           }}>
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                              <path d="M3 10h10a8 8 0 0 1 8 8v2M3 10l6 6M3 10l6-6"/>
-                            </svg>
-                            {isOwnMessage ? 'You replied to' : 'Replying to'} {
-                              message.reply_to.user 
-                                ? getUserDisplayName(message.reply_to.user) 
-                                : (message.reply_to.username || message.reply_to.full_name || 'someone')
-                            }
-                          </div>
-                          {(message.reply_to.content || message.reply_to.message) && (
                             <div style={{ 
-                              fontStyle: 'italic',
-                              opacity: 0.8,
-                              borderLeft: '2px solid rgba(59, 130, 246, 0.4)',
-                              paddingLeft: '8px',
-                              marginLeft: '2px',
-                              fontSize: '11px',
-                              maxHeight: '60px',
-                              overflow: 'hidden',
-                              textOverflow: 'ellipsis'
+                              marginBottom: '4px', 
+                              fontWeight: '600',
+                              display: 'flex',
+                              alignItems: 'center',
+                              gap: '4px'
                             }}>
-                              "{message.reply_to.content || message.reply_to.message}"
+                              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M3 10h10a8 8 0 0 1 8 8v2M3 10l6 6M3 10l6-6"/>
+                              </svg>
+                              {isOwnMessage ? 'You replied to' : 'Replying to'} {
+                                message.reply_to.user 
+                                  ? getUserDisplayName(message.reply_to.user) 
+                                  : (message.reply_to.username || message.reply_to.full_name || 'someone')
+                              }
                             </div>
-                          )}
-                        </div>
-                      )}
+                            {(message.reply_to.content || message.reply_to.message) && (
+                              <div style={{ 
+                                fontStyle: 'italic',
+                                opacity: 0.8,
+                                borderLeft: '2px solid rgba(59, 130, 246, 0.4)',
+                                paddingLeft: '8px',
+                                marginLeft: '2px',
+                                fontSize: '11px',
+                                maxHeight: '60px',
+                                overflow: 'hidden',
+                                textOverflow: 'ellipsis'
+                              }}>
+                                "{message.reply_to.content || message.reply_to.message}"
+                              </div>
+                            )}
+                          </div>
+                        )}
                       
-                      <div style={{
-                        display: 'flex',
-                        gap: '8px',
-                        flexDirection: isOwnMessage ? 'row-reverse' : 'row',
-                        alignItems: 'flex-end',
-                        maxWidth: '70%' // Limit message width for better readability
-                      }}>
-                        {/* Avatar */}
-                        <div style={{ 
-                          width: '32px', 
-                          height: '32px', 
-                          borderRadius: '50%', 
-                          backgroundColor: '#3b82f6', 
-                          display: 'flex', 
-                          alignItems: 'center', 
-                          justifyContent: 'center',
-                          color: 'white',
-                          fontSize: '14px',
-                          fontWeight: '600',
-                          flexShrink: 0,
-                          alignSelf: 'flex-end'
+                        <div style={{
+                          display: 'flex',
+                          gap: '8px',
+                          flexDirection: isOwnMessage ? 'row-reverse' : 'row',
+                          alignItems: 'flex-end',
+                          maxWidth: '70%' // Limit message width for better readability
                         }}>
-                          {getUserInitial(message.user)}
-                        </div>
-                        
-                        <div style={{ flex: 1, minWidth: 0 }}>
+                          {/* Avatar */}
                           <div style={{ 
+                            width: '32px', 
+                            height: '32px', 
+                            borderRadius: '50%', 
+                            backgroundColor: '#3b82f6', 
                             display: 'flex', 
                             alignItems: 'center', 
-                            gap: '8px', 
-                            marginBottom: '4px',
-                            justifyContent: isOwnMessage ? 'flex-end' : 'flex-start'
+                            justifyContent: 'center',
+                            color: 'white',
+                            fontSize: '14px',
+                            fontWeight: '600',
+                            flexShrink: 0,
+                            alignSelf: 'flex-end'
                           }}>
-                            <span style={{ fontSize: '13px', fontWeight: '600', color: '#d1d5db' }}>
-                              {isOwnMessage ? 'You' : getUserDisplayName(message.user)}
-                            </span>
-                            <span style={{ fontSize: '11px', color: '#9ca3af' }}>
-                              {formatTime(message.created_at)}
-                            </span>
-                            {message.is_edited && (
-                              <span style={{ fontSize: '11px', color: '#9ca3af', fontStyle: 'italic' }}>(edited)</span>
-                            )}
+                            {getUserInitial(message.user)}
                           </div>
-                          
-                          <div style={{ position: 'relative', display: 'flex', justifyContent: isOwnMessage ? 'flex-end' : 'flex-start' }}>
-                            <div style={{
-                              padding: '10px 14px',
-                              borderRadius: '16px',
-                              wordBreak: 'break-word',
-                              whiteSpace: 'pre-wrap',
-                              backgroundColor: isOwnMessage ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
-                              color: 'white',
-                              borderBottomRightRadius: isOwnMessage ? '6px' : '16px',
-                              borderBottomLeftRadius: isOwnMessage ? '16px' : '6px',
-                              width: 'fit-content',
-                              maxWidth: '100%'
+                        
+                          <div style={{ flex: 1, minWidth: 0 }}>
+                            <div style={{ 
+                              display: 'flex', 
+                              alignItems: 'center', 
+                              gap: '8px', 
+                              marginBottom: '4px',
+                              justifyContent: isOwnMessage ? 'flex-end' : 'flex-start'
                             }}>
-                              {message.content || 'Message content unavailable'}
+                              <span style={{ fontSize: '13px', fontWeight: '600', color: '#d1d5db' }}>
+                                {isOwnMessage ? 'You' : getUserDisplayName(message.user)}
+                              </span>
+                              <span style={{ fontSize: '11px', color: '#9ca3af' }}>
+                                {formatTime(message.created_at)}
+                              </span>
+                              {message.is_edited && (
+                                <span style={{ fontSize: '11px', color: '#9ca3af', fontStyle: 'italic' }}>(edited)</span>
+                              )}
+                              {message.pinned_at && (
+                                <span style={{ fontSize: '11px', color: '#fbbf24', display: 'flex', alignItems: 'center', gap: '2px' }}>
+                                  <Pin size={10} /> Pinned
+                                </span>
+                              )}
                             </div>
+                          
+                            <div style={{ position: 'relative', display: 'flex', justifyContent: isOwnMessage ? 'flex-end' : 'flex-start' }}>
+                              <div style={{
+                                padding: '10px 14px',
+                                borderRadius: '16px',
+                                wordBreak: 'break-word',
+                                whiteSpace: 'pre-wrap',
+                                backgroundColor: isOwnMessage ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
+                                color: 'white',
+                                borderBottomRightRadius: isOwnMessage ? '6px' : '16px',
+                                borderBottomLeftRadius: isOwnMessage ? '16px' : '6px',
+                                width: 'fit-content',
+                                maxWidth: '100%'
+                              }}>
+                                {message.content || 'Message content unavailable'}
+                                <AttachmentList attachments={message.attachments || []} theme="dark" />
+                              </div>
                             
-                            {/* Message Actions */}
-                            <div 
-                              className="message-actions" 
-                              style={{
-                                position: 'absolute',
-                                top: '50%',
-                                transform: 'translateY(-50%)',
-                                [isOwnMessage ? 'left' : 'right']: '-80px',
-                                display: 'flex',
-                                gap: '4px',
-                                opacity: 0,
-                                transition: 'opacity 0.2s ease',
-                                background: 'rgba(26, 28, 32, 0.95)',
-                                borderRadius: '8px',
-                                padding: '4px',
-                                border: '1px solid rgba(255, 255, 255, 0.1)'
-                              }}
-                            >
-                              <button
-                                onClick={() => setReplyingTo(message)}
-                                title="Reply"
+                              {/* Message Actions */}
+                              <div 
+                                className="message-actions" 
                                 style={{
-                                  background: 'transparent',
-                                  border: 'none',
-                                  color: '#9ca3af',
-                                  cursor: 'pointer',
-                                  padding: '6px',
-                                  borderRadius: '6px',
-                                  fontSize: '14px',
-                                  transition: 'all 0.2s ease'
-                                }}
-                                onMouseEnter={(e) => {
-                                  e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-                                  e.target.style.color = 'white';
-                                }}
-                                onMouseLeave={(e) => {
-                                  e.target.style.backgroundColor = 'transparent';
-                                  e.target.style.color = '#9ca3af';
+                                  position: 'absolute',
+                                  top: '50%',
+                                  transform: 'translateY(-50%)',
+                                  [isOwnMessage ? 'right' : 'left']: 'calc(100% + 8px)',
+                                  display: 'flex',
+                                  gap: '4px',
+                                  opacity: 0,
+                                  transition: 'opacity 0.2s ease',
+                                  background: 'rgba(26, 28, 32, 0.95)',
+                                  borderRadius: '8px',
+                                  padding: '4px',
+                                  border: '1px solid rgba(255, 255, 255, 0.1)',
+                                  zIndex: 1
                                 }}
                               >
-                                <Reply size={14} />
-                              </button>
+                                {!writeBlocked && renderActionButton('Add reaction', <SmilePlus size={14} />, () =>
+                                  setReactionPickerFor(reactionPickerFor === message.id ? null : message.id))}
+                                {renderActionButton('Reply in thread', <MessageSquare size={14} />, () =>
+                                  openThread(projectId, activeRoom, message.id))}
+                                {renderActionButton('Reply', <Reply size={14} />, () => setReplyingTo(message))}
+                                {canModerate && renderActionButton(
+                                  message.pinned_at ? 'Unpin' : 'Pin to room',
+                                  message.pinned_at ? <PinOff size={14} /> : <Pin size={14} />,
+                                  () => pinMessage(message.id, !message.pinned_at)
+                                )}
                               
-                              {isOwnMessage && (
-                                <>
-                                  <button
-                                    onClick={() => {
-                                      setEditingMessage(message);
-                                      setMessageInput(message.content || '');
-                                      messageInputRef.current?.focus();
-                                    }}
-                                    title="Edit"
-                                    style={{
-                                      background: 'transparent',
-                                      border: 'none',
-                                      color: '#9ca3af',
-                                      cursor: 'pointer',
-                                      padding: '6px',
-                                      borderRadius: '6px',
-                                      fontSize: '14px',
-                                      transition: 'all 0.2s ease'
-                                    }}
-                                    onMouseEnter={(e) => {
-                                      e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-                                      e.target.style.color = 'white';
-                                    }}
-                                    onMouseLeave={(e) => {
-                                      e.target.style.backgroundColor = 'transparent';
-                                      e.target.style.color = '#9ca3af';
-                                    }}
-                                  >
-                                    <Edit3 size={14} />
-                                  </button>
-                                  <button
-                                    onClick={() => deleteMessage(message.id)}
-                                    title="Delete"
-                                    style={{
-                                      background: 'transparent',
-                                      border: 'none',
-                                      color: '#9ca3af',
-                                      cursor: 'pointer',
-                                      padding: '6px',
-                                      borderRadius: '6px',
-                                      fontSize: '14px',
-                                      transition: 'all 0.2s ease'
-                                    }}
-                                    onMouseEnter={(e) => {
-                                      e.target.style.backgroundColor = 'rgba(239, 68, 68, 0.1)';
-                                      e.target.style.color = '#ef4444';
-                                    }}
-                                    onMouseLeave={(e) => {
-                                      e.target.style.backgroundColor = 'transparent';
-                                      e.target.style.color = '#9ca3af';
-                                    }}
-                                  >
-                                    <Trash2 size={14} />
-                                  </button>
-                                </>
-                              )}
+                                {isOwnMessage && !writeBlocked && renderActionButton('Edit', <Edit3 size={14} />, () => {
+                                  setEditingMessage(message);
+                                  setMessageInput(message.content || '');
+                                  messageInputRef.current?.focus();
+                                })}
+                                {!isOwnMessage && canModerate && renderActionButton('Mute author', <VolumeX size={14} />, () => {
+                                  setMuteTarget(message.user);
+                                  setShowModeration(true);
+                                  setShowSearch(false);
+                                }, true)}
+                                {(isOwnMessage || canModerate) && renderActionButton('Delete', <Trash2 size={14} />, () => {
+                                  if (isOwnMessage || window.confirm(`Delete this message from ${getUserDisplayName(message.user)}?`)) {
+                                    deleteMessage(message.id);
+                                  }
+                                }, true)}
+                              </div>
                             </div>
+
+                            <MessageReactions
+                              reactions={message.reactions || []}
+                              currentUserId={user?.id}
+                              onToggle={(emoji) => toggleReaction(message.id, emoji)}
+                              pickerOpen={reactionPickerFor === message.id}
+                              onClosePicker={() => setReactionPickerFor(null)}
+                              align={isOwnMessage ? 'flex-end' : 'flex-start'}
+                            />
+
+                            {/* Thread summary */}
+                            {message.thread?.reply_count > 0 && (
+                              <div style={{ display: 'flex', justifyContent: isOwnMessage ? 'flex-end' : 'flex-start', marginTop: '6px' }}>
+                                <button
+                                  onClick={() => openThread(projectId, activeRoom, message.id)}
+                                  style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '6px',
+                                    background: activeThread === message.id ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                                    border: '1px solid rgba(59, 130, 246, 0.3)',
+                                    borderRadius: '8px',
+                                    padding: '4px 10px',
+                                    color: '#60a5fa',
+                                    fontSize: '12px',
+                                    fontWeight: '600',
+                                    cursor: 'pointer'
+                                  }}
+                                >
+                                  <MessageSquare size={12} />
+                                  {message.thread.reply_count} {message.thread.reply_count === 1 ? 'reply' : 'replies'}
+                                  <span style={{ color: '#9ca3af', fontWeight: '400' }}>
+                                    · {formatTime(message.thread.last_reply_at)}
+                                  </span>
+                                  {message.thread.unread_count > 0 && (
+                                    <span style={{
+                                      backgroundColor: '#ef4444',
+                                      color: 'white',
+                                      borderRadius: '10px',
+                                      padding: '0 6px',
+                                      fontSize: '11px'
+                                    }}>
+                                      {message.thread.unread_count} new
+                                    </span>
+                                  )}
+                                </button>
+                              </div>
+                            )}
                           </div>
                         </div>
+                        <SeenBy users={seenBy[message.id]} align={isOwnMessage ? 'flex-end' : 'flex-start'} />
                       </div>
-                    </div>
+                    </React.Fragment>
                   );
                 })}
                 
@@ -619,6 +997,29 @@ const ChatInterface = ({ projectId }) => {
               <div ref={messagesEndRef} />
             </div>
 
+            {/* Back to the live conversation after jumping to a search result */}
+            {viewingHistory && (
+              <div style={{ display: 'flex', justifyContent: 'center', padding: '8px 20px 0' }}>
+                <button
+                  onClick={jumpToLatest}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '6px 14px',
+                    borderRadius: '16px',
+                    border: '1px solid rgba(59, 130, 246, 0.4)',
+                    backgroundColor: 'rgba(59, 130, 246, 0.15)',
+                    color: '#60a5fa',
+                    fontSize: '13px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <ArrowDown size={14} /> Jump to latest messages
+                </button>
+              </div>
+            )}
+
             {/* Reply Banner */}
             {replyingTo && replyingTo.user && (
               <div style={{ 
@@ -719,13 +1120,63 @@ const ChatInterface = ({ projectId }) => {
               backdropFilter: 'blur(20px)',
               flexShrink: 0
             }}>
+              {/* Why the message box is locked, or why the last message was refused */}
+              {(postingBlocked || (sendError && sendError.roomId === activeRoom)) && (
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  marginBottom: '10px',
+                  padding: '8px 12px',
+                  borderRadius: '8px',
+                  backgroundColor: 'rgba(251, 191, 36, 0.1)',
+                  border: '1px solid rgba(251, 191, 36, 0.25)',
+                  color: '#fbbf24',
+                  fontSize: '13px'
+                }}>
+                  {mutedUntil && !canModerate ? (
+                    <><VolumeX size={14} /> You are muted in this project's chat until {formatTime(mutedUntil)}</>
+                  ) : activeRoomData.is_read_only && !canModerate ? (
+                    <><Lock size={14} /> This room is read-only. Only moderators can post.</>
+                  ) : cooldownLeft > 0 ? (
+                    <><Timer size={14} /> Slow mode is on. You can send another message in {cooldownLeft}s</>
+                  ) : (
+                    <>
+                      <span style={{ flex: 1 }}>{sendError.message}</span>
+                      <button onClick={clearSendError} title="Dismiss" style={{ background: 'transparent', border: 'none', color: '#fbbf24', cursor: 'pointer', display: 'flex' }}>
+                        <X size={14} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+              {pendingAttachments.length > 0 && (
+                <div style={{ marginBottom: '8px' }}>
+                  <AttachmentList
+                    attachments={pendingAttachments}
+                    onDelete={handleRemovePendingAttachment}
+                    theme="dark"
+                  />
+                </div>
+              )}
               <div style={{ display: 'flex', alignItems: 'flex-end', gap: '12px' }}>
+                {!editingMessage && (
+                  <div style={{ minHeight: '44px', display: 'flex', alignItems: 'center' }}>
+                    <AttachmentPicker
+                      projectId={projectId}
+                      onUploaded={(uploaded) => setPendingAttachments(prev => [...prev, ...uploaded])}
+                      theme="dark"
+                      label="📎"
+                    />
+                  </div>
+                )}
                 <div style={{ flex: 1, position: 'relative' }}>
                   <textarea
                     ref={messageInputRef}
                     value={messageInput}
                     onChange={handleInputChange}
                     onKeyPress={handleKeyPress}
+                    disabled={writeBlocked}
                     placeholder={
                       editingMessage 
                         ? 'Edit your message...' 
@@ -753,14 +1204,14 @@ const ChatInterface = ({ projectId }) => {
                 </div>
                 <button
                   onClick={handleSendMessage}
-                  disabled={!messageInput.trim()}
+                  disabled={!canSend}
                   style={{
                     padding: '12px',
                     borderRadius: '12px',
                     border: 'none',
-                    cursor: messageInput.trim() ? 'pointer' : 'not-allowed',
-                    backgroundColor: messageInput.trim() ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
-                    color: messageInput.trim() ? 'white' : '#9ca3af',
+                    cursor: canSend ? 'pointer' : 'not-allowed',
+                    backgroundColor: canSend ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
+                    color: canSend ? 'white' : '#9ca3af',
                     minHeight: '44px',
                     minWidth: '44px',
                     display: 'flex',
@@ -770,13 +1221,13 @@ const ChatInterface = ({ projectId }) => {
                     transition: 'all 0.2s ease'
                   }}
                   onMouseEnter={(e) => {
-                    if (messageInput.trim()) {
+                    if (canSend) {
                       e.target.style.backgroundColor = '#2563eb';
                       e.target.style.transform = 'translateY(-1px)';
                     }
                   }}
                   onMouseLeave={(e) => {
-                    if (messageInput.trim()) {
+                    if (canSend) {
                       e.target.style.backgroundColor = '#3b82f6';
                       e.target.style.transform = 'translateY(0)';
                     }
@@ -821,6 +1272,51 @@ const ChatInterface = ({ projectId }) => {
         )}
       </div>
 
+      {/* Thread Panel */}
+      {activeRoomData && activeThread && (
+        <ThreadPanel
+          thread={threads[activeThread]}
+          roomName={activeRoomData.name}
+          currentUser={user}
+          onClose={closeThread}
+          onSend={handleSendThreadReply}
+          onToggleReaction={toggleReaction}
+          getUserDisplayName={getUserDisplayName}
+          getUserInitial={getUserInitial}
+          formatTime={formatTime}
+        />
+      )}
+
+      {/* Search Panel - stays mounted under a thread opened from a result, keeping its results */}
+      {showSearch && (
+        <ChatSearch
+          hidden={Boolean(activeRoomData && activeThread)}
+          projectId={projectId}
+          chatRooms={chatRooms}
+          onJump={jumpToMessage}
+          onClose={() => setShowSearch(false)}
+          getUserDisplayName={getUserDisplayName}
+          formatTime={formatTime}
+        />
+      )}
+
+      {/* Moderation Panel */}
+      {showModeration && canModerate && (
+        <ModerationPanel
+          projectId={projectId}
+          room={activeRoomData}
+          canAudit={capabilities.includes('chat.audit')}
+          muteTarget={muteTarget}
+          currentUserId={user?.id}
+          onClose={() => {
+            setShowModeration(false);
+            setMuteTarget(null);
+          }}
+          formatTime={formatTime}
+          getUserDisplayName={getUserDisplayName}
+        />
+      )}
+
       {/* Create Room Modal */}
       {showCreateRoom && (
         <div style={{ 
@@ -0,0 +1,292 @@
+// frontend/src/components/chat/ChatSearch.js
+import React, { useState, useEffect } from 'react';
+import { Search, X, Paperclip, Code } from 'lucide-react';
+import { useChat } from '../../contexts/ChatContext';
+import { projectService } from '../../services/projectService';
+
+// Snippet text with the server's [start, end) match ranges wrapped in <mark>
+const renderSnippet = (snippet, highlights = []) => {
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(snippet.slice(cursor, start));
+    parts.push(
+      <mark key={index} style={{ backgroundColor: 'rgba(251, 191, 36, 0.35)', color: 'white', borderRadius: '2px', padding: '0 1px' }}>
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+
+  if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+  return parts;
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '8px',
+  fontSize: '13px',
+  boxSizing: 'border-box',
+  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  color: 'white',
+  outline: 'none'
+};
+
+const labelStyle = { display: 'block', fontSize: '11px', color: '#9ca3af', marginBottom: '4px' };
+
+// Side panel searching messages in every room of the project
+const ChatSearch = ({ hidden = false, projectId, chatRooms, onJump, onClose, formatTime, getUserDisplayName }) => {
+  const { searchMessages } = useChat();
+
+  const [query, setQuery] = useState('');
+  const [roomId, setRoomId] = useState('');
+  const [authorId, setAuthorId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [hasAttachment, setHasAttachment] = useState(false);
+  const [hasCode, setHasCode] = useState(false);
+  const [authors, setAuthors] = useState([]);
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Owner and members, for the author filter
+  useEffect(() => {
+    let cancelled = false;
+    projectService.getProjectMembers(projectId)
+      .then(response => {
+        if (cancelled) return;
+        const { owner, members = [] } = response.data || {};
+        setAuthors([owner, ...members.map(member => member.users)].filter(Boolean));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId]);
+
+  const runSearch = async (page = 1) => {
+    if (query.trim().length < 2) {
+      setError('Type at least 2 characters');
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    try {
+      const data = await searchMessages(projectId, {
+        q: query.trim(),
+        room_id: roomId,
+        author_id: authorId,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : '',
+        has_attachment: hasAttachment,
+        has_code: hasCode,
+        page
+      });
+      setResults(prev => (page === 1 ? data.results : [...prev, ...data.results]));
+      setPagination(data.pagination);
+    } catch (searchError) {
+      setError(searchError.message || 'Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const toggleStyle = (active) => ({
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '6px 10px',
+    borderRadius: '8px',
+    border: `1px solid ${active ? 'rgba(59, 130, 246, 0.6)' : 'rgba(255, 255, 255, 0.15)'}`,
+    backgroundColor: active ? 'rgba(59, 130, 246, 0.2)' : 'transparent',
+    color: active ? '#93c5fd' : '#9ca3af',
+    fontSize: '12px',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div style={{
+      width: '380px',
+      borderLeft: '1px solid rgba(255, 255, 255, 0.1)',
+      display: hidden ? 'none' : 'flex',
+      flexDirection: 'column',
+      height: '100vh',
+      maxHeight: '100vh',
+      overflow: 'hidden',
+      background: 'rgba(26, 28, 32, 0.95)'
+    }}>
+      <div style={{
+        padding: '16px 20px',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+      }}>
+        <div style={{ fontSize: '16px', fontWeight: '700', color: 'white' }}>Search messages</div>
+        <button
+          onClick={onClose}
+          title="Close search"
+          style={{
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: '#9ca3af',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            width: '28px',
+            height: '28px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {/* Query and filters */}
+      <div style={{ padding: '16px 20px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') runSearch();
+            }}
+            placeholder='e.g. deploy "release notes" -staging'
+            autoFocus
+            style={inputStyle}
+          />
+          <button
+            onClick={() => runSearch()}
+            disabled={searching}
+            title="Search"
+            style={{
+              padding: '8px 12px',
+              borderRadius: '8px',
+              border: 'none',
+              backgroundColor: '#3b82f6',
+              color: 'white',
+              cursor: searching ? 'wait' : 'pointer',
+              display: 'flex',
+              alignItems: 'center'
+            }}
+          >
+            <Search size={16} />
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Room</label>
+            <select value={roomId} onChange={(e) => setRoomId(e.target.value)} style={inputStyle}>
+              <option value="">All rooms</option>
+              {chatRooms.map(room => (
+                <option key={room.id} value={room.id}>#{room.name}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Author</label>
+            <select value={authorId} onChange={(e) => setAuthorId(e.target.value)} style={inputStyle}>
+              <option value="">Anyone</option>
+              {authors.map(author => (
+                <option key={author.id} value={author.id}>{getUserDisplayName(author)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>From</label>
+            <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>To</label>
+            <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button onClick={() => setHasAttachment(!hasAttachment)} style={toggleStyle(hasAttachment)}>
+            <Paperclip size={12} /> Has attachment
+          </button>
+          <button onClick={() => setHasCode(!hasCode)} style={toggleStyle(hasCode)}>
+            <Code size={12} /> Has code
+          </button>
+        </div>
+
+        {error && <div style={{ fontSize: '12px', color: '#f87171' }}>{error}</div>}
+      </div>
+
+      {/* Results */}
+      <div style={{ flex: 1, overflowY: 'auto', minHeight: 0 }}>
+        {pagination && results.length === 0 && !searching && (
+          <div style={{ padding: '20px', color: '#9ca3af', fontSize: '14px', textAlign: 'center' }}>No messages found</div>
+        )}
+
+        {results.map(result => (
+          <button
+            key={result.id}
+            onClick={() => onJump(result)}
+            style={{
+              display: 'block',
+              width: '100%',
+              textAlign: 'left',
+              padding: '12px 20px',
+              background: 'transparent',
+              border: 'none',
+              borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+              cursor: 'pointer',
+              color: 'inherit'
+            }}
+            onMouseEnter={(e) => { e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.05)'; }}
+            onMouseLeave={(e) => { e.currentTarget.style.backgroundColor = 'transparent'; }}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#9ca3af', marginBottom: '4px' }}>
+              <span style={{ color: '#60a5fa' }}>#{result.room?.name || 'room'}</span>
+              {result.thread_root_id && <span>· in thread</span>}
+              <span style={{ marginLeft: 'auto' }}>{formatTime(result.created_at)}</span>
+            </div>
+            <div style={{ fontSize: '12px', fontWeight: '600', color: '#d1d5db', marginBottom: '2px' }}>
+              {getUserDisplayName(result.user)}
+            </div>
+            <div style={{ fontSize: '13px', color: '#e5e7eb', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+              {renderSnippet(result.snippet, result.highlights)}
+            </div>
+          </button>
+        ))}
+
+        {pagination?.hasMore && (
+          <div style={{ padding: '12px 20px' }}>
+            <button
+              onClick={() => runSearch(pagination.page + 1)}
+              disabled={searching}
+              style={{
+                width: '100%',
+                padding: '8px',
+                borderRadius: '8px',
+                border: '1px solid rgba(255, 255, 255, 0.15)',
+                background: 'transparent',
+                color: '#d1d5db',
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              {searching ? 'Searching...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChatSearch;
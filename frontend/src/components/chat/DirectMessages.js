@@ -0,0 +1,537 @@
+// frontend/src/components/chat/DirectMessages.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Send, Plus, X, Users, LogOut } from 'lucide-react';
+import { useChat } from '../../contexts/ChatContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { groupReceiptsByMessage, SeenBy, NewMessagesDivider } from './ReadReceipts';
+
+const getDisplayName = (userObj) => userObj?.full_name || userObj?.username || 'Unknown User';
+
+const getInitial = (userObj) => getDisplayName(userObj).charAt(0).toUpperCase();
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const now = new Date();
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const Avatar = ({ userObj, size = 36, online = false }) => (
+  <div style={{ position: 'relative', flexShrink: 0 }}>
+    <div style={{
+      width: `${size}px`,
+      height: `${size}px`,
+      borderRadius: '50%',
+      background: 'linear-gradient(135deg, #60a5fa, #3b82f6)',
+      color: 'white',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: `${Math.round(size * 0.4)}px`,
+      fontWeight: '600',
+      overflow: 'hidden'
+    }}>
+      {userObj?.avatar_url ? (
+        <img src={userObj.avatar_url} alt={getDisplayName(userObj)} style={{ width: '100%', height: '100%' }} />
+      ) : (
+        getInitial(userObj)
+      )}
+    </div>
+    {online && (
+      <div style={{
+        position: 'absolute',
+        bottom: 0,
+        right: 0,
+        width: `${Math.max(8, size / 4)}px`,
+        height: `${Math.max(8, size / 4)}px`,
+        borderRadius: '50%',
+        backgroundColor: '#10b981',
+        border: '2px solid #1a1c20'
+      }} />
+    )}
+  </div>
+);
+
+// Inbox and conversation view for direct messages with friends and project teammates.
+// contactId asks for the conversation with that user to be opened (e.g. from a friend card).
+const DirectMessages = ({ friends = [], contactId = null, onContactOpened }) => {
+  const { user } = useAuth();
+  const {
+    connected,
+    messages,
+    typingUsers,
+    messagePagination,
+    unreadMarkers,
+    readReceipts,
+    directConversations,
+    activeDirectRoom,
+    onlineContactIds,
+    startDirectConversation,
+    fetchDirectMessages,
+    markRoomRead,
+    openDirectConversation,
+    closeDirectConversation,
+    sendDirectMessage,
+    leaveDirectConversation,
+    startTyping,
+    stopTyping
+  } = useChat();
+
+  const [messageInput, setMessageInput] = useState('');
+  const [typingTimer, setTypingTimer] = useState(null);
+  const [showNewConversation, setShowNewConversation] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [groupName, setGroupName] = useState('');
+  const [error, setError] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  const conversation = directConversations.find(item => item.id === activeDirectRoom) || null;
+  const conversationMessages = activeDirectRoom ? messages[activeDirectRoom] || [] : [];
+  const pagination = activeDirectRoom ? messagePagination[activeDirectRoom] : null;
+  const unreadMarker = activeDirectRoom ? unreadMarkers[activeDirectRoom] : null;
+  const seenBy = groupReceiptsByMessage(conversationMessages, activeDirectRoom ? readReceipts[activeDirectRoom] : [], user?.id);
+
+  const otherMembers = (item) => (item?.members || []).filter(member => member.id !== user?.id);
+
+  const conversationTitle = (item) => {
+    if (item.room_type === 'group_dm') return item.name;
+    return getDisplayName(otherMembers(item)[0]);
+  };
+
+  const isOnline = (item) => otherMembers(item).some(member => onlineContactIds.includes(member.id));
+
+  // Leaving the page means new messages count as unread again
+  useEffect(() => closeDirectConversation, [closeDirectConversation]);
+
+  // Marked read once loaded, so the "new messages" divider still knows where the last visit ended
+  useEffect(() => {
+    if (!activeDirectRoom) return;
+    fetchDirectMessages(activeDirectRoom).then(page => {
+      if (page) markRoomRead(activeDirectRoom);
+    });
+  }, [activeDirectRoom, fetchDirectMessages, markRoomRead]);
+
+  // Follow new messages at the bottom; loading older ones at the top doesn't scroll
+  const lastMessageId = conversationMessages[conversationMessages.length - 1]?.id;
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastMessageId, activeDirectRoom]);
+
+  const openWith = async (userIds, name = null) => {
+    setError(null);
+    try {
+      const started = await startDirectConversation(userIds, name);
+      openDirectConversation(started.id);
+      return true;
+    } catch (startError) {
+      setError(startError.message);
+      return false;
+    }
+  };
+
+  // A friend card's "Message" button
+  useEffect(() => {
+    if (!contactId) return;
+    openWith([contactId]).finally(() => onContactOpened?.());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [contactId]);
+
+  const handleStartConversation = async () => {
+    if (selectedIds.length === 0) return;
+    const opened = await openWith(selectedIds, selectedIds.length > 1 ? groupName.trim() || null : null);
+    if (opened) {
+      setShowNewConversation(false);
+      setSelectedIds([]);
+      setGroupName('');
+    }
+  };
+
+  const handleSend = () => {
+    if (!messageInput.trim() || !activeDirectRoom) return;
+    sendDirectMessage(activeDirectRoom, messageInput.trim());
+    setMessageInput('');
+    if (typingTimer) {
+      clearTimeout(typingTimer);
+      stopTyping(activeDirectRoom, null);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setMessageInput(e.target.value);
+    if (!activeDirectRoom) return;
+
+    startTyping(activeDirectRoom, null);
+    if (typingTimer) clearTimeout(typingTimer);
+    setTypingTimer(setTimeout(() => {
+      stopTyping(activeDirectRoom, null);
+    }, 1000));
+  };
+
+  const handleLoadOlder = async () => {
+    await fetchDirectMessages(activeDirectRoom, { before: conversationMessages[0]?.id });
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave "${conversation.name}"? You won't receive its messages any more.`)) return;
+    try {
+      await leaveDirectConversation(conversation.id);
+    } catch (leaveError) {
+      setError(leaveError.message);
+    }
+  };
+
+  const currentTyping = activeDirectRoom ? Object.values(typingUsers[activeDirectRoom] || {}) : [];
+
+  const panelStyle = {
+    background: 'rgba(26, 28, 32, 0.8)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '16px',
+    backdropFilter: 'blur(20px)',
+    display: 'flex',
+    flexDirection: 'column',
+    overflow: 'hidden'
+  };
+
+  const iconButtonStyle = {
+    background: 'rgba(59, 130, 246, 0.15)',
+    border: '1px solid rgba(59, 130, 246, 0.3)',
+    color: '#60a5fa',
+    padding: '6px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center'
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '16px', height: '600px' }}>
+      {/* Inbox */}
+      <div style={{ ...panelStyle, width: '320px', flexShrink: 0 }}>
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <span style={{ fontSize: '16px', fontWeight: '600', color: 'white' }}>Messages</span>
+          <button
+            onClick={() => setShowNewConversation(!showNewConversation)}
+            title={showNewConversation ? 'Cancel' : 'New message'}
+            style={iconButtonStyle}
+          >
+            {showNewConversation ? <X size={16} /> : <Plus size={16} />}
+          </button>
+        </div>
+
+        {showNewConversation && (
+          <div style={{ padding: '12px 20px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
+            <div style={{ fontSize: '12px', color: '#9ca3af', marginBottom: '8px' }}>
+              Pick one friend, or several for a group
+            </div>
+            <div style={{ maxHeight: '180px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {friends.length === 0 && (
+                <div style={{ fontSize: '13px', color: '#9ca3af' }}>Add friends to start messaging them.</div>
+              )}
+              {friends.map(friend => (
+                <label
+                  key={friend.id}
+                  style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#d1d5db', cursor: 'pointer' }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(friend.id)}
+                    onChange={() => setSelectedIds(prev => (
+                      prev.includes(friend.id) ? prev.filter(id => id !== friend.id) : [...prev, friend.id]
+                    ))}
+                  />
+                  <Avatar userObj={friend} size={24} online={onlineContactIds.includes(friend.id)} />
+                  {getDisplayName(friend)}
+                </label>
+              ))}
+            </div>
+            {selectedIds.length > 1 && (
+              <input
+                type="text"
+                value={groupName}
+                onChange={(e) => setGroupName(e.target.value)}
+                placeholder="Group name (optional)"
+                maxLength={50}
+                style={{
+                  width: '100%',
+                  marginTop: '8px',
+                  padding: '8px 10px',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  borderRadius: '8px',
+                  fontSize: '13px',
+                  boxSizing: 'border-box',
+                  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                  color: 'white',
+                  outline: 'none'
+                }}
+              />
+            )}
+            <button
+              onClick={handleStartConversation}
+              disabled={selectedIds.length === 0}
+              style={{
+                width: '100%',
+                marginTop: '8px',
+                padding: '8px',
+                borderRadius: '8px',
+                border: 'none',
+                backgroundColor: selectedIds.length > 0 ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
+                color: selectedIds.length > 0 ? 'white' : '#9ca3af',
+                cursor: selectedIds.length > 0 ? 'pointer' : 'not-allowed',
+                fontSize: '13px',
+                fontWeight: '600'
+              }}
+            >
+              {selectedIds.length > 1 ? 'Start group' : 'Start conversation'}
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div style={{ padding: '8px 20px', fontSize: '12px', color: '#f87171' }}>{error}</div>
+        )}
+
+        <div style={{ flex: 1, overflowY: 'auto' }}>
+          {directConversations.length === 0 && (
+            <div style={{ padding: '20px', fontSize: '14px', color: '#9ca3af', textAlign: 'center' }}>
+              No conversations yet
+            </div>
+          )}
+          {directConversations.map(item => (
+            <button
+              key={item.id}
+              onClick={() => openDirectConversation(item.id)}
+              style={{
+                width: '100%',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '12px 20px',
+                textAlign: 'left',
+                border: 'none',
+                borderLeft: item.id === activeDirectRoom ? '4px solid #3b82f6' : '4px solid transparent',
+                backgroundColor: item.id === activeDirectRoom ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                cursor: 'pointer',
+                color: 'inherit'
+              }}
+            >
+              {item.room_type === 'group_dm' ? (
+                <div style={{
+                  width: '36px',
+                  height: '36px',
+                  borderRadius: '50%',
+                  backgroundColor: 'rgba(59, 130, 246, 0.2)',
+                  color: '#60a5fa',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  flexShrink: 0
+                }}>
+                  <Users size={16} />
+                </div>
+              ) : (
+                <Avatar userObj={otherMembers(item)[0]} online={isOnline(item)} />
+              )}
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <span style={{
+                    flex: 1,
+                    fontSize: '14px',
+                    fontWeight: item.unread_count > 0 ? '700' : '500',
+                    color: 'white',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {conversationTitle(item)}
+                  </span>
+                  {item.last_message && (
+                    <span style={{ fontSize: '11px', color: '#9ca3af' }}>{formatTime(item.last_message.created_at)}</span>
+                  )}
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <span style={{
+                    flex: 1,
+                    fontSize: '12px',
+                    color: item.unread_count > 0 ? '#d1d5db' : '#9ca3af',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {item.last_message
+                      ? `${item.last_message.user_id === user?.id ? 'You: ' : ''}${item.last_message.content}`
+                      : 'No messages yet'}
+                  </span>
+                  {item.unread_count > 0 && (
+                    <span style={{
+                      minWidth: '18px',
+                      padding: '1px 6px',
+                      borderRadius: '9px',
+                      backgroundColor: '#3b82f6',
+                      color: 'white',
+                      fontSize: '11px',
+                      fontWeight: '700',
+                      textAlign: 'center',
+                      boxSizing: 'border-box'
+                    }}>
+                      {item.unread_count > 99 ? '99+' : item.unread_count}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Conversation */}
+      <div style={{ ...panelStyle, flex: 1, minWidth: 0 }}>
+        {!conversation ? (
+          <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#9ca3af', fontSize: '14px' }}>
+            Select a conversation or start a new one
+          </div>
+        ) : (
+          <>
+            <div style={{
+              padding: '16px 20px',
+              borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between'
+            }}>
+              <div>
+                <div style={{ fontSize: '16px', fontWeight: '600', color: 'white' }}>{conversationTitle(conversation)}</div>
+                <div style={{ fontSize: '12px', color: isOnline(conversation) ? '#10b981' : '#9ca3af' }}>
+                  {conversation.room_type === 'group_dm'
+                    ? otherMembers(conversation).map(getDisplayName).join(', ')
+                    : isOnline(conversation) ? 'Online' : 'Offline'}
+                </div>
+              </div>
+              {conversation.room_type === 'group_dm' && (
+                <button onClick={handleLeave} title="Leave group" style={{ ...iconButtonStyle, color: '#f87171', borderColor: 'rgba(239, 68, 68, 0.3)', background: 'rgba(239, 68, 68, 0.1)' }}>
+                  <LogOut size={16} />
+                </button>
+              )}
+            </div>
+
+            <div style={{ flex: 1, overflowY: 'auto', padding: '16px 20px', minHeight: 0 }}>
+              {pagination?.hasMore && (
+                <div style={{ textAlign: 'center', marginBottom: '12px' }}>
+                  <button
+                    onClick={handleLoadOlder}
+                    style={{ background: 'transparent', border: 'none', color: '#60a5fa', fontSize: '13px', cursor: 'pointer' }}
+                  >
+                    Load older messages
+                  </button>
+                </div>
+              )}
+
+              {conversationMessages.map(message => {
+                const isOwnMessage = message.user_id === user?.id;
+                return (
+                  <React.Fragment key={message.id}>
+                    {message.id === unreadMarker && <NewMessagesDivider />}
+                    <div
+                      style={{
+                        display: 'flex',
+                        gap: '10px',
+                        marginBottom: '12px',
+                        flexDirection: isOwnMessage ? 'row-reverse' : 'row'
+                      }}
+                    >
+                      {!isOwnMessage && <Avatar userObj={message.user} size={28} />}
+                      <div style={{ maxWidth: '70%' }}>
+                        {!isOwnMessage && conversation.room_type === 'group_dm' && (
+                          <div style={{ fontSize: '12px', color: '#9ca3af', marginBottom: '2px' }}>{getDisplayName(message.user)}</div>
+                        )}
+                        <div style={{
+                          padding: '8px 12px',
+                          borderRadius: '12px',
+                          backgroundColor: isOwnMessage ? '#3b82f6' : 'rgba(255, 255, 255, 0.08)',
+                          color: 'white',
+                          fontSize: '14px',
+                          whiteSpace: 'pre-wrap',
+                          wordBreak: 'break-word'
+                        }}>
+                          {message.content}
+                        </div>
+                        <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '2px', textAlign: isOwnMessage ? 'right' : 'left' }}>
+                          {formatTime(message.created_at)}
+                          {message.is_edited && ' (edited)'}
+                        </div>
+                        <SeenBy users={seenBy[message.id]} align={isOwnMessage ? 'flex-end' : 'flex-start'} />
+                      </div>
+                    </div>
+                  </React.Fragment>
+                );
+              })}
+
+              {currentTyping.length > 0 && (
+                <div style={{ fontSize: '12px', color: '#9ca3af', fontStyle: 'italic' }}>
+                  {currentTyping.join(', ')} {currentTyping.length === 1 ? 'is' : 'are'} typing...
+                </div>
+              )}
+              <div ref={messagesEndRef} />
+            </div>
+
+            <div style={{ padding: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)', display: 'flex', gap: '8px' }}>
+              <textarea
+                value={messageInput}
+                onChange={handleInputChange}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    handleSend();
+                  }
+                }}
+                placeholder={connected ? `Message ${conversationTitle(conversation)}` : 'Reconnecting...'}
+                disabled={!connected}
+                rows="1"
+                style={{
+                  flex: 1,
+                  padding: '10px 12px',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  borderRadius: '10px',
+                  resize: 'none',
+                  minHeight: '40px',
+                  maxHeight: '120px',
+                  fontFamily: 'inherit',
+                  fontSize: '14px',
+                  boxSizing: 'border-box',
+                  outline: 'none',
+                  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                  color: 'white'
+                }}
+              />
+              <button
+                onClick={handleSend}
+                disabled={!messageInput.trim()}
+                style={{
+                  padding: '10px',
+                  borderRadius: '10px',
+                  border: 'none',
+                  cursor: messageInput.trim() ? 'pointer' : 'not-allowed',
+                  backgroundColor: messageInput.trim() ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
+                  color: messageInput.trim() ? 'white' : '#9ca3af',
+                  display: 'flex',
+                  alignItems: 'center'
+                }}
+              >
+                <Send size={16} />
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DirectMessages;
@@ -0,0 +1,80 @@
+// frontend/src/components/chat/MessageReactions.js
+import React from 'react';
+
+// Offered in the picker; any single emoji is accepted by the server
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '👀', '🚀', '✅', '🙏'];
+
+// Reaction chips under a message, plus the emoji picker when it's open.
+// Clicking a chip toggles the current user's reaction with that emoji.
+const MessageReactions = ({ reactions = [], currentUserId, onToggle, pickerOpen = false, onClosePicker, align = 'flex-start' }) => {
+  if (reactions.length === 0 && !pickerOpen) return null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: align, gap: '6px', marginTop: '6px' }}>
+      {reactions.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', justifyContent: align }}>
+          {reactions.map(reaction => {
+            const reacted = reaction.user_ids.includes(currentUserId);
+            return (
+              <button
+                key={reaction.emoji}
+                onClick={() => onToggle(reaction.emoji)}
+                title={reacted ? 'Remove your reaction' : 'React with this emoji'}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px',
+                  padding: '2px 8px',
+                  borderRadius: '12px',
+                  border: `1px solid ${reacted ? 'rgba(59, 130, 246, 0.6)' : 'rgba(255, 255, 255, 0.15)'}`,
+                  backgroundColor: reacted ? 'rgba(59, 130, 246, 0.2)' : 'rgba(255, 255, 255, 0.05)',
+                  color: reacted ? '#93c5fd' : '#d1d5db',
+                  fontSize: '13px',
+                  cursor: 'pointer'
+                }}
+              >
+                <span>{reaction.emoji}</span>
+                <span style={{ fontSize: '12px', fontWeight: '600' }}>{reaction.count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {pickerOpen && (
+        <div style={{
+          display: 'flex',
+          gap: '2px',
+          padding: '4px',
+          borderRadius: '10px',
+          background: 'rgba(26, 28, 32, 0.98)',
+          border: '1px solid rgba(255, 255, 255, 0.15)'
+        }}>
+          {QUICK_REACTIONS.map(emoji => (
+            <button
+              key={emoji}
+              onClick={() => {
+                onToggle(emoji);
+                onClosePicker?.();
+              }}
+              style={{
+                background: 'transparent',
+                border: 'none',
+                fontSize: '18px',
+                padding: '4px 6px',
+                borderRadius: '6px',
+                cursor: 'pointer'
+              }}
+              onMouseEnter={(e) => { e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.1)'; }}
+              onMouseLeave={(e) => { e.currentTarget.style.backgroundColor = 'transparent'; }}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageReactions;
@@ -0,0 +1,372 @@
+// frontend/src/components/chat/ModerationPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Lock, Unlock, VolumeX, Volume2, Shield } from 'lucide-react';
+import { useChat } from '../../contexts/ChatContext';
+import { projectService } from '../../services/projectService';
+
+const SLOW_MODE_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 10, label: '10 seconds' },
+  { value: 30, label: '30 seconds' },
+  { value: 60, label: '1 minute' },
+  { value: 300, label: '5 minutes' },
+  { value: 900, label: '15 minutes' }
+];
+
+const MUTE_DURATIONS = [
+  { value: 10, label: '10 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 24 * 60, label: '1 day' },
+  { value: 7 * 24 * 60, label: '1 week' }
+];
+
+const LOG_ACTIONS = {
+  message_deleted: 'deleted a message',
+  member_muted: 'muted',
+  member_unmuted: 'unmuted',
+  room_locked: 'made a room read-only',
+  room_unlocked: 'reopened a room',
+  slow_mode_changed: 'changed slow mode'
+};
+
+const slowModeLabel = (seconds) => SLOW_MODE_OPTIONS.find(option => option.value === seconds)?.label || `${seconds}s`;
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '8px',
+  fontSize: '13px',
+  boxSizing: 'border-box',
+  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  color: 'white',
+  outline: 'none'
+};
+
+const labelStyle = { display: 'block', fontSize: '11px', color: '#9ca3af', marginBottom: '4px' };
+
+const sectionStyle = { padding: '16px 20px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)' };
+
+const sectionTitleStyle = { fontSize: '13px', fontWeight: '700', color: 'white', marginBottom: '10px' };
+
+const smallButtonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '6px 10px',
+  borderRadius: '8px',
+  border: '1px solid rgba(255, 255, 255, 0.15)',
+  background: 'transparent',
+  color: '#d1d5db',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+// Side panel for chat moderators: the room's read-only and slow mode settings, muted members,
+// and (for the owner) the moderation log. muteTarget preselects a member to mute.
+const ModerationPanel = ({ projectId, room, canAudit = false, muteTarget = null, currentUserId, onClose, formatTime, getUserDisplayName }) => {
+  const { updateRoomSettings, fetchMutes, muteMember, unmuteMember, fetchModerationLog } = useChat();
+
+  const [members, setMembers] = useState([]);
+  const [mutes, setMutes] = useState([]);
+  const [muteUserId, setMuteUserId] = useState('');
+  const [muteDuration, setMuteDuration] = useState(MUTE_DURATIONS[1].value);
+  const [muteReason, setMuteReason] = useState('');
+  const [log, setLog] = useState([]);
+  const [logAction, setLogAction] = useState('');
+  const [logHasMore, setLogHasMore] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Members who can be muted: everyone but the owner and the moderator
+  useEffect(() => {
+    let cancelled = false;
+    projectService.getProjectMembers(projectId)
+      .then(response => {
+        if (cancelled) return;
+        const { members: projectMembers = [] } = response.data || {};
+        setMembers(projectMembers.map(member => member.users).filter(member => member && member.id !== currentUserId));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, currentUserId]);
+
+  const loadMutes = useCallback(async () => {
+    try {
+      setMutes(await fetchMutes(projectId));
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, [fetchMutes, projectId]);
+
+  useEffect(() => {
+    loadMutes();
+  }, [loadMutes]);
+
+  useEffect(() => {
+    if (muteTarget) setMuteUserId(muteTarget.id);
+  }, [muteTarget]);
+
+  const loadLog = useCallback(async (before = null) => {
+    try {
+      const entries = await fetchModerationLog(projectId, { action: logAction, before });
+      setLog(prev => (before ? [...prev, ...entries] : entries));
+      setLogHasMore(entries.length === 50);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, [fetchModerationLog, projectId, logAction]);
+
+  useEffect(() => {
+    if (canAudit) loadLog();
+  }, [canAudit, loadLog]);
+
+  // Runs a moderation action, then refreshes the mutes and the log
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await loadMutes();
+      if (canAudit) await loadLog();
+      return true;
+    } catch (actionError) {
+      setError(actionError.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMute = async () => {
+    if (!muteUserId) return;
+    const muted = await run(() => muteMember(projectId, muteUserId, muteDuration, muteReason.trim() || null));
+    if (muted) {
+      setMuteUserId('');
+      setMuteReason('');
+    }
+  };
+
+  const renderLogEntry = (entry) => {
+    const room = entry.room ? ` in #${entry.room.name}` : '';
+    // Users deleted since are kept by name in details
+    const targetUser = entry.target_user || entry.details?.target_user;
+    let detail = null;
+
+    if (entry.action === 'member_muted') {
+      detail = `until ${formatTime(entry.details?.expires_at)}${entry.details?.reason ? ` · ${entry.details.reason}` : ''}`;
+    } else if (entry.action === 'slow_mode_changed') {
+      detail = `${slowModeLabel(entry.details?.from || 0)} → ${slowModeLabel(entry.details?.to || 0)}`;
+    }
+
+    return (
+      <div key={entry.id} style={{ padding: '10px 0', borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+        <div style={{ fontSize: '12px', color: '#d1d5db' }}>
+          <span style={{ fontWeight: '600' }}>{getUserDisplayName(entry.actor || entry.details?.actor)}</span>
+          {' '}{LOG_ACTIONS[entry.action] || entry.action}
+          {targetUser && (
+            <>
+              {entry.action === 'message_deleted' ? ' from ' : ' '}
+              <span style={{ fontWeight: '600' }}>{getUserDisplayName(targetUser)}</span>
+            </>
+          )}
+          {room}
+        </div>
+        <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '2px' }}>
+          {formatTime(entry.created_at)}{detail && ` · ${detail}`}
+        </div>
+        {entry.action === 'message_deleted' && entry.details?.content && (
+          <div style={{
+            marginTop: '6px',
+            padding: '6px 10px',
+            borderLeft: '2px solid rgba(239, 68, 68, 0.5)',
+            backgroundColor: 'rgba(239, 68, 68, 0.05)',
+            fontSize: '12px',
+            color: '#e5e7eb',
+            whiteSpace: 'pre-wrap',
+            wordBreak: 'break-word'
+          }}>
+            {entry.details.content}
+            {entry.details.replies_deleted > 0 && (
+              <div style={{ fontSize: '11px', color: '#9ca3af', marginTop: '4px' }}>
+                and {entry.details.replies_deleted} thread {entry.details.replies_deleted === 1 ? 'reply' : 'replies'}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{
+      width: '380px',
+      borderLeft: '1px solid rgba(255, 255, 255, 0.1)',
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100vh',
+      maxHeight: '100vh',
+      overflow: 'hidden',
+      background: 'rgba(26, 28, 32, 0.95)'
+    }}>
+      <div style={{
+        padding: '16px 20px',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '16px', fontWeight: '700', color: 'white' }}>
+          <Shield size={16} /> Moderation
+        </div>
+        <button
+          onClick={onClose}
+          title="Close moderation"
+          style={{
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: '#9ca3af',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            width: '28px',
+            height: '28px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', minHeight: 0 }}>
+        {error && <div style={{ padding: '12px 20px 0', fontSize: '12px', color: '#f87171' }}>{error}</div>}
+
+        {/* Room settings */}
+        {room && (
+          <div style={sectionStyle}>
+            <div style={sectionTitleStyle}>#{room.name}</div>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+              <button
+                onClick={() => run(() => updateRoomSettings(projectId, room.id, { is_read_only: !room.is_read_only }))}
+                disabled={saving}
+                style={{
+                  ...smallButtonStyle,
+                  color: room.is_read_only ? '#fbbf24' : '#d1d5db',
+                  borderColor: room.is_read_only ? 'rgba(251, 191, 36, 0.4)' : 'rgba(255, 255, 255, 0.15)'
+                }}
+              >
+                {room.is_read_only ? <><Unlock size={14} /> Reopen room</> : <><Lock size={14} /> Make read-only</>}
+              </button>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Slow mode</label>
+                <select
+                  value={room.slow_mode_seconds || 0}
+                  disabled={saving}
+                  onChange={(e) => run(() => updateRoomSettings(projectId, room.id, { slow_mode_seconds: parseInt(e.target.value) }))}
+                  style={inputStyle}
+                >
+                  {SLOW_MODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Mutes */}
+        <div style={sectionStyle}>
+          <div style={sectionTitleStyle}>Muted members</div>
+          {mutes.length === 0 && <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '10px' }}>Nobody is muted</div>}
+          {mutes.map(mute => (
+            <div key={mute.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '13px', color: '#d1d5db' }}>{getUserDisplayName(mute.user)}</div>
+                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                  until {formatTime(mute.expires_at)}{mute.reason && ` · ${mute.reason}`}
+                </div>
+              </div>
+              <button onClick={() => run(() => unmuteMember(projectId, mute.user_id))} disabled={saving} style={smallButtonStyle}>
+                <Volume2 size={14} /> Unmute
+              </button>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px' }}>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Member</label>
+                <select value={muteUserId} onChange={(e) => setMuteUserId(e.target.value)} style={inputStyle}>
+                  <option value="">Choose a member</option>
+                  {members.map(member => (
+                    <option key={member.id} value={member.id}>{getUserDisplayName(member)}</option>
+                  ))}
+                </select>
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>For</label>
+                <select value={muteDuration} onChange={(e) => setMuteDuration(parseInt(e.target.value))} style={inputStyle}>
+                  {MUTE_DURATIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <input
+              type="text"
+              value={muteReason}
+              onChange={(e) => setMuteReason(e.target.value)}
+              placeholder="Reason (optional)"
+              maxLength={200}
+              style={inputStyle}
+            />
+            <button
+              onClick={handleMute}
+              disabled={saving || !muteUserId}
+              style={{
+                ...smallButtonStyle,
+                justifyContent: 'center',
+                color: '#f87171',
+                borderColor: 'rgba(239, 68, 68, 0.3)',
+                backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                cursor: saving || !muteUserId ? 'not-allowed' : 'pointer'
+              }}
+            >
+              <VolumeX size={14} /> Mute member
+            </button>
+          </div>
+        </div>
+
+        {/* Moderation log, owner only */}
+        {canAudit && (
+          <div style={{ ...sectionStyle, borderBottom: 'none' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '6px' }}>
+              <div style={{ ...sectionTitleStyle, marginBottom: 0 }}>Moderation log</div>
+              <select value={logAction} onChange={(e) => setLogAction(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+                <option value="">All actions</option>
+                {Object.entries(LOG_ACTIONS).map(([action, label]) => (
+                  <option key={action} value={action}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {log.length === 0 && <div style={{ fontSize: '12px', color: '#6b7280' }}>No moderation actions yet</div>}
+            {log.map(renderLogEntry)}
+            {logHasMore && (
+              <button
+                onClick={() => loadLog(log[log.length - 1].created_at)}
+                style={{ ...smallButtonStyle, width: '100%', justifyContent: 'center', marginTop: '10px' }}
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ModerationPanel;
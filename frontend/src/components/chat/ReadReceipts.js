@@ -0,0 +1,79 @@
+// frontend/src/components/chat/ReadReceipts.js
+import React from 'react';
+
+const MAX_SEEN_AVATARS = 5;
+
+const getDisplayName = (userObj) => userObj?.full_name || userObj?.username || 'Unknown User';
+
+// Places every other reader at the latest loaded message they've read: messageId -> users.
+// Authors aren't listed on their own messages, and readers who are behind the loaded page
+// aren't shown at all.
+export const groupReceiptsByMessage = (messages, receipts = [], currentUserId) => {
+  const seenBy = {};
+
+  receipts
+    .filter(receipt => receipt.user_id !== currentUserId)
+    .forEach(receipt => {
+      const readAt = new Date(receipt.last_read_at);
+      const lastSeen = [...messages].reverse().find(message => (
+        message.id === receipt.last_read_message_id || new Date(message.created_at) <= readAt
+      ));
+      if (!lastSeen || lastSeen.user_id === receipt.user_id) return;
+
+      seenBy[lastSeen.id] = [...(seenBy[lastSeen.id] || []), receipt.user];
+    });
+
+  return seenBy;
+};
+
+// "Seen by" avatars under a message
+export const SeenBy = ({ users = [], align = 'flex-start' }) => {
+  if (users.length === 0) return null;
+
+  const shown = users.slice(0, MAX_SEEN_AVATARS);
+  const names = users.map(getDisplayName).join(', ');
+
+  return (
+    <div title={`Seen by ${names}`} style={{ display: 'flex', justifyContent: align, alignItems: 'center', gap: '2px', marginTop: '4px' }}>
+      {shown.map((userObj, index) => (
+        <div
+          key={userObj?.id || index}
+          style={{
+            width: '16px',
+            height: '16px',
+            borderRadius: '50%',
+            background: 'linear-gradient(135deg, #60a5fa, #3b82f6)',
+            color: 'white',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '9px',
+            fontWeight: '600',
+            overflow: 'hidden',
+            border: '1px solid #1a1c20'
+          }}
+        >
+          {userObj?.avatar_url ? (
+            <img src={userObj.avatar_url} alt={getDisplayName(userObj)} style={{ width: '100%', height: '100%' }} />
+          ) : (
+            getDisplayName(userObj).charAt(0).toUpperCase()
+          )}
+        </div>
+      ))}
+      {users.length > shown.length && (
+        <span style={{ fontSize: '11px', color: '#9ca3af', marginLeft: '2px' }}>+{users.length - shown.length}</span>
+      )}
+    </div>
+  );
+};
+
+// Marks where the unread messages start when a room is reopened
+export const NewMessagesDivider = () => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', margin: '8px 0 12px' }}>
+    <div style={{ flex: 1, height: '1px', backgroundColor: 'rgba(239, 68, 68, 0.5)' }} />
+    <span style={{ fontSize: '11px', fontWeight: '600', color: '#f87171', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+      New messages
+    </span>
+    <div style={{ flex: 1, height: '1px', backgroundColor: 'rgba(239, 68, 68, 0.5)' }} />
+  </div>
+);
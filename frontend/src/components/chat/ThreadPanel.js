@@ -0,0 +1,228 @@
+// frontend/src/components/chat/ThreadPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Send, X, SmilePlus } from 'lucide-react';
+import AttachmentList from '../Attachments/AttachmentList';
+import MessageReactions from './MessageReactions';
+
+// Side panel with a thread's root message, its replies and a reply box
+const ThreadPanel = ({
+  thread,
+  roomName,
+  currentUser,
+  onClose,
+  onSend,
+  onToggleReaction,
+  getUserDisplayName,
+  getUserInitial,
+  formatTime
+}) => {
+  const [replyInput, setReplyInput] = useState('');
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const repliesEndRef = useRef(null);
+
+  const replyCount = thread?.replies.length || 0;
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replyCount]);
+
+  const handleSend = () => {
+    if (!replyInput.trim()) return;
+    onSend(replyInput.trim());
+    setReplyInput('');
+  };
+
+  const renderMessage = (message, isRoot = false) => (
+    <div
+      key={message.id}
+      style={{
+        display: 'flex',
+        gap: '10px',
+        padding: '10px 16px',
+        backgroundColor: isRoot ? 'rgba(59, 130, 246, 0.06)' : 'transparent'
+      }}
+      onMouseEnter={(e) => {
+        const action = e.currentTarget.querySelector('.thread-message-action');
+        if (action) action.style.opacity = '1';
+      }}
+      onMouseLeave={(e) => {
+        const action = e.currentTarget.querySelector('.thread-message-action');
+        if (action) action.style.opacity = '0';
+      }}
+    >
+      <div style={{
+        width: '28px',
+        height: '28px',
+        borderRadius: '50%',
+        backgroundColor: '#3b82f6',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        color: 'white',
+        fontSize: '12px',
+        fontWeight: '600',
+        flexShrink: 0
+      }}>
+        {getUserInitial(message.user)}
+      </div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '2px' }}>
+          <span style={{ fontSize: '13px', fontWeight: '600', color: '#d1d5db' }}>
+            {message.user?.id === currentUser?.id ? 'You' : getUserDisplayName(message.user)}
+          </span>
+          <span style={{ fontSize: '11px', color: '#9ca3af' }}>{formatTime(message.created_at)}</span>
+          {message.is_edited && (
+            <span style={{ fontSize: '11px', color: '#9ca3af', fontStyle: 'italic' }}>(edited)</span>
+          )}
+          <button
+            className="thread-message-action"
+            onClick={() => setReactionPickerFor(reactionPickerFor === message.id ? null : message.id)}
+            title="Add reaction"
+            style={{
+              marginLeft: 'auto',
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              cursor: 'pointer',
+              padding: '2px',
+              opacity: reactionPickerFor === message.id ? 1 : 0,
+              transition: 'opacity 0.2s ease'
+            }}
+          >
+            <SmilePlus size={14} />
+          </button>
+        </div>
+        <div style={{ fontSize: '14px', color: 'white', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+          {message.content}
+          <AttachmentList attachments={message.attachments || []} theme="dark" />
+        </div>
+        <MessageReactions
+          reactions={message.reactions || []}
+          currentUserId={currentUser?.id}
+          onToggle={(emoji) => onToggleReaction(message.id, emoji)}
+          pickerOpen={reactionPickerFor === message.id}
+          onClosePicker={() => setReactionPickerFor(null)}
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={{
+      width: '380px',
+      borderLeft: '1px solid rgba(255, 255, 255, 0.1)',
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100vh',
+      maxHeight: '100vh',
+      overflow: 'hidden',
+      background: 'rgba(26, 28, 32, 0.95)'
+    }}>
+      <div style={{
+        padding: '16px 20px',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+      }}>
+        <div>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: 'white' }}>Thread</div>
+          {roomName && <div style={{ fontSize: '12px', color: '#9ca3af' }}>#{roomName}</div>}
+        </div>
+        <button
+          onClick={onClose}
+          title="Close thread"
+          style={{
+            background: 'rgba(255, 255, 255, 0.1)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            color: '#9ca3af',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            width: '28px',
+            height: '28px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', minHeight: 0 }}>
+        {!thread ? (
+          <div style={{ padding: '20px', color: '#9ca3af', fontSize: '14px' }}>Loading thread...</div>
+        ) : (
+          <>
+            {renderMessage(thread.root, true)}
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '8px 16px',
+              fontSize: '12px',
+              color: '#9ca3af'
+            }}>
+              <span>{replyCount} {replyCount === 1 ? 'reply' : 'replies'}</span>
+              <div style={{ flex: 1, height: '1px', backgroundColor: 'rgba(255, 255, 255, 0.1)' }}></div>
+            </div>
+            {thread.replies.map(reply => renderMessage(reply))}
+            <div ref={repliesEndRef} />
+          </>
+        )}
+      </div>
+
+      <div style={{ padding: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)', flexShrink: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px' }}>
+          <textarea
+            value={replyInput}
+            onChange={(e) => setReplyInput(e.target.value)}
+            onKeyPress={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                handleSend();
+              }
+            }}
+            placeholder="Reply in thread..."
+            disabled={!thread}
+            rows="1"
+            style={{
+              flex: 1,
+              padding: '10px 12px',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '10px',
+              resize: 'none',
+              minHeight: '40px',
+              maxHeight: '120px',
+              fontFamily: 'inherit',
+              fontSize: '14px',
+              boxSizing: 'border-box',
+              outline: 'none',
+              backgroundColor: 'rgba(255, 255, 255, 0.05)',
+              color: 'white'
+            }}
+          />
+          <button
+            onClick={handleSend}
+            disabled={!replyInput.trim()}
+            style={{
+              padding: '10px',
+              borderRadius: '10px',
+              border: 'none',
+              cursor: replyInput.trim() ? 'pointer' : 'not-allowed',
+              backgroundColor: replyInput.trim() ? '#3b82f6' : 'rgba(255, 255, 255, 0.1)',
+              color: replyInput.trim() ? 'white' : '#9ca3af',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}
+          >
+            <Send size={16} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -17,7 +17,21 @@ const actionTypes = {
   LOGOUT: 'LOGOUT',
   CLEAR_ERROR: 'CLEAR_ERROR',
   SET_LOADING: 'SET_LOADING',
-  UPDATE_USER: 'UPDATE_USER'
+  UPDATE_USER: 'UPDATE_USER',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED'
+};
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Expiry (ms) from the JWT payload; null if it can't be read
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
 };
 
 // Reducer
@@ -60,6 +74,11 @@ const authReducer = (state, action) => {
         ...state,
         loading: action.payload
       };
+    case actionTypes.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload
+      };
     case actionTypes.UPDATE_USER:
       return {
         ...state,
@@ -79,9 +98,15 @@ export const AuthProvider = ({ children }) => {
 
   // Check if user is logged in on app start - FIXED WITH USEcallback
   const checkAuth = useCallback(async () => {
-    const token = localStorage.getItem('token');
+    let token = localStorage.getItem('token');
     if (token) {
       try {
+        // The stored access token has usually expired since the last visit
+        const expiry = getTokenExpiry(token);
+        if (!expiry || expiry - REFRESH_MARGIN_MS < Date.now()) {
+          token = (await authService.refreshSession()).token;
+        }
+
         const response = await authService.getProfile(token);
         if (response.success) {
           dispatch({
@@ -92,12 +117,12 @@ export const AuthProvider = ({ children }) => {
             }
           });
         } else {
-          localStorage.removeItem('token');
+          authService.clearSession();
           dispatch({ type: actionTypes.LOGOUT });
         }
       } catch (error) {
         console.error('Auth check failed:', error);
-        localStorage.removeItem('token');
+        authService.clearSession();
         dispatch({ type: actionTypes.LOGOUT });
       }
     } else {
@@ -116,9 +141,15 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: actionTypes.SET_LOADING, payload: true });
       
       const response = await authService.login(credentials);
-      
+
+      // 2FA accounts get a challenge instead of tokens; the page asks for the code next
+      if (response.success && response.data.twoFactorRequired) {
+        dispatch({ type: actionTypes.SET_LOADING, payload: false });
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
       if (response.success) {
-        localStorage.setItem('token', response.data.token);
+        authService.storeSession(response.data);
         dispatch({
           type: actionTypes.LOGIN_SUCCESS,
           payload: response.data
@@ -136,6 +167,29 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Second login step; failures are returned rather than stored so the code form can show them
+  const verifyTwoFactor = useCallback(async (challengeToken, { code, recoveryCode }) => {
+    try {
+      dispatch({ type: actionTypes.SET_LOADING, payload: true });
+
+      const response = await authService.verifyTwoFactor(challengeToken, { code, recoveryCode });
+      authService.storeSession(response.data);
+      dispatch({
+        type: actionTypes.LOGIN_SUCCESS,
+        payload: response.data
+      });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('2FA verification error:', error);
+      dispatch({ type: actionTypes.SET_LOADING, payload: false });
+      return {
+        success: false,
+        expired: error.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  }, []);
+
   // Register function
   const register = useCallback(async (userData) => {
     try {
@@ -144,7 +198,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.register(userData);
       
       if (response.success) {
-        localStorage.setItem('token', response.data.token);
+        authService.storeSession(response.data);
         dispatch({
           type: actionTypes.LOGIN_SUCCESS,
           payload: response.data
@@ -162,13 +216,40 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
-  // Logout function
+  // Logout function: also revokes this device's session on the server
   const logout = useCallback(() => {
-    localStorage.removeItem('token');
-    authService.logout();
+    const revoked = authService.logout();
     dispatch({ type: actionTypes.LOGOUT });
+    return revoked;
   }, []);
 
+  // Keep state in sync with refreshes made anywhere (api interceptor, timer below)
+  useEffect(() => authService.onSessionRefresh(({ token }) => {
+    dispatch({ type: actionTypes.TOKEN_REFRESHED, payload: token });
+  }), []);
+
+  // Refresh shortly before the access token expires, so plain fetch() callers
+  // reading localStorage never see an expired token
+  useEffect(() => {
+    if (!state.isAuthenticated || !state.token) return;
+
+    const expiry = getTokenExpiry(state.token);
+    if (!expiry) return;
+
+    const timer = setTimeout(() => {
+      authService.refreshSession().catch(error => {
+        console.error('Session refresh failed:', error);
+        // The server session is already over (or still used by other tabs): only forget it here
+        if (error.response?.status === 401) {
+          authService.clearSession();
+          dispatch({ type: actionTypes.LOGOUT });
+        }
+      });
+    }, Math.max(expiry - REFRESH_MARGIN_MS - Date.now(), 0));
+
+    return () => clearTimeout(timer);
+  }, [state.isAuthenticated, state.token]);
+
   // Update user profile
   const updateUser = useCallback(async (userData, completeReplace = false) => {
     try {
@@ -228,6 +309,7 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
@@ -1,10 +1,45 @@
 // frontend/src/contexts/ChatContext.js
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import io from 'socket.io-client';
 import { useAuth } from './AuthContext';
 
 const ChatContext = createContext();
 
+// Applies update(message) to the message with the given id in a list
+const updateInList = (list, messageId, update) =>
+  list ? list.map(message => (message.id === messageId ? update(message) : message)) : list;
+
+// Same, across every list in a { key: messages[] } map
+const updateInLists = (lists, messageId, update) =>
+  Object.fromEntries(Object.entries(lists).map(([key, list]) => [key, updateInList(list, messageId, update)]));
+
+// Thread summary of a root after a new reply arrives
+const addReplyToSummary = (thread, reply, { ownReply, threadOpen }) => {
+  const summary = thread || { reply_count: 0, participant_ids: [], following: false, unread_count: 0 };
+  const following = summary.following || ownReply;
+
+  return {
+    ...summary,
+    reply_count: summary.reply_count + 1,
+    last_reply_at: reply.created_at,
+    participant_ids: summary.participant_ids.includes(reply.user_id)
+      ? summary.participant_ids
+      : [...summary.participant_ids, reply.user_id].slice(0, 5),
+    following,
+    unread_count: threadOpen || ownReply ? 0 : summary.unread_count + (following ? 1 : 0)
+  };
+};
+
+// Replaces (or adds) one user's read receipt in a room's list
+const updateReceipt = (receipts, receipt) => [
+  ...(receipts || []).filter(existing => existing.user_id !== receipt.user_id),
+  receipt
+];
+
+// Newest activity first, as the server lists direct conversations
+const sortConversations = (conversations) =>
+  [...conversations].sort((a, b) => new Date(b.last_activity_at) - new Date(a.last_activity_at));
+
 export const useChat = () => {
   const context = useContext(ChatContext);
   if (!context) {
@@ -14,7 +49,10 @@ export const useChat = () => {
 };
 
 export const ChatProvider = ({ children }) => {
-  const { user, token } = useAuth();
+  const { user, token, logout } = useAuth();
+  // The socket lives as long as the login, not as long as one (short-lived) access token
+  const userId = user?.id;
+  const signedIn = !!(user && token);
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const [currentProject, setCurrentProject] = useState(null);
@@ -24,18 +62,47 @@ export const ChatProvider = ({ children }) => {
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [typingUsers, setTypingUsers] = useState({});
   const [loading, setLoading] = useState(false);
+  // rootId -> { root, replies } for threads that have been opened
+  const [threads, setThreads] = useState({});
+  const [activeThread, setActiveThread] = useState(null);
+  // roomId -> pinned messages, most recently pinned first
+  const [pinnedMessages, setPinnedMessages] = useState({});
+  // Direct conversations (inbox), the one on screen and which partners are online
+  const [directConversations, setDirectConversations] = useState([]);
+  const [activeDirectRoom, setActiveDirectRoom] = useState(null);
+  const [onlineContactIds, setOnlineContactIds] = useState([]);
+  // roomId -> { hasMore, hasNewer } for the loaded page of messages
+  const [messagePagination, setMessagePagination] = useState({});
+  // roomId -> id of the first message that was unread when the room was loaded ("new messages")
+  const [unreadMarkers, setUnreadMarkers] = useState({});
+  // roomId -> everyone's read pointers, for "seen by"
+  const [readReceipts, setReadReceipts] = useState({});
+  // projectId -> { mutedUntil, reason } while the user is muted in that project's chat
+  const [chatMutes, setChatMutes] = useState({});
+  // Why the last message was refused (mute, read-only room, slow mode), until dismissed
+  const [sendError, setSendError] = useState(null);
+  // Read from socket handlers, which are registered once per login
+  const activeRoomRef = useRef(null);
+  const activeThreadRef = useRef(null);
+  const activeDirectRoomRef = useRef(null);
+
+  useEffect(() => {
+    activeRoomRef.current = activeRoom;
+  }, [activeRoom]);
 
   // Initialize socket connection
   useEffect(() => {
-    if (user && token) {
+    if (userId && signedIn) {
       const socketInstance = io(process.env.REACT_APP_API_URL?.replace('/api', '') || 'http://localhost:5000', {
-        auth: { token },
+        // Read on every (re)connect, so reconnects use the latest refreshed token
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         transports: ['websocket', 'polling']
       });
 
       socketInstance.on('connect', () => {
         console.log('Connected to chat server');
         setConnected(true);
+        socketInstance.emit('get_direct_presence');
       });
 
       socketInstance.on('disconnect', () => {
@@ -48,35 +115,254 @@ export const ChatProvider = ({ children }) => {
         setConnected(false);
       });
 
-      // Handle new messages
+      // Handle new messages: they count as unread unless their room is on screen, and the
+      // author has read up to their own message
       socketInstance.on('new_message', (data) => {
-        const { message, roomId } = data;
+        const { message, roomId, projectId } = data;
+        const ownMessage = message.user_id === userId;
+        const onScreen = (projectId ? activeRoomRef.current : activeDirectRoomRef.current) === roomId;
+
         setMessages(prev => ({
           ...prev,
           [roomId]: [...(prev[roomId] || []), message]
         }));
+        setReadReceipts(prev => (prev[roomId]
+          ? {
+            ...prev,
+            [roomId]: updateReceipt(prev[roomId], {
+              user_id: message.user_id,
+              last_read_message_id: message.id,
+              last_read_at: message.created_at,
+              user: message.user
+            })
+          }
+          : prev));
+
+        if (onScreen && !ownMessage) {
+          socketInstance.emit('mark_room_read', { roomId, messageId: message.id });
+        }
+
+        if (projectId) {
+          if (!onScreen && !ownMessage) {
+            setChatRooms(prev => prev.map(room => (
+              room.id === roomId ? { ...room, unread_count: (room.unread_count || 0) + 1 } : room
+            )));
+          }
+        } else {
+          setDirectConversations(prev => sortConversations(prev.map(conversation => (
+            conversation.id === roomId
+              ? {
+                ...conversation,
+                last_message: message,
+                last_activity_at: message.created_at,
+                unread_count: ownMessage || onScreen ? 0 : conversation.unread_count + 1
+              }
+              : conversation
+          ))));
+        }
+      });
+
+      // Someone started a conversation that includes this user
+      socketInstance.on('direct_conversation', ({ conversation }) => {
+        setDirectConversations(prev => (
+          prev.some(existing => existing.id === conversation.id) ? prev : sortConversations([conversation, ...prev])
+        ));
+        socketInstance.emit('get_direct_presence');
+      });
+
+      socketInstance.on('direct_conversation_removed', ({ roomId }) => {
+        setDirectConversations(prev => prev.filter(conversation => conversation.id !== roomId));
+        if (activeDirectRoomRef.current === roomId) {
+          activeDirectRoomRef.current = null;
+          setActiveDirectRoom(null);
+        }
+      });
+
+      socketInstance.on('direct_member_left', ({ roomId, userId: leftUserId }) => {
+        setDirectConversations(prev => prev.map(conversation => (
+          conversation.id === roomId
+            ? { ...conversation, members: conversation.members.filter(member => member.id !== leftUserId) }
+            : conversation
+        )));
+      });
+
+      // Someone's read pointer moved; the user's own clears the room's unread count in every tab
+      socketInstance.on('room_read', (data) => {
+        const { roomId, userId: readerId, user: reader, lastReadMessageId, lastReadAt } = data;
+
+        setReadReceipts(prev => (prev[roomId]
+          ? {
+            ...prev,
+            [roomId]: updateReceipt(prev[roomId], {
+              user_id: readerId,
+              last_read_message_id: lastReadMessageId,
+              last_read_at: lastReadAt,
+              user: reader
+            })
+          }
+          : prev));
+
+        if (readerId === userId) {
+          setChatRooms(prev => prev.map(room => (room.id === roomId ? { ...room, unread_count: 0 } : room)));
+          setDirectConversations(prev => prev.map(conversation => (
+            conversation.id === roomId ? { ...conversation, unread_count: 0 } : conversation
+          )));
+        }
+      });
+
+      // Moderation: the user's mutes and room settings
+      socketInstance.on('chat_muted', ({ projectId, mutedUntil, reason }) => {
+        setChatMutes(prev => ({ ...prev, [projectId]: { mutedUntil, reason } }));
+      });
+
+      socketInstance.on('chat_unmuted', ({ projectId }) => {
+        setChatMutes(prev => {
+          const next = { ...prev };
+          delete next[projectId];
+          return next;
+        });
+        setSendError(null);
+      });
+
+      socketInstance.on('room_settings_updated', ({ roomId, isReadOnly, slowModeSeconds }) => {
+        setChatRooms(prev => prev.map(room => (
+          room.id === roomId ? { ...room, is_read_only: isReadOnly, slow_mode_seconds: slowModeSeconds } : room
+        )));
+      });
+
+      socketInstance.on('direct_presence_list', ({ userIds }) => {
+        setOnlineContactIds(userIds);
+      });
+
+      socketInstance.on('direct_presence', ({ userId: contactId, online }) => {
+        setOnlineContactIds(prev => {
+          const others = prev.filter(id => id !== contactId);
+          return online ? [...others, contactId] : others;
+        });
+      });
+
+      // Thread replies stay out of the room stream; they update the thread and its root
+      socketInstance.on('thread_reply', (data) => {
+        const { message, rootId, roomId } = data;
+        const ownReply = message.user_id === userId;
+        const threadOpen = activeThreadRef.current === rootId;
+
+        setThreads(prev => (prev[rootId]
+          ? { ...prev, [rootId]: { ...prev[rootId], replies: [...prev[rootId].replies, message] } }
+          : prev));
+
+        setMessages(prev => ({
+          ...prev,
+          [roomId]: updateInList(prev[roomId], rootId, root => ({
+            ...root,
+            thread: addReplyToSummary(root.thread, message, { ownReply, threadOpen })
+          })) || []
+        }));
+
+        // Someone else replied in the thread on screen: it's read as it arrives
+        if (threadOpen && !ownReply) {
+          socketInstance.emit('mark_thread_read', { rootId });
+        }
+      });
+
+      socketInstance.on('thread_read', (data) => {
+        const { rootId, roomId } = data;
+        setMessages(prev => ({
+          ...prev,
+          [roomId]: updateInList(prev[roomId], rootId, root => (
+            root.thread ? { ...root, thread: { ...root.thread, following: true, unread_count: 0 } } : root
+          )) || []
+        }));
       });
 
       // Handle message edits
       socketInstance.on('message_edited', (data) => {
         const { message, roomId } = data;
+        // Merge so fields the edit payload lacks (attachments, reactions, thread) are kept
+        const merge = msg => ({ ...msg, ...message, reactions: msg.reactions, thread: msg.thread });
         setMessages(prev => ({
           ...prev,
-          [roomId]: prev[roomId]?.map(msg => 
-            msg.id === message.id ? message : msg
-          ) || []
+          [roomId]: updateInList(prev[roomId], message.id, merge) || []
         }));
+        setThreads(prev => Object.fromEntries(Object.entries(prev).map(([rootId, thread]) => [rootId, {
+          root: thread.root.id === message.id ? merge(thread.root) : thread.root,
+          replies: updateInList(thread.replies, message.id, merge)
+        }])));
+        setPinnedMessages(prev => updateInLists(prev, message.id, merge));
       });
 
-      // Handle message deletions
+      // Handle message deletions; deleting a thread root removes its replies too
       socketInstance.on('message_deleted', (data) => {
-        const { messageId, roomId } = data;
+        const { messageId, roomId, threadRootId } = data;
+        const deletedIds = data.deletedIds || [messageId];
+
+        setMessages(prev => ({
+          ...prev,
+          [roomId]: (prev[roomId]?.filter(msg => !deletedIds.includes(msg.id)) || []).map(msg => (
+            msg.id === threadRootId && msg.thread
+              ? { ...msg, thread: { ...msg.thread, reply_count: Math.max(msg.thread.reply_count - 1, 0) } }
+              : msg
+          ))
+        }));
+        setThreads(prev => {
+          const next = { ...prev };
+          delete next[messageId];
+          if (threadRootId && next[threadRootId]) {
+            next[threadRootId] = {
+              ...next[threadRootId],
+              replies: next[threadRootId].replies.filter(reply => reply.id !== messageId)
+            };
+          }
+          return next;
+        });
+        setPinnedMessages(prev => ({
+          ...prev,
+          [roomId]: prev[roomId]?.filter(msg => !deletedIds.includes(msg.id))
+        }));
+        if (deletedIds.includes(activeThreadRef.current)) {
+          activeThreadRef.current = null;
+          setActiveThread(null);
+        }
+      });
+
+      // Reactions changed on a message in the stream, a thread or the pinned list
+      socketInstance.on('reaction_updated', (data) => {
+        const { messageId, roomId, reactions } = data;
+        const update = msg => ({ ...msg, reactions });
+
         setMessages(prev => ({
           ...prev,
-          [roomId]: prev[roomId]?.filter(msg => msg.id !== messageId) || []
+          [roomId]: updateInList(prev[roomId], messageId, update) || []
         }));
+        setThreads(prev => Object.fromEntries(Object.entries(prev).map(([rootId, thread]) => [rootId, {
+          root: thread.root.id === messageId ? update(thread.root) : thread.root,
+          replies: updateInList(thread.replies, messageId, update)
+        }])));
+        setPinnedMessages(prev => updateInLists(prev, messageId, update));
       });
 
+      const handlePinChange = (data) => {
+        const { message, roomId } = data;
+        const update = msg => ({ ...msg, pinned_at: message.pinned_at, pinned_by: message.pinned_by });
+
+        setMessages(prev => ({
+          ...prev,
+          [roomId]: updateInList(prev[roomId], message.id, update) || []
+        }));
+        setPinnedMessages(prev => {
+          const others = (prev[roomId] || []).filter(msg => msg.id !== message.id);
+          return {
+            ...prev,
+            [roomId]: message.pinned_at
+              ? [message, ...others].sort((a, b) => new Date(b.pinned_at) - new Date(a.pinned_at))
+              : others
+          };
+        });
+      };
+
+      socketInstance.on('message_pinned', handlePinChange);
+      socketInstance.on('message_unpinned', handlePinChange);
+
       // Handle typing indicators
       socketInstance.on('user_typing', (data) => {
         const { userId, username, roomId } = data;
@@ -119,18 +405,32 @@ export const ChatProvider = ({ children }) => {
         setOnlineUsers(prev => prev.filter(u => u.id !== data.userId));
       });
 
-      // Handle errors
+      // Handle errors; moderation refusals are shown next to the message box
       socketInstance.on('error', (data) => {
         console.error('Chat error:', data.message);
+        if (data.code) {
+          setSendError(data);
+          if (data.mutedUntil) {
+            setChatMutes(prev => ({ ...prev, [data.projectId]: { mutedUntil: data.mutedUntil, reason: null } }));
+          }
+        }
+      });
+
+      // This device was signed out from another session
+      socketInstance.on('session_revoked', () => {
+        logout();
       });
 
       setSocket(socketInstance);
 
       return () => {
         socketInstance.disconnect();
+        // The inbox belongs to this login
+        setDirectConversations([]);
+        setOnlineContactIds([]);
       };
     }
-  }, [user, token]);
+  }, [userId, signedIn, logout]);
 
   // Join project rooms (only for projects user is member of)
   const joinProjectRooms = useCallback((projectId) => {
@@ -142,19 +442,34 @@ export const ChatProvider = ({ children }) => {
     }
   }, [socket, connected]);
 
-  // Send message (only to project members)
-  const sendMessage = useCallback((roomId, content, messageType = 'text', replyToMessageId = null) => {
+  // Send message (only to project members); with threadRootId it's a reply in that thread
+  const sendMessage = useCallback((roomId, content, messageType = 'text', replyToMessageId = null, attachmentIds = [], threadRootId = null) => {
     if (socket && connected && currentProject) {
       socket.emit('send_message', {
         roomId,
         projectId: currentProject,
         content,
         messageType,
-        replyToMessageId
+        replyToMessageId,
+        attachmentIds,
+        threadRootId
       });
     }
   }, [socket, connected, currentProject]);
 
+  // Adds the emoji reaction, or removes it when the user already reacted with it
+  const toggleReaction = useCallback((messageId, emoji) => {
+    if (socket && connected) {
+      socket.emit('toggle_reaction', { messageId, emoji });
+    }
+  }, [socket, connected]);
+
+  const pinMessage = useCallback((messageId, pinned = true) => {
+    if (socket && connected) {
+      socket.emit('pin_message', { messageId, pinned });
+    }
+  }, [socket, connected]);
+
   // Edit message
   const editMessage = useCallback((messageId, content) => {
     if (socket && connected) {
@@ -169,16 +484,16 @@ export const ChatProvider = ({ children }) => {
     }
   }, [socket, connected]);
 
-  // Typing indicators
-  const startTyping = useCallback((roomId) => {
-    if (socket && connected && currentProject) {
-      socket.emit('typing_start', { roomId, projectId: currentProject });
+  // Typing indicators; direct conversations pass projectId null
+  const startTyping = useCallback((roomId, projectId = currentProject) => {
+    if (socket && connected) {
+      socket.emit('typing_start', { roomId, projectId });
     }
   }, [socket, connected, currentProject]);
 
-  const stopTyping = useCallback((roomId) => {
-    if (socket && connected && currentProject) {
-      socket.emit('typing_stop', { roomId, projectId: currentProject });
+  const stopTyping = useCallback((roomId, projectId = currentProject) => {
+    if (socket && connected) {
+      socket.emit('typing_stop', { roomId, projectId });
     }
   }, [socket, connected, currentProject]);
 
@@ -211,11 +526,108 @@ export const ChatProvider = ({ children }) => {
     }
   }, [token, activeRoom]);
 
-  // Fetch messages for a room (only if user is project member)
-  const fetchMessages = useCallback(async (projectId, roomId, page = 1) => {
+  // Loads a page of a room's messages from `path`. Older pages (`before` cursor) are prepended
+  // to what's loaded; any other page replaces it, along with the room's read state.
+  const fetchMessagePage = useCallback(async (path, roomId, { before, around } = {}) => {
+    const params = new URLSearchParams({ limit: 50 });
+    if (before) params.append('before', before);
+    if (around) params.append('around', around);
+
+    const response = await fetch(`${process.env.REACT_APP_API_URL}${path}?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message);
+    }
+
+    const { messages: page, lastRead, readReceipts: receipts, pagination } = data.data;
+
+    if (before) {
+      setMessages(prev => ({ ...prev, [roomId]: [...page, ...(prev[roomId] || [])] }));
+      setMessagePagination(prev => ({ ...prev, [roomId]: { ...prev[roomId], hasMore: pagination.hasMore } }));
+    } else {
+      // The divider goes above the first message from someone else since the last visit
+      const firstUnread = lastRead && page.find(message => (
+        message.user_id !== userId && new Date(message.created_at) > new Date(lastRead.last_read_at)
+      ));
+
+      setMessages(prev => ({ ...prev, [roomId]: page }));
+      setMessagePagination(prev => ({ ...prev, [roomId]: pagination }));
+      setUnreadMarkers(prev => ({ ...prev, [roomId]: firstUnread?.id || null }));
+      setReadReceipts(prev => ({ ...prev, [roomId]: receipts }));
+    }
+    return pagination;
+  }, [token, userId]);
+
+  // Fetch the latest messages for a room, or older ones with { before: messageId }
+  const fetchMessages = useCallback(async (projectId, roomId, { before } = {}) => {
+    try {
+      return await fetchMessagePage(`/chat/projects/${projectId}/rooms/${roomId}/messages`, roomId, { before });
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      return null;
+    }
+  }, [fetchMessagePage]);
+
+  // Replaces the room's loaded messages with the ones around a message (search results)
+  const fetchMessagesAround = useCallback(async (projectId, roomId, messageId) => {
+    try {
+      return await fetchMessagePage(`/chat/projects/${projectId}/rooms/${roomId}/messages`, roomId, { around: messageId });
+    } catch (error) {
+      console.error('Error fetching messages around:', error);
+      return null;
+    }
+  }, [fetchMessagePage]);
+
+  // Moves the user's read pointer up to a message (default: the room's latest)
+  const markRoomRead = useCallback((roomId, messageId = null) => {
+    if (socket && connected) {
+      socket.emit('mark_room_read', { roomId, messageId });
+    }
+  }, [socket, connected]);
+
+  // Search messages across the project's rooms. filters: { q, room_id, author_id, from, to,
+  // has_attachment, has_code, page }
+  const searchMessages = useCallback(async (projectId, filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && value !== false) params.append(key, value);
+    });
+
+    const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/search?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.errors?.[0]?.msg || data.message);
+    }
+    return data.data;
+  }, [token]);
+
+  // Opens a thread in the side panel: loads it and marks it read
+  const openThread = useCallback(async (projectId, roomId, rootId) => {
+    activeThreadRef.current = rootId;
+    setActiveThread(rootId);
+
+    setMessages(prev => ({
+      ...prev,
+      [roomId]: updateInList(prev[roomId], rootId, root => (
+        root.thread ? { ...root, thread: { ...root.thread, following: true, unread_count: 0 } } : root
+      )) || []
+    }));
+
     try {
       const response = await fetch(
-        `${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/rooms/${roomId}/messages?page=${page}&limit=50`,
+        `${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/rooms/${roomId}/messages/${rootId}/thread`,
         {
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -225,19 +637,44 @@ export const ChatProvider = ({ children }) => {
       );
 
       const data = await response.json();
-      
+
       if (data.success) {
-        setMessages(prev => ({
-          ...prev,
-          [roomId]: page === 1 ? data.data.messages : [...data.data.messages, ...(prev[roomId] || [])]
-        }));
-        return data.data.pagination;
+        setThreads(prev => ({ ...prev, [rootId]: data.data }));
+        if (socket && connected) {
+          socket.emit('mark_thread_read', { rootId });
+        }
       } else {
         throw new Error(data.message);
       }
     } catch (error) {
-      console.error('Error fetching messages:', error);
-      return null;
+      console.error('Error fetching thread:', error);
+    }
+  }, [token, socket, connected]);
+
+  const closeThread = useCallback(() => {
+    activeThreadRef.current = null;
+    setActiveThread(null);
+  }, []);
+
+  // Fetch the room's pinned messages
+  const fetchPinnedMessages = useCallback(async (projectId, roomId) => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/projects/${projectId}/rooms/${roomId}/pins`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setPinnedMessages(prev => ({ ...prev, [roomId]: data.data }));
+      } else {
+        throw new Error(data.message);
+      }
+    } catch (error) {
+      console.error('Error fetching pinned messages:', error);
     }
   }, [token]);
 
@@ -271,6 +708,176 @@ export const ChatProvider = ({ children }) => {
     }
   }, [token]);
 
+  // Sends a moderation request and returns its data; throws with the server's message
+  const moderationRequest = useCallback(async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/projects${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.errors?.[0]?.msg || data.message);
+    }
+    return data.data;
+  }, [token]);
+
+  // The user's own mute in the project, if any
+  const fetchMyMute = useCallback(async (projectId) => {
+    try {
+      const mute = await moderationRequest(`/${projectId}/moderation/mutes/me`);
+      setChatMutes(prev => {
+        const next = { ...prev };
+        if (mute) next[projectId] = { mutedUntil: mute.expires_at, reason: mute.reason };
+        else delete next[projectId];
+        return next;
+      });
+    } catch (error) {
+      console.error('Error fetching mute:', error);
+    }
+  }, [moderationRequest]);
+
+  // { is_read_only, slow_mode_seconds } for a room (chat.moderate)
+  const updateRoomSettings = useCallback(async (projectId, roomId, settings) => {
+    const room = await moderationRequest(`/${projectId}/rooms/${roomId}/settings`, { method: 'PUT', body: settings });
+    setChatRooms(prev => prev.map(existing => (existing.id === roomId ? { ...existing, ...room } : existing)));
+    return room;
+  }, [moderationRequest]);
+
+  const fetchMutes = useCallback((projectId) => (
+    moderationRequest(`/${projectId}/moderation/mutes`)
+  ), [moderationRequest]);
+
+  const muteMember = useCallback((projectId, userId, durationMinutes, reason = null) => (
+    moderationRequest(`/${projectId}/moderation/mutes/${userId}`, {
+      method: 'PUT',
+      body: { duration_minutes: durationMinutes, reason }
+    })
+  ), [moderationRequest]);
+
+  const unmuteMember = useCallback((projectId, userId) => (
+    moderationRequest(`/${projectId}/moderation/mutes/${userId}`, { method: 'DELETE' })
+  ), [moderationRequest]);
+
+  // The moderation log, newest first (owner only). filters: { action, before }
+  const fetchModerationLog = useCallback((projectId, filters = {}) => {
+    const params = new URLSearchParams({ limit: 50 });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return moderationRequest(`/${projectId}/moderation/log?${params}`);
+  }, [moderationRequest]);
+
+  const clearSendError = useCallback(() => setSendError(null), []);
+
+  // Direct conversations for the inbox and the unread badge
+  const fetchDirectConversations = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/direct`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setDirectConversations(data.data.conversations);
+      } else {
+        console.error('Failed to fetch conversations:', data.message);
+      }
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    }
+  }, [token]);
+
+  // Opens the conversation with one user, or starts a group with several. Throws with the
+  // server's message when they can't be messaged.
+  const startDirectConversation = useCallback(async (userIds, name = null) => {
+    const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/direct`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ user_ids: userIds, name })
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to start conversation');
+    }
+
+    setDirectConversations(prev => sortConversations([
+      data.data,
+      ...prev.filter(conversation => conversation.id !== data.data.id)
+    ]));
+    return data.data;
+  }, [token]);
+
+  const fetchDirectMessages = useCallback(async (roomId, { before } = {}) => {
+    try {
+      return await fetchMessagePage(`/chat/direct/${roomId}/messages`, roomId, { before });
+    } catch (error) {
+      console.error('Error fetching direct messages:', error);
+      return null;
+    }
+  }, [fetchMessagePage]);
+
+  // Shows a conversation. It's marked read once its messages load (markRoomRead), which
+  // clears the count in the user's other tabs too.
+  const openDirectConversation = useCallback((roomId) => {
+    activeDirectRoomRef.current = roomId;
+    setActiveDirectRoom(roomId);
+    setDirectConversations(prev => prev.map(conversation => (
+      conversation.id === roomId ? { ...conversation, unread_count: 0 } : conversation
+    )));
+  }, []);
+
+  const closeDirectConversation = useCallback(() => {
+    activeDirectRoomRef.current = null;
+    setActiveDirectRoom(null);
+  }, []);
+
+  const sendDirectMessage = useCallback((roomId, content, replyToMessageId = null) => {
+    if (socket && connected) {
+      socket.emit('send_message', { roomId, content, messageType: 'text', replyToMessageId });
+    }
+  }, [socket, connected]);
+
+  const leaveDirectConversation = useCallback(async (roomId) => {
+    const response = await fetch(`${process.env.REACT_APP_API_URL}/chat/direct/${roomId}/members/me`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to leave conversation');
+    }
+
+    setDirectConversations(prev => prev.filter(conversation => conversation.id !== roomId));
+    if (activeDirectRoomRef.current === roomId) {
+      activeDirectRoomRef.current = null;
+      setActiveDirectRoom(null);
+    }
+  }, [token]);
+
+  // The inbox is loaded on connect, so the sidebar badge is right on every page
+  useEffect(() => {
+    if (connected) fetchDirectConversations();
+  }, [connected, fetchDirectConversations]);
+
+  const directUnreadTotal = directConversations.reduce((total, conversation) => total + conversation.unread_count, 0);
+
   // Clear messages when changing projects
   const clearMessages = useCallback(() => {
     setMessages({});
@@ -279,6 +886,14 @@ export const ChatProvider = ({ children }) => {
     setOnlineUsers([]);
     setTypingUsers({});
     setCurrentProject(null);
+    setThreads({});
+    setPinnedMessages({});
+    setMessagePagination({});
+    setUnreadMarkers({});
+    setReadReceipts({});
+    setSendError(null);
+    activeThreadRef.current = null;
+    setActiveThread(null);
   }, []);
 
   const value = {
@@ -291,11 +906,45 @@ export const ChatProvider = ({ children }) => {
     onlineUsers,
     typingUsers,
     loading,
+    threads,
+    activeThread,
+    pinnedMessages,
+    messagePagination,
+    unreadMarkers,
+    readReceipts,
+    chatMutes,
+    sendError,
     setActiveRoom,
     joinProjectRooms,
     sendMessage,
     editMessage,
     deleteMessage,
+    toggleReaction,
+    pinMessage,
+    openThread,
+    closeThread,
+    fetchPinnedMessages,
+    fetchMessagesAround,
+    markRoomRead,
+    searchMessages,
+    fetchMyMute,
+    updateRoomSettings,
+    fetchMutes,
+    muteMember,
+    unmuteMember,
+    fetchModerationLog,
+    clearSendError,
+    directConversations,
+    directUnreadTotal,
+    activeDirectRoom,
+    onlineContactIds,
+    fetchDirectConversations,
+    startDirectConversation,
+    fetchDirectMessages,
+    openDirectConversation,
+    closeDirectConversation,
+    sendDirectMessage,
+    leaveDirectConversation,
     startTyping,
     stopTyping,
     fetchChatRooms,
@@ -1,9 +1,35 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { notificationService } from '../services/notificationService';
 import { useAuth } from './AuthContext';
+import { useChat } from './ChatContext';
 
 const NotificationContext = createContext();
 
+// Comment notifications come from their own endpoint; everything else is a typed event
+export const NOTIFICATION_TYPE_LABELS = {
+    comment: 'Comments',
+    task_assigned: 'Task assigned',
+    task_due_soon: 'Task due soon',
+    member_joined: 'Member joined',
+    member_removed: 'Member removed',
+    role_changed: 'Role changed',
+    friend_request: 'Friend requests',
+    award_earned: 'Awards',
+    challenge_result: 'Challenge results'
+};
+
+const toEventNotification = (event) => ({
+    ...event,
+    source: 'event',
+    notification_type: event.type
+});
+
+const toCommentNotification = (notification) => ({
+    ...notification,
+    source: 'comment',
+    type: 'comment'
+});
+
 export const useNotifications = () => {
     const context = useContext(NotificationContext);
     if (!context) {
@@ -15,9 +41,11 @@ export const useNotifications = () => {
 export const NotificationProvider = ({ children }) => {
     const [notifications, setNotifications] = useState([]);
     const [unreadCount, setUnreadCount] = useState(0);
+    const [unreadByType, setUnreadByType] = useState({});
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const { user } = useAuth();
+    const { socket } = useChat();
 
     console.log('🔔 NotificationContext: Provider initialized with user:', user?.id);
 
@@ -33,6 +61,7 @@ export const NotificationProvider = ({ children }) => {
             const count = response.unread_count || 0;
             console.log('🔔 NotificationContext: Unread count fetched:', count);
             setUnreadCount(count);
+            setUnreadByType(response.by_type || {});
             setError(null);
         } catch (error) {
             console.error('🔔 NotificationContext: Error fetching unread count:', error);
@@ -57,11 +86,28 @@ export const NotificationProvider = ({ children }) => {
             console.log('🔔 NotificationContext: Fetching notifications with params:', params);
             setLoading(true);
             setError(null);
-            const response = await notificationService.getCommentNotifications(params);
-            const notificationsList = response.notifications || [];
+            const { type, ...query } = params;
+
+            // A type filter picks one source; without one both are merged newest-first
+            const [commentResponse, eventResponse] = await Promise.all([
+                !type || type === 'comment'
+                    ? notificationService.getCommentNotifications(query)
+                    : Promise.resolve({ notifications: [] }),
+                type !== 'comment'
+                    ? notificationService.getNotificationEvents({ ...query, type })
+                    : Promise.resolve({ data: { notifications: [] } })
+            ]);
+
+            const notificationsList = [
+                ...(commentResponse.notifications || []).map(toCommentNotification),
+                ...(eventResponse.data?.notifications || []).map(toEventNotification)
+            ]
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+                .slice(0, query.limit || 20);
+
             console.log('🔔 NotificationContext: Notifications fetched:', notificationsList.length);
             setNotifications(notificationsList);
-            return response;
+            return notificationsList;
         } catch (error) {
             console.error('🔔 NotificationContext: Error fetching notifications:', error);
             
@@ -80,8 +126,23 @@ export const NotificationProvider = ({ children }) => {
     const markAsRead = useCallback(async (notificationIds) => {
         try {
             console.log('🔔 NotificationContext: Marking as read:', notificationIds);
-            await notificationService.markNotificationsRead(notificationIds);
+
+            const targets = notifications.filter(notif => notificationIds.includes(notif.id));
+            const commentIds = targets.filter(notif => notif.source === 'comment').map(notif => notif.id);
+            const eventIds = targets.filter(notif => notif.source === 'event').map(notif => notif.id);
+
+            await Promise.all([
+                commentIds.length > 0 ? notificationService.markNotificationsRead(commentIds) : null,
+                eventIds.length > 0 ? notificationService.markEventsRead({ ids: eventIds }) : null
+            ]);
             
+            setUnreadByType(prev => targets
+                .filter(notif => !notif.is_read)
+                .reduce((counts, notif) => ({
+                    ...counts,
+                    [notif.type]: Math.max(0, (counts[notif.type] || 0) - 1)
+                }), prev));
+
             // Update local state
             setNotifications(prev => 
                 prev.map(notif => 
@@ -92,7 +153,7 @@ export const NotificationProvider = ({ children }) => {
             );
             
             // Update unread count
-            setUnreadCount(prev => Math.max(0, prev - notificationIds.length));
+            setUnreadCount(prev => Math.max(0, prev - targets.filter(notif => !notif.is_read).length));
             setError(null);
             
         } catch (error) {
@@ -105,23 +166,41 @@ export const NotificationProvider = ({ children }) => {
             }
             throw error;
         }
-    }, []);
+    }, [notifications]);
 
-    const markAllAsRead = useCallback(async () => {
+    // Marks every unread notification of one type (or of every type) read, not just the loaded ones
+    const markTypeAsRead = useCallback(async (type = null) => {
         try {
-            const unreadIds = notifications
-                .filter(notif => !notif.is_read)
-                .map(notif => notif.id);
-            
-            if (unreadIds.length > 0) {
-                await markAsRead(unreadIds);
-            }
+            await notificationService.markEventsRead({ type: type || undefined });
+
+            setNotifications(prev =>
+                prev.map(notif =>
+                    !type || notif.type === type ? { ...notif, is_read: true } : notif
+                )
+            );
+            setError(null);
+            await fetchUnreadCount();
         } catch (error) {
-            console.error('🔔 NotificationContext: Error marking all as read:', error);
-            setError('Failed to mark all notifications as read');
+            console.error('🔔 NotificationContext: Error marking type as read:', error);
+            setError('Failed to mark notifications as read');
             throw error;
         }
-    }, [notifications, markAsRead]);
+    }, [fetchUnreadCount]);
+
+    const markAllAsRead = useCallback(() => markTypeAsRead(null), [markTypeAsRead]);
+
+    const deleteNotification = useCallback(async (notificationId) => {
+        const target = notifications.find(notif => notif.id === notificationId);
+        if (!target) return;
+
+        await notificationService.deleteNotification(notificationId, target.source);
+        setNotifications(prev => prev.filter(notif => notif.id !== notificationId));
+
+        if (!target.is_read) {
+            setUnreadCount(prev => Math.max(0, prev - 1));
+            setUnreadByType(prev => ({ ...prev, [target.type]: Math.max(0, (prev[target.type] || 0) - 1) }));
+        }
+    }, [notifications]);
 
     const clearError = useCallback(() => {
         console.log('🔔 NotificationContext: Clearing error');
@@ -142,18 +221,50 @@ export const NotificationProvider = ({ children }) => {
             // Clear state when user logs out
             setNotifications([]);
             setUnreadCount(0);
+            setUnreadByType({});
             setError(null);
         }
     }, [user, fetchUnreadCount]);
 
+    // Live events pushed to this user's socket room
+    useEffect(() => {
+        if (!socket || !user) return;
+
+        const handleNotification = (event) => {
+            console.log('🔔 NotificationContext: Live notification received:', event.type);
+            setNotifications(prev => [toEventNotification(event), ...prev.filter(notif => notif.id !== event.id)]);
+            setUnreadCount(prev => prev + 1);
+            setUnreadByType(prev => ({ ...prev, [event.type]: (prev[event.type] || 0) + 1 }));
+        };
+
+        // Read elsewhere (another tab or device): sync local state and the authoritative count
+        const handleNotificationsRead = ({ ids }) => {
+            setNotifications(prev =>
+                prev.map(notif => (ids.includes(notif.id) ? { ...notif, is_read: true } : notif))
+            );
+            fetchUnreadCount();
+        };
+
+        socket.on('notification', handleNotification);
+        socket.on('notifications_read', handleNotificationsRead);
+
+        return () => {
+            socket.off('notification', handleNotification);
+            socket.off('notifications_read', handleNotificationsRead);
+        };
+    }, [socket, user, fetchUnreadCount]);
+
     const value = {
         notifications,
         unreadCount,
+        unreadByType,
         loading,
         error,
         fetchNotifications,
         markAsRead,
         markAllAsRead,
+        markTypeAsRead,
+        deleteNotification,
         fetchUnreadCount,
         clearError
     };
@@ -173,16 +173,19 @@ const AdminDashboard = () => {
   const [recentActivity, setRecentActivity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [settings, setSettings] = useState(null);
+  const [savingSetting, setSavingSetting] = useState(null);
 
   useEffect(() => {
     if (user?.role === 'admin' || user?.role === 'moderator') {
-      fetchDashboardData();
+      fetchDashboardData(user.role);
     } else {
       setLoading(false);
     }
   }, [user]);
 
-  const fetchDashboardData = async () => {
+  // Only admins can see and change the system settings
+  const fetchDashboardData = async (role) => {
     try {
       setLoading(true);
       setError('');
@@ -192,13 +195,20 @@ const AdminDashboard = () => {
       if (response.success) {
         setStats(response.data.stats);
         setRecentActivity(response.data.recentActivity);
+
+        if (role === 'admin') {
+          const settingsResponse = await AdminAPI.getSystemSettings();
+          setSettings(settingsResponse.data.settings);
+        }
       } else {
         setError(response.message || 'Failed to load dashboard data');
       }
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
       
-      if (error.response?.status === 403) {
+      if (error.response?.data?.code === 'TWO_FACTOR_REQUIRED') {
+        setError('Two-factor authentication is required for your role. Enable it in your profile to use the admin tools.');
+      } else if (error.response?.status === 403) {
         setError('Access denied. You need admin privileges to view this data.');
       } else if (error.response?.status === 401) {
         setError('Authentication failed. Please log in again.');
@@ -214,6 +224,20 @@ const AdminDashboard = () => {
     }
   };
 
+  // Settings are stored as 'true' / 'false' strings
+  const toggleSetting = async (key) => {
+    const value = settings?.[key] === 'true' ? 'false' : 'true';
+    try {
+      setSavingSetting(key);
+      await AdminAPI.updateSystemSettings({ [key]: value });
+      setSettings(prev => ({ ...prev, [key]: value }));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to update setting');
+    } finally {
+      setSavingSetting(null);
+    }
+  };
+
   const StatCard = ({ title, value, icon, color = '#3b82f6' }) => (
     <div 
       style={{ 
@@ -473,6 +497,12 @@ const AdminDashboard = () => {
     },
     statusOffline: {
       color: '#6b7280'
+    },
+    settingToggle: {
+      background: 'none',
+      border: 'none',
+      cursor: 'pointer',
+      padding: 0
     }
   };
 
@@ -536,7 +566,7 @@ const AdminDashboard = () => {
           <br />
           <button 
             style={styles.retryButton}
-            onClick={fetchDashboardData}
+            onClick={() => fetchDashboardData(user?.role)}
             onMouseEnter={(e) => {
               e.currentTarget.style.backgroundColor = '#2563eb';
               e.currentTarget.style.transform = 'translateY(-2px)';
@@ -725,6 +755,25 @@ const AdminDashboard = () => {
                 ⚫ Disabled
               </span>
             </div>
+            {settings && [
+              ['require_2fa_admin', 'Require 2FA for Admins:'],
+              ['require_2fa_moderator', 'Require 2FA for Moderators:']
+            ].map(([key, label]) => (
+              <div key={key} style={styles.statusItem}>
+                <span style={styles.statusLabel}>{label}</span>
+                <button
+                  onClick={() => toggleSetting(key)}
+                  disabled={savingSetting === key}
+                  style={{
+                    ...styles.statusValue,
+                    ...styles.settingToggle,
+                    ...(settings[key] === 'true' ? styles.statusOnline : styles.statusOffline)
+                  }}
+                >
+                  {settings[key] === 'true' ? '🟢 Required' : '⚫ Optional'}
+                </button>
+              </div>
+            ))}
           </div>
         </div>
       </div>
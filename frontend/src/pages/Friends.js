@@ -1,7 +1,10 @@
 // frontend/src/pages/Friends.js - ALIGNED WITH DASHBOARD THEME AND ANIMATED BACKGROUND
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { friendsService } from '../services/friendsService';
-import { Users, UserPlus, UserCheck, UserX, User, Clock, Mail, Award, Trophy } from 'lucide-react';
+import { useChat } from '../contexts/ChatContext';
+import DirectMessages from '../components/chat/DirectMessages';
+import { Users, UserPlus, UserCheck, UserX, User, Clock, Mail, Award, Trophy, MessageSquare } from 'lucide-react';
 
 // Background symbols component with animations - MATCHING DASHBOARD
 const BackgroundSymbols = () => (
@@ -366,7 +369,11 @@ function Friends() {
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [activeTab, setActiveTab] = useState('friends');
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') === 'messages' ? 'messages' : 'friends');
+  // Friend whose conversation the Messages tab should open
+  const [messageContactId, setMessageContactId] = useState(null);
+  const { directUnreadTotal } = useChat();
   const [selectedFriend, setSelectedFriend] = useState(null);
   const [showProfileModal, setShowProfileModal] = useState(false);
 
@@ -582,6 +589,11 @@ const additionalStyles = {
   }
 };
 
+  const handleMessageFriend = (friend) => {
+    setMessageContactId(friend.id);
+    setActiveTab('messages');
+  };
+
   const closeProfileModal = () => {
     setShowProfileModal(false);
     setSelectedFriend(null);
@@ -639,6 +651,18 @@ const additionalStyles = {
               </div>
             </div>
           </div>
+          <button
+            style={styles.messageButton}
+            onClick={() => handleMessageFriend(friend)}
+            onMouseEnter={(e) => {
+              e.target.style.backgroundColor = '#2563eb';
+            }}
+            onMouseLeave={(e) => {
+              e.target.style.backgroundColor = '#3b82f6';
+            }}
+          >
+            Message
+          </button>
           <button
             style={styles.removeButton}
             onClick={() => handleRemoveFriend(friend.friendshipId, friend.full_name || friend.username)}
@@ -1055,6 +1079,17 @@ const additionalStyles = {
     requestDate: {
       color: '#f59e0b'
     },
+    messageButton: {
+      backgroundColor: '#3b82f6',
+      color: 'white',
+      border: 'none',
+      borderRadius: '8px',
+      padding: '10px 16px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer',
+      transition: 'all 0.3s ease'
+    },
     removeButton: {
       backgroundColor: '#dc3545',
       color: 'white',
@@ -1368,6 +1403,16 @@ const additionalStyles = {
           <Clock size={16} />
           Sent ({friendsData.counts.sentRequests})
         </button>
+        <button
+          style={{
+            ...styles.tab,
+            ...(activeTab === 'messages' ? styles.activeTab : {})
+          }}
+          onClick={() => setActiveTab('messages')}
+        >
+          <MessageSquare size={16} />
+          Messages{directUnreadTotal > 0 ? ` (${directUnreadTotal})` : ''}
+        </button>
       </div>
 
       <div style={styles.content}>
@@ -1408,6 +1453,14 @@ const additionalStyles = {
           </div>
         )}
 
+        {activeTab === 'messages' && (
+          <DirectMessages
+            friends={friendsData.friends}
+            contactId={messageContactId}
+            onContactOpened={() => setMessageContactId(null)}
+          />
+        )}
+
         {activeTab === 'sent' && (
           <div>
             {friendsData.sentRequests.length === 0 ? (
@@ -112,8 +112,12 @@ function Login() {
   const [validationErrors, setValidationErrors] = useState({});
   const [isFormValid, setIsFormValid] = useState(false);
   const [passwordError, setPasswordError] = useState('');
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorError, setTwoFactorError] = useState('');
 
-  const { login, register, loading, error, isAuthenticated, clearError } = useAuth();
+  const { login, verifyTwoFactor, register, loading, error, isAuthenticated, clearError } = useAuth();
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -288,6 +292,12 @@ function Login() {
     }
     
     const result = await login(formData);
+    if (result?.twoFactorRequired) {
+      setTwoFactorChallenge(result.challengeToken);
+      setTwoFactorCode('');
+      setTwoFactorError('');
+      return;
+    }
     if (result && result.success) {
       if (result.data?.user?.needsOnboarding) {
         navigate('/onboarding');
@@ -297,6 +307,33 @@ function Login() {
     }
   };
 
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setTwoFactorError('');
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setTwoFactorError('');
+
+    const value = twoFactorCode.trim();
+    const result = await verifyTwoFactor(
+      twoFactorChallenge,
+      useRecoveryCode ? { recoveryCode: value } : { code: value.replace(/\s/g, '') }
+    );
+
+    if (result.success) {
+      navigate(result.data?.user?.needsOnboarding ? '/onboarding' : '/');
+    } else if (result.expired) {
+      cancelTwoFactor();
+      setPasswordError(result.message);
+    } else {
+      setTwoFactorError(result.message);
+    }
+  };
+
   const handleRegisterSubmit = async (e) => {
     e.preventDefault();
     
@@ -891,79 +928,138 @@ function Login() {
           <h2 style={{
             ...styles.title,
             marginBottom: '1rem'
-          }}>Sign In with TechSync</h2>
+          }}>{twoFactorChallenge ? 'Two-Factor Verification' : 'Sign In with TechSync'}</h2>
           
           {error && <div style={styles.error}>{error}</div>}
           {validationErrors.form && <div style={styles.error}>{validationErrors.form}</div>}
           
-          <form onSubmit={handleLoginSubmit}>
-            <div style={{ marginBottom: '0.75rem' }}>
-              <label style={styles.label}>Username or Email</label>
-              <input
-                type="text"
-                name="identifier"
-                placeholder="Enter your username or email"
-                value={formData.identifier}
-                onChange={handleLoginChange}
-                style={styles.input}
-                className="login-input"
-                required
-              />
-              <div style={styles.helpText}>
-                You can use either your username or email to login
+          {twoFactorChallenge ? (
+            <form onSubmit={handleTwoFactorSubmit}>
+              <div style={{ marginBottom: '0.75rem' }}>
+                <label style={styles.label}>
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </label>
+                <input
+                  type="text"
+                  name="twoFactorCode"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  style={styles.input}
+                  className="login-input"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                />
+                <div style={styles.helpText}>
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when enabling two-factor authentication'
+                    : 'Enter the 6-digit code from your authenticator app'}
+                </div>
+                {twoFactorError && <div style={styles.passwordError}>{twoFactorError}</div>}
               </div>
-            </div>
-            
-            <div style={{ marginBottom: '0.75rem' }}>
-              <label style={styles.label}>Password</label>
-              <div style={styles.passwordContainer}>
+
+              <button
+                type="submit"
+                disabled={loading || !twoFactorCode.trim()}
+                className="login-button"
+                style={{
+                  ...styles.button,
+                  ...(loading || !twoFactorCode.trim() ? styles.buttonDisabled : {})
+                }}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <div style={{ ...styles.switchText, marginTop: '1rem' }}>
+                <span
+                  style={styles.link}
+                  className="switch-link"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                    setTwoFactorError('');
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+                </span>
+                {' · '}
+                <span style={styles.link} className="switch-link" onClick={cancelTwoFactor}>
+                  Back to login
+                </span>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleLoginSubmit}>
+              <div style={{ marginBottom: '0.75rem' }}>
+                <label style={styles.label}>Username or Email</label>
                 <input
-                  type={showPassword ? "text" : "password"}
-                  name="password"
-                  placeholder="Enter your password"
-                  value={formData.password}
+                  type="text"
+                  name="identifier"
+                  placeholder="Enter your username or email"
+                  value={formData.identifier}
                   onChange={handleLoginChange}
-                  style={styles.passwordInput}
-                  className="password-input"
+                  style={styles.input}
+                  className="login-input"
                   required
                 />
-                <button
-                  type="button"
-                  style={styles.eyeToggle}
-                  className="eye-toggle"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <Eye size={20} />
-                  ) : (
-                    <EyeOff size={20} />
-                  )}
-                </button>
+                <div style={styles.helpText}>
+                  You can use either your username or email to login
+                </div>
               </div>
-              {passwordError && (
-                <div style={styles.passwordError}>
-                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <circle cx="12" cy="12" r="10"/>
-                    <line x1="15" y1="9" x2="9" y2="15"/>
-                    <line x1="9" y1="9" x2="15" y2="15"/>
-                  </svg>
-                  {passwordError}
+            
+              <div style={{ marginBottom: '0.75rem' }}>
+                <label style={styles.label}>Password</label>
+                <div style={styles.passwordContainer}>
+                  <input
+                    type={showPassword ? "text" : "password"}
+                    name="password"
+                    placeholder="Enter your password"
+                    value={formData.password}
+                    onChange={handleLoginChange}
+                    style={styles.passwordInput}
+                    className="password-input"
+                    required
+                  />
+                  <button
+                    type="button"
+                    style={styles.eyeToggle}
+                    className="eye-toggle"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <Eye size={20} />
+                    ) : (
+                      <EyeOff size={20} />
+                    )}
+                  </button>
                 </div>
-              )}
-            </div>
+                {passwordError && (
+                  <div style={styles.passwordError}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <circle cx="12" cy="12" r="10"/>
+                      <line x1="15" y1="9" x2="9" y2="15"/>
+                      <line x1="9" y1="9" x2="15" y2="15"/>
+                    </svg>
+                    {passwordError}
+                  </div>
+                )}
+              </div>
             
-            <button 
-              type="submit"
-              disabled={loading}
-              className="login-button"
-              style={{
-                ...styles.button,
-                ...(loading ? styles.buttonDisabled : {})
-              }}
-            >
-              {loading ? 'Signing in...' : 'Login'}
-            </button>
-          </form>
+              <button 
+                type="submit"
+                disabled={loading}
+                className="login-button"
+                style={{
+                  ...styles.button,
+                  ...(loading ? styles.buttonDisabled : {})
+                }}
+              >
+                {loading ? 'Signing in...' : 'Login'}
+              </button>
+            </form>
+          )}
           <div style={{
             display: 'flex',
             justifyContent: 'flex-end',
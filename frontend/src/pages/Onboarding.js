@@ -63,7 +63,7 @@ const IsolatedAnimatedBackground = React.memo(() => (
 ));
 
 function Onboarding() {
-  const { user, token, updateUser, refreshUser } = useAuth();
+  const { user, token, updateUser, refreshUser, logout } = useAuth();
   const navigate = useNavigate();
 
   const [currentStep, setCurrentStep] = useState(1);
@@ -751,9 +751,9 @@ function Onboarding() {
         zIndex: 50
       }}>
         <button
-          onClick={() => {
+          onClick={async () => {
             if (window.confirm('This will log you out. Are you sure you want to go back to login?')) {
-              localStorage.removeItem('token');
+              await logout();
               localStorage.removeItem('user');
               window.location.href = '/login';
             }
@@ -4,6 +4,9 @@ import { useAuth } from '../contexts/AuthContext';
 import { authService } from '../services/authService';
 import { projectService } from '../services/projectService';
 import AwardsDisplay from '../components/AwardsDisplay';
+import NotificationPreferences from '../components/Notifications/NotificationPreferences';
+import ActiveSessions from '../components/Sessions/ActiveSessions';
+import TwoFactorSettings from '../components/Security/TwoFactorSettings';
 import { User, Settings, Shield, Calendar, Target, Users, Eye, EyeOff, SquarePen, Award } from 'lucide-react';
 
 // Background symbols component with animations
@@ -766,6 +769,12 @@ function Profile() {
               </>
             )}
           </div>
+
+          <TwoFactorSettings onNotify={showNotification} />
+
+          <ActiveSessions onNotify={showNotification} />
+
+          <NotificationPreferences onNotify={showNotification} />
         </div>
 
         <div style={styles.sidebar}>
@@ -1,15 +1,46 @@
-// frontend/src/pages/ProjectJoinPage.js - UPDATED FOR CHALLENGE FLOW
-import React from 'react';
+// frontend/src/pages/ProjectJoinPage.js - UPDATED FOR CHALLENGE FLOW AND INVITE LINKS
+import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import ProjectChallengeInterface from '../components/ProjectChallengeInterface';
+import { projectService } from '../services/projectService';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 const ProjectJoinPage = () => {
   const { projectId, inviteCode } = useParams(); // Handle both projectId and inviteCode
   const navigate = useNavigate();
   const location = useLocation();
 
+  // Older links put the project ID where the invite code now goes
+  const isLegacyProjectLink = !projectId && UUID_PATTERN.test(inviteCode || '');
+  const isInviteLink = !!inviteCode && !isLegacyProjectLink;
+
+  const [invite, setInvite] = useState(null);
+  const [inviteLoading, setInviteLoading] = useState(isInviteLink);
+  const [inviteError, setInviteError] = useState(null);
+  const [joining, setJoining] = useState(false);
+  const [showChallenge, setShowChallenge] = useState(!isInviteLink);
+
   // Determine the actual project ID
-  const actualProjectId = projectId || inviteCode;
+  const actualProjectId = projectId || (isInviteLink ? invite?.project?.id : inviteCode);
+
+  useEffect(() => {
+    if (!isInviteLink) return;
+
+    const loadInvite = async () => {
+      try {
+        setInviteLoading(true);
+        const response = await projectService.getInvite(inviteCode);
+        setInvite(response.data);
+      } catch (error) {
+        setInviteError(error.response?.data?.message || 'This invite link is not valid');
+      } finally {
+        setInviteLoading(false);
+      }
+    };
+
+    loadInvite();
+  }, [inviteCode, isInviteLink]);
 
   const handleClose = () => {
     // Navigate back to dashboard or projects page
@@ -24,7 +55,7 @@ const ProjectJoinPage = () => {
 
   const handleSuccess = (result) => {
     console.log('🎉 Challenge completed successfully:', result);
-    
+
     if (result.projectJoined) {
       // User successfully joined the project via challenge
       // Navigate to the project dashboard
@@ -46,16 +77,144 @@ const ProjectJoinPage = () => {
     // Don't automatically navigate away, let user decide
   };
 
+  const handleAcceptInvite = async () => {
+    try {
+      setJoining(true);
+      setInviteError(null);
+      const response = await projectService.redeemInvite(inviteCode);
+
+      if (response.data.projectJoined) {
+        navigate(`/project/${response.data.projectId}/dashboard`);
+      } else if (response.data.requiresChallenge) {
+        setShowChallenge(true);
+      }
+    } catch (error) {
+      setInviteError(error.response?.data?.message || 'Failed to join project');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  if (showChallenge && actualProjectId) {
+    return (
+      <div>
+        <ProjectChallengeInterface
+          projectId={actualProjectId}
+          inviteCode={isInviteLink ? inviteCode : undefined}
+          onClose={handleClose}
+          onSuccess={handleSuccess}
+          onFailure={handleFailure}
+        />
+      </div>
+    );
+  }
+
+  const styles = {
+    container: {
+      minHeight: '100vh',
+      backgroundColor: '#0F1116',
+      color: 'white',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '20px',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+    },
+    card: {
+      width: '100%',
+      maxWidth: '480px',
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '32px',
+      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)'
+    },
+    title: { fontSize: '24px', fontWeight: 'bold', margin: '0 0 8px 0' },
+    text: { color: '#d1d5db', fontSize: '15px', lineHeight: '1.6', margin: '0 0 16px 0' },
+    meta: { color: '#9ca3af', fontSize: '13px', margin: '0 0 6px 0' },
+    error: {
+      color: '#fca5a5',
+      background: 'rgba(239, 68, 68, 0.15)',
+      border: '1px solid rgba(239, 68, 68, 0.3)',
+      borderRadius: '8px',
+      padding: '12px',
+      margin: '0 0 16px 0'
+    },
+    actions: { display: 'flex', gap: '12px', marginTop: '24px' },
+    primaryButton: {
+      flex: 1,
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white',
+      border: 'none',
+      padding: '12px 20px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    secondaryButton: {
+      flex: 1,
+      background: 'transparent',
+      color: '#d1d5db',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      padding: '12px 20px',
+      borderRadius: '8px',
+      fontSize: '14px',
+      cursor: 'pointer'
+    }
+  };
+
   return (
-    <div>
-      <ProjectChallengeInterface 
-        projectId={actualProjectId} 
-        onClose={handleClose}
-        onSuccess={handleSuccess}
-        onFailure={handleFailure}
-      />
+    <div style={styles.container}>
+      <div style={styles.card}>
+        {inviteLoading && <p style={styles.text}>Checking invite link...</p>}
+
+        {!inviteLoading && !invite && (
+          <>
+            <h1 style={styles.title}>Invite unavailable</h1>
+            <div style={styles.error}>{inviteError || 'This invite link is not valid'}</div>
+            <div style={styles.actions}>
+              <button style={styles.secondaryButton} onClick={handleClose}>Back</button>
+            </div>
+          </>
+        )}
+
+        {!inviteLoading && invite && (
+          <>
+            <h1 style={styles.title}>Join {invite.project.title}</h1>
+            {invite.project.description && <p style={styles.text}>{invite.project.description}</p>}
+            <p style={styles.meta}>Role: <strong style={{ color: 'white', textTransform: 'capitalize' }}>{invite.role}</strong></p>
+            {invite.expiresAt && (
+              <p style={styles.meta}>Link expires {new Date(invite.expiresAt).toLocaleString()}</p>
+            )}
+            <p style={styles.meta}>
+              {invite.skipChallenge
+                ? 'This invite lets you join right away.'
+                : 'You will need to pass the project challenge to join.'}
+            </p>
+
+            {inviteError && <div style={{ ...styles.error, marginTop: '16px' }}>{inviteError}</div>}
+
+            <div style={styles.actions}>
+              <button style={styles.secondaryButton} onClick={handleClose}>Cancel</button>
+              {invite.alreadyMember ? (
+                <button
+                  style={styles.primaryButton}
+                  onClick={() => navigate(`/project/${invite.project.id}/dashboard`)}
+                >
+                  Open Project
+                </button>
+              ) : (
+                <button style={styles.primaryButton} onClick={handleAcceptInvite} disabled={joining}>
+                  {joining ? 'Joining...' : invite.skipChallenge ? 'Join Project' : 'Start Challenge'}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
     </div>
   );
 };
 
-export default ProjectJoinPage;
\ No newline at end of file
+export default ProjectJoinPage;
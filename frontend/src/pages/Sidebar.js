@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useChat } from '../contexts/ChatContext';
 import { 
   Home, 
   FolderOpen, 
@@ -20,6 +21,7 @@ function Sidebar() {
   const navigate = useNavigate();
   const location = useLocation();
   const { user, logout } = useAuth();
+  const { directUnreadTotal } = useChat();
   const [showUserMenu, setShowUserMenu] = useState(false);
   
   // NEW STATE: For sidebar collapse functionality
@@ -39,7 +41,7 @@ function Sidebar() {
   const mainNavItems = [
     { id: 'home', label: 'Home', path: '/', icon: Home },
     { id: 'projects', label: 'Projects', path: '/projects', icon: FolderOpen },
-    { id: 'friends', label: 'Friends', path: '/friends', icon: Users },
+    { id: 'friends', label: 'Friends', path: '/friends', icon: Users, badge: directUnreadTotal },
     { id: 'learns', label: 'Learns', path: '/learns', icon: BookOpen }
   ];
 
@@ -420,6 +422,27 @@ function Sidebar() {
       opacity: isCollapsed ? 0 : 1, // Hide badge when collapsed
       transition: 'opacity 0.3s ease'
     },
+    // Unread direct messages: a pill next to the label, or a dot on the icon when collapsed
+    unreadBadge: isCollapsed ? {
+      position: 'absolute',
+      top: '8px',
+      right: '8px',
+      width: '8px',
+      height: '8px',
+      borderRadius: '50%',
+      backgroundColor: '#3b82f6'
+    } : {
+      marginLeft: 'auto',
+      minWidth: '20px',
+      fontSize: '11px',
+      fontWeight: 'bold',
+      textAlign: 'center',
+      backgroundColor: '#3b82f6',
+      color: 'white',
+      padding: '2px 6px',
+      borderRadius: '10px',
+      boxSizing: 'border-box'
+    },
     // NEW: Tooltip styles for collapsed state
     tooltip: {
       position: 'absolute',
@@ -495,6 +518,11 @@ function Sidebar() {
       >
         <IconComponent size={20} style={styles.icon} />
         <span style={styles.label}>{item.label}</span>
+        {item.badge > 0 && (
+          <span style={styles.unreadBadge} title={`${item.badge} unread messages`}>
+            {!isCollapsed && (item.badge > 99 ? '99+' : item.badge)}
+          </span>
+        )}
         {user?.role === 'admin' && item.id === 'admin' && (
           <span style={styles.adminBadge}>
             ADMIN
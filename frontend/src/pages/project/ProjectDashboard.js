@@ -3,6 +3,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { projectService } from '../../services/projectService';
 import { taskService } from '../../services/taskService';
+import { githubService } from '../../services/githubService';
 import { useAuth } from '../../contexts/AuthContext';
 
 // Background symbols component - WITH FLOATING ANIMATIONS
@@ -425,6 +426,9 @@ function ProjectDashboard() {
   const [members, setMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingActivity, setLoadingActivity] = useState(true);
+  const [insights, setInsights] = useState(null);
+  const [loadingInsights, setLoadingInsights] = useState(true);
+  const [insightsError, setInsightsError] = useState('');
 
   // Fetch all dashboard data
   const fetchDashboardData = useCallback(async () => {
@@ -540,10 +544,31 @@ function ProjectDashboard() {
     }
   }, [members, user]);
 
+  // Repository activity next to task throughput; a 404 just means no repository is connected
+  const fetchInsights = useCallback(async (refresh = false) => {
+    try {
+      setLoadingInsights(true);
+      setInsightsError('');
+      const response = await githubService.getRepositoryInsights(projectId, refresh ? { refresh: true } : {});
+      setInsights(response.data);
+    } catch (error) {
+      setInsights(null);
+      if (error.response?.status !== 404) {
+        setInsightsError(error.response?.data?.message || 'Could not load repository insights');
+      }
+    } finally {
+      setLoadingInsights(false);
+    }
+  }, [projectId]);
+
   useEffect(() => {
     fetchDashboardData();
   }, [fetchDashboardData]);
 
+  useEffect(() => {
+    fetchInsights();
+  }, [fetchInsights]);
+
   useEffect(() => {
     if (members.length > 0) {
       fetchMemberActivity();
@@ -584,6 +609,15 @@ function ProjectDashboard() {
     }
   };
 
+  const formatWeek = (week) =>
+    new Date(`${week}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  const getPullRequestAgeColor = (days) => {
+    if (days >= 14) return '#ef4444';
+    if (days >= 7) return '#f59e0b';
+    return '#10b981';
+  };
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'urgent': return '#dc3545';
@@ -690,6 +724,118 @@ function ProjectDashboard() {
       gap: '30px',
       marginBottom: '30px'
     },
+    insightsSection: {
+      position: 'relative',
+      zIndex: 10,
+      marginBottom: '30px'
+    },
+    insightsHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '20px'
+    },
+    refreshButton: {
+      background: 'rgba(255, 255, 255, 0.05)',
+      border: '1px solid rgba(255, 255, 255, 0.15)',
+      color: '#d1d5db',
+      padding: '6px 14px',
+      borderRadius: '8px',
+      fontSize: '13px',
+      cursor: 'pointer'
+    },
+    chart: {
+      display: 'flex',
+      alignItems: 'flex-end',
+      gap: '12px',
+      height: '160px',
+      padding: '10px 0',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+    },
+    chartWeek: {
+      flex: 1,
+      display: 'flex',
+      alignItems: 'flex-end',
+      justifyContent: 'center',
+      gap: '4px',
+      height: '100%'
+    },
+    chartBar: {
+      width: '40%',
+      maxWidth: '22px',
+      borderRadius: '4px 4px 0 0',
+      minHeight: '2px',
+      transition: 'height 0.3s ease'
+    },
+    chartLabels: {
+      display: 'flex',
+      gap: '12px',
+      marginTop: '8px'
+    },
+    chartLabel: {
+      flex: 1,
+      textAlign: 'center',
+      fontSize: '11px',
+      color: '#9ca3af'
+    },
+    chartLegend: {
+      display: 'flex',
+      gap: '20px',
+      marginTop: '12px',
+      fontSize: '13px',
+      color: '#d1d5db'
+    },
+    legendSwatch: {
+      display: 'inline-block',
+      width: '10px',
+      height: '10px',
+      borderRadius: '2px',
+      marginRight: '6px'
+    },
+    insightsGrid: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))',
+      gap: '20px',
+      marginTop: '24px'
+    },
+    insightsSubtitle: {
+      color: '#d1d5db',
+      fontSize: '14px',
+      fontWeight: '600',
+      marginBottom: '12px'
+    },
+    insightsRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '8px 0',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+      fontSize: '13px',
+      color: '#e5e7eb'
+    },
+    insightsMuted: {
+      color: '#9ca3af',
+      fontSize: '12px'
+    },
+    insightsLink: {
+      color: '#e5e7eb',
+      textDecoration: 'none',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    },
+    sparkline: {
+      display: 'flex',
+      alignItems: 'flex-end',
+      gap: '2px',
+      height: '20px'
+    },
+    sparklineBar: {
+      width: '5px',
+      backgroundColor: '#3b82f6',
+      borderRadius: '1px'
+    },
     announcementsSection: {
       position: 'relative',
       zIndex: 10,
@@ -861,6 +1007,16 @@ function ProjectDashboard() {
     );
   }
 
+  // Commits and completed tasks share one scale so the weeks compare directly
+  const chartMax = insights ? Math.max(
+    1,
+    ...insights.commitsPerWeek.map(entry => entry.commits),
+    ...insights.taskThroughput.map(entry => entry.completed)
+  ) : 1;
+  const memberMax = insights
+    ? Math.max(1, ...insights.commitsByMember.flatMap(member => member.weeks.map(entry => entry.commits)))
+    : 1;
+
   if (!project) {
     return (
       <div style={styles.container}>
@@ -931,6 +1087,125 @@ function ProjectDashboard() {
         </div>
       </div>
 
+      {/* Repository Insights */}
+      {(insights || insightsError) && (
+        <div style={styles.insightsSection}>
+          <div style={styles.card}>
+            <div style={styles.insightsHeader}>
+              <h3 style={{ ...styles.cardTitle, marginBottom: 0 }}>
+                💻 Code & Task Activity
+                {insights && <span style={styles.insightsMuted}>{insights.repository}</span>}
+              </h3>
+              <button
+                style={styles.refreshButton}
+                onClick={() => fetchInsights(true)}
+                disabled={loadingInsights}
+              >
+                {loadingInsights ? 'Loading...' : 'Refresh'}
+              </button>
+            </div>
+
+            {insightsError ? (
+              <div style={styles.emptyState}>{insightsError}</div>
+            ) : (
+              <>
+                <div style={styles.chart}>
+                  {insights.weeks.map((week, index) => (
+                    <div key={week} style={styles.chartWeek}>
+                      <div
+                        title={`${insights.commitsPerWeek[index].commits} commits`}
+                        style={{
+                          ...styles.chartBar,
+                          backgroundColor: '#3b82f6',
+                          height: `${(insights.commitsPerWeek[index].commits / chartMax) * 100}%`
+                        }}
+                      />
+                      <div
+                        title={`${insights.taskThroughput[index].completed} tasks completed`}
+                        style={{
+                          ...styles.chartBar,
+                          backgroundColor: '#10b981',
+                          height: `${(insights.taskThroughput[index].completed / chartMax) * 100}%`
+                        }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div style={styles.chartLabels}>
+                  {insights.weeks.map(week => (
+                    <span key={week} style={styles.chartLabel}>{formatWeek(week)}</span>
+                  ))}
+                </div>
+                <div style={styles.chartLegend}>
+                  <span><span style={{ ...styles.legendSwatch, backgroundColor: '#3b82f6' }} />Commits</span>
+                  <span><span style={{ ...styles.legendSwatch, backgroundColor: '#10b981' }} />Tasks completed</span>
+                </div>
+
+                <div style={styles.insightsGrid}>
+                  <div>
+                    <div style={styles.insightsSubtitle}>Commits by member</div>
+                    {insights.commitsByMember.length === 0 ? (
+                      <div style={styles.insightsMuted}>No commits in this period</div>
+                    ) : insights.commitsByMember.map(member => (
+                      <div key={member.userId || member.githubLogin || member.name} style={styles.insightsRow}>
+                        <span>
+                          {member.name}
+                          {!member.userId && <span style={styles.insightsMuted}> (not a member)</span>}
+                        </span>
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                          <span style={styles.sparkline}>
+                            {member.weeks.map(entry => (
+                              <span
+                                key={entry.week}
+                                style={{ ...styles.sparklineBar, height: `${Math.max(1, (entry.commits / memberMax) * 20)}px` }}
+                              />
+                            ))}
+                          </span>
+                          <strong>{member.total}</strong>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div>
+                    <div style={styles.insightsSubtitle}>
+                      Active branches ({insights.branches.active.length} of {insights.branches.total})
+                    </div>
+                    {insights.branches.active.length === 0 ? (
+                      <div style={styles.insightsMuted}>No branch had commits in this period</div>
+                    ) : insights.branches.active.slice(0, 8).map(branch => (
+                      <div key={branch.name} style={styles.insightsRow}>
+                        <span style={styles.insightsLink}>🌿 {branch.name}</span>
+                        <span style={styles.insightsMuted}>{formatTimeAgo(branch.lastCommitAt)}</span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div>
+                    <div style={styles.insightsSubtitle}>
+                      Open pull requests ({insights.pullRequests.open}
+                      {insights.pullRequests.open > 0 && `, avg ${insights.pullRequests.averageAgeDays}d old`})
+                    </div>
+                    {insights.pullRequests.items.length === 0 ? (
+                      <div style={styles.insightsMuted}>No open pull requests</div>
+                    ) : insights.pullRequests.items.slice(0, 8).map(pullRequest => (
+                      <div key={pullRequest.number} style={styles.insightsRow}>
+                        <a href={pullRequest.url} target="_blank" rel="noopener noreferrer" style={styles.insightsLink}>
+                          #{pullRequest.number} {pullRequest.title}
+                        </a>
+                        <span style={{ color: getPullRequestAgeColor(pullRequest.ageDays), whiteSpace: 'nowrap' }}>
+                          {pullRequest.ageDays}d
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Announcements */}
       <div style={styles.announcementsSection}>
         <div style={styles.card}>
@@ -3,6 +3,9 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { githubService } from '../../services/githubService';
 
+// Below this many GitHub requests left, warn before browsing runs the quota out
+const LOW_RATE_LIMIT = 100;
+
 // Background symbols component - WITH FLOATING ANIMATIONS
 const BackgroundSymbols = () => (
   <>
@@ -405,13 +408,25 @@ function ProjectFiles() {
   const [showRepositorySelector, setShowRepositorySelector] = useState(false);
   const [loadingRepositories, setLoadingRepositories] = useState(false);
   const [loadingContents, setLoadingContents] = useState(false);
+  const [reconnectMessage, setReconnectMessage] = useState('');
+  const [issueSync, setIssueSync] = useState(null);
+  const [issueSyncAudit, setIssueSyncAudit] = useState([]);
+  const [savingIssueSync, setSavingIssueSync] = useState(false);
+  const [issueSyncMessage, setIssueSyncMessage] = useState('');
+  const [rateLimit, setRateLimit] = useState(githubService.getRateLimit());
+
+  useEffect(() => githubService.onRateLimitChange(setRateLimit), []);
 
   // Check GitHub connection status
   const checkGitHubConnection = useCallback(async () => {
     try {
       setLoading(true);
       const userResponse = await githubService.getGitHubUser();
-      if (userResponse.success) {
+      if (userResponse.success && userResponse.data.reconnect_required) {
+        setIsGitHubConnected(false);
+        setGitHubUser(null);
+        setReconnectMessage('Your GitHub authorization has expired or was revoked. Please reconnect your GitHub account.');
+      } else if (userResponse.success) {
         setIsGitHubConnected(true);
         setGitHubUser(userResponse.data);
       }
@@ -423,6 +438,43 @@ function ProjectFiles() {
     }
   }, []);
 
+  // Returns true when the error means the GitHub connection must be renewed
+  const handleReconnectError = useCallback((error) => {
+    if (!githubService.needsReconnect(error)) return false;
+    setIsGitHubConnected(false);
+    setGitHubUser(null);
+    setReconnectMessage(error.response.data.message);
+    return true;
+  }, []);
+
+  const loadRepositoryContents = useCallback(async (repositoryFullName, branch = 'main', path = '') => {
+    try {
+      setLoadingContents(true);
+      const [owner, repo] = repositoryFullName.split('/');
+      const response = await githubService.getRepositoryContents(owner, repo, path, branch);
+      if (response.success) {
+        const contents = Array.isArray(response.data) ? response.data : [response.data];
+        setFileContents(contents);
+        setCurrentPath(path);
+        setError('');
+      }
+    } catch (error) {
+      console.error('Repository access error:', error);
+      // Keep showing what was loaded; the rate limit banner explains the wait
+      if (githubService.isRateLimitError(error)) return;
+      if (handleReconnectError(error)) {
+        setError('');
+      } else if (error.response?.status === 404) {
+        setError('access_denied');
+      } else {
+        setError('Failed to load repository contents');
+      }
+      setFileContents([]);
+    } finally {
+      setLoadingContents(false);
+    }
+  }, [handleReconnectError]);
+
   const checkProjectRepository = useCallback(async () => {
     try {
       const response = await githubService.getProjectRepository(projectId);
@@ -439,13 +491,36 @@ function ProjectFiles() {
     } catch (error) {
       setProjectRepository(null);
     }
-  }, [projectId]);
+  }, [projectId, loadRepositoryContents]);
 
   useEffect(() => {
     checkGitHubConnection();
     checkProjectRepository();
   }, [checkGitHubConnection, checkProjectRepository]);
 
+  const loadIssueSync = useCallback(async () => {
+    try {
+      const [statusResponse, auditResponse] = await Promise.all([
+        githubService.getIssueSync(projectId),
+        githubService.getIssueSyncAudit(projectId, { limit: 20 })
+      ]);
+      if (statusResponse.success) setIssueSync(statusResponse.data);
+      if (auditResponse.success) setIssueSyncAudit(auditResponse.data);
+    } catch (error) {
+      setIssueSync(null);
+      setIssueSyncAudit([]);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (projectRepository) {
+      loadIssueSync();
+    } else {
+      setIssueSync(null);
+      setIssueSyncAudit([]);
+    }
+  }, [projectRepository, loadIssueSync]);
+
   const handleGitHubConnect = async () => {
     try {
       const response = await githubService.getOAuthURL();
@@ -481,6 +556,7 @@ function ProjectFiles() {
         setShowRepositorySelector(true);
       }
     } catch (error) {
+      if (handleReconnectError(error)) return;
       setError('Failed to load repositories');
     } finally {
       setLoadingRepositories(false);
@@ -502,6 +578,7 @@ function ProjectFiles() {
         await loadBranches(repository.full_name);
       }
     } catch (error) {
+      if (handleReconnectError(error)) return;
       setError('Failed to connect repository to project');
     }
   };
@@ -519,30 +596,33 @@ function ProjectFiles() {
     }
   };
 
-  const loadRepositoryContents = async (repositoryFullName, branch = 'main', path = '') => {
+  const toggleIssueSync = async () => {
     try {
-      setLoadingContents(true);
-      const [owner, repo] = repositoryFullName.split('/');
-      const response = await githubService.getRepositoryContents(owner, repo, path, branch);
+      setSavingIssueSync(true);
+      setIssueSyncMessage('');
+      const response = await githubService.setIssueSync(projectId, !issueSync?.enabled);
       if (response.success) {
-        const contents = Array.isArray(response.data) ? response.data : [response.data];
-        setFileContents(contents);
-        setCurrentPath(path);
-        setError('');
+        setIssueSyncMessage(response.message);
+        await loadIssueSync();
       }
     } catch (error) {
-      console.error('Repository access error:', error);
-      if (error.response?.status === 404) {
-        setError('access_denied');
-      } else {
-        setError('Failed to load repository contents');
-      }
-      setFileContents([]);
+      if (handleReconnectError(error)) return;
+      setIssueSyncMessage(error.response?.data?.message || 'Failed to update issue sync');
     } finally {
-      setLoadingContents(false);
+      setSavingIssueSync(false);
     }
   };
 
+  const describeSyncEntry = (entry) => {
+    const target = entry.issue_number ? `issue #${entry.issue_number}` : 'repository';
+    const fields = Object.keys(entry.changes || {});
+    const direction = entry.direction === 'task_to_github' ? 'Task → GitHub' : 'GitHub → Task';
+    let summary = `${direction}: ${entry.action.replace(/_/g, ' ')} (${target})`;
+    if (fields.length > 0) summary += ` · ${fields.join(', ')}`;
+    if (entry.winner) summary += ` · ${entry.winner === 'task' ? 'task' : 'GitHub'} edit kept`;
+    return summary;
+  };
+
   const loadBranches = async (repositoryFullName) => {
     try {
       const [owner, repo] = repositoryFullName.split('/');
@@ -556,6 +636,9 @@ function ProjectFiles() {
   };
 
   const handleFileClick = async (file) => {
+    // Out of GitHub quota: the banner says when browsing works again
+    if (githubService.isRateLimited()) return;
+
     if (file.type === 'dir') {
       await loadRepositoryContents(projectRepository.repository_full_name, currentBranch, file.path);
     } else if (file.type === 'file') {
@@ -578,6 +661,7 @@ function ProjectFiles() {
         setFileContent(response.data.content);
       }
     } catch (error) {
+      if (handleReconnectError(error) || githubService.isRateLimitError(error)) return;
       setError('Failed to load file content');
     }
   };
@@ -911,6 +995,17 @@ function ProjectFiles() {
       marginBottom: '24px',
       backdropFilter: 'blur(10px)'
     },
+    rateLimitWarning: {
+      position: 'relative',
+      zIndex: 10,
+      background: 'linear-gradient(135deg, rgba(251, 191, 36, 0.15), rgba(245, 158, 11, 0.1))',
+      border: '1px solid rgba(251, 191, 36, 0.3)',
+      color: '#fcd34d',
+      padding: '16px 20px',
+      borderRadius: '12px',
+      marginBottom: '24px',
+      backdropFilter: 'blur(10px)'
+    },
     accessDeniedSection: {
       position: 'relative',
       zIndex: 10,
@@ -954,6 +1049,58 @@ function ProjectFiles() {
     repoFullName: {
       fontWeight: '600',
       color: '#3b82f6'
+    },
+    issueSyncPanel: {
+      marginBottom: '20px',
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '12px',
+      backdropFilter: 'blur(20px)'
+    },
+    issueSyncHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '16px'
+    },
+    issueSyncTitle: {
+      color: 'white',
+      fontWeight: '600',
+      fontSize: '16px',
+      marginBottom: '4px'
+    },
+    issueSyncText: {
+      color: '#9ca3af',
+      fontSize: '13px',
+      lineHeight: '1.5'
+    },
+    issueSyncMessage: {
+      marginTop: '12px',
+      color: '#d1d5db',
+      fontSize: '13px'
+    },
+    syncAuditList: {
+      marginTop: '16px',
+      borderTop: '1px solid rgba(255, 255, 255, 0.05)',
+      paddingTop: '12px',
+      maxHeight: '220px',
+      overflowY: 'auto'
+    },
+    syncAuditItem: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '12px',
+      padding: '6px 0',
+      fontSize: '13px',
+      color: '#d1d5db'
+    },
+    syncAuditFailed: {
+      color: '#fca5a5'
+    },
+    syncAuditTime: {
+      color: '#6b7280',
+      whiteSpace: 'nowrap'
     }
   };
 
@@ -994,6 +1141,14 @@ function ProjectFiles() {
         <p style={styles.subtitle}>Project files and GitHub repository integration</p>
       </div>
 
+      {rateLimit && rateLimit.remaining < LOW_RATE_LIMIT && (
+        <div style={rateLimit.remaining === 0 ? styles.errorState : styles.rateLimitWarning}>
+          {rateLimit.remaining === 0
+            ? `GitHub's rate limit was reached. Browsing resumes at ${new Date(rateLimit.resetAt).toLocaleTimeString()}.`
+            : `Only ${rateLimit.remaining} GitHub requests left until ${new Date(rateLimit.resetAt).toLocaleTimeString()}. Recently viewed folders still load from cache.`}
+        </div>
+      )}
+
       {error && error !== 'access_denied' && (
         <div style={styles.errorState}>
           {error}
@@ -1032,8 +1187,10 @@ function ProjectFiles() {
 
       {!isGitHubConnected ? (
         <div style={styles.connectSection}>
-          <h2 style={styles.connectTitle}>Connect Your GitHub Account</h2>
-          <p style={styles.connectText}>Connect your GitHub account to browse and manage repository files directly in your project workspace.</p>
+          <h2 style={styles.connectTitle}>{reconnectMessage ? 'Reconnect Your GitHub Account' : 'Connect Your GitHub Account'}</h2>
+          <p style={styles.connectText}>
+            {reconnectMessage || 'Connect your GitHub account to browse and manage repository files directly in your project workspace.'}
+          </p>
           <button 
             style={styles.connectButton} 
             onClick={handleGitHubConnect}
@@ -1047,7 +1204,7 @@ function ProjectFiles() {
             }}
           >
             <span>📚</span>
-            Connect GitHub
+            {reconnectMessage ? 'Reconnect GitHub' : 'Connect GitHub'}
           </button>
         </div>
       ) : (
@@ -1176,6 +1333,52 @@ function ProjectFiles() {
                 </button>
               </div>
 
+              {issueSync && (
+                <div style={styles.issueSyncPanel}>
+                  <div style={styles.issueSyncHeader}>
+                    <div>
+                      <div style={styles.issueSyncTitle}>
+                        🔄 Issue Sync {issueSync.enabled ? 'On' : 'Off'}
+                      </div>
+                      <div style={styles.issueSyncText}>
+                        {issueSync.enabled
+                          ? `Issues and tasks stay in sync both ways: title, description, assignee, priority label and open/closed state. ${issueSync.linkedTasks} task(s) linked.`
+                          : 'Import the repository\'s issues as tasks and keep them in sync both ways. When both sides change, the latest edit wins.'}
+                      </div>
+                    </div>
+                    <button
+                      style={issueSync.enabled ? styles.dangerButton : styles.button}
+                      onClick={toggleIssueSync}
+                      disabled={savingIssueSync}
+                    >
+                      {savingIssueSync ? 'Saving...' : issueSync.enabled ? 'Turn Off' : 'Turn On'}
+                    </button>
+                  </div>
+
+                  {issueSyncMessage && (
+                    <div style={styles.issueSyncMessage}>{issueSyncMessage}</div>
+                  )}
+
+                  {issueSyncAudit.length > 0 && (
+                    <div style={styles.syncAuditList}>
+                      {issueSyncAudit.map(entry => (
+                        <div
+                          key={entry.id}
+                          style={{
+                            ...styles.syncAuditItem,
+                            ...(entry.action === 'failed' ? styles.syncAuditFailed : {})
+                          }}
+                          title={entry.details || ''}
+                        >
+                          <span>{describeSyncEntry(entry)}</span>
+                          <span style={styles.syncAuditTime}>{new Date(entry.created_at).toLocaleString()}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {error !== 'access_denied' && (
                 <>
                   {currentPath && (
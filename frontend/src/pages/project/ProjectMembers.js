@@ -398,8 +398,28 @@ function ProjectMembers() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [openMenuId, setOpenMenuId] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ role: 'member', maxUses: '', expiresInHours: '168', skipChallenge: false });
+  const [creatingInvite, setCreatingInvite] = useState(false);
+  const [permissions, setPermissions] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [capabilityCatalog, setCapabilityCatalog] = useState([]);
+  const [roleForm, setRoleForm] = useState({ name: '', description: '', capabilities: ['project.view'] });
+  const [editingRoleKey, setEditingRoleKey] = useState(null);
+  const [savingRole, setSavingRole] = useState(false);
 
   const isOwner = project?.owner_id === user?.id;
+  const can = (capability) => !!permissions?.capabilities?.includes(capability);
+  const canManageInvites = can('members.invite');
+  const canManageMembers = can('members.manage');
+  const canManageRoles = can('roles.manage');
+
+  const getRole = (key) => roles.find(role => role.key === (key || 'member'));
+  // Same rule as the server: a role can only be handed out by someone who has all of its capabilities.
+  // Members on a role that no longer exists can be managed by anyone with members.manage.
+  const canGrant = (role) => !role || role.capabilities.every(can);
+  const grantableRoles = roles.filter(role => canGrant(role));
+  const customRoles = roles.filter(role => !role.builtIn);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -407,13 +427,18 @@ function ProjectMembers() {
         setLoading(true);
         setError(null);
 
-        const [projectResponse, membersResponse] = await Promise.all([
+        const [projectResponse, membersResponse, permissionsResponse, rolesResponse] = await Promise.all([
           projectService.getProjectById(projectId),
-          projectService.getProjectMembers(projectId)
+          projectService.getProjectMembers(projectId),
+          projectService.getMyPermissions(projectId),
+          projectService.getProjectRoles(projectId)
         ]);
 
         setProject(projectResponse.data.project);
         setMemberData(membersResponse.data);
+        setPermissions(permissionsResponse.data);
+        setRoles(rolesResponse.data.roles || []);
+        setCapabilityCatalog(rolesResponse.data.capabilities || []);
       } catch (error) {
         console.error('Error fetching data:', error);
         setError('Failed to load project members');
@@ -435,6 +460,76 @@ function ProjectMembers() {
     return () => document.removeEventListener('click', handleClickOutside);
   }, []);
 
+  useEffect(() => {
+    if (!canManageInvites) return;
+
+    const fetchInvites = async () => {
+      try {
+        const response = await projectService.getProjectInvites(projectId);
+        setInvites(response.data.invites || []);
+      } catch (error) {
+        console.error('Error fetching invites:', error);
+      }
+    };
+
+    fetchInvites();
+  }, [projectId, canManageInvites]);
+
+  const getInviteUrl = (code) => `${window.location.origin}/join/${code}`;
+
+  const handleCreateInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setCreatingInvite(true);
+      const response = await projectService.createInvite(projectId, {
+        role: inviteForm.role,
+        maxUses: inviteForm.maxUses ? Number(inviteForm.maxUses) : null,
+        expiresInHours: inviteForm.expiresInHours ? Number(inviteForm.expiresInHours) : null,
+        skipChallenge: inviteForm.skipChallenge
+      });
+      setInvites(prev => [response.data.invite, ...prev]);
+      setError(null);
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      setError(error.response?.data?.message || 'Failed to create invite link');
+    } finally {
+      setCreatingInvite(false);
+    }
+  };
+
+  const handleRevokeInvite = async (inviteId) => {
+    if (!window.confirm('Revoke this invite link? People who already joined keep their membership.')) {
+      return;
+    }
+
+    try {
+      const response = await projectService.revokeInvite(projectId, inviteId);
+      setInvites(prev => prev.map(invite => (
+        invite.id === inviteId ? { ...invite, revokedAt: response.data.invite.revokedAt } : invite
+      )));
+      setError(null);
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      setError(error.response?.data?.message || 'Failed to revoke invite link');
+    }
+  };
+
+  const handleCopyInvite = async (code) => {
+    try {
+      await navigator.clipboard.writeText(getInviteUrl(code));
+      alert('Invite link copied to clipboard');
+    } catch (error) {
+      window.prompt('Copy this invite link:', getInviteUrl(code));
+    }
+  };
+
+  const getInviteStatus = (invite) => {
+    if (invite.revokedAt) return 'Revoked';
+    if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) return 'Expired';
+    if (invite.maxUses && invite.useCount >= invite.maxUses) return 'Used up';
+    return 'Active';
+  };
+
   const toggleMenu = (memberId) => {
     setOpenMenuId(openMenuId === memberId ? null : memberId);
   };
@@ -495,6 +590,62 @@ function ProjectMembers() {
     }
   };
 
+  const resetRoleForm = () => {
+    setRoleForm({ name: '', description: '', capabilities: ['project.view'] });
+    setEditingRoleKey(null);
+  };
+
+  const toggleRoleCapability = (capability) => {
+    setRoleForm(prev => ({
+      ...prev,
+      capabilities: prev.capabilities.includes(capability)
+        ? prev.capabilities.filter(key => key !== capability)
+        : [...prev.capabilities, capability]
+    }));
+  };
+
+  const handleEditRole = (role) => {
+    setEditingRoleKey(role.key);
+    setRoleForm({ name: role.name, description: role.description || '', capabilities: role.capabilities });
+  };
+
+  const handleSaveRole = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingRole(true);
+      if (editingRoleKey) {
+        const response = await projectService.updateProjectRole(projectId, editingRoleKey, roleForm);
+        setRoles(prev => prev.map(role => (role.key === editingRoleKey ? response.data.role : role)));
+      } else {
+        const response = await projectService.createProjectRole(projectId, roleForm);
+        setRoles(prev => [...prev, response.data.role]);
+      }
+      resetRoleForm();
+      setError(null);
+    } catch (error) {
+      console.error('Error saving role:', error);
+      setError(error.response?.data?.message || 'Failed to save role');
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) {
+      return;
+    }
+
+    try {
+      await projectService.deleteProjectRole(projectId, role.key);
+      setRoles(prev => prev.filter(existing => existing.key !== role.key));
+      if (editingRoleKey === role.key) resetRoleForm();
+      setError(null);
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      setError(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
   const handleLeaveProject = async () => {
     if (!window.confirm('Are you sure you want to leave this project?')) {
       return;
@@ -516,6 +667,7 @@ function ProjectMembers() {
   const leadCount = members.filter(member => member.role === 'lead').length;
   const moderatorCount = members.filter(member => member.role === 'moderator').length;
   const memberCount = members.filter(member => member.role === 'member' || !member.role).length;
+  const customRoleCount = members.length - leadCount - moderatorCount - memberCount;
 
   const styles = {
     container: {
@@ -779,6 +931,87 @@ function ProjectMembers() {
       minWidth: '140px',
       backdropFilter: 'blur(20px)'
     },
+    inviteSection: {
+      position: 'relative',
+      zIndex: 10,
+      background: 'linear-gradient(135deg, rgba(26, 28, 32, 0.95), rgba(15, 17, 22, 0.90))',
+      border: '1px solid rgba(255, 255, 255, 0.1)',
+      borderRadius: '16px',
+      padding: '24px',
+      marginBottom: '30px',
+      backdropFilter: 'blur(20px)'
+    },
+    inviteTitle: {
+      fontSize: '18px',
+      fontWeight: '600',
+      margin: '0 0 16px 0',
+      color: 'white'
+    },
+    inviteForm: {
+      display: 'flex',
+      gap: '12px',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      marginBottom: '20px'
+    },
+    inviteInput: {
+      padding: '6px 10px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '6px',
+      fontSize: '12px',
+      backgroundColor: 'rgba(26, 28, 32, 0.8)',
+      color: 'white',
+      outline: 'none',
+      width: '110px'
+    },
+    inviteCheckbox: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      fontSize: '13px',
+      color: '#d1d5db'
+    },
+    primaryButton: {
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white',
+      border: 'none',
+      padding: '6px 14px',
+      borderRadius: '6px',
+      fontSize: '12px',
+      cursor: 'pointer',
+      fontWeight: '500'
+    },
+    inviteRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '12px',
+      padding: '12px 0',
+      borderTop: '1px solid rgba(255, 255, 255, 0.05)',
+      fontSize: '13px',
+      color: '#d1d5db',
+      flexWrap: 'wrap'
+    },
+    inviteCode: {
+      fontFamily: 'Monaco, Consolas, monospace',
+      color: 'white',
+      fontWeight: '600'
+    },
+    inviteMeta: {
+      flex: 1,
+      color: '#9ca3af'
+    },
+    roleForm: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+      paddingTop: '12px',
+      borderTop: '1px solid rgba(255, 255, 255, 0.05)'
+    },
+    capabilityGrid: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))',
+      gap: '8px'
+    },
     menuItem: {
       display: 'block',
       width: '100%',
@@ -858,8 +1091,158 @@ function ProjectMembers() {
           <div style={styles.statNumber}>{memberCount}</div>
           <div style={styles.statLabel}>Members</div>
         </div>
+        {customRoleCount > 0 && (
+          <div style={styles.statCard}>
+            <div style={styles.statNumber}>{customRoleCount}</div>
+            <div style={styles.statLabel}>Custom Roles</div>
+          </div>
+        )}
       </div>
 
+      {canManageInvites && (
+        <div style={styles.inviteSection}>
+          <h2 style={styles.inviteTitle}>Invite Links</h2>
+          <form style={styles.inviteForm} onSubmit={handleCreateInvite}>
+            <select
+              style={styles.roleSelect}
+              value={inviteForm.role}
+              onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+            >
+              {grantableRoles.map(role => (
+                <option key={role.key} value={role.key}>{role.name}</option>
+              ))}
+            </select>
+            <select
+              style={styles.roleSelect}
+              value={inviteForm.expiresInHours}
+              onChange={(e) => setInviteForm({ ...inviteForm, expiresInHours: e.target.value })}
+            >
+              <option value="24">Expires in 1 day</option>
+              <option value="168">Expires in 7 days</option>
+              <option value="720">Expires in 30 days</option>
+              <option value="">Never expires</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              placeholder="Max uses"
+              style={styles.inviteInput}
+              value={inviteForm.maxUses}
+              onChange={(e) => setInviteForm({ ...inviteForm, maxUses: e.target.value })}
+            />
+            <label style={styles.inviteCheckbox}>
+              <input
+                type="checkbox"
+                checked={inviteForm.skipChallenge}
+                onChange={(e) => setInviteForm({ ...inviteForm, skipChallenge: e.target.checked })}
+              />
+              Skip challenge
+            </label>
+            <button type="submit" style={styles.primaryButton} disabled={creatingInvite}>
+              {creatingInvite ? 'Creating...' : 'Create Link'}
+            </button>
+          </form>
+
+          {invites.length === 0 && (
+            <p style={styles.emptyText}>No invite links yet.</p>
+          )}
+
+          {invites.map((invite) => {
+            const status = getInviteStatus(invite);
+            return (
+              <div key={invite.id} style={styles.inviteRow}>
+                <span style={styles.inviteCode}>{invite.code}</span>
+                <span style={styles.roleBadge}>{invite.role}</span>
+                <span style={styles.inviteMeta}>
+                  {status} • {invite.useCount}{invite.maxUses ? `/${invite.maxUses}` : ''} used
+                  {invite.expiresAt && ` • expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                  {invite.skipChallenge && ' • skips challenge'}
+                  {invite.redemptions?.length > 0 && (
+                    ` • joined: ${invite.redemptions.map(r => r.users?.full_name || r.users?.username).filter(Boolean).join(', ')}`
+                  )}
+                </span>
+                {status === 'Active' && (
+                  <>
+                    <button style={styles.primaryButton} onClick={() => handleCopyInvite(invite.code)}>
+                      Copy Link
+                    </button>
+                    <button style={styles.dangerButton} onClick={() => handleRevokeInvite(invite.id)}>
+                      Revoke
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {canManageRoles && (
+        <div style={styles.inviteSection}>
+          <h2 style={styles.inviteTitle}>Project Roles</h2>
+          {customRoles.map(role => (
+            <div key={role.key} style={styles.inviteRow}>
+              <span style={styles.inviteCode}>{role.name}</span>
+              <span style={styles.inviteMeta}>
+                {role.description ? `${role.description} · ` : ''}
+                {role.capabilities.length} permission{role.capabilities.length !== 1 ? 's' : ''}
+              </span>
+              <button style={styles.primaryButton} onClick={() => handleEditRole(role)}>
+                Edit
+              </button>
+              <button style={styles.dangerButton} onClick={() => handleDeleteRole(role)}>
+                Delete
+              </button>
+            </div>
+          ))}
+          <form style={styles.roleForm} onSubmit={handleSaveRole}>
+            <div style={{ ...styles.inviteForm, marginBottom: 0 }}>
+              <input
+                type="text"
+                placeholder="Role name"
+                maxLength={50}
+                style={{ ...styles.inviteInput, width: '180px' }}
+                value={roleForm.name}
+                onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                required
+              />
+              <input
+                type="text"
+                placeholder="Description (optional)"
+                maxLength={200}
+                style={{ ...styles.inviteInput, flex: 1, minWidth: '200px' }}
+                value={roleForm.description}
+                onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+              />
+            </div>
+            <div style={styles.capabilityGrid}>
+              {capabilityCatalog.filter(capability => !capability.ownerOnly).map(capability => (
+                <label key={capability.key} style={styles.inviteCheckbox} title={capability.key}>
+                  <input
+                    type="checkbox"
+                    checked={capability.key === 'project.view' || roleForm.capabilities.includes(capability.key)}
+                    disabled={capability.key === 'project.view'}
+                    onChange={() => toggleRoleCapability(capability.key)}
+                  />
+                  {capability.description.charAt(0).toUpperCase() + capability.description.slice(1)}
+                </label>
+              ))}
+            </div>
+            <div style={{ ...styles.inviteForm, marginBottom: 0 }}>
+              <button type="submit" style={styles.primaryButton} disabled={savingRole || !roleForm.name.trim()}>
+                {savingRole ? 'Saving...' : editingRoleKey ? 'Save Role' : 'Create Role'}
+              </button>
+              {editingRoleKey && (
+                <button type="button" style={styles.dangerButton} onClick={resetRoleForm}>
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      )}
+
       <div style={styles.membersGrid}>
         {owner && (
           <div 
@@ -964,7 +1347,7 @@ function ProjectMembers() {
               <div style={styles.memberInfo}>
                 <h3 style={styles.memberName}>{member.users?.full_name || member.users?.username}</h3>
                 <div style={styles.memberRole}>
-                  <span style={styles.roleBadge}>{member.role || 'member'}</span>
+                  <span style={styles.roleBadge}>{getRole(member.role)?.name || member.role || 'member'}</span>
                 </div>
                 <div style={styles.memberEmail}>{member.users?.email}</div>
               </div>
@@ -1020,34 +1403,35 @@ function ProjectMembers() {
               <div style={styles.memberMetaItem}>Contribution Score: {member.contribution_score || 0}</div>
             </div>
 
-            {(isOwner || (user?.id === member.user_id)) && (
+            {((canManageMembers && canGrant(getRole(member.role))) || user?.id === member.user_id) && (
               <div style={styles.memberActions}>
-                {isOwner && member.user_id !== user?.id && (
+                {member.user_id !== user?.id && (
                   <select
                     style={styles.roleSelect}
                     value={member.role || 'member'}
                     onChange={(e) => handleUpdateRole(member.id, e.target.value)}
                   >
-                    <option value="member">Member</option>
-                    <option value="moderator">Moderator</option>
-                    <option value="lead">Lead</option>
+                    {!getRole(member.role) && (
+                      <option value={member.role}>{member.role}</option>
+                    )}
+                    {grantableRoles.map(role => (
+                      <option key={role.key} value={role.key}>{role.name}</option>
+                    ))}
                   </select>
                 )}
 
-                {(isOwner || user?.id === member.user_id) && (
-                  <button
-                    style={styles.dangerButton}
-                    onClick={() => handleRemoveMember(member.id, member.users?.full_name || member.users?.username)}
-                    onMouseEnter={(e) => {
-                      e.target.style.transform = 'translateY(-1px)';
-                    }}
-                    onMouseLeave={(e) => {
-                      e.target.style.transform = 'translateY(0)';
-                    }}
-                  >
-                    {user?.id === member.user_id ? 'Leave Project' : 'Remove'}
-                  </button>
-                )}
+                <button
+                  style={styles.dangerButton}
+                  onClick={() => handleRemoveMember(member.id, member.users?.full_name || member.users?.username)}
+                  onMouseEnter={(e) => {
+                    e.target.style.transform = 'translateY(-1px)';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.target.style.transform = 'translateY(0)';
+                  }}
+                >
+                  {user?.id === member.user_id ? 'Leave Project' : 'Remove'}
+                </button>
               </div>
             )}
           </div>
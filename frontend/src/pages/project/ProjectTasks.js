@@ -1,9 +1,11 @@
 // frontend/src/pages/project/ProjectTasks.js - WITH FLOATING ANIMATIONS - COMPLETE
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useChat } from '../../contexts/ChatContext';
 import { taskService } from '../../services/taskService';
 import { projectService } from '../../services/projectService';
+import TaskBoard from '../../components/Tasks/TaskBoard';
 
 // Background symbols component - WITH FLOATING ANIMATIONS
 const BackgroundSymbols = () => (
@@ -394,6 +396,7 @@ function ProjectTasks() {
   const { projectId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { socket, connected } = useChat();
   const [tasks, setTasks] = useState([]);
   const [project, setProject] = useState(null);
   const [projectMembers, setProjectMembers] = useState([]);
@@ -406,6 +409,12 @@ function ProjectTasks() {
   const [sortBy, setSortBy] = useState('created_at');
   const [sortOrder, setSortOrder] = useState('desc');
   const [showSuccess, setShowSuccess] = useState(null);
+  const [viewMode, setViewMode] = useState('list');
+  const [boardSettings, setBoardSettings] = useState({ wipLimits: {}, canEditLimits: false });
+  const [capabilities, setCapabilities] = useState([]);
+  const [recentEditors, setRecentEditors] = useState({});
+  // Socket handlers read the open task through a ref so they are not re-bound on every edit
+  const editingTaskIdRef = useRef(null);
 
   const [taskForm, setTaskForm] = useState({
     title: '',
@@ -423,6 +432,13 @@ function ProjectTasks() {
       try {
         const projectResponse = await projectService.getProjectById(projectId);
         setProject(projectResponse.data.project);
+
+        try {
+          const permissionsResponse = await projectService.getMyPermissions(projectId);
+          setCapabilities(permissionsResponse.data.capabilities || []);
+        } catch (permissionsError) {
+          setCapabilities([]);
+        }
         
         try {
           const membersResponse = await projectService.getProjectMembers(projectId);
@@ -447,10 +463,11 @@ function ProjectTasks() {
       setLoading(true);
       setError(null);
       
-      const response = await taskService.getProjectTasks(projectId, {
-        sort_by: sortBy,
-        sort_order: sortOrder
-      });
+      // The board is always shown in its saved column order
+      const response = await taskService.getProjectTasks(projectId, viewMode === 'board'
+        ? { sort_by: 'position', sort_order: 'asc' }
+        : { sort_by: sortBy, sort_order: sortOrder }
+      );
       
       setTasks(response.data.tasks || []);
     } catch (error) {
@@ -458,12 +475,114 @@ function ProjectTasks() {
     } finally {
       setLoading(false);
     }
-  }, [projectId, sortBy, sortOrder]);
+  }, [projectId, sortBy, sortOrder, viewMode]);
 
   useEffect(() => {
     fetchTasks();
   }, [fetchTasks]);
 
+  useEffect(() => {
+    if (viewMode !== 'board') return;
+
+    const fetchBoardSettings = async () => {
+      try {
+        const response = await taskService.getBoardSettings(projectId);
+        setBoardSettings(response.data);
+      } catch (error) {
+        setBoardSettings({ wipLimits: {}, canEditLimits: false });
+      }
+    };
+
+    fetchBoardSettings();
+  }, [projectId, viewMode]);
+
+  useEffect(() => {
+    editingTaskIdRef.current = editingTask?.id || null;
+  }, [editingTask]);
+
+  // Live updates from teammates: apply task changes pushed to the project's task room
+  useEffect(() => {
+    if (!socket || !connected || !projectId) return;
+
+    const timers = [];
+    const actorName = (actor) => actor?.full_name || actor?.username || 'Someone';
+
+    const markEditedBy = (taskId, actor) => {
+      if (!actor || actor.id === user?.id) return;
+      setRecentEditors(prev => ({ ...prev, [taskId]: actorName(actor) }));
+      timers.push(setTimeout(() => {
+        setRecentEditors(prev => {
+          const next = { ...prev };
+          delete next[taskId];
+          return next;
+        });
+      }, 10000));
+    };
+
+    // Dependency syncs move other tasks between todo and blocked
+    const applyDependencyUpdates = (prevTasks, dependencyUpdates = []) => prevTasks.map(task => {
+      const update = dependencyUpdates.find(change => change.id === task.id);
+      return update ? { ...task, status: update.to, position: null } : task;
+    });
+
+    const handleTaskCreated = ({ task, actor }) => {
+      setTasks(prevTasks => (prevTasks.some(existing => existing.id === task.id)
+        ? prevTasks
+        : [task, ...prevTasks]));
+      markEditedBy(task.id, actor);
+    };
+
+    const handleTaskUpdated = ({ task, actor, dependencyUpdates }) => {
+      setTasks(prevTasks => applyDependencyUpdates(
+        prevTasks.map(existing => (existing.id === task.id ? { ...existing, ...task } : existing)),
+        dependencyUpdates
+      ));
+      markEditedBy(task.id, actor);
+    };
+
+    const handleTaskDeleted = ({ taskId, actor, dependencyUpdates }) => {
+      setTasks(prevTasks => applyDependencyUpdates(
+        prevTasks.filter(task => task.id !== taskId),
+        dependencyUpdates
+      ));
+      if (editingTaskIdRef.current === taskId) {
+        setShowCreateModal(false);
+        setEditingTask(null);
+        setError(`The task you were editing was deleted by ${actorName(actor)}`);
+      }
+    };
+
+    // Linking or unlinking tasks can block or unblock the dependent task
+    const handleDependenciesChanged = ({ dependencyUpdates }) => {
+      if (!dependencyUpdates?.length) return;
+      setTasks(prevTasks => applyDependencyUpdates(prevTasks, dependencyUpdates));
+    };
+
+    const handleTasksReordered = ({ tasks: reordered }) => {
+      const byId = new Map(reordered.map(task => [task.id, task]));
+      setTasks(prevTasks => prevTasks.map(task => (byId.has(task.id)
+        ? { ...task, status: byId.get(task.id).status, position: byId.get(task.id).position }
+        : task)));
+    };
+
+    socket.on('task_created', handleTaskCreated);
+    socket.on('task_updated', handleTaskUpdated);
+    socket.on('task_deleted', handleTaskDeleted);
+    socket.on('task_dependencies_changed', handleDependenciesChanged);
+    socket.on('tasks_reordered', handleTasksReordered);
+    socket.emit('join_project_tasks', projectId);
+
+    return () => {
+      socket.emit('leave_project_tasks', projectId);
+      socket.off('task_created', handleTaskCreated);
+      socket.off('task_updated', handleTaskUpdated);
+      socket.off('task_deleted', handleTaskDeleted);
+      socket.off('task_dependencies_changed', handleDependenciesChanged);
+      socket.off('tasks_reordered', handleTasksReordered);
+      timers.forEach(clearTimeout);
+    };
+  }, [socket, connected, projectId, user]);
+
   const showSuccessMessage = (message) => {
     setShowSuccess(message);
     setTimeout(() => setShowSuccess(null), 3000);
@@ -483,7 +602,8 @@ function ProjectTasks() {
       };
 
       const response = await taskService.createTask(projectId, taskData);
-      setTasks(prevTasks => [response.data.task, ...prevTasks]);
+      // The live update may already have added it
+      setTasks(prevTasks => [response.data.task, ...prevTasks.filter(task => task.id !== response.data.task.id)]);
       setShowCreateModal(false);
       resetForm();
       setError(null);
@@ -522,6 +642,41 @@ function ProjectTasks() {
     }
   };
 
+  // Optimistically apply the new column order, then persist it; roll back if the server refuses
+  const handleBoardMove = async (columns) => {
+    const previousTasks = tasks;
+
+    setTasks(prevTasks => prevTasks.map(task => {
+      for (const [status, taskIds] of Object.entries(columns)) {
+        const position = taskIds.indexOf(task.id);
+        if (position !== -1) return { ...task, status, position };
+      }
+      return task;
+    }));
+
+    try {
+      setError(null);
+      const response = await taskService.reorderTasks(projectId, columns);
+      setTasks(response.data.tasks || []);
+    } catch (error) {
+      setTasks(previousTasks);
+      setError(error.response?.data?.message || 'Failed to move task');
+    }
+  };
+
+  const handleSaveWipLimits = async (wipLimits) => {
+    try {
+      setError(null);
+      const response = await taskService.updateBoardSettings(projectId, wipLimits);
+      setBoardSettings(response.data);
+      showSuccessMessage('WIP limits updated');
+      return true;
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update WIP limits');
+      return false;
+    }
+  };
+
   const viewTaskDetail = (taskId) => {
     navigate(`/project/${projectId}/tasks/${taskId}`);
   };
@@ -640,7 +795,7 @@ function ProjectTasks() {
     }
   });
 
-  const canCreateTasks = project && (project.owner_id === user.id);
+  const canCreateTasks = project && capabilities.includes('tasks.create');
 
   const formatDate = (dateString) => {
     if (!dateString) return 'Not set';
@@ -820,6 +975,25 @@ function ProjectTasks() {
       borderRadius: '16px',
       backdropFilter: 'blur(20px)'
     },
+    viewToggle: {
+      display: 'flex',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      borderRadius: '8px',
+      overflow: 'hidden'
+    },
+    viewToggleButton: {
+      background: 'transparent',
+      color: '#d1d5db',
+      border: 'none',
+      padding: '8px 16px',
+      cursor: 'pointer',
+      fontSize: '14px',
+      fontWeight: '500'
+    },
+    viewToggleButtonActive: {
+      background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+      color: 'white'
+    },
     filterGroup: {
       display: 'flex',
       alignItems: 'center',
@@ -928,6 +1102,41 @@ function ProjectTasks() {
       lineHeight: '1.5',
       opacity: 0.8
     },
+    editedBy: {
+      fontSize: '12px',
+      color: '#fbbf24',
+      marginBottom: '12px'
+    },
+    editedByNotice: {
+      background: 'rgba(251, 191, 36, 0.15)',
+      border: '1px solid rgba(251, 191, 36, 0.3)',
+      color: '#fbbf24',
+      borderRadius: '8px',
+      padding: '12px',
+      marginBottom: '16px',
+      fontSize: '14px'
+    },
+    subtaskProgress: {
+      marginBottom: '16px'
+    },
+    subtaskProgressLabel: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      fontSize: '12px',
+      color: '#9ca3af',
+      marginBottom: '6px'
+    },
+    subtaskProgressTrack: {
+      height: '6px',
+      borderRadius: '3px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      overflow: 'hidden'
+    },
+    subtaskProgressFill: {
+      height: '100%',
+      background: 'linear-gradient(135deg, #10b981, #059669)',
+      transition: 'width 0.3s ease'
+    },
     taskFooter: {
       display: 'flex',
       justifyContent: 'space-between',
@@ -1196,46 +1405,65 @@ function ProjectTasks() {
       </div>
 
       <div style={styles.controls}>
-        <div style={styles.filterGroup}>
-          <label style={styles.filterLabel}>Filter:</label>
-          <select
-            style={styles.filterSelect}
-            value={filter}
-            onChange={(e) => setFilter(e.target.value)}
-          >
-            <option value="all">All Tasks</option>
-            <option value="my_tasks">My Tasks</option>
-            <option value="todo">To Do</option>
-            <option value="in_progress">In Progress</option>
-            <option value="in_review">In Review</option>
-            <option value="completed">Completed</option>
-            <option value="blocked">Blocked</option>
-          </select>
+        <div style={styles.viewToggle}>
+          {['list', 'board'].map(mode => (
+            <button
+              key={mode}
+              style={{
+                ...styles.viewToggleButton,
+                ...(viewMode === mode ? styles.viewToggleButtonActive : {})
+              }}
+              onClick={() => setViewMode(mode)}
+            >
+              {mode === 'list' ? 'List' : 'Board'}
+            </button>
+          ))}
         </div>
 
-        <div style={styles.sortControls}>
-          <label style={styles.filterLabel}>Sort by:</label>
-          <select
-            style={styles.filterSelect}
-            value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
-          >
-            <option value="created_at">Created Date</option>
-            <option value="due_date">Due Date</option>
-            <option value="priority">Priority</option>
-            <option value="status">Status</option>
-            <option value="title">Title</option>
-          </select>
+        {viewMode === 'list' && (
+          <>
+            <div style={styles.filterGroup}>
+              <label style={styles.filterLabel}>Filter:</label>
+              <select
+                style={styles.filterSelect}
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              >
+                <option value="all">All Tasks</option>
+                <option value="my_tasks">My Tasks</option>
+                <option value="todo">To Do</option>
+                <option value="in_progress">In Progress</option>
+                <option value="in_review">In Review</option>
+                <option value="completed">Completed</option>
+                <option value="blocked">Blocked</option>
+              </select>
+            </div>
+
+            <div style={styles.sortControls}>
+              <label style={styles.filterLabel}>Sort by:</label>
+              <select
+                style={styles.filterSelect}
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+              >
+                <option value="created_at">Created Date</option>
+                <option value="due_date">Due Date</option>
+                <option value="priority">Priority</option>
+                <option value="status">Status</option>
+                <option value="title">Title</option>
+              </select>
           
-          <button
-            style={styles.actionButton}
-            onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
-            onMouseEnter={(e) => e.target.style.transform = 'translateY(-1px)'}
-            onMouseLeave={(e) => e.target.style.transform = 'translateY(0)'}
-          >
-            {sortOrder === 'asc' ? '↑' : '↓'}
-          </button>
-        </div>
+              <button
+                style={styles.actionButton}
+                onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
+                onMouseEnter={(e) => e.target.style.transform = 'translateY(-1px)'}
+                onMouseLeave={(e) => e.target.style.transform = 'translateY(0)'}
+              >
+                {sortOrder === 'asc' ? '↑' : '↓'}
+              </button>
+            </div>
+          </>
+        )}
 
         <button
           style={styles.refreshButton}
@@ -1249,7 +1477,21 @@ function ProjectTasks() {
 
       {renderErrorMessage()}
 
-      {filteredTasks.length === 0 ? (
+      {viewMode === 'board' ? (
+        <TaskBoard
+          tasks={tasks}
+          wipLimits={boardSettings.wipLimits}
+          canEditLimits={boardSettings.canEditLimits}
+          onMoveTask={handleBoardMove}
+          onSaveLimits={handleSaveWipLimits}
+          onOpenTask={viewTaskDetail}
+          recentEditors={recentEditors}
+          onError={setError}
+          getMemberName={getMemberName}
+          getStatusColor={getStatusColor}
+          getPriorityColor={getPriorityColor}
+        />
+      ) : filteredTasks.length === 0 ? (
         <div style={styles.emptyState}>
           <h2 style={styles.emptyTitle}>No tasks found</h2>
           <p style={styles.emptyText}>
@@ -1320,6 +1562,22 @@ function ProjectTasks() {
                 </p>
               )}
 
+              {recentEditors[task.id] && (
+                <div style={styles.editedBy}>✏️ Edited by {recentEditors[task.id]} just now</div>
+              )}
+
+              {task.subtask_summary?.total > 0 && (
+                <div style={styles.subtaskProgress}>
+                  <div style={styles.subtaskProgressLabel}>
+                    <span>Subtasks {task.subtask_summary.completed}/{task.subtask_summary.total}</span>
+                    <span>{task.progress}%</span>
+                  </div>
+                  <div style={styles.subtaskProgressTrack}>
+                    <div style={{ ...styles.subtaskProgressFill, width: `${task.progress}%` }} />
+                  </div>
+                </div>
+              )}
+
               <div style={styles.taskFooter}>
                 <div style={styles.taskInfo}>
                   <div>Due: {formatDate(task.due_date)}</div>
@@ -1388,6 +1646,12 @@ function ProjectTasks() {
 
             {renderErrorMessage()}
 
+            {editingTask && recentEditors[editingTask.id] && (
+              <div style={styles.editedByNotice}>
+                ✏️ {recentEditors[editingTask.id]} just edited this task. Saving will overwrite their changes.
+              </div>
+            )}
+
             <form onSubmit={handleSaveTask}>
               <div style={styles.formGroup}>
                 <label style={styles.label} htmlFor="title">Title *</label>
@@ -1,12 +1,20 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { taskService } from '../../services/taskService';
+import { attachmentService } from '../../services/attachmentService';
 import { projectService } from '../../services/projectService';
+import { githubService } from '../../services/githubService';
+import { useAuth } from '../../contexts/AuthContext';
+import { useChat } from '../../contexts/ChatContext';
 import CommentsContainer from '../../components/Comments/CommentsContainer';
+import AttachmentList from '../../components/Attachments/AttachmentList';
+import AttachmentPicker from '../../components/Attachments/AttachmentPicker';
 
 const TaskDetail = () => {
     const { projectId, taskId } = useParams();
     const navigate = useNavigate();
+    const { user } = useAuth();
+    const { socket, connected } = useChat();
     
     const [task, setTask] = useState(null);
     const [project, setProject] = useState(null);
@@ -15,6 +23,17 @@ const TaskDetail = () => {
     const [error, setError] = useState(null);
     const [isEditing, setIsEditing] = useState(false);
     const [editForm, setEditForm] = useState({});
+    const [dependencies, setDependencies] = useState(null);
+    const [projectTasks, setProjectTasks] = useState([]);
+    const [dependencyForm, setDependencyForm] = useState({ type: 'blocked_by', taskId: '' });
+    const [dependencyError, setDependencyError] = useState(null);
+    const [newSubtask, setNewSubtask] = useState({ title: '', assigned_to: '' });
+    const [subtaskError, setSubtaskError] = useState(null);
+    const [viewers, setViewers] = useState([]);
+    const [remoteEdit, setRemoteEdit] = useState(null);
+    const [attachments, setAttachments] = useState([]);
+    const [attachmentError, setAttachmentError] = useState(null);
+    const [githubLinks, setGithubLinks] = useState({ commits: [], pullRequests: [], issues: [] });
 
     // Use useCallback to fix dependency warnings
     const fetchTaskData = useCallback(async () => {
@@ -28,6 +47,37 @@ const TaskDetail = () => {
         }
     }, [projectId, taskId]);
 
+    const fetchDependencies = useCallback(async () => {
+        try {
+            const [dependencyResponse, tasksResponse] = await Promise.all([
+                taskService.getTaskDependencies(projectId, taskId),
+                taskService.getProjectTasks(projectId, { sort_by: 'title', sort_order: 'asc' })
+            ]);
+            setDependencies(dependencyResponse.data);
+            setProjectTasks(tasksResponse.data.tasks || []);
+        } catch (error) {
+            console.error('Error fetching task dependencies:', error);
+        }
+    }, [projectId, taskId]);
+
+    const fetchAttachments = useCallback(async () => {
+        try {
+            const response = await attachmentService.getTaskAttachments(projectId, taskId);
+            setAttachments(response.data.attachments || []);
+        } catch (error) {
+            console.error('Error fetching attachments:', error);
+        }
+    }, [projectId, taskId]);
+
+    const fetchGitHubLinks = useCallback(async () => {
+        try {
+            const response = await githubService.getTaskGitHubLinks(projectId, taskId);
+            setGithubLinks(response.data);
+        } catch (error) {
+            console.error('Error fetching GitHub links:', error);
+        }
+    }, [projectId, taskId]);
+
     const fetchProjectData = useCallback(async () => {
         try {
             // Fetch project details
@@ -54,8 +104,85 @@ const TaskDetail = () => {
         if (projectId && taskId) {
             fetchTaskData();
             fetchProjectData();
+            fetchDependencies();
+            fetchAttachments();
+            fetchGitHubLinks();
         }
-    }, [projectId, taskId, fetchTaskData, fetchProjectData]);
+    }, [projectId, taskId, fetchTaskData, fetchProjectData, fetchDependencies, fetchAttachments, fetchGitHubLinks]);
+
+    // Live updates: follow the project's task room and announce that we have this task open
+    useEffect(() => {
+        if (!socket || !connected || !projectId || !taskId) return;
+
+        const actorName = (actor) => actor?.full_name || actor?.username || 'Someone';
+
+        const handleJoined = (data) => {
+            if (data.projectId === projectId) {
+                socket.emit('task_viewing_start', { projectId, taskId });
+            }
+        };
+
+        const handleViewers = (data) => {
+            if (data.taskId === taskId) setViewers(data.viewers || []);
+        };
+
+        const handleTaskUpdated = (data) => {
+            const touchesThisTask = data.dependencyUpdates?.some(update => update.id === taskId);
+
+            if (data.task?.id === taskId) {
+                setTask(data.task);
+                // Pull request events move tasks; show the pull request that did it
+                if (data.actor?.username === 'github') fetchGitHubLinks();
+                if (data.actor?.id !== user?.id) {
+                    setRemoteEdit({ name: actorName(data.actor), fields: data.changedFields || [], at: data.at });
+                }
+            } else if (touchesThisTask) {
+                // A blocker changed status and this task was blocked or unblocked as a result
+                fetchTaskData();
+            }
+
+            if (data.task?.id === taskId || touchesThisTask || data.dependencyUpdates?.length > 0) {
+                fetchDependencies();
+            }
+        };
+
+        const handleTaskDeleted = (data) => {
+            if (data.taskId === taskId) {
+                setError(`This task was deleted by ${actorName(data.actor)}`);
+            } else {
+                fetchDependencies();
+            }
+        };
+
+        const handleDependenciesChanged = (data) => {
+            const { dependency, dependencyUpdates } = data;
+            if (dependencyUpdates?.some(update => update.id === taskId)) {
+                fetchTaskData();
+            }
+            if (dependency?.blocker_task_id === taskId || dependency?.blocked_task_id === taskId) {
+                fetchDependencies();
+            }
+        };
+
+        socket.on('joined_project_tasks', handleJoined);
+        socket.on('task_viewers', handleViewers);
+        socket.on('task_updated', handleTaskUpdated);
+        socket.on('task_deleted', handleTaskDeleted);
+        socket.on('task_dependencies_changed', handleDependenciesChanged);
+        socket.emit('join_project_tasks', projectId);
+
+        return () => {
+            socket.emit('task_viewing_stop', { projectId, taskId });
+            socket.emit('leave_project_tasks', projectId);
+            socket.off('joined_project_tasks', handleJoined);
+            socket.off('task_viewers', handleViewers);
+            socket.off('task_updated', handleTaskUpdated);
+            socket.off('task_deleted', handleTaskDeleted);
+            socket.off('task_dependencies_changed', handleDependenciesChanged);
+            setViewers([]);
+            setRemoteEdit(null);
+        };
+    }, [socket, connected, projectId, taskId, user, fetchTaskData, fetchDependencies, fetchGitHubLinks]);
 
     const handleEditSubmit = async (e) => {
         e.preventDefault();
@@ -63,6 +190,7 @@ const TaskDetail = () => {
             const response = await taskService.updateTask(projectId, taskId, editForm);
             setTask(response.data.task);
             setIsEditing(false);
+            setRemoteEdit(null);
         } catch (error) {
             console.error('Error updating task:', error);
             alert('Failed to update task');
@@ -82,12 +210,157 @@ const TaskDetail = () => {
                 console.log('✅ Task status updated successfully');
             }
 
+            // Completing this task may have unblocked the tasks it blocks
+            if (response?.data?.dependencyUpdates?.length > 0) {
+                fetchDependencies();
+            }
+
         } catch (error) {
             console.error('💥 Error updating status:', error);
             alert(`Failed to update status: ${error.response?.data?.message || error.message}`);
         }
     };
 
+    const handleAddDependency = async (e) => {
+        e.preventDefault();
+        if (!dependencyForm.taskId) return;
+
+        try {
+            setDependencyError(null);
+            await taskService.addTaskDependency(projectId, taskId, dependencyForm.taskId, dependencyForm.type);
+            setDependencyForm(prev => ({ ...prev, taskId: '' }));
+            // Linking a blocker can move this task to blocked
+            fetchTaskData();
+            fetchDependencies();
+        } catch (error) {
+            console.error('Error linking tasks:', error);
+            setDependencyError(error.response?.data?.message || 'Failed to link tasks');
+        }
+    };
+
+    const handleRemoveDependency = async (dependencyId) => {
+        try {
+            setDependencyError(null);
+            await taskService.removeTaskDependency(projectId, taskId, dependencyId);
+            fetchTaskData();
+            fetchDependencies();
+        } catch (error) {
+            console.error('Error unlinking tasks:', error);
+            setDependencyError(error.response?.data?.message || 'Failed to unlink tasks');
+        }
+    };
+
+    // Recompute the rolled-up progress locally after a checklist change
+    const applySubtasks = (subtasks) => {
+        setTask(prev => {
+            const completed = subtasks.filter(subtask => subtask.is_completed).length;
+            const progress = subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : null;
+            return {
+                ...prev,
+                subtasks,
+                subtask_summary: { total: subtasks.length, completed, progress },
+                progress: prev.status === 'completed' ? 100 : (progress ?? 0)
+            };
+        });
+    };
+
+    const handleAddSubtask = async (e) => {
+        e.preventDefault();
+        if (!newSubtask.title.trim()) return;
+
+        try {
+            setSubtaskError(null);
+            const response = await taskService.createSubtask(projectId, taskId, {
+                title: newSubtask.title.trim(),
+                assigned_to: newSubtask.assigned_to || null
+            });
+            applySubtasks([...(task.subtasks || []), response.data.subtask]);
+            setNewSubtask({ title: '', assigned_to: '' });
+        } catch (error) {
+            console.error('Error adding subtask:', error);
+            setSubtaskError(error.response?.data?.message || 'Failed to add subtask');
+        }
+    };
+
+    const handleUpdateSubtask = async (subtaskId, changes) => {
+        try {
+            setSubtaskError(null);
+            const response = await taskService.updateSubtask(projectId, taskId, subtaskId, changes);
+            applySubtasks(task.subtasks.map(subtask =>
+                subtask.id === subtaskId ? response.data.subtask : subtask
+            ));
+        } catch (error) {
+            console.error('Error updating subtask:', error);
+            setSubtaskError(error.response?.data?.message || 'Failed to update subtask');
+        }
+    };
+
+    const handleDeleteSubtask = async (subtaskId) => {
+        try {
+            setSubtaskError(null);
+            await taskService.deleteSubtask(projectId, taskId, subtaskId);
+            applySubtasks(task.subtasks.filter(subtask => subtask.id !== subtaskId));
+        } catch (error) {
+            console.error('Error deleting subtask:', error);
+            setSubtaskError(error.response?.data?.message || 'Failed to delete subtask');
+        }
+    };
+
+    const handleDeleteAttachment = async (attachment) => {
+        if (!window.confirm(`Delete ${attachment.file_name}?`)) return;
+
+        try {
+            setAttachmentError(null);
+            await attachmentService.deleteAttachment(attachment);
+            setAttachments(prev => prev.filter(item => item.id !== attachment.id));
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            setAttachmentError(error.message);
+        }
+    };
+
+    // Group chain entries by depth: deepest blockers first, then this task, then dependents
+    const getChainLevels = () => {
+        if (!dependencies) return [];
+
+        const groupByDepth = (entries) => entries.reduce((levels, entry) => {
+            (levels[entry.depth - 1] = levels[entry.depth - 1] || []).push(entry.task);
+            return levels;
+        }, []);
+
+        return [
+            ...groupByDepth(dependencies.upstream).reverse(),
+            [{ ...task, isCurrent: true }],
+            ...groupByDepth(dependencies.downstream)
+        ];
+    };
+
+    const renderDependencyList = (links, emptyText) => (
+        links.length === 0 ? (
+            <p style={styles.dependencyEmpty}>{emptyText}</p>
+        ) : (
+            links.map(link => (
+                <div key={link.dependencyId} style={styles.dependencyItem}>
+                    <span style={{ ...styles.dependencyDot, backgroundColor: getStatusColor(link.task.status) }} />
+                    <span
+                        style={styles.dependencyTitle}
+                        onClick={() => navigate(`/project/${projectId}/tasks/${link.task.id}`)}
+                    >
+                        {link.task.title}
+                    </span>
+                    <span style={styles.dependencyStatus}>{link.task.status.replace('_', ' ')}</span>
+                    <button
+                        style={styles.dependencyRemove}
+                        onClick={() => handleRemoveDependency(link.dependencyId)}
+                        title="Remove link"
+                    >
+                        ×
+                    </button>
+                </div>
+            ))
+        )
+    );
+
     const formatDate = (dateString) => {
         if (!dateString) return 'Not set';
         return new Date(dateString).toLocaleDateString();
@@ -104,6 +377,16 @@ const TaskDetail = () => {
         return colors[status] || '#6c757d';
     };
 
+    const getPullRequestColor = (state) => {
+        const colors = {
+            'open': '#28a745',
+            'draft': '#6c757d',
+            'merged': '#6f42c1',
+            'closed': '#dc3545'
+        };
+        return colors[state] || '#6c757d';
+    };
+
     const getPriorityColor = (priority) => {
         const colors = {
             'low': '#28a745',
@@ -161,6 +444,21 @@ const TaskDetail = () => {
         avatar_url: project.users?.avatar_url
     } : null;
 
+    // Owner plus active members, for checklist assignment
+    const assignableMembers = [
+        ...(projectOwner?.id ? [{ id: projectOwner.id, name: projectOwner.full_name || projectOwner.username || 'Owner' }] : []),
+        ...projectMembers
+            .filter(member => member.users && member.users.id !== projectOwner?.id)
+            .map(member => ({ id: member.users.id, name: member.users.full_name || member.users.username }))
+    ];
+
+    const subtasks = task.subtasks || [];
+    const subtaskSummary = task.subtask_summary || { total: 0, completed: 0 };
+    const otherViewers = viewers.filter(viewer => viewer.id !== user?.id);
+    // The server also lets leads delete; owners and uploaders are what we can tell here
+    const canDeleteAttachment = (attachment) =>
+        attachment.uploaded_by === user?.id || projectOwner?.id === user?.id;
+
     return (
         <div style={styles.container}>
             <div style={styles.header}>
@@ -181,6 +479,26 @@ const TaskDetail = () => {
                 )}
             </div>
 
+            {(otherViewers.length > 0 || remoteEdit) && (
+                <div style={styles.presenceBar}>
+                    {otherViewers.length > 0 && (
+                        <span>
+                            👀 Also viewing: {otherViewers.map(viewer => viewer.full_name || viewer.username).join(', ')}
+                        </span>
+                    )}
+                    {remoteEdit && (
+                        <span style={styles.remoteEdit}>
+                            ✏️ Edited by {remoteEdit.name} at {new Date(remoteEdit.at).toLocaleTimeString()}
+                            {remoteEdit.fields.length > 0 && ` (${remoteEdit.fields.map(field => field.replace('_', ' ')).join(', ')})`}
+                            {isEditing && ' - saving your edits will overwrite these changes'}
+                            <button style={styles.remoteEditDismiss} onClick={() => setRemoteEdit(null)} title="Dismiss">
+                                ×
+                            </button>
+                        </span>
+                    )}
+                </div>
+            )}
+
             <div style={styles.content}>
                 <div style={styles.taskSection}>
                     {isEditing ? (
@@ -283,6 +601,11 @@ const TaskDetail = () => {
                     ) : (
                         <div>
                             <h1 style={styles.title}>{task.title}</h1>
+                            {task.task_number && (
+                                <span style={styles.taskReference} title="Mention this in a commit, pull request or branch name to link it">
+                                    TASK-{task.task_number}
+                                </span>
+                            )}
                             
                             <div style={styles.metaInfo}>
                                 <div style={styles.badges}>
@@ -391,10 +714,248 @@ const TaskDetail = () => {
                     )}
                 </div>
 
+                {/* Checklist Section */}
+                <div style={styles.taskSection}>
+                    <div style={styles.checklistHeader}>
+                        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Checklist</h3>
+                        {subtaskSummary.total > 0 && (
+                            <span style={styles.checklistCount}>
+                                {subtaskSummary.completed}/{subtaskSummary.total} done · {task.progress}%
+                            </span>
+                        )}
+                    </div>
+
+                    {subtaskSummary.total > 0 && (
+                        <div style={styles.progressTrack}>
+                            <div style={{ ...styles.progressFill, width: `${task.progress}%` }} />
+                        </div>
+                    )}
+
+                    {subtaskError && <div style={styles.dependencyErrorBox}>{subtaskError}</div>}
+
+                    {subtasks.map(subtask => (
+                        <div key={subtask.id} style={styles.subtaskItem}>
+                            <input
+                                type="checkbox"
+                                checked={subtask.is_completed}
+                                onChange={() => handleUpdateSubtask(subtask.id, { is_completed: !subtask.is_completed })}
+                            />
+                            <span style={{
+                                ...styles.subtaskTitle,
+                                ...(subtask.is_completed ? styles.subtaskTitleDone : {})
+                            }}>
+                                {subtask.title}
+                            </span>
+                            <select
+                                value={subtask.assigned_to || ''}
+                                onChange={(e) => handleUpdateSubtask(subtask.id, { assigned_to: e.target.value || null })}
+                                style={styles.subtaskAssignee}
+                            >
+                                <option value="">Unassigned</option>
+                                {assignableMembers.map(member => (
+                                    <option key={member.id} value={member.id}>{member.name}</option>
+                                ))}
+                            </select>
+                            <button
+                                style={styles.dependencyRemove}
+                                onClick={() => handleDeleteSubtask(subtask.id)}
+                                title="Delete subtask"
+                            >
+                                ×
+                            </button>
+                        </div>
+                    ))}
+
+                    <form onSubmit={handleAddSubtask} style={{ ...styles.dependencyForm, marginTop: '12px' }}>
+                        <input
+                            type="text"
+                            value={newSubtask.title}
+                            onChange={(e) => setNewSubtask(prev => ({ ...prev, title: e.target.value }))}
+                            placeholder="Add a subtask..."
+                            maxLength={200}
+                            style={{ ...styles.input, flex: 1 }}
+                        />
+                        <select
+                            value={newSubtask.assigned_to}
+                            onChange={(e) => setNewSubtask(prev => ({ ...prev, assigned_to: e.target.value }))}
+                            style={styles.select}
+                        >
+                            <option value="">Unassigned</option>
+                            {assignableMembers.map(member => (
+                                <option key={member.id} value={member.id}>{member.name}</option>
+                            ))}
+                        </select>
+                        <button type="submit" style={styles.saveButton} disabled={!newSubtask.title.trim()}>
+                            Add
+                        </button>
+                    </form>
+                </div>
+
+                {/* Attachments Section */}
+                <div style={styles.taskSection}>
+                    <div style={styles.checklistHeader}>
+                        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Attachments</h3>
+                        <AttachmentPicker
+                            projectId={projectId}
+                            taskId={taskId}
+                            onUploaded={(uploaded) => setAttachments(prev => [...prev, ...uploaded])}
+                        />
+                    </div>
+
+                    {attachmentError && <div style={styles.dependencyErrorBox}>{attachmentError}</div>}
+
+                    {attachments.length === 0 ? (
+                        <p style={styles.dependencyEmpty}>No files attached yet</p>
+                    ) : (
+                        <AttachmentList
+                            attachments={attachments}
+                            onDelete={handleDeleteAttachment}
+                            canDelete={canDeleteAttachment}
+                        />
+                    )}
+                </div>
+
+                {/* GitHub Section */}
+                <div style={styles.taskSection}>
+                    <h3 style={styles.sectionTitle}>GitHub</h3>
+
+                    {githubLinks.syncedIssue && (
+                        <div style={styles.dependencyItem}>
+                            <span style={styles.dependencyStatus}>🔄 Synced with</span>
+                            <a href={githubLinks.syncedIssue.url} target="_blank" rel="noopener noreferrer" style={styles.githubLinkTitle}>
+                                {githubLinks.syncedIssue.repository}#{githubLinks.syncedIssue.number}
+                            </a>
+                        </div>
+                    )}
+
+                    {!githubLinks.syncedIssue && githubLinks.pullRequests.length + githubLinks.commits.length + githubLinks.issues.length === 0 ? (
+                        <p style={styles.dependencyEmpty}>
+                            Nothing linked yet. Mention {task.task_number ? `#TASK-${task.task_number}` : 'the task id'} in a commit message,
+                            pull request or branch name of the connected repository.
+                        </p>
+                    ) : (
+                        <>
+                            {githubLinks.pullRequests.map(link => (
+                                <div key={link.id} style={styles.dependencyItem}>
+                                    <span style={{ ...styles.dependencyDot, backgroundColor: getPullRequestColor(link.state) }} />
+                                    <a href={link.url} target="_blank" rel="noopener noreferrer" style={styles.githubLinkTitle}>
+                                        #{link.external_id} {link.title}
+                                    </a>
+                                    <span style={styles.dependencyStatus}>{link.state}</span>
+                                </div>
+                            ))}
+                            {githubLinks.issues.map(link => (
+                                <div key={link.id} style={styles.dependencyItem}>
+                                    <span style={{ ...styles.dependencyDot, backgroundColor: link.state === 'open' ? '#28a745' : '#6f42c1' }} />
+                                    <a href={link.url} target="_blank" rel="noopener noreferrer" style={styles.githubLinkTitle}>
+                                        Issue #{link.external_id} {link.title}
+                                    </a>
+                                    <span style={styles.dependencyStatus}>{link.state}</span>
+                                </div>
+                            ))}
+                            {githubLinks.commits.map(link => (
+                                <div key={link.id} style={styles.dependencyItem}>
+                                    <code style={styles.commitSha}>{link.external_id.slice(0, 7)}</code>
+                                    <a href={link.url} target="_blank" rel="noopener noreferrer" style={styles.githubLinkTitle}>
+                                        {link.title}
+                                    </a>
+                                    <span style={styles.dependencyStatus}>
+                                        {link.author ? `${link.author} · ` : ''}{formatDate(link.created_at)}
+                                    </span>
+                                </div>
+                            ))}
+                        </>
+                    )}
+                </div>
+
+                {/* Dependencies Section */}
+                {dependencies && (
+                    <div style={styles.taskSection}>
+                        <h3 style={styles.sectionTitle}>Dependencies</h3>
+
+                        {dependencies.isBlocked && (
+                            <div style={styles.blockedNotice}>
+                                Waiting on {dependencies.blockedBy.filter(link => link.task.status !== 'completed').length} unfinished
+                                task(s). This task moves back to To Do when the last one is completed.
+                            </div>
+                        )}
+
+                        {dependencyError && <div style={styles.dependencyErrorBox}>{dependencyError}</div>}
+
+                        <div style={styles.dependencyColumns}>
+                            <div>
+                                <h4 style={styles.dependencyHeading}>Blocked by</h4>
+                                {renderDependencyList(dependencies.blockedBy, 'Nothing is blocking this task')}
+                            </div>
+                            <div>
+                                <h4 style={styles.dependencyHeading}>Blocks</h4>
+                                {renderDependencyList(dependencies.blocking, 'This task does not block anything')}
+                            </div>
+                        </div>
+
+                        {(dependencies.upstream.length > 0 || dependencies.downstream.length > 0) && (
+                            <div style={styles.chain}>
+                                <h4 style={styles.dependencyHeading}>Dependency chain</h4>
+                                <div style={styles.chainLevels}>
+                                    {getChainLevels().map((level, index) => (
+                                        <React.Fragment key={index}>
+                                            {index > 0 && <span style={styles.chainArrow}>→</span>}
+                                            <div style={styles.chainLevel}>
+                                                {level.map(chainTask => (
+                                                    <div
+                                                        key={chainTask.id}
+                                                        style={{
+                                                            ...styles.chainTask,
+                                                            borderColor: getStatusColor(chainTask.status),
+                                                            fontWeight: chainTask.isCurrent ? '600' : 'normal'
+                                                        }}
+                                                        onClick={() => !chainTask.isCurrent && navigate(`/project/${projectId}/tasks/${chainTask.id}`)}
+                                                    >
+                                                        {chainTask.title}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </React.Fragment>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        <form onSubmit={handleAddDependency} style={styles.dependencyForm}>
+                            <select
+                                value={dependencyForm.type}
+                                onChange={(e) => setDependencyForm(prev => ({ ...prev, type: e.target.value }))}
+                                style={styles.select}
+                            >
+                                <option value="blocked_by">Blocked by</option>
+                                <option value="blocks">Blocks</option>
+                            </select>
+                            <select
+                                value={dependencyForm.taskId}
+                                onChange={(e) => setDependencyForm(prev => ({ ...prev, taskId: e.target.value }))}
+                                style={{ ...styles.select, flex: 1 }}
+                            >
+                                <option value="">Select a task...</option>
+                                {projectTasks
+                                    .filter(projectTask => projectTask.id !== taskId)
+                                    .map(projectTask => (
+                                        <option key={projectTask.id} value={projectTask.id}>
+                                            {projectTask.title}
+                                        </option>
+                                    ))}
+                            </select>
+                            <button type="submit" style={styles.saveButton} disabled={!dependencyForm.taskId}>
+                                Link
+                            </button>
+                        </form>
+                    </div>
+                )}
+
                 {/* Comments Section */}
                 <div style={styles.commentsSection}>
                     <CommentsContainer 
                         taskId={taskId}
+                        projectId={projectId}
                         projectMembers={projectMembers}
                         projectOwner={projectOwner}
                     />
@@ -447,6 +1008,205 @@ const styles = {
         border: '1px solid #e1e5e9',
         boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
     },
+    sectionTitle: {
+        margin: '0 0 16px 0',
+        color: '#2c3e50'
+    },
+    checklistHeader: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '12px'
+    },
+    checklistCount: {
+        fontSize: '14px',
+        color: '#6c757d'
+    },
+    progressTrack: {
+        height: '6px',
+        backgroundColor: '#e9ecef',
+        borderRadius: '3px',
+        overflow: 'hidden',
+        marginBottom: '12px'
+    },
+    progressFill: {
+        height: '100%',
+        backgroundColor: '#28a745',
+        transition: 'width 0.3s ease'
+    },
+    subtaskItem: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '10px',
+        padding: '8px 0',
+        borderBottom: '1px solid #f1f3f5'
+    },
+    subtaskTitle: {
+        flex: 1,
+        fontSize: '14px',
+        color: '#2c3e50'
+    },
+    subtaskTitleDone: {
+        textDecoration: 'line-through',
+        color: '#adb5bd'
+    },
+    subtaskAssignee: {
+        padding: '4px 8px',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        fontSize: '12px'
+    },
+    presenceBar: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '16px',
+        alignItems: 'center',
+        backgroundColor: '#e8f4fd',
+        color: '#0c5460',
+        border: '1px solid #bee5eb',
+        borderRadius: '6px',
+        padding: '10px 14px',
+        marginBottom: '16px',
+        fontSize: '14px'
+    },
+    remoteEdit: {
+        color: '#856404',
+        fontWeight: '500'
+    },
+    remoteEditDismiss: {
+        background: 'none',
+        border: 'none',
+        color: '#856404',
+        cursor: 'pointer',
+        fontSize: '16px',
+        marginLeft: '6px'
+    },
+    blockedNotice: {
+        backgroundColor: '#fdecea',
+        color: '#a71d2a',
+        border: '1px solid #f5c6cb',
+        borderRadius: '6px',
+        padding: '10px 14px',
+        marginBottom: '16px',
+        fontSize: '14px'
+    },
+    dependencyErrorBox: {
+        backgroundColor: '#fff3cd',
+        color: '#856404',
+        border: '1px solid #ffeeba',
+        borderRadius: '6px',
+        padding: '10px 14px',
+        marginBottom: '16px',
+        fontSize: '14px'
+    },
+    dependencyColumns: {
+        display: 'grid',
+        gridTemplateColumns: '1fr 1fr',
+        gap: '24px',
+        marginBottom: '16px'
+    },
+    dependencyHeading: {
+        margin: '0 0 8px 0',
+        fontSize: '14px',
+        color: '#495057',
+        textTransform: 'uppercase',
+        letterSpacing: '0.5px'
+    },
+    dependencyEmpty: {
+        color: '#6c757d',
+        fontSize: '14px',
+        margin: 0
+    },
+    taskReference: {
+        display: 'inline-block',
+        fontFamily: 'monospace',
+        fontSize: '13px',
+        color: '#6c757d',
+        backgroundColor: '#f1f3f5',
+        borderRadius: '4px',
+        padding: '2px 8px',
+        marginBottom: '12px'
+    },
+    githubLinkTitle: {
+        flex: 1,
+        color: '#007bff',
+        textDecoration: 'none'
+    },
+    commitSha: {
+        fontSize: '12px',
+        color: '#495057',
+        backgroundColor: '#f1f3f5',
+        borderRadius: '4px',
+        padding: '1px 6px'
+    },
+    dependencyItem: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '6px 0',
+        borderBottom: '1px solid #f1f3f5',
+        fontSize: '14px'
+    },
+    dependencyDot: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        flexShrink: 0
+    },
+    dependencyTitle: {
+        flex: 1,
+        color: '#007bff',
+        cursor: 'pointer'
+    },
+    dependencyStatus: {
+        color: '#6c757d',
+        fontSize: '12px',
+        textTransform: 'capitalize'
+    },
+    dependencyRemove: {
+        background: 'none',
+        border: 'none',
+        color: '#dc3545',
+        cursor: 'pointer',
+        fontSize: '16px',
+        lineHeight: 1
+    },
+    chain: {
+        backgroundColor: '#f8f9fa',
+        padding: '16px',
+        borderRadius: '6px',
+        marginBottom: '16px'
+    },
+    chainLevels: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        overflowX: 'auto'
+    },
+    chainLevel: {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px'
+    },
+    chainTask: {
+        backgroundColor: 'white',
+        border: '2px solid',
+        borderRadius: '6px',
+        padding: '6px 10px',
+        fontSize: '13px',
+        color: '#2c3e50',
+        cursor: 'pointer',
+        whiteSpace: 'nowrap'
+    },
+    chainArrow: {
+        color: '#6c757d',
+        fontSize: '18px'
+    },
+    dependencyForm: {
+        display: 'flex',
+        gap: '12px',
+        alignItems: 'center'
+    },
     commentsSection: {
         // Comments container will have its own styling
     },
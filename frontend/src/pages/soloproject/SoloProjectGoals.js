@@ -471,6 +471,27 @@ function SoloProjectGoals() {
     }
   };
 
+  // Check off a checklist item; the goal's progress follows its checklist
+  const toggleSubtask = async (item, subtask) => {
+    const subtasks = item.subtasks.map(s =>
+      s.id === subtask.id ? { ...s, is_completed: !subtask.is_completed } : s
+    );
+    const newProgress = Math.round((subtasks.filter(s => s.is_completed).length / subtasks.length) * 100);
+
+    setItems(prev => prev.map(i => (i.id === item.id ? { ...i, subtasks } : i)));
+
+    try {
+      await SoloProjectService.updateGoalSubtask(projectId, item.id, subtask.id, {
+        is_completed: !subtask.is_completed
+      });
+      await updateItemProgress(item.id, newProgress);
+    } catch (err) {
+      console.error('Subtask update failed:', err);
+      setItems(prev => prev.map(i => (i.id === item.id ? { ...i, subtasks: item.subtasks } : i)));
+      alert(err?.response?.data?.message || 'Failed to update subtask');
+    }
+  };
+
   // Delete item via API
   const deleteItem = async (itemId) => {
     if (!window.confirm('Are you sure you want to delete this item?')) return;
@@ -718,33 +739,55 @@ function SoloProjectGoals() {
             }}
           />
         </div>
-        
-        <div style={styles.progressControls}>
-          <input
-            type="range"
-            min="0"
-            max="100"
-            value={item.progress || 0}
-            onChange={(e) => updateItemProgress(item.id, parseInt(e.target.value))}
-            style={styles.progressSlider}
-          />
-          <span style={styles.progressText}>{item.progress || 0}%</span>
-        </div>
 
-        <div style={styles.quickProgress}>
-          {[0, 25, 50, 75, 100].map(value => (
-            <button
-              key={value}
-              style={{
-                ...styles.progressButton,
-                ...((item.progress || 0) === value ? styles.progressButtonActive : {})
-              }}
-              onClick={() => updateItemProgress(item.id, value)}
-            >
-              {value}%
-            </button>
-          ))}
-        </div>
+        {item.subtasks?.length > 0 ? (
+          <div style={styles.checklist}>
+            <span style={styles.progressText}>
+              {item.subtasks.filter(s => s.is_completed).length}/{item.subtasks.length} subtasks · {item.progress || 0}%
+            </span>
+            {item.subtasks.map(subtask => (
+              <label key={subtask.id} style={styles.checklistItem}>
+                <input
+                  type="checkbox"
+                  checked={subtask.is_completed}
+                  onChange={() => toggleSubtask(item, subtask)}
+                />
+                <span style={subtask.is_completed ? styles.checklistItemDone : undefined}>
+                  {subtask.title}
+                </span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <>
+            <div style={styles.progressControls}>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={item.progress || 0}
+                onChange={(e) => updateItemProgress(item.id, parseInt(e.target.value))}
+                style={styles.progressSlider}
+              />
+              <span style={styles.progressText}>{item.progress || 0}%</span>
+            </div>
+
+            <div style={styles.quickProgress}>
+              {[0, 25, 50, 75, 100].map(value => (
+                <button
+                  key={value}
+                  style={{
+                    ...styles.progressButton,
+                    ...((item.progress || 0) === value ? styles.progressButtonActive : {})
+                  }}
+                  onClick={() => updateItemProgress(item.id, value)}
+                >
+                  {value}%
+                </button>
+              ))}
+            </div>
+          </>
+        )}
       </div>
 
       {/* Meta Information */}
@@ -1458,6 +1501,24 @@ const styles = {
     margin: '0 0 16px 0',
     lineHeight: '1.5'
   },
+  checklist: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    marginTop: '10px'
+  },
+  checklistItem: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '8px',
+    fontSize: '13px',
+    color: '#d1d5db',
+    cursor: 'pointer'
+  },
+  checklistItemDone: {
+    textDecoration: 'line-through',
+    color: '#6b7280'
+  },
   progressSection: {
     marginBottom: '16px'
   },
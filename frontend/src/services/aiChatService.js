@@ -20,14 +20,97 @@ const setAuthToken = (token) => {
   }
 };
 
+// Reads a server-sent event stream, calling onEvent(event, data) for each complete event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    events.forEach(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (data !== undefined) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
 export const aiChatService = {
-  // Send message to AI chat
-  sendMessage: async (message, conversationHistory = [], token) => {
+  // Send message to AI chat; starts a conversation when conversationId is missing
+  sendMessage: async (message, conversationId, token) => {
     setAuthToken(token);
     const response = await api.post('/ai-chat', { 
       message, 
-      conversationHistory 
+      conversationId 
+    });
+    return response.data;
+  },
+
+  // Sends a message to a saved conversation and streams the answer.
+  // Handlers: onMessage(savedUserMessage), onToken(text), onDone({ message, conversation })
+  streamMessage: async (conversationId, message, token, { onMessage, onToken, onDone, signal } = {}) => {
+    const response = await fetch(`${API_URL}/ai-chat/conversations/${conversationId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ message }),
+      signal
     });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.message || 'Failed to get AI response');
+    }
+
+    let streamError = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'message') onMessage?.(data.message);
+      if (event === 'token') onToken?.(data.text);
+      if (event === 'done') onDone?.(data);
+      if (event === 'error') streamError = new Error(data.message);
+    });
+
+    if (streamError) throw streamError;
+  },
+
+  // Saved conversations
+  listConversations: async (token) => {
+    setAuthToken(token);
+    const response = await api.get('/ai-chat/conversations');
+    return response.data;
+  },
+
+  createConversation: async (title, token) => {
+    setAuthToken(token);
+    const response = await api.post('/ai-chat/conversations', { title });
+    return response.data;
+  },
+
+  getConversation: async (conversationId, token) => {
+    setAuthToken(token);
+    const response = await api.get(`/ai-chat/conversations/${conversationId}`);
+    return response.data;
+  },
+
+  renameConversation: async (conversationId, title, token) => {
+    setAuthToken(token);
+    const response = await api.put(`/ai-chat/conversations/${conversationId}`, { title });
+    return response.data;
+  },
+
+  deleteConversation: async (conversationId, token) => {
+    setAuthToken(token);
+    const response = await api.delete(`/ai-chat/conversations/${conversationId}`);
     return response.data;
   },
 
@@ -39,7 +122,7 @@ export const aiChatService = {
   },
 
   // ENHANCED: Create project from AI response with tasks
-  createProjectFromResponse: async (projectData, token) => {
+  createProjectFromResponse: async (projectData, token, conversationId = null) => {
     setAuthToken(token);
     
     console.log('═══════════════════════════════════════════════');
@@ -81,23 +164,10 @@ export const aiChatService = {
     
     // Send to backend AI chat project creation endpoint
     const response = await api.post('/ai-chat/create-project', { 
-      projectData: formattedProjectData 
+      projectData: formattedProjectData,
+      conversationId
     });
     
-    return response.data;
-  },
-
-  // Get conversation history
-  getConversationHistory: async (userId, token) => {
-    setAuthToken(token);
-    const response = await api.get(`/ai-chat/history/${userId}`);
-    return response.data;
-  },
-
-  // Save conversation
-  saveConversation: async (conversationData, token) => {
-    setAuthToken(token);
-    const response = await api.post('/ai-chat/save-conversation', conversationData);
     return response.data;
   }
 };
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { authService } from './authService';
 
 // Get the backend URL from your .env file
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
@@ -21,11 +22,25 @@ api.interceptors.request.use((config) => {
 });
 
 // This handles when your login expires
+// An expired access token gets one refresh-and-retry before the user is sent to login
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const request = error.config;
+
+    if (error.response?.status === 401 && request && !request._retried && !request.url?.startsWith('/auth/')) {
+      request._retried = true;
+      try {
+        const { token } = await authService.refreshSession();
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError.message);
+      }
+    }
+
     if (error.response?.status === 401) {
-      localStorage.removeItem('token');
+      authService.clearSession();
       window.location.href = '/login';
     }
     return Promise.reject(error);
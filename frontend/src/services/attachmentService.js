@@ -0,0 +1,71 @@
+// frontend/src/services/attachmentService.js
+import api from './api';
+
+const attachmentPath = (attachment, file) =>
+  `/projects/${attachment.project_id}/attachments/${attachment.id}/${file}`;
+
+export const attachmentService = {
+  // Upload files; with a taskId they are attached to the task straight away,
+  // otherwise pass the returned ids along with the comment or chat message
+  uploadFiles: async (projectId, files, { taskId } = {}) => {
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach(file => formData.append('files', file));
+      if (taskId) formData.append('task_id', taskId);
+
+      console.log('📎 AttachmentService: Uploading', files.length, 'file(s) to project:', projectId);
+      const response = await api.post(`/projects/${projectId}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      console.log('✅ AttachmentService: Upload complete');
+      return response.data;
+    } catch (error) {
+      console.error('💥 AttachmentService: Upload error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to upload files');
+    }
+  },
+
+  getTaskAttachments: async (projectId, taskId) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/attachments?task_id=${taskId}`);
+      return response.data;
+    } catch (error) {
+      console.error('💥 AttachmentService: Get attachments error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  deleteAttachment: async (attachment) => {
+    try {
+      const response = await api.delete(`/projects/${attachment.project_id}/attachments/${attachment.id}`);
+      return response.data;
+    } catch (error) {
+      console.error('💥 AttachmentService: Delete attachment error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  },
+
+  // Files are behind auth, so they are fetched as blobs rather than linked directly.
+  // Callers own the returned object URL and should revoke it.
+  getThumbnailUrl: async (attachment) => {
+    const response = await api.get(attachmentPath(attachment, 'thumbnail'), { responseType: 'blob' });
+    return URL.createObjectURL(response.data);
+  },
+
+  downloadAttachment: async (attachment) => {
+    try {
+      const response = await api.get(attachmentPath(attachment, 'download'), { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.file_name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('💥 AttachmentService: Download error:', error.response?.data || error.message);
+      throw new Error('Failed to download file');
+    }
+  }
+};
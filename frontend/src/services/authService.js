@@ -19,6 +19,37 @@ const setAuthToken = (token) => {
   }
 };
 
+// Access tokens are short-lived; the refresh token (rotated on every use) gets a new pair.
+// One refresh at a time: concurrent 401s all wait for the same request.
+let refreshPromise = null;
+const refreshListeners = new Set();
+
+// Tabs share the stored tokens, so they also take turns refreshing them
+const REFRESH_LOCK = 'techsync-session-refresh';
+
+const withRefreshLock = (callback) => (navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK, callback)
+  : callback());
+
+// The pair another tab stored after rotating the refresh token we started with, if any
+const rotatedElsewhere = (startingRefreshToken) => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  const token = localStorage.getItem('token');
+  return refreshToken && token && refreshToken !== startingRefreshToken ? { token, refreshToken } : null;
+};
+
+const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  setAuthToken(token);
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  setAuthToken(null);
+};
+
 export const authService = {
   // Register user
   register: async (userData) => {
@@ -29,6 +60,15 @@ export const authService = {
   // Login user
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
+    if (response.data.success && !response.data.data.twoFactorRequired) {
+      setAuthToken(response.data.data.token);
+    }
+    return response.data;
+  },
+
+  // Second login step: the challenge from login plus an authenticator or recovery code
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
     if (response.data.success) {
       setAuthToken(response.data.data.token);
     }
@@ -56,8 +96,58 @@ export const authService = {
     return response.data;
   },
 
-  // Logout (clear token)
-  logout: () => {
-    setAuthToken(null);
+  storeSession,
+  clearSession,
+
+  // Trade the stored refresh token for a new access / refresh token pair
+  refreshSession: () => {
+    if (!refreshPromise) {
+      const startingRefreshToken = localStorage.getItem('refreshToken');
+
+      refreshPromise = withRefreshLock(async () => {
+        const adopted = rotatedElsewhere(startingRefreshToken);
+        if (adopted) return adopted;
+        if (!startingRefreshToken) throw new Error('No refresh token');
+
+        try {
+          const response = await api.post('/auth/refresh', { refreshToken: startingRefreshToken });
+          return response.data.data;
+        } catch (error) {
+          // Another tab won the race for this refresh token and has stored the new pair
+          const superseded = error.response?.status === 409 && rotatedElsewhere(startingRefreshToken);
+          if (superseded) return superseded;
+          throw error;
+        }
+      })
+        .then(tokens => {
+          storeSession(tokens);
+          refreshListeners.forEach(listener => listener(tokens));
+          return tokens;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+  },
+
+  // Called with the new tokens after every refresh; returns an unsubscribe function
+  onSessionRefresh: (listener) => {
+    refreshListeners.add(listener);
+    return () => refreshListeners.delete(listener);
+  },
+
+  // Logout: revoke this device's session on the server, then forget the tokens
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+
+    if (refreshToken) {
+      try {
+        await api.post('/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
   }
 };
\ No newline at end of file
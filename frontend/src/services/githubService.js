@@ -1,6 +1,44 @@
 // frontend/src/services/githubService.js
 import api from './api';
 
+// GitHub quota the backend reports with each /github response (X-GitHub-RateLimit-* headers)
+let rateLimit = null;
+const rateLimitListeners = new Set();
+
+const setRateLimit = (next) => {
+  rateLimit = next;
+  rateLimitListeners.forEach(listener => listener(rateLimit));
+};
+
+const recordRateLimit = (response) => {
+  if (!response?.config?.url?.startsWith('/github/')) return;
+
+  if (response.data?.code === 'GITHUB_RATE_LIMITED') {
+    setRateLimit({ limit: rateLimit?.limit || null, remaining: 0, resetAt: response.data.resetAt });
+    return;
+  }
+
+  const remaining = response.headers?.['x-github-ratelimit-remaining'];
+  if (remaining === undefined) return;
+
+  setRateLimit({
+    limit: Number(response.headers['x-github-ratelimit-limit']),
+    remaining: Number(remaining),
+    resetAt: response.headers['x-github-ratelimit-reset']
+  });
+};
+
+api.interceptors.response.use(
+  (response) => {
+    recordRateLimit(response);
+    return response;
+  },
+  (error) => {
+    recordRateLimit(error.response && { ...error.response, config: error.config });
+    return Promise.reject(error);
+  }
+);
+
 // OAuth methods
 const getOAuthURL = async () => {
   try {
@@ -144,6 +182,59 @@ const getProjectRepository = async (projectId) => {
   }
 };
 
+// Commits, pull requests and issues that mention a task: { commits, pullRequests, issues }
+const getTaskGitHubLinks = async (projectId, taskId) => {
+  try {
+    const response = await api.get(`/github/project/${projectId}/tasks/${taskId}/links`);
+    return response.data;
+  } catch (error) {
+    console.error('Get task GitHub links error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Two-way issue sync for the project's repository: { repository, enabled, enabledBy, enabledAt, linkedTasks }
+const getIssueSync = async (projectId) => {
+  try {
+    const response = await api.get(`/github/project/${projectId}/issue-sync`);
+    return response.data;
+  } catch (error) {
+    console.error('Get issue sync error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+const setIssueSync = async (projectId, enabled) => {
+  try {
+    const response = await api.put(`/github/project/${projectId}/issue-sync`, { enabled });
+    return response.data;
+  } catch (error) {
+    console.error('Update issue sync error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+const getIssueSyncAudit = async (projectId, params = {}) => {
+  try {
+    const response = await api.get(`/github/project/${projectId}/issue-sync/audit`, { params });
+    return response.data;
+  } catch (error) {
+    console.error('Get issue sync audit error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Commits per member per week, active branches, open pull request age and task throughput
+const getRepositoryInsights = async (projectId, params = {}) => {
+  try {
+    const response = await api.get(`/github/project/${projectId}/insights`, { params });
+    return response.data;
+  } catch (error) {
+    console.error('Get repository insights error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 // Utility methods
 const isConnected = async () => {
   try {
@@ -154,6 +245,26 @@ const isConnected = async () => {
   }
 };
 
+// The stored token was revoked or expired, or lacks a scope a feature needs: the user has to
+// go through the OAuth flow again
+const needsReconnect = (error) =>
+  ['GITHUB_RECONNECT_REQUIRED', 'GITHUB_SCOPE_MISSING'].includes(error?.response?.data?.code);
+
+// Latest { limit, remaining, resetAt } seen, or null before the first GitHub call
+const getRateLimit = () => rateLimit;
+
+// Calls listener with every new rate limit; returns the unsubscribe function
+const onRateLimitChange = (listener) => {
+  rateLimitListeners.add(listener);
+  return () => rateLimitListeners.delete(listener);
+};
+
+// No requests left until the reset time
+const isRateLimited = () =>
+  !!rateLimit && rateLimit.remaining === 0 && new Date(rateLimit.resetAt).getTime() > Date.now();
+
+const isRateLimitError = (error) => error?.response?.data?.code === 'GITHUB_RATE_LIMITED';
+
 const navigateToPath = async (owner, repo, path, ref = null) => {
   try {
     return await getRepositoryContents(owner, repo, path, ref);
@@ -242,9 +353,19 @@ export const githubService = {
   connectRepositoryToProject,
   disconnectRepositoryFromProject,
   getProjectRepository,
+  getTaskGitHubLinks,
+  getIssueSync,
+  setIssueSync,
+  getIssueSyncAudit,
+  getRepositoryInsights,
   
   // Utility methods
   isConnected,
+  needsReconnect,
+  getRateLimit,
+  onRateLimitChange,
+  isRateLimited,
+  isRateLimitError,
   navigateToPath,
   getFileType,
   isBinaryFile,
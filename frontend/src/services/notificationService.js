@@ -104,6 +104,128 @@ class NotificationService {
             throw error;
         }
     }
+
+    // Notification events: task assigned/due soon, member joined/removed, role changed,
+    // friend request, award earned, challenge result
+    async getNotificationEvents(params = {}) {
+        try {
+            const queryParams = new URLSearchParams();
+
+            if (params.page) queryParams.append('page', params.page);
+            if (params.limit) queryParams.append('limit', params.limit);
+            if (params.type) queryParams.append('type', params.type);
+            if (params.unread_only) queryParams.append('unread_only', params.unread_only);
+
+            const response = await fetch(`${this.baseURL}/events?${queryParams}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Failed to fetch notification events: ${response.status} - ${errorText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('🔔 NotificationService: Error in getNotificationEvents:', error);
+            throw error;
+        }
+    }
+
+    // Pass ids, a type, or nothing to mark everything read (comments included)
+    async markEventsRead({ ids, type } = {}) {
+        try {
+            const response = await fetch(`${this.baseURL}/events/read`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({
+                    notification_ids: ids,
+                    type
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to mark notification events as read: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('🔔 NotificationService: Error in markEventsRead:', error);
+            throw error;
+        }
+    }
+
+    async deleteNotification(notificationId, source = 'event') {
+        try {
+            const path = source === 'comment' ? 'comments' : 'events';
+            const response = await fetch(`${this.baseURL}/${path}/${notificationId}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to delete notification: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('🔔 NotificationService: Error in deleteNotification:', error);
+            throw error;
+        }
+    }
+
+    async getPreferences() {
+        try {
+            const response = await fetch(`${this.baseURL}/preferences`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch notification preferences: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('🔔 NotificationService: Error in getPreferences:', error);
+            throw error;
+        }
+    }
+
+    // preferences: [{ type, projectId, channel }] - a null channel resets to the fallback
+    async updatePreferences({ preferences, digestFrequency } = {}) {
+        try {
+            const response = await fetch(`${this.baseURL}/preferences`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({ preferences, digestFrequency })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to save notification preferences: ${response.status}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('🔔 NotificationService: Error in updatePreferences:', error);
+            throw error;
+        }
+    }
 }
 
 export const notificationService = new NotificationService();
\ No newline at end of file
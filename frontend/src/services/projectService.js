@@ -106,6 +106,59 @@ export const projectService = {
     }
   },
 
+  // The current user's role and capabilities in a project
+  getMyPermissions: async (projectId) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/permissions`);
+      return response.data;
+    } catch (error) {
+      console.error('Get permissions error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Built-in and custom roles, plus the list of capabilities a role can grant
+  getProjectRoles: async (projectId) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/roles`);
+      return response.data;
+    } catch (error) {
+      console.error('Get project roles error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Custom roles (roles.manage): { name, description, capabilities }
+  createProjectRole: async (projectId, roleData) => {
+    try {
+      const response = await api.post(`/projects/${projectId}/roles`, roleData);
+      return response.data;
+    } catch (error) {
+      console.error('Create project role error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  updateProjectRole: async (projectId, roleKey, roleData) => {
+    try {
+      const response = await api.put(`/projects/${projectId}/roles/${roleKey}`, roleData);
+      return response.data;
+    } catch (error) {
+      console.error('Update project role error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  deleteProjectRole: async (projectId, roleKey) => {
+    try {
+      const response = await api.delete(`/projects/${projectId}/roles/${roleKey}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete project role error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // Remove a member from a project
   removeMember: async (projectId, memberId) => {
     try {
@@ -128,6 +181,65 @@ export const projectService = {
     }
   },
 
+  // =============================================================================
+  // INVITE LINKS
+  // =============================================================================
+
+  // Create an invite link (members.invite)
+  createInvite: async (projectId, inviteData = {}) => {
+    try {
+      const response = await api.post(`/projects/${projectId}/invites`, inviteData);
+      return response.data;
+    } catch (error) {
+      console.error('Create invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // List a project's invite links with their redemptions (members.invite)
+  getProjectInvites: async (projectId) => {
+    try {
+      const response = await api.get(`/projects/${projectId}/invites`);
+      return response.data;
+    } catch (error) {
+      console.error('Get invites error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Revoke an invite link (members.invite)
+  revokeInvite: async (projectId, inviteId) => {
+    try {
+      const response = await api.delete(`/projects/${projectId}/invites/${inviteId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Preview an invite link before joining
+  getInvite: async (inviteCode) => {
+    try {
+      const response = await api.get(`/projects/invites/${inviteCode}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Join a project through an invite link
+  redeemInvite: async (inviteCode) => {
+    try {
+      const response = await api.post(`/projects/invites/${inviteCode}/redeem`);
+      return response.data;
+    } catch (error) {
+      console.error('Redeem invite error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // =============================================================================
   // EXISTING METHODS (KEPT FOR COMPATIBILITY)
   // =============================================================================
@@ -0,0 +1,36 @@
+// frontend/src/services/sessionService.js
+import api from './api';
+
+export const sessionService = {
+  // Active logins (devices) of the current user
+  getSessions: async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('💥 SessionService: Get sessions error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to load sessions');
+    }
+  },
+
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('💥 SessionService: Revoke session error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to sign out device');
+    }
+  },
+
+  // keepCurrent: sign out every other device but stay logged in here
+  revokeAllSessions: async ({ keepCurrent = false } = {}) => {
+    try {
+      const response = await api.delete(`/auth/sessions${keepCurrent ? '?keep_current=true' : ''}`);
+      return response.data;
+    } catch (error) {
+      console.error('💥 SessionService: Revoke all sessions error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to sign out devices');
+    }
+  }
+};
@@ -146,6 +146,27 @@ class SoloProjectService {
     }
   }
 
+  /**
+   * Check off (or rename) a checklist item on a goal
+   * @param {string} projectId - Solo project ID
+   * @param {string} goalId - Goal ID
+   * @param {string} subtaskId - Subtask ID
+   * @param {Object} updateData - { is_completed, title }
+   * @returns {Promise} - Updated subtask
+   */
+  static async updateGoalSubtask(projectId, goalId, subtaskId, updateData) {
+    try {
+      console.log('🔄 SoloProjectService: Updating subtask:', subtaskId, 'on goal:', goalId);
+
+      const response = await api.put(`/solo-projects/${projectId}/goals/${goalId}/subtasks/${subtaskId}`, updateData);
+      console.log('✅ SoloProjectService: Subtask updated successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 SoloProjectService: Update subtask error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   // ===== NOTES METHODS =====
 
   /**
@@ -169,6 +169,124 @@ export const taskService = {
     }
   },
 
+  // Add a checklist item to a task
+  createSubtask: async (projectId, taskId, subtaskData) => {
+    try {
+      console.log('🔄 TaskService: Adding subtask to task:', taskId);
+      const response = await api.post(`/projects/${projectId}/tasks/${taskId}/subtasks`, subtaskData);
+      console.log('✅ TaskService: Subtask added successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Create subtask error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Update a checklist item (title, assigned_to, is_completed, position)
+  updateSubtask: async (projectId, taskId, subtaskId, updateData) => {
+    try {
+      console.log('🔄 TaskService: Updating subtask:', subtaskId, updateData);
+      const response = await api.put(`/projects/${projectId}/tasks/${taskId}/subtasks/${subtaskId}`, updateData);
+      console.log('✅ TaskService: Subtask updated successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Update subtask error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  deleteSubtask: async (projectId, taskId, subtaskId) => {
+    try {
+      console.log('🔄 TaskService: Deleting subtask:', subtaskId);
+      const response = await api.delete(`/projects/${projectId}/tasks/${taskId}/subtasks/${subtaskId}`);
+      console.log('✅ TaskService: Subtask deleted successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Delete subtask error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Get blockers, dependents and the full dependency chain of a task
+  getTaskDependencies: async (projectId, taskId) => {
+    try {
+      console.log('🔄 TaskService: Fetching dependencies for task:', taskId);
+      const response = await api.get(`/projects/${projectId}/tasks/${taskId}/dependencies`);
+      console.log('✅ TaskService: Task dependencies fetched successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Get task dependencies error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Link two tasks; type is 'blocked_by' (otherTaskId blocks taskId) or 'blocks'
+  addTaskDependency: async (projectId, taskId, otherTaskId, type) => {
+    try {
+      console.log('🔄 TaskService: Linking tasks:', { taskId, otherTaskId, type });
+      const response = await api.post(`/projects/${projectId}/tasks/${taskId}/dependencies`, {
+        taskId: otherTaskId,
+        type
+      });
+      console.log('✅ TaskService: Tasks linked successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Add task dependency error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  removeTaskDependency: async (projectId, taskId, dependencyId) => {
+    try {
+      console.log('🔄 TaskService: Removing dependency:', dependencyId);
+      const response = await api.delete(`/projects/${projectId}/tasks/${taskId}/dependencies/${dependencyId}`);
+      console.log('✅ TaskService: Dependency removed successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Remove task dependency error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Save board column order; columns is { status: [taskId, ...] }
+  reorderTasks: async (projectId, columns) => {
+    try {
+      console.log('🔄 TaskService: Saving board order for project:', projectId);
+      const response = await api.put(`/projects/${projectId}/tasks/reorder`, { columns });
+      console.log('✅ TaskService: Board order saved successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Reorder tasks error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Get board columns and WIP limits
+  getBoardSettings: async (projectId) => {
+    try {
+      console.log('🔄 TaskService: Fetching board settings for project:', projectId);
+      const response = await api.get(`/projects/${projectId}/tasks/board`);
+      console.log('✅ TaskService: Board settings fetched successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Get board settings error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Update WIP limits (owner or lead)
+  updateBoardSettings: async (projectId, wipLimits) => {
+    try {
+      console.log('🔄 TaskService: Updating WIP limits:', wipLimits);
+      const response = await api.put(`/projects/${projectId}/tasks/board`, { wipLimits });
+      console.log('✅ TaskService: WIP limits updated successfully');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TaskService: Update board settings error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // Update task status (quick action)
   updateTaskStatus: async (projectId, taskId, status) => {
     try {
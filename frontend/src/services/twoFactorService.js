@@ -0,0 +1,57 @@
+// frontend/src/services/twoFactorService.js
+import api from './api';
+
+export const twoFactorService = {
+  // { enabled, enabledAt, required, recoveryCodesRemaining }
+  getStatus: async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TwoFactorService: Get status error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to load two-factor status');
+    }
+  },
+
+  // New secret with otpauth URL and QR code image; nothing changes until enable() confirms it
+  setup: async () => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      console.error('💥 TwoFactorService: Setup error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  },
+
+  // Returns the recovery codes; they are only shown this once
+  enable: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      console.error('💥 TwoFactorService: Enable error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    }
+  },
+
+  disable: async ({ password, code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+      return response.data;
+    } catch (error) {
+      console.error('💥 TwoFactorService: Disable error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      console.error('💥 TwoFactorService: Regenerate recovery codes error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to generate recovery codes');
+    }
+  }
+};